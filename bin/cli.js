@@ -0,0 +1,424 @@
+/**
+ * 模块名称: CLI (jstools 命令行)
+ * 功能描述: 解析 jstools 的子命令和全局选项，转换成各脚本自己的参数后执行脚本
+ * 全局选项:
+ *    --dry-run        仅预览，不修改文件
+ *    -y, --yes        跳过确认直接执行 (--apply 同义)
+ *    --limit N        只处理前 N 项
+ *    --json           JSON 格式输出
+ *    -v, --verbose    输出详细信息
+ *    --config FILE    配置文件 (默认 ~/.jstools/config.json)
+ *    -h, --help       显示帮助
+ * 配置文件格式:
+ *    {
+ *        "verbose": true,                          // 全局选项默认值
+ *        "commands": {
+ *            "music dupes": { "dir": "/Volumes/Music" },                 // 默认目录
+ *            "music covers": { "yes": true, "args": ["--overwrite"] }   // 默认选项和额外参数
+ *        }
+ *    }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { COMMANDS, GROUPS } = require('./commands');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.jstools', 'config.json');
+
+// 全局选项: [名称, 参数写法, 是否带值, 说明]
+const GLOBAL_OPTIONS = [
+    ['dryRun', ['--dry-run'], false, '仅预览，不修改文件'],
+    ['yes', ['-y', '--yes', '--apply'], false, '跳过确认直接执行'],
+    ['limit', ['--limit'], true, '只处理前 N 项'],
+    ['json', ['--json'], false, 'JSON 格式输出'],
+    ['verbose', ['-v', '--verbose'], false, '输出详细信息 (如数据源请求失败的原因)'],
+    ['config', ['--config'], true, `配置文件 (默认 ${DEFAULT_CONFIG_PATH.replace(os.homedir(), '~')})`],
+    ['help', ['-h', '--help'], false, '显示帮助']
+];
+
+// 全局选项在帮助中的显示
+const GLOBAL_USAGE = {
+    dryRun: '--dry-run',
+    yes: '-y, --yes',
+    limit: '--limit <N>',
+    json: '--json',
+    verbose: '-v, --verbose',
+    config: '--config <文件>',
+    help: '-h, --help'
+};
+
+// --dry-run 的几种实现方式
+const DRY_RUN_MODES = {
+    '--dry-run': '仅预览，不修改文件',
+    confirm: '显示执行计划后自动取消，不修改文件',
+    readonly: '该命令只生成报告或清理脚本，本身不修改文件'
+};
+
+// ---------------------------------------------------------
+// 2. 参数解析
+// ---------------------------------------------------------
+
+/**
+ * 命令的完整名称，如 "music covers"、"undo"
+ */
+function commandName(command) {
+    return command.group ? `${command.group} ${command.name}` : command.name;
+}
+
+/**
+ * 从子命令自己的选项说明中取出参数写法，如 '-y, --year <范围>' -> ['-y', '--year']
+ */
+function ownFlags(command) {
+    const flags = new Set();
+    (command.options || []).forEach(([spec]) => {
+        spec.split(/[,\s]+/).filter(f => f.startsWith('-')).forEach(f => flags.add(f));
+    });
+    return flags;
+}
+
+/**
+ * 查找子命令: 取参数中前两个非选项的词
+ */
+function findCommand(argv) {
+    const valueFlags = GLOBAL_OPTIONS.filter(o => o[2]).flatMap(o => o[1]);
+    const words = [];
+    for (let i = 0; i < argv.length && words.length < 2; i++) {
+        if (argv[i] === '--') break;
+        if (valueFlags.includes(argv[i])) {
+            i++;
+            continue;
+        }
+        if (!argv[i].startsWith('-')) words.push({ word: argv[i], index: i });
+    }
+
+    const [first, second] = words;
+    if (!first) return { command: null, group: null, indexes: [] };
+
+    const topLevel = COMMANDS.find(c => !c.group && c.name === first.word);
+    if (topLevel) return { command: topLevel, group: null, indexes: [first.index] };
+
+    if (!GROUPS[first.word]) return { command: null, group: null, unknown: first.word, indexes: [first.index] };
+    if (!second) return { command: null, group: first.word, indexes: [first.index] };
+
+    const command = COMMANDS.find(c => c.group === first.word && c.name === second.word);
+    if (!command) return { command: null, group: first.word, unknown: second.word, indexes: [first.index] };
+    return { command, group: first.word, indexes: [first.index, second.index] };
+}
+
+/**
+ * 解析命令行
+ * 子命令自己定义了同名选项时 (如 playlist 的 -y 表示年代)，该选项原样传给脚本
+ * @returns {{ command, group, unknown, options: Object, rest: string[] }}
+ */
+function parseArgs(argv) {
+    const found = findCommand(argv);
+    const reserved = found.command ? ownFlags(found.command) : new Set();
+    const options = {};
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (found.indexes.includes(i)) continue;
+        if (arg === '--') {
+            rest.push(...argv.slice(i + 1));
+            break;
+        }
+
+        const option = !reserved.has(arg) && GLOBAL_OPTIONS.find(o => o[1].includes(arg));
+        if (!option) {
+            rest.push(arg);
+            continue;
+        }
+
+        const [name, , hasValue] = option;
+        if (hasValue) {
+            const value = argv[i + 1];
+            if (value === undefined || value.startsWith('-')) {
+                throw new Error(`${arg} 需要一个值`);
+            }
+            options[name] = value;
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    if (options.limit !== undefined) {
+        const limit = parseInt(options.limit, 10);
+        if (!(limit > 0)) throw new Error(`--limit 需要正整数: ${options.limit}`);
+        options.limit = limit;
+    }
+
+    return { ...found, options, rest };
+}
+
+/**
+ * 读取配置文件 (默认配置文件不存在时返回空配置)
+ */
+function loadConfig(configPath) {
+    const file = configPath ? path.resolve(configPath) : DEFAULT_CONFIG_PATH;
+    if (!fs.existsSync(file)) {
+        if (configPath) throw new Error(`配置文件不存在: ${file}`);
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`配置文件格式错误: ${file} (${e.message})`);
+    }
+}
+
+/**
+ * 合并全局选项: 配置文件顶层 < 配置文件中该命令 < 命令行
+ */
+function resolveOptions(command, cliOptions, config) {
+    const commandConfig = (config.commands || {})[commandName(command)] || {};
+    const options = {};
+    GLOBAL_OPTIONS.forEach(([name]) => {
+        if (name === 'config' || name === 'help') return;
+        [config, commandConfig, cliOptions].forEach(source => {
+            if (source[name] !== undefined) options[name] = source[name];
+        });
+    });
+    return { options, commandConfig };
+}
+
+// ---------------------------------------------------------
+// 3. 转换为脚本参数
+// ---------------------------------------------------------
+
+/**
+ * 把全局选项转换成脚本参数
+ * @returns {{ args: string[], input: string|null, env: Object, warnings: string[] }}
+ */
+function buildInvocation(command, rest, options, commandConfig) {
+    const globals = command.globals || {};
+    const name = commandName(command);
+    const args = [...rest, ...(commandConfig.args || [])];
+    const env = {};
+    const warnings = [];
+    let input = null;
+
+    // 没有给目录时使用配置文件中的默认目录
+    if (command.dir && commandConfig.dir && (rest.length === 0 || rest[0].startsWith('-'))) {
+        args.unshift(commandConfig.dir);
+    }
+
+    if (options.dryRun) {
+        if (!globals.dryRun) {
+            throw new Error(`jstools ${name} 不支持 --dry-run (会直接修改文件)`);
+        }
+        if (globals.dryRun === 'confirm') {
+            input = 'n\n';
+        } else if (globals.dryRun !== 'readonly') {
+            args.push(globals.dryRun);
+        }
+    } else if (options.yes && globals.yes) {
+        args.push(globals.yes);
+    }
+
+    if (options.limit) {
+        if (globals.limit) {
+            args.push(globals.limit, String(options.limit));
+        } else {
+            warnings.push(`jstools ${name} 不支持 --limit，已忽略`);
+        }
+    }
+
+    // 不支持时报错而不是忽略，避免调用方把普通输出当作 JSON 解析
+    if (options.json) {
+        if (!globals.json) {
+            throw new Error(`jstools ${name} 不支持 --json`);
+        }
+        args.push(globals.json);
+    }
+
+    if (options.verbose) {
+        env.JSTOOLS_VERBOSE = '1';
+    }
+
+    return { args, input, env, warnings };
+}
+
+/**
+ * 执行子命令对应的脚本，返回退出码
+ */
+function runCommand(command, rest, options, commandConfig) {
+    const { args, input, env, warnings } = buildInvocation(command, rest, options, commandConfig);
+    warnings.forEach(w => console.error(`⚠️  ${w}`));
+
+    if (options.dryRun && (command.globals || {}).dryRun === 'readonly') {
+        console.log(`ℹ️  ${DRY_RUN_MODES.readonly}`);
+    }
+
+    const scriptPath = path.join(SCRIPTS_DIR, command.script);
+    if (options.verbose) {
+        console.error(`▶️  node ${path.relative(process.cwd(), scriptPath)} ${args.join(' ')}`);
+    }
+
+    const result = spawnSync(process.execPath, [scriptPath, ...args], {
+        stdio: input ? ['pipe', 'inherit', 'inherit'] : 'inherit',
+        input: input || undefined,
+        env: { ...process.env, ...env }
+    });
+
+    if (result.error) throw result.error;
+    return result.status === null ? 1 : result.status;
+}
+
+// ---------------------------------------------------------
+// 4. 帮助
+// ---------------------------------------------------------
+
+/**
+ * 终端显示宽度 (中文按 2 个字符计算)
+ */
+function displayWidth(str) {
+    return [...str].reduce((sum, ch) => sum + (ch.charCodeAt(0) > 0x2e80 ? 2 : 1), 0);
+}
+
+/**
+ * 两列对齐输出
+ */
+function formatRows(rows, indent = '  ') {
+    const width = Math.max(...rows.map(([left]) => displayWidth(left))) + 2;
+    return rows.map(([left, right]) => `${indent}${left}${' '.repeat(width - displayWidth(left))}${right}`).join('\n');
+}
+
+function printMainHelp() {
+    const sections = Object.keys(GROUPS).map(group => {
+        const rows = COMMANDS.filter(c => c.group === group).map(c => [c.name, c.summary]);
+        return `${GROUPS[group]} (jstools ${group} <命令>):\n${formatRows(rows)}`;
+    });
+    const topLevel = COMMANDS.filter(c => !c.group).map(c => [c.name, c.summary]);
+
+    console.log(`
+🧰 jstools - 音乐库/照片整理工具集
+
+用法:
+  jstools <分组> <命令> [参数] [选项]
+  jstools <分组> <命令> --help
+
+${sections.join('\n\n')}
+
+通用命令:
+${formatRows(topLevel)}
+
+全局选项:
+${formatRows(GLOBAL_OPTIONS.map(([name, , , desc]) => [GLOBAL_USAGE[name], desc]))}
+`);
+}
+
+function printGroupHelp(group) {
+    const rows = COMMANDS.filter(c => c.group === group).map(c => [c.name, c.summary]);
+    console.log(`
+🧰 jstools ${group} - ${GROUPS[group]}
+
+用法:
+  jstools ${group} <命令> [参数] [选项]
+
+命令:
+${formatRows(rows)}
+
+查看命令说明: jstools ${group} <命令> --help
+`);
+}
+
+function printCommandHelp(command) {
+    const name = commandName(command);
+    const globals = command.globals || {};
+    const usage = [`jstools ${name}`, command.usage, '[选项]'].filter(Boolean).join(' ');
+
+    const globalRows = [];
+    const unsupported = [];
+    GLOBAL_OPTIONS.forEach(([key, , , desc]) => {
+        if (key === 'dryRun') {
+            if (globals.dryRun) globalRows.push([GLOBAL_USAGE.dryRun, DRY_RUN_MODES[globals.dryRun]]);
+            else unsupported.push('--dry-run');
+        } else if (key === 'yes' || key === 'limit' || key === 'json') {
+            if (globals[key]) globalRows.push([GLOBAL_USAGE[key], desc]);
+            else if (key !== 'yes') unsupported.push(GLOBAL_USAGE[key].split(' ')[0]);
+        } else {
+            globalRows.push([GLOBAL_USAGE[key], desc]);
+        }
+    });
+
+    const lines = [
+        '',
+        `🧰 jstools ${name} - ${command.summary}`,
+        '',
+        '用法:',
+        `  ${usage}`
+    ];
+    if (command.options && command.options.length > 0) {
+        lines.push('', '选项:', formatRows(command.options));
+    }
+    lines.push('', '全局选项:', formatRows(globalRows));
+    if (unsupported.length > 0) {
+        lines.push(`  (不支持: ${unsupported.join(', ')})`);
+    }
+    lines.push('', `脚本: scripts/${command.script}`, '');
+
+    console.log(lines.join('\n'));
+}
+
+// ---------------------------------------------------------
+// 5. 入口
+// ---------------------------------------------------------
+
+/**
+ * 执行 jstools 命令行，返回退出码
+ */
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        return 1;
+    }
+
+    const { command, group, unknown, options, rest } = parsed;
+
+    if (unknown) {
+        console.error(`❌ 未知命令: ${group ? `${group} ` : ''}${unknown}`);
+        if (group) printGroupHelp(group);
+        else printMainHelp();
+        return 1;
+    }
+
+    if (!command) {
+        if (group) printGroupHelp(group);
+        else printMainHelp();
+        return options.help || argv.length === 0 || group ? 0 : 1;
+    }
+
+    if (options.help) {
+        printCommandHelp(command);
+        return 0;
+    }
+
+    try {
+        const config = loadConfig(options.config);
+        const resolved = resolveOptions(command, options, config);
+        return runCommand(command, rest, resolved.options, resolved.commandConfig);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        return 1;
+    }
+}
+
+module.exports = {
+    parseArgs,
+    loadConfig,
+    resolveOptions,
+    buildInvocation,
+    main
+};
@@ -0,0 +1,440 @@
+/**
+ * 模块名称: Commands (jstools 子命令注册表)
+ * 功能描述: 登记 jstools 的所有子命令及其对应脚本，新增脚本后在这里添加一项即可出现在帮助中
+ *
+ * 子命令格式:
+ *    {
+ *        group: 'music',                      // 分组 (jstools <分组> <名称>)，顶层命令为 null
+ *        name: 'covers',                      // 子命令名称
+ *        script: 'music/download_covers.js',  // scripts/ 下的脚本
+ *        summary: '下载同名 .jpg 封面',          // 一行说明
+ *        usage: '[目录]',                      // 位置参数
+ *        dir: true,                           // 第一个位置参数是目录 (配置文件的 dir 作为默认值)
+ *        options: [['--overwrite', '覆盖已有的封面文件']],   // 脚本自己的选项，原样传给脚本
+ *        globals: {                           // 全局选项如何转换成脚本参数 (不写表示不支持)
+ *            dryRun: '--dry-run' | 'confirm' | 'readonly',
+ *                                             // 'confirm': 脚本执行前会询问，预览时自动回答 n
+ *                                             // 'readonly': 脚本只生成报告/清理脚本，不修改文件
+ *            yes: '-y',                       // 跳过确认
+ *            limit: '--limit',                // 数量限制
+ *            json: '--json'                   // JSON 输出
+ *        }
+ *    }
+ */
+
+// 只检查、不修改文件的脚本 (结果为报告或 _cleanup_*.sh)
+const READONLY = { dryRun: 'readonly' };
+
+// 执行前会询问确认的脚本
+const CONFIRM = { dryRun: 'confirm', yes: '-y', limit: '--limit' };
+
+const COMMANDS = [
+    // ---------------------------------------------------------
+    // 音乐: 检查
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'dupes',
+        script: 'music/check_duplicates_enhanced.js',
+        summary: '检测重复歌曲 (MD5 + 文件名 + 声纹)，生成清理脚本',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--rebuild-index', '忽略音乐库索引缓存，重新计算 MD5、指纹和频谱'],
+            ['--fingerprint', '同时按声纹指纹检测同一录音 (需要 ffmpeg)'],
+            ['--review', '逐组交互审阅，选择保留的文件后直接移动 (可撤销) 或生成清理脚本'],
+            ['--no-spectrum', '不做频谱分析 (不检测假无损)'],
+            ['--library', '整库模式: 每个歌手子目录作为默认歌手，只报告跨歌手目录的重复'],
+            ['--artist-depth <n>', '整库模式下歌手目录所在的层级 (默认 1)']
+        ],
+        // --review 会直接移动文件，--dry-run 传给脚本 (审阅后只能生成清理脚本)
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'versions',
+        script: 'music/find_special_versions.js',
+        summary: '检测 Live/伴奏/Remix 等特殊版本，生成清理脚本',
+        usage: '[目录]',
+        dir: true,
+        globals: { dryRun: 'readonly', json: '--json' }
+    },
+    {
+        group: 'music',
+        name: 'empty-dirs',
+        script: 'music/find_empty_dirs.js',
+        summary: '检测空目录，生成清理脚本',
+        usage: '[目录]',
+        dir: true,
+        globals: READONLY
+    },
+    {
+        group: 'music',
+        name: 'orphan-lrcs',
+        script: 'music/find_orphan_lrcs.js',
+        summary: '检测没有对应音频或没有歌词内容的 .lrc 文件，生成清理脚本',
+        usage: '[目录]',
+        dir: true,
+        globals: READONLY
+    },
+    {
+        group: 'music',
+        name: 'japanese',
+        script: 'music/check_japanese.js',
+        summary: '检测文件名含日语假名的歌曲，生成清理脚本',
+        usage: '[目录]',
+        dir: true,
+        globals: READONLY
+    },
+    {
+        group: 'music',
+        name: 'check-covers',
+        script: 'music/check_covers.js',
+        summary: '检查内嵌封面: 缺失、损坏、分辨率过低，可规范化过大或 PNG/渐进式的封面，可比较找出错误的封面和占位图',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--min-size <n>', '短边低于 n 像素视为过低 (默认 300)'],
+            ['--max-size <n>', '长边超过 n 像素视为过大 (默认 1500，0 表示不限制)'],
+            ['--fix', '缩小、转为基线 JPEG 并去除 EXIF 后写回 (需要 ffmpeg)'],
+            ['--compare', '用感知哈希比较封面: 一张专辑多种封面、与其他艺术家的专辑相同、占位图 (需要 ffmpeg)'],
+            ['--placeholder <图片>', '已知的占位图样本 (如 QQ 音乐/网易云的默认封面)，可重复指定'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新读取所有文件']
+        ],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'audit',
+        script: 'music/audit_tags.js',
+        summary: '审计标签完整度: 按字段给每个文件打分，按歌手目录和专辑汇总，可导出 HTML/CSV 报告',
+        usage: '[音乐库]',
+        dir: true,
+        options: [
+            ['--artist-depth <n>', '歌手目录所在的层级 (默认 1)'],
+            ['--html <文件>', '导出按歌手目录、专辑汇总的报告'],
+            ['--csv <文件>', '导出每个文件的评分'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新读取所有文件']
+        ],
+        globals: { dryRun: 'readonly', limit: '--limit', json: '--json' }
+    },
+
+    // ---------------------------------------------------------
+    // 音乐: 在线补全
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'covers',
+        script: 'music/download_covers.js',
+        summary: '下载同名 .jpg 封面',
+        usage: '[目录]',
+        dir: true,
+        options: [['--overwrite', '覆盖已有的封面文件']],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'lyrics',
+        script: 'music/download_lyrics.js',
+        summary: '下载同名 .lrc 歌词',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--overwrite', '覆盖已有的 .lrc 文件'],
+            ['--translate', '同时获取翻译/音译，合并到 .lrc'],
+            ['--translate-files', '同时获取翻译/音译，保存为 .zh.lrc / .roma.lrc'],
+            ['--no-duration-check', '不校验歌词与音频时长']
+        ],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'tags',
+        script: 'music/fix_audio_tags.js',
+        summary: '补全缺失的标签和封面',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--no-cover', '不补全封面'],
+            ['--with-lrc', '同时下载 .lrc 歌词文件']
+        ],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'cover-art',
+        script: 'music/update_cover_art.js',
+        summary: '为 MP3/FLAC 查找并嵌入正方形封面',
+        usage: '<目录>',
+        dir: true,
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'cover-art-batch',
+        script: 'music/batch_update_covers.js',
+        summary: '对根目录下每个子目录执行 cover-art',
+        usage: '<根目录>',
+        dir: true,
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'metadata',
+        script: 'music/update_metadata.js',
+        summary: '统一设置目录内歌曲的专辑名和专辑艺术家',
+        usage: '<目录> --album=<专辑> --albumArtist=<艺术家>',
+        dir: true,
+        options: [
+            ['--album <专辑>', '专辑名'],
+            ['--albumArtist <艺术家>', '专辑艺术家'],
+            ['--clear-year', '清除年份']
+        ]
+    },
+    {
+        group: 'music',
+        name: 'metadata-batch',
+        script: 'music/batch_update_metadata.js',
+        summary: '对根目录下每个子目录执行 metadata',
+        usage: '<根目录> --album=<专辑> --albumArtist=<艺术家>',
+        dir: true,
+        options: [
+            ['--album <专辑>', '专辑名'],
+            ['--albumArtist <艺术家>', '专辑艺术家']
+        ]
+    },
+
+    // ---------------------------------------------------------
+    // 音乐: 嵌入
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'embed-covers',
+        script: 'music/embed_covers.js',
+        summary: '把同名 .jpg / .png / .webp 封面规范化后嵌入 WAV / M4A / DSD',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--overwrite', '覆盖已有的嵌入封面'],
+            ['--min-size <n>', '短边低于 n 像素的封面不嵌入 (默认 300)'],
+            ['--max-size <n>', '长边超过 n 像素的封面缩小后嵌入 (默认 1500，0 表示不缩小)']
+        ],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'embed-lyrics',
+        script: 'music/embed_lyrics.js',
+        summary: '把同名 .lrc 歌词嵌入 MP3 / WAV / M4A / DSD (ID3 格式同时写入同步歌词)',
+        usage: '[目录]',
+        dir: true,
+        options: [['--overwrite', '覆盖已有的嵌入歌词']],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'extract',
+        script: 'music/extract_embedded.js',
+        summary: '把内嵌的封面和歌词导出为同名 .jpg / .lrc 文件 (嵌入的反向操作)',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--no-cover', '不导出封面'],
+            ['--no-lyrics', '不导出歌词'],
+            ['--overwrite', '覆盖已有的同名封面/歌词文件']
+        ],
+        globals: CONFIRM
+    },
+    {
+        group: 'music',
+        name: 'album-covers',
+        script: 'music/album_covers.js',
+        summary: '按专辑统一封面: 报告内嵌封面不一致的专辑，把同一张封面嵌入所有曲目并写入目录封面',
+        usage: '[目录]',
+        dir: true,
+        options: [
+            ['--by-folder', '按目录分组 (没有专辑标签的音乐库)'],
+            ['--folder-cover <名称>', '写入的目录封面文件名 (默认 cover.jpg)'],
+            ['--max-size <n>', '长边超过 n 像素的封面缩小后使用 (默认 1500)'],
+            ['--no-download', '没有可用封面的专辑不在线下载'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新读取所有文件']
+        ],
+        globals: CONFIRM
+    },
+
+    // ---------------------------------------------------------
+    // 音乐: 镜像
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'mirror',
+        script: 'music/mirror_library.js',
+        summary: '把无损音乐库转码为 MP3/AAC 镜像 (标签、封面、歌词一起带上，增量更新)',
+        usage: '<音乐库> <镜像目录>',
+        options: [
+            ['--codec <mp3|aac>', '目标格式 (默认 mp3)'],
+            ['--bitrate <码率>', '目标码率 (默认 MP3 320k，AAC 256k)'],
+            ['--jobs <n>', '并行转码数 (默认 CPU 核数)'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新读取所有文件']
+        ],
+        globals: CONFIRM
+    },
+
+    // ---------------------------------------------------------
+    // 音乐: 热门歌曲
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'hot',
+        script: 'music/hot_songs.js',
+        summary: '查询歌手热门歌曲或地区榜单',
+        usage: '--artist <歌手> | --dir <目录> | --chart <地区>',
+        options: [
+            ['-a, --artist <歌手>', '查询单个歌手'],
+            ['-d, --dir <目录>', '查询目录下所有歌手'],
+            ['-c, --chart <地区>', '查询地区榜单 (cn,tw,hk...)'],
+            ['-o, --output <文件>', '输出到文件']
+        ],
+        globals: { dryRun: 'readonly', limit: '-n', json: '--json' }
+    },
+    {
+        group: 'music',
+        name: 'hot-batch',
+        script: 'music/batch_query_artists.js',
+        summary: '为目录下每个歌手生成 hot_songs.txt',
+        usage: '<目录>',
+        dir: true,
+        options: [
+            ['--skip <歌手>', '跳过的歌手，逗号分隔'],
+            ['--resume', '跳过已有 hot_songs.txt 的歌手']
+        ],
+        globals: { limit: '-n' }
+    },
+    {
+        group: 'music',
+        name: 'organize-hot',
+        script: 'music/organize_hot_songs.js',
+        summary: '按 hot_songs.txt 把热门歌曲移动到 hot_songs 子目录',
+        usage: '<目录>',
+        dir: true,
+        options: [
+            ['-s, --start <序号>', '起始歌手序号'],
+            ['--skip <歌手>', '跳过的歌手名，逗号分隔'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新扫描']
+        ],
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'move-top',
+        script: 'music/move_top_songs.js',
+        summary: '按 artist_top_songs.txt 把歌曲移动到 top_songs 子目录',
+        usage: '[目录] [列表文件]',
+        dir: true
+    },
+
+    // ---------------------------------------------------------
+    // 音乐: 整理 / 歌单
+    // ---------------------------------------------------------
+    {
+        group: 'music',
+        name: 'split',
+        script: 'music/split_cd.js',
+        summary: '把目录按数量拆分为 CD1/CD2... 子目录',
+        usage: '<目录>',
+        dir: true,
+        options: [
+            ['-n, --size <数量>', '每个子目录的歌曲数 (默认 100)'],
+            ['--playlist-only', '只为已有的 CD 目录生成播放列表']
+        ],
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'playlist',
+        script: 'music/playlist_generator.js',
+        summary: '按艺术家/年代/流派生成歌单 (不带参数进入交互模式)',
+        options: [
+            ['-n, --name <名称>', '歌单名称'],
+            ['-a, --artist <艺术家>', '按艺术家'],
+            ['--album <专辑>', '按专辑'],
+            ['-y, --year <范围>', '按年代，如 2000-2009'],
+            ['-g, --genre <流派>', '按流派'],
+            ['-e, --exclude <关键词>', '排除关键词，逗号分隔'],
+            ['--auto-artist', '为每个艺术家生成歌单'],
+            ['--auto-decade', '为每个年代生成歌单'],
+            ['--init', '初始化配置']
+        ],
+        globals: { limit: '--limit' }
+    },
+    {
+        group: 'music',
+        name: 'playlist-from-dir',
+        script: 'music/playlist_from_dir.js',
+        summary: '以目录中的歌曲为名单，在音乐库中匹配最佳版本生成歌单',
+        usage: '--source <源目录> --library <音乐库> --name <歌单名>',
+        options: [
+            ['-s, --source <目录>', '源目录'],
+            ['-l, --library <目录>', '音乐库根目录'],
+            ['-n, --name <名称>', '歌单名称'],
+            ['-o, --output <目录>', '输出目录'],
+            ['--rebuild-index', '忽略音乐库索引缓存，重新扫描']
+        ],
+        globals: { dryRun: '--dry-run' }
+    },
+    {
+        group: 'music',
+        name: 'migrate',
+        script: 'music/migrate_artists.js',
+        summary: '生成歌手目录迁移脚本 migrate_music.sh',
+        globals: READONLY
+    },
+
+    // ---------------------------------------------------------
+    // 照片
+    // ---------------------------------------------------------
+    {
+        group: 'photo',
+        name: 'rename',
+        script: 'photo/rename_photos.js',
+        summary: '按 EXIF 拍摄日期生成照片重命名脚本',
+        usage: '[目录]',
+        dir: true,
+        globals: READONLY
+    },
+    {
+        group: 'photo',
+        name: 'dates',
+        script: 'photo/fix_dates.js',
+        summary: '从文件名提取日期写入 EXIF',
+        usage: '[目录]',
+        dir: true
+    },
+
+    // ---------------------------------------------------------
+    // 通用
+    // ---------------------------------------------------------
+    {
+        group: null,
+        name: 'undo',
+        script: 'music/undo.js',
+        summary: '撤销某次运行的文件移动和标签改写 (不带参数列出运行记录)',
+        usage: '[运行ID]',
+        options: [
+            ['--last', '撤销最近一次运行'],
+            ['--force', '文件在运行之后又被修改过时仍然还原']
+        ],
+        globals: { dryRun: '--dry-run', yes: '-y' }
+    }
+];
+
+// 分组说明
+const GROUPS = {
+    music: '音乐库管理',
+    photo: '照片整理'
+};
+
+module.exports = {
+    COMMANDS,
+    GROUPS
+};
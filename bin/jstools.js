@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * 脚本名称: jstools (统一入口)
+ * 功能描述: 以子命令方式调用 scripts/ 下的所有工具，统一 --dry-run / -y / --limit / --json 等选项
+ * 使用方法:
+ *    jstools <分组> <命令> [参数] [选项]
+ *    jstools --help
+ * 示例:
+ *    jstools music covers "/path/to/music" -y
+ *    jstools music dupes "/path/to/music"
+ *    jstools photo rename "/path/to/photos"
+ *    jstools undo --last
+ */
+
+const { main } = require('./cli');
+
+process.exit(main(process.argv.slice(2)));
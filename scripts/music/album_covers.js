@@ -0,0 +1,526 @@
+/**
+ * 脚本名称: Album Covers (专辑封面统一)
+ * 功能描述: 按专辑统一封面，避免同一张专辑的歌曲各自下载到不同来源、不同版本的封面
+ *    - 分组: 按 专辑艺术家 + 专辑标签分组 (CD1/CD2 等子目录合并)，没有专辑艺术家 (合辑、带合作歌手的曲目) 时
+ *      按 所在目录 + 专辑标签分组；--by-folder 时每个目录作为一张专辑
+ *    - 一致性: 用感知哈希 (dHash，缓存在音乐库索引中) 比较各曲目的内嵌封面，报告内嵌了不同封面或缺少封面的专辑
+ *      纯色的占位图视为缺少封面
+ *    - 选择封面: 目录封面 (cover.jpg / folder.jpg) > 多数曲目使用的内嵌封面 (取分辨率最高的一张) > 在线下载
+ *    - 执行: 把选定的封面 (规范化为基线 JPEG，见 lib/cover_image) 嵌入封面不同或缺失的曲目，并写入目录封面
+ *    - 需要 ffmpeg 计算感知哈希；嵌入和写入的文件记录到操作日志，可用 undo.js 撤销
+ * 使用方法:
+ *    node album_covers.js [目标目录] [选项]
+ * 选项:
+ *    --by-folder            按目录分组 (没有专辑标签的音乐库)
+ *    --folder-cover <名称>  写入的目录封面文件名 (默认 cover.jpg，部分播放器只认 folder.jpg)
+ *    --max-size N           长边超过 N 像素的封面缩小后使用 (默认 1500)
+ *    --no-download          没有可用封面的专辑不在线下载，只报告
+ *    --limit N              只处理前 N 张专辑
+ *    --rebuild-index        忽略音乐库索引缓存，重新读取所有文件
+ *    -y                     自动确认执行
+ * 示例:
+ *    node album_covers.js "/Volumes/Music/周杰伦"
+ *    node album_covers.js "/Volumes/Music/周杰伦" --folder-cover folder.jpg -y
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { execSync } = require('child_process');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const { parseFileName, normalize, splitArtists } = require('./lib/filename_parser');
+const { rankMatches, withLocalInfo } = require('./lib/matching');
+const { httpGetBuffer } = require('./lib/http');
+const providers = require('./lib/providers');
+const {
+    MAX_COVER_SIZE, HASH_THRESHOLD, inspectImage, coverProblems, normalizeCover, coverHash, hashDistance, isBlankHash, groupByHash
+} = require('./lib/cover_image');
+const { COVER_EXTENSIONS, readCover, writeCover } = require('./lib/tags/cover');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff|ogg|ape|wma|aac)$/i;
+const FOLDER_COVER = /^(cover|folder|front)\.(jpe?g|png|webp)$/i;
+
+// 多碟专辑的分碟子目录 (CD1 / Disc 2)，没有专辑艺术家时按上一级目录分组
+const DISC_FOLDER = /^(cd|disc|disk)\s*\d+$/i;
+
+// 少于该曲目数的分组不是专辑 (单曲)
+const MIN_TRACKS = 2;
+
+// 在线下载: 用前几首歌搜索，匹配分数不低于该值的结果才使用
+const SEARCH_TRACKS = 3;
+const MIN_MATCH_SCORE = 20;
+const DOWNLOAD_COVER_SIZE = 1000;
+
+// 报告中最多列出的专辑数
+const PREVIEW_LIMIT = 20;
+
+// ---------------------------------------------------------
+// 2. 参数解析
+// ---------------------------------------------------------
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        targetDir: null,
+        byFolder: false,
+        folderCover: 'cover.jpg',
+        maxSize: MAX_COVER_SIZE,
+        download: true,
+        limit: 0,
+        rebuildIndex: false,
+        autoYes: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = args[i + 1];
+
+        if (!arg.startsWith('-')) {
+            if (!result.targetDir) result.targetDir = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--by-folder':
+                result.byFolder = true;
+                break;
+            case '--folder-cover':
+                result.folderCover = next || result.folderCover;
+                i++;
+                break;
+            case '--max-size':
+                result.maxSize = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--no-download':
+                result.download = false;
+                break;
+            case '--limit':
+                result.limit = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--rebuild-index':
+                result.rebuildIndex = true;
+                break;
+            case '-y':
+                result.autoYes = true;
+                break;
+        }
+    }
+
+    result.targetDir = result.targetDir || process.cwd();
+    return result;
+}
+
+// ---------------------------------------------------------
+// 3. 专辑分组
+// ---------------------------------------------------------
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+/**
+ * 把曲目按专辑分组
+ * 默认按 专辑艺术家 + 专辑标签；没有专辑艺术家时按 所在目录 (分碟子目录取上一级) + 专辑标签，
+ * 这样合辑和带合作歌手的曲目不会按各自的艺术家拆开。没有专辑标签的曲目不参与；byFolder 时按所在目录
+ * @param {Array<{ path, meta }>} tracks
+ * @returns {Array<{ album, artist, tracks, dirs: string[] }>} 合辑的 artist 为空
+ */
+function groupAlbums(tracks, byFolder) {
+    const albums = new Map();
+
+    tracks.forEach(track => {
+        const tags = (track.meta && track.meta.tags) || {};
+        const dir = path.dirname(track.path);
+        const artist = tags.albumartist || splitArtists(tags.artist)[0] || '';
+        let key;
+        if (byFolder) {
+            key = dir;
+        } else if (!tags.album) {
+            return;
+        } else if (tags.albumartist) {
+            key = `${normalize(tags.albumartist)}\u0000${normalize(tags.album)}`;
+        } else {
+            const albumDir = DISC_FOLDER.test(path.basename(dir)) ? path.dirname(dir) : dir;
+            key = `${albumDir}\u0000${normalize(tags.album)}`;
+        }
+
+        if (!albums.has(key)) {
+            albums.set(key, {
+                album: tags.album || path.basename(dir),
+                artist,
+                tracks: [],
+                dirs: []
+            });
+        }
+        const album = albums.get(key);
+        album.tracks.push(track);
+        if (!album.dirs.includes(dir)) album.dirs.push(dir);
+        // 曲目的艺术家不同 (合辑) 时不按艺术家搜索封面
+        if (normalize(album.artist) !== normalize(artist)) album.artist = '';
+    });
+
+    return [...albums.values()].filter(a => a.tracks.length >= MIN_TRACKS);
+}
+
+/**
+ * 目录中的封面文件 (cover.jpg / folder.jpg / front.jpg)
+ */
+function findFolderCovers(dir) {
+    try {
+        return fs.readdirSync(dir).filter(name => FOLDER_COVER.test(name)).map(name => path.join(dir, name));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 读取图片并计算哈希，分辨率过低、损坏或纯色占位图时返回 null
+ */
+function loadImage(data) {
+    const info = inspectImage(data);
+    const problems = coverProblems(info, { maxSize: 0 });
+    if (problems.includes('corrupt') || problems.includes('small')) return null;
+    const hash = coverHash(data);
+    return hash && !isBlankHash(hash) ? { data, info, hash } : null;
+}
+
+// ---------------------------------------------------------
+// 4. 封面分析与选择
+// ---------------------------------------------------------
+
+/**
+ * 按内嵌封面的哈希给专辑中的曲目分组
+ * 结果写入 track.cover ({ info, hash } 或 null) / track.unsupported，album.groups 为内嵌封面的分组
+ */
+async function analyzeAlbum(album, index) {
+    for (const track of album.tracks) {
+        track.cover = null;
+        track.unsupported = !COVER_EXTENSIONS.test(track.path);
+        if (track.unsupported || !track.meta || !track.meta.cover) continue;
+        track.cover = { info: track.meta.coverImage, hash: await index.getCoverHash(track.path) };
+    }
+
+    const hashed = album.tracks.filter(t => t.cover && t.cover.hash && !isBlankHash(t.cover.hash));
+    album.groups = groupByHash(hashed, t => t.cover.hash);
+    album.missing = album.tracks.filter(t => !t.unsupported && !hashed.includes(t));
+    album.consistent = album.groups.length <= 1 && album.missing.length === 0;
+}
+
+/**
+ * 在线搜索专辑封面: 用前几首歌搜索，按匹配分数 (含专辑标签) 依次尝试
+ */
+async function downloadAlbumCover(album) {
+    const candidates = [];
+    for (const track of album.tracks.slice(0, SEARCH_TRACKS)) {
+        const parsed = parseFileName(track.path);
+        if (!parsed.title) continue;
+        const results = await providers.search(parsed.title, parsed.artist || album.artist || null, { capability: 'cover' });
+        const local = withLocalInfo({ ...parsed, artist: parsed.artist || album.artist }, track.meta);
+        candidates.push(...rankMatches(local, results).filter(c => c.score >= MIN_MATCH_SCORE));
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const tried = new Set();
+    for (const { match } of candidates) {
+        const url = await providers.getCover(match, DOWNLOAD_COVER_SIZE);
+        if (!url || tried.has(url)) continue;
+        tried.add(url);
+        try {
+            const image = loadImage(await httpGetBuffer(url));
+            if (image) return { ...image, source: 'download', label: `${match.source}: ${match.artist} - ${match.album || match.title}` };
+        } catch (e) {}
+        if (tried.size >= SEARCH_TRACKS) break;
+    }
+    return null;
+}
+
+/**
+ * 选择专辑封面: 目录封面 > 多数曲目使用的内嵌封面 > 在线下载
+ * @returns {{ data, info, hash, source, label }|null}
+ */
+async function chooseCover(album, options) {
+    for (const dir of album.dirs) {
+        for (const coverPath of findFolderCovers(dir)) {
+            const image = loadImage(fs.readFileSync(coverPath));
+            if (image) return { ...image, source: 'folder', label: path.basename(coverPath), path: coverPath };
+        }
+    }
+
+    // 最大的一组内嵌封面中分辨率最高的一张 (同样大小的组取分辨率高的)
+    const usable = album.groups
+        .map(group => group.filter(t => t.cover.info && !coverProblems(t.cover.info, { maxSize: 0 }).includes('small')))
+        .filter(group => group.length > 0);
+    if (usable.length > 0) {
+        const side = t => Math.min(t.cover.info.width, t.cover.info.height);
+        const best = usable
+            .filter(group => group.length === usable[0].length)
+            .map(group => group.reduce((a, b) => (side(b) > side(a) ? b : a)))
+            .reduce((a, b) => (side(b) > side(a) ? b : a));
+        const embedded = readCover(best.path);
+        return {
+            data: embedded.data,
+            info: best.cover.info,
+            hash: best.cover.hash,
+            source: 'embedded',
+            label: `${path.basename(best.path)} (${usable[0].length}/${album.tracks.length} 首使用)`
+        };
+    }
+
+    return options.download ? downloadAlbumCover(album) : null;
+}
+
+/**
+ * 生成专辑的执行计划: 需要嵌入的曲目和需要写入的目录封面
+ * @param {Object} cover chooseCover 的结果
+ * @param {Map<string, number>} dirTrackCounts 每个目录中的音频文件数
+ */
+function planAlbum(album, cover, options, dirTrackCounts) {
+    const embed = album.tracks.filter(t =>
+        !t.unsupported && !(t.cover && t.cover.hash && hashDistance(t.cover.hash, cover.hash) <= HASH_THRESHOLD));
+
+    // 目录中只有这张专辑的曲目时才写入目录封面，已有相同的目录封面时跳过
+    const folderCovers = album.dirs
+        .filter(dir => dirTrackCounts.get(dir) === album.tracks.filter(t => path.dirname(t.path) === dir).length)
+        .filter(dir => !findFolderCovers(dir).some(coverPath => {
+            const image = coverPath === cover.path ? cover : loadImage(fs.readFileSync(coverPath));
+            return image && hashDistance(image.hash, cover.hash) <= HASH_THRESHOLD;
+        }))
+        .map(dir => path.join(dir, options.folderCover));
+
+    return { embed, folderCovers };
+}
+
+// ---------------------------------------------------------
+// 5. 输出
+// ---------------------------------------------------------
+
+function describeGroups(album) {
+    const parts = album.groups.map(group => {
+        const info = group[0].cover.info;
+        return `${group.length} 首${info ? ` ${info.width}x${info.height}` : ''}`;
+    });
+    if (album.missing.length > 0) parts.push(`缺少 ${album.missing.length} 首`);
+    return parts.join(' / ');
+}
+
+const SOURCE_LABELS = { folder: '目录封面', embedded: '内嵌封面', download: '在线下载' };
+
+// ---------------------------------------------------------
+// 6. 主逻辑
+// ---------------------------------------------------------
+
+async function run() {
+    const options = parseArgs();
+    const targetDir = path.resolve(options.targetDir);
+
+    console.log(`\n💿 专辑封面统一`);
+    console.log(`📂 扫描目录: ${targetDir}`);
+    console.log(`📚 分组方式: ${options.byFolder ? '按目录' : '按专辑标签'}，目录封面: ${options.folderCover}`);
+    console.log('─'.repeat(60));
+
+    if (!fs.existsSync(targetDir)) {
+        console.error('❌ 目标目录不存在');
+        process.exit(1);
+    }
+
+    // 感知哈希需要 ffmpeg 解码图片
+    try {
+        execSync('which ffmpeg', { stdio: 'pipe' });
+    } catch (e) {
+        console.error('❌ 未安装 ffmpeg，请先执行: brew install ffmpeg');
+        process.exit(1);
+    }
+
+    console.log('\n⏳ 正在扫描文件...');
+    const index = openIndex({ rebuild: options.rebuildIndex });
+    const audioFiles = index.scan(targetDir, { extensions: AUDIO_EXTENSIONS });
+    const dirTrackCounts = new Map();
+    const tracks = [];
+    for (let i = 0; i < audioFiles.length; i++) {
+        process.stdout.write(`\r   读取标签: ${i + 1}/${audioFiles.length}`);
+        const dir = path.dirname(audioFiles[i]);
+        dirTrackCounts.set(dir, (dirTrackCounts.get(dir) || 0) + 1);
+        tracks.push({ path: audioFiles[i], meta: await index.getMetadata(audioFiles[i]) });
+    }
+    index.save();
+    console.log('');
+
+    let albums = groupAlbums(tracks, options.byFolder);
+    if (options.limit > 0) {
+        albums = albums.slice(0, options.limit);
+        console.log(`   限制处理前 ${options.limit} 张专辑`);
+    }
+    if (albums.length === 0) {
+        console.log(`\n✨ 未找到专辑 (至少 ${MIN_TRACKS} 首${options.byFolder ? '' : '带专辑标签的'}歌曲)`);
+        return;
+    }
+    console.log(`   发现 ${albums.length} 张专辑`);
+
+    // 分析并选择封面
+    console.log('\n⏳ 正在比较封面...');
+    const plans = [];
+    const noCover = [];
+    for (let i = 0; i < albums.length; i++) {
+        const album = albums[i];
+        process.stdout.write(`\r   进度: ${i + 1}/${albums.length}`);
+        await analyzeAlbum(album, index);
+
+        const cover = await chooseCover(album, options);
+        if (!cover) {
+            noCover.push(album);
+            continue;
+        }
+        const plan = planAlbum(album, cover, options, dirTrackCounts);
+        if (plan.embed.length > 0 || plan.folderCovers.length > 0) {
+            plans.push({ album, cover, ...plan });
+        }
+    }
+    index.save();
+    console.log('');
+
+    // ---------------------------------------------------------
+    // 输出报告
+    // ---------------------------------------------------------
+    const inconsistent = albums.filter(a => !a.consistent);
+    console.log('\n' + '═'.repeat(60));
+    console.log('📊 一致性报告');
+    console.log('═'.repeat(60));
+
+    if (inconsistent.length > 0) {
+        console.log(`\n⚠️  内嵌封面不一致或缺失的专辑 (${inconsistent.length} 张):`);
+        inconsistent.slice(0, PREVIEW_LIMIT).forEach(album => {
+            console.log(`   - ${album.artist ? `${album.artist} - ` : ''}${album.album}: ${describeGroups(album)}`);
+        });
+        if (inconsistent.length > PREVIEW_LIMIT) console.log(`   ... 还有 ${inconsistent.length - PREVIEW_LIMIT} 张`);
+    }
+    if (noCover.length > 0) {
+        console.log(`\n😕 没有可用封面的专辑 (${noCover.length} 张):`);
+        noCover.slice(0, PREVIEW_LIMIT).forEach(album => {
+            console.log(`   - ${album.artist ? `${album.artist} - ` : ''}${album.album}`);
+        });
+        if (noCover.length > PREVIEW_LIMIT) console.log(`   ... 还有 ${noCover.length - PREVIEW_LIMIT} 张`);
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 统计: 共 ${albums.length} 张专辑，一致 ${albums.length - inconsistent.length} 张，` +
+        `不一致或缺失 ${inconsistent.length} 张，没有可用封面 ${noCover.length} 张`);
+    console.log('═'.repeat(60));
+
+    if (plans.length === 0) {
+        console.log('\n✨ 所有专辑的封面都已统一');
+        return;
+    }
+
+    // ---------------------------------------------------------
+    // 执行计划
+    // ---------------------------------------------------------
+    console.log('\n📋 统一计划');
+    plans.slice(0, PREVIEW_LIMIT).forEach((plan, idx) => {
+        const { album, cover } = plan;
+        console.log(`\n${idx + 1}. ${album.artist ? `${album.artist} - ` : ''}${album.album}`);
+        console.log(`   🖼️  ${SOURCE_LABELS[cover.source]}: ${cover.label} (${cover.info.width}x${cover.info.height})`);
+        if (plan.embed.length > 0) console.log(`   📥 嵌入 ${plan.embed.length}/${album.tracks.length} 首`);
+        plan.folderCovers.forEach(p => console.log(`   📁 写入 ${path.relative(targetDir, p)}`));
+    });
+    if (plans.length > PREVIEW_LIMIT) console.log(`\n   ... 还有 ${plans.length - PREVIEW_LIMIT} 张专辑`);
+
+    const embedCount = plans.reduce((sum, p) => sum + p.embed.length, 0);
+    const folderCount = plans.reduce((sum, p) => sum + p.folderCovers.length, 0);
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 将为 ${plans.length} 张专辑嵌入 ${embedCount} 首歌曲的封面，写入 ${folderCount} 个目录封面`);
+    console.log('═'.repeat(60));
+
+    if (!options.autoYes) {
+        const answer = await ask('\n是否执行以上操作? [Y/n]: ');
+        if (!(answer === '' || answer === 'y' || answer === 'yes')) {
+            console.log('\n❌ 已取消操作');
+            return;
+        }
+    }
+
+    console.log('\n⏳ 正在统一封面...');
+    const journal = openJournal('album_covers');
+    const errors = [];
+    let embedded = 0;
+    let written = 0;
+
+    for (let i = 0; i < plans.length; i++) {
+        const plan = plans[i];
+        process.stdout.write(`\r   进度: ${i + 1}/${plans.length}`);
+
+        let cover;
+        try {
+            cover = normalizeCover(plan.cover.data, { maxSize: options.maxSize });
+        } catch (e) {
+            errors.push({ file: plan.album.dirs[0], error: e.message });
+            continue;
+        }
+
+        plan.embed.forEach(track => {
+            try {
+                writeCover(track.path, cover, { journal });
+                embedded++;
+            } catch (e) {
+                errors.push({ file: track.path, error: e.message });
+            }
+        });
+
+        plan.folderCovers.forEach(coverPath => {
+            try {
+                if (fs.existsSync(coverPath)) {
+                    const old = fs.readFileSync(coverPath);
+                    fs.writeFileSync(coverPath, cover.data);
+                    journal.recordWrite(coverPath, old, cover.data);
+                } else {
+                    fs.writeFileSync(coverPath, cover.data);
+                    journal.recordCreate(coverPath);
+                }
+                written++;
+            } catch (e) {
+                errors.push({ file: coverPath, error: e.message });
+            }
+        });
+    }
+
+    console.log('\n\n' + '═'.repeat(60));
+    console.log('✅ 统一完成!');
+    console.log('═'.repeat(60));
+    console.log(`   嵌入: ${embedded} 首`);
+    console.log(`   目录封面: ${written} 个`);
+    if (errors.length > 0) {
+        console.log(`   失败: ${errors.length} 个`);
+        errors.slice(0, 10).forEach(e => {
+            console.log(`   ❌ ${path.relative(targetDir, e.file)}: ${e.error}`);
+        });
+    }
+    journal.finish();
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+if (require.main === module) {
+    run().catch(err => {
+        console.error('❌ 运行出错:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    groupAlbums,
+    chooseCover,
+    planAlbum
+};
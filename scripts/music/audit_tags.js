@@ -0,0 +1,341 @@
+/**
+ * 脚本名称: Audit Tags (标签完整度审计)
+ * 功能描述: 只读检查整个音乐库的标签完整度，找出最需要补全的歌手和专辑
+ *    - 评分: 每个文件按 标题、艺术家、专辑、专辑艺术家、年份、音轨号/碟号、流派、封面、歌词 打分 (满分 100，见 lib/tag_audit)
+ *    - 汇总: 按歌手目录和专辑计算平均分与各字段的缺失数，分数低的排在前面
+ *    - 导出: --csv 导出每个文件的评分 (可用表格软件筛选)，--html 导出按歌手目录、专辑汇总的报告
+ *    - 标签和封面信息缓存在音乐库索引中，再次审计只读取变化过的文件
+ * 使用方法:
+ *    node audit_tags.js [音乐库目录] [选项]
+ * 选项:
+ *    --artist-depth N   歌手目录所在的层级 (默认 1，即音乐库的直接子目录；"分类/歌手/专辑" 结构用 2)
+ *    --csv <文件>       导出每个文件的评分
+ *    --html <文件>      导出汇总报告
+ *    --json             以 JSON 格式输出字段完整率、歌手目录、专辑和每个文件的评分 (不输出文字报告)
+ *    --limit N          只检查前 N 个文件
+ *    --rebuild-index    忽略音乐库索引缓存，重新读取所有文件
+ * 示例:
+ *    node audit_tags.js "/Volumes/Music"
+ *    node audit_tags.js "/Volumes/Music" --html ~/Desktop/tag_audit.html --csv ~/Desktop/tag_audit.csv
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { openIndex } = require('./lib/library_index');
+const { AUDIT_FIELDS, isPlaceholder, scoreFile, summarize, describeMissing } = require('./lib/tag_audit');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff|ogg|ape|wma|aac)$/i;
+
+// 控制台最多列出的歌手目录 / 专辑数
+const PREVIEW_LIMIT = 20;
+
+// 报告中的分数等级
+const GOOD_SCORE = 90;
+const POOR_SCORE = 60;
+
+const ROOT_LABEL = '(根目录)';
+
+// ---------------------------------------------------------
+// 2. 参数解析
+// ---------------------------------------------------------
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        targetDir: null,
+        artistDepth: 1,
+        csv: null,
+        html: null,
+        json: false,
+        limit: 0,
+        rebuildIndex: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = args[i + 1];
+
+        if (!arg.startsWith('-')) {
+            if (!result.targetDir) result.targetDir = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--artist-depth':
+                result.artistDepth = parseInt(next, 10);
+                i++;
+                break;
+            case '--csv':
+                result.csv = next || null;
+                i++;
+                break;
+            case '--html':
+                result.html = next || null;
+                i++;
+                break;
+            case '--json':
+                result.json = true;
+                break;
+            case '--limit':
+                result.limit = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--rebuild-index':
+                result.rebuildIndex = true;
+                break;
+        }
+    }
+
+    result.targetDir = result.targetDir || process.cwd();
+    return result;
+}
+
+// ---------------------------------------------------------
+// 3. 分组
+// ---------------------------------------------------------
+
+/**
+ * 文件所属的歌手目录 (音乐库下第 depth 级目录名)，直接放在音乐库根目录的文件归为 ROOT_LABEL
+ */
+function artistDirOf(filePath, root, depth) {
+    const parts = path.relative(root, path.dirname(filePath)).split(path.sep).filter(Boolean);
+    if (parts.length === 0) return ROOT_LABEL;
+    return parts[Math.min(depth, parts.length) - 1];
+}
+
+/**
+ * 文件所属的专辑: 有专辑标签时为 "专辑艺术家 (或歌手目录) - 专辑"，否则按所在目录
+ */
+function albumOf(meta, filePath, root, artistDir) {
+    const tags = (meta && meta.tags) || {};
+    if (!isPlaceholder(tags.album)) {
+        const artist = [tags.albumartist, tags.artist].find(a => !isPlaceholder(a)) || artistDir;
+        return `${artist} - ${tags.album}`;
+    }
+    return `(无专辑标签) ${path.relative(root, path.dirname(filePath)) || '.'}`;
+}
+
+// ---------------------------------------------------------
+// 4. 导出
+// ---------------------------------------------------------
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 每个文件一行: 路径、歌手目录、专辑、分数、各字段得分 (1 完整 / 0.5 部分 / 0 缺失)
+ * 带 BOM，Excel 直接打开中文不乱码
+ */
+function buildCsv(files) {
+    const header = ['路径', '歌手目录', '专辑', '分数', ...AUDIT_FIELDS.map(f => f.label)];
+    const rows = files.map(file => [
+        file.rel,
+        file.artistDir,
+        file.album,
+        file.score,
+        ...AUDIT_FIELDS.map(f => (file.missing.includes(f.key) ? 0 : file.partial.includes(f.key) ? 0.5 : 1))
+    ]);
+    return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function scoreClass(score) {
+    if (score >= GOOD_SCORE) return 'good';
+    return score >= POOR_SCORE ? 'fair' : 'poor';
+}
+
+/**
+ * 汇总表: 名称、文件数、平均分、各字段缺失数 (含部分得分)
+ */
+function htmlGroupTable(title, groups, extraColumn = null) {
+    const head = ['名称', ...(extraColumn ? [extraColumn.label] : []), '文件数', '平均分', ...AUDIT_FIELDS.map(f => f.label)];
+    const rows = groups.map(group => {
+        const cells = [
+            `<td>${escapeHtml(group.key)}</td>`,
+            ...(extraColumn ? [`<td>${escapeHtml(extraColumn.value(group))}</td>`] : []),
+            `<td class="num">${group.count}</td>`,
+            `<td class="num ${scoreClass(group.score)}">${group.score}</td>`,
+            ...AUDIT_FIELDS.map(f => {
+                const count = (group.missing[f.key] || 0) + (group.partial[f.key] || 0);
+                return `<td class="num${count > 0 ? ' miss' : ''}">${count || ''}</td>`;
+            })
+        ];
+        return `<tr>${cells.join('')}</tr>`;
+    });
+    return [
+        `<h2>${escapeHtml(title)} (${groups.length})</h2>`,
+        '<table>',
+        `<tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`,
+        ...rows,
+        '</table>'
+    ].join('\n');
+}
+
+function buildHtml(targetDir, files, artists, albums, fieldStats, average) {
+    const albumArtist = new Map(files.map(f => [f.album, f.artistDir]));
+    const fieldRows = fieldStats.map(stat =>
+        `<tr><td>${escapeHtml(stat.label)}</td><td class="num">${stat.weight}</td>` +
+        `<td class="num">${stat.missing}</td><td class="num">${stat.partial}</td>` +
+        `<td class="num ${scoreClass(stat.coverage)}">${stat.coverage}%</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>标签完整度报告</title>
+<style>
+body { font-family: -apple-system, "PingFang SC", sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 32px; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+th { background: #f5f5f5; position: sticky; top: 0; }
+td.num { text-align: right; }
+td.good { color: #2e7d32; }
+td.fair { color: #ef6c00; }
+td.poor { color: #c62828; font-weight: bold; }
+td.miss { background: #fff3e0; }
+</style>
+</head>
+<body>
+<h1>标签完整度报告</h1>
+<p>音乐库: ${escapeHtml(targetDir)}<br>生成时间: ${escapeHtml(new Date().toLocaleString())}<br>
+文件 ${files.length} 个，歌手目录 ${artists.length} 个，专辑 ${albums.length} 张，平均分 <b>${average}</b> / 100</p>
+<h2>字段</h2>
+<table>
+<tr><th>字段</th><th>权重</th><th>缺失</th><th>部分</th><th>完整率</th></tr>
+${fieldRows.join('\n')}
+</table>
+${htmlGroupTable('歌手目录', artists)}
+${htmlGroupTable('专辑', albums, { label: '歌手目录', value: group => albumArtist.get(group.key) })}
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------
+// 5. 主逻辑
+// ---------------------------------------------------------
+
+async function run() {
+    const options = parseArgs();
+    const targetDir = path.resolve(options.targetDir);
+    // JSON 模式下标准输出只有 JSON，进度和提示都不输出
+    const log = options.json ? () => {} : console.log;
+
+    log(`\n📋 标签完整度审计`);
+    log(`📂 音乐库: ${targetDir}`);
+    log(`📚 歌手目录: 第 ${options.artistDepth} 级子目录`);
+    log('─'.repeat(60));
+
+    if (!fs.existsSync(targetDir)) {
+        console.error('❌ 目标目录不存在');
+        process.exit(1);
+    }
+    if (!(options.artistDepth >= 1)) {
+        console.error('❌ --artist-depth 必须是正整数');
+        process.exit(1);
+    }
+
+    log('\n⏳ 正在扫描文件...');
+    const index = openIndex({ rebuild: options.rebuildIndex });
+    let audioFiles = index.scan(targetDir, { extensions: AUDIO_EXTENSIONS });
+    if (options.limit > 0) {
+        audioFiles = audioFiles.slice(0, options.limit);
+        log(`   限制处理前 ${options.limit} 个文件`);
+    }
+    if (audioFiles.length === 0) {
+        if (options.json) console.log(JSON.stringify({ targetDir, average: null, fields: [], artists: [], albums: [], files: [] }, null, 2));
+        log('\n✨ 未找到音频文件');
+        return;
+    }
+
+    const files = [];
+    for (let i = 0; i < audioFiles.length; i++) {
+        if (!options.json) process.stdout.write(`\r   读取标签: ${i + 1}/${audioFiles.length}`);
+        const filePath = audioFiles[i];
+        const meta = await index.getMetadata(filePath);
+        const artistDir = artistDirOf(filePath, targetDir, options.artistDepth);
+        files.push({
+            rel: path.relative(targetDir, filePath),
+            artistDir,
+            album: albumOf(meta, filePath, targetDir, artistDir),
+            ...scoreFile(meta)
+        });
+    }
+    index.save();
+    log('');
+
+    const average = Math.round(files.reduce((sum, f) => sum + f.score, 0) / files.length * 10) / 10;
+    const artists = summarize(files, f => f.artistDir);
+    const albums = summarize(files, f => f.album);
+    const fieldStats = AUDIT_FIELDS.map(field => {
+        const missing = files.filter(f => f.missing.includes(field.key)).length;
+        const partial = files.filter(f => f.partial.includes(field.key)).length;
+        const coverage = Math.round((files.length - missing - partial) / files.length * 1000) / 10;
+        return { ...field, missing, partial, coverage };
+    });
+
+    // ---------------------------------------------------------
+    // 输出报告
+    // ---------------------------------------------------------
+    if (options.json) {
+        console.log(JSON.stringify({ targetDir, average, fields: fieldStats, artists, albums, files }, null, 2));
+    }
+    log('\n' + '═'.repeat(60));
+    log('📊 字段完整率');
+    log('═'.repeat(60));
+    fieldStats.forEach(stat => {
+        const detail = [stat.missing ? `缺失 ${stat.missing}` : '', stat.partial ? `部分 ${stat.partial}` : '']
+            .filter(Boolean).join('，');
+        log(`   ${stat.label.padEnd(6, '　')} ${String(stat.coverage).padStart(5)}%${detail ? `  (${detail})` : ''}`);
+    });
+
+    const printGroups = (title, groups) => {
+        const incomplete = groups.filter(g => g.score < 100);
+        if (incomplete.length === 0) return;
+        log(`\n${title} (${incomplete.length} 个不完整):`);
+        incomplete.slice(0, PREVIEW_LIMIT).forEach(group => {
+            log(`   ${String(group.score).padStart(5)}  ${group.key} (${group.count} 首)  缺: ${describeMissing(group)}`);
+        });
+        if (incomplete.length > PREVIEW_LIMIT) log(`   ... 还有 ${incomplete.length - PREVIEW_LIMIT} 个`);
+    };
+    printGroups('🎤 分数最低的歌手目录', artists);
+    printGroups('💿 分数最低的专辑', albums);
+
+    log('\n' + '═'.repeat(60));
+    log(`📊 统计: 共 ${files.length} 个文件，平均分 ${average}，` +
+        `满分 ${files.filter(f => f.score === 100).length} 个，低于 ${POOR_SCORE} 分 ${files.filter(f => f.score < POOR_SCORE).length} 个`);
+    log('═'.repeat(60));
+
+    // ---------------------------------------------------------
+    // 导出
+    // ---------------------------------------------------------
+    if (options.csv) {
+        fs.writeFileSync(options.csv, buildCsv(files), 'utf-8');
+        log(`\n💾 CSV 已保存: ${options.csv}`);
+    }
+    if (options.html) {
+        fs.writeFileSync(options.html, buildHtml(targetDir, files, artists, albums, fieldStats, average), 'utf-8');
+        log(`\n💾 HTML 报告已保存: ${options.html}`);
+    }
+    if (!options.csv && !options.html) {
+        log('\n💡 加 --html <文件> 或 --csv <文件> 导出完整报告');
+    }
+    log('\n💡 缺失的标签和封面可用 fix_audio_tags.js 补全，歌词可用 download_lyrics.js 下载');
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+run().catch(err => {
+    console.error('❌ 运行出错:', err.message);
+    process.exit(1);
+});
@@ -9,6 +9,8 @@
  *   -n, --limit        每个歌手的热门歌曲数量 (默认 30)
  *   --skip             跳过的歌手，逗号分隔
  *   --resume           是否跳过已有 hot_songs.txt 的歌手
+ *   --record           录制网络响应到离线数据目录
+ *   --replay           使用录制的离线数据，不联网
  *   -h, --help         显示帮助
  */
 
@@ -73,6 +75,11 @@ function parseArgs() {
                 case '--resume':
                     result.resume = true;
                     break;
+                case '--record':
+                case '--replay':
+                    // 通过环境变量传给 hot_songs.js 子进程
+                    process.env.JSTOOLS_HTTP = arg.slice(2);
+                    break;
                 case '--help':
                 case '-h':
                     printHelp();
@@ -97,6 +104,8 @@ function printHelp() {
   -n, --limit        每个歌手的热门歌曲数量 (默认 ${DEFAULT_LIMIT})
   --skip "a,b,c"     跳过的歌手名，逗号分隔
   --resume           跳过已有 ${DEFAULT_OUTPUT_FILE} 的歌手
+  --record           录制网络响应到离线数据目录 (fixtures/http)
+  --replay           使用录制的离线数据，不联网
   -h, --help         显示帮助
 
 示例:
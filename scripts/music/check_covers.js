@@ -0,0 +1,563 @@
+/**
+ * 脚本名称: Check Covers (内嵌封面检查)
+ * 功能描述: 检查音频文件的内嵌封面，报告缺失、损坏、分辨率过低的封面，可选规范化过大或格式不佳的封面
+ *    - 缺失: 没有内嵌封面 (同时提示同目录是否有同名或目录封面可以嵌入)
+ *    - 损坏: 内嵌了封面但无法识别或数据不完整
+ *    - 过低: 短边低于 --min-size，需要重新下载
+ *    - 可规范化: 长边超过 --max-size、PNG/WebP、渐进式 JPEG、含 EXIF
+ *    - 比较 (--compare): 用感知哈希比较内嵌封面和同名/目录封面，报告一张专辑有多种封面、
+ *      与其他艺术家的专辑封面相同 (下载错了) 和疑似占位图 (纯色图片、多位艺术家共用的数据源默认封面)
+ *    - 封面信息和感知哈希缓存在音乐库索引中，再次检查只读取变化过的文件
+ * 使用方法:
+ *    node check_covers.js [目标目录] [选项]
+ * 选项:
+ *    --min-size N     短边低于 N 像素视为过低 (默认 300)
+ *    --max-size N     长边超过 N 像素视为过大 (默认 1500，0 表示不限制)
+ *    --fix            把可规范化的封面缩小、转为基线 JPEG 并去除 EXIF 后写回 (需要 ffmpeg，执行前询问)
+ *    --compare        用感知哈希比较封面，报告错误的封面和占位图 (需要 ffmpeg)
+ *    --placeholder F  已知的占位图样本 (如 QQ 音乐/网易云的默认封面)，与其相同的封面视为占位图，可重复指定
+ *    -y               自动确认执行
+ *    --limit N        只处理前 N 个文件
+ *    --rebuild-index  忽略音乐库索引缓存，重新读取所有文件
+ * 示例:
+ *    node check_covers.js "/Volumes/Music/周杰伦"
+ *    node check_covers.js "/Volumes/Music" --max-size 1000 --fix
+ *    node check_covers.js "/Volumes/Music" --compare --placeholder ~/Downloads/qq_default.jpg
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { execSync } = require('child_process');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const { normalize, splitArtists } = require('./lib/filename_parser');
+const {
+    MIN_COVER_SIZE, MAX_COVER_SIZE, HASH_THRESHOLD, coverProblems, describeProblems, fitSize, normalizeCover, describeChanges,
+    coverHash, hashDistance, isBlankHash, groupByHash
+} = require('./lib/cover_image');
+const { COVER_EXTENSIONS, readCover, writeCover } = require('./lib/tags/cover');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff|ogg|ape|wma|aac)$/i;
+
+// 同名封面 (与 download_covers.js 一致) 和目录封面 (cover.jpg / folder.jpg / front.jpg)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const FOLDER_COVER = /^(cover|folder|front)\.(jpe?g|png|webp)$/i;
+
+// 每类问题最多列出的文件数
+const PREVIEW_LIMIT = 20;
+
+// 同一张封面出现在不少于该数量艺术家的专辑中，视为数据源的默认封面
+const PLACEHOLDER_ARTISTS = 3;
+
+// ---------------------------------------------------------
+// 2. 参数解析
+// ---------------------------------------------------------
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        targetDir: null,
+        minSize: MIN_COVER_SIZE,
+        maxSize: MAX_COVER_SIZE,
+        fix: false,
+        compare: false,
+        placeholders: [],
+        autoYes: false,
+        limit: 0,
+        rebuildIndex: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = args[i + 1];
+
+        if (!arg.startsWith('-')) {
+            if (!result.targetDir) result.targetDir = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--min-size':
+                result.minSize = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--max-size':
+                result.maxSize = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--fix':
+                result.fix = true;
+                break;
+            case '--compare':
+                result.compare = true;
+                break;
+            case '--placeholder':
+                if (next) result.placeholders.push(next);
+                result.compare = true;
+                i++;
+                break;
+            case '-y':
+                result.autoYes = true;
+                break;
+            case '--limit':
+                result.limit = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--rebuild-index':
+                result.rebuildIndex = true;
+                break;
+        }
+    }
+
+    result.targetDir = result.targetDir || process.cwd();
+    return result;
+}
+
+// ---------------------------------------------------------
+// 3. 工具函数
+// ---------------------------------------------------------
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+/**
+ * 同目录下可以嵌入的封面文件 (同名图片优先，其次目录封面)
+ */
+function findCoverFile(audioPath) {
+    const dir = path.dirname(audioPath);
+    const baseName = path.basename(audioPath, path.extname(audioPath));
+
+    for (const ext of IMAGE_EXTENSIONS) {
+        const coverPath = path.join(dir, `${baseName}${ext}`);
+        if (fs.existsSync(coverPath)) return coverPath;
+    }
+    try {
+        const folderCover = fs.readdirSync(dir).find(name => FOLDER_COVER.test(name));
+        return folderCover ? path.join(dir, folderCover) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 按问题分类
+ * @returns {{ missing, corrupt, small, fixable, unreadable }} 各类文件列表
+ */
+function classify(files, options) {
+    const result = { missing: [], corrupt: [], small: [], fixable: [], unreadable: [] };
+
+    files.forEach(({ path: filePath, meta }) => {
+        if (!meta || meta.error) {
+            result.unreadable.push({ path: filePath, error: meta ? meta.error : '无法读取' });
+            return;
+        }
+        if (!meta.cover) {
+            result.missing.push({ path: filePath, coverFile: findCoverFile(filePath) });
+            return;
+        }
+
+        const info = meta.coverImage;
+        const problems = coverProblems(info, options);
+        if (problems.includes('corrupt')) {
+            result.corrupt.push({ path: filePath, problems });
+        } else if (problems.includes('small')) {
+            result.small.push({ path: filePath, info, problems });
+        } else if (problems.length > 0) {
+            result.fixable.push({ path: filePath, info, problems });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * 规范化一个文件的内嵌封面并写回
+ */
+function fixCover(filePath, maxSize, journal) {
+    const cover = readCover(filePath);
+    if (!cover) throw new Error('没有内嵌封面');
+    const normalized = normalizeCover(cover.data, { maxSize });
+    if (normalized.changes.length === 0) return normalized;
+    writeCover(filePath, normalized, { journal });
+    return normalized;
+}
+
+// ---------------------------------------------------------
+// 4. 感知哈希比较
+// ---------------------------------------------------------
+
+/**
+ * 曲目所属的专辑，没有专辑标签时为 null
+ *    - 有专辑艺术家时按 专辑艺术家 + 专辑标签
+ *    - 没有时 (合辑、带合作歌手的曲目) 按 所在目录 + 专辑标签，artistKey 为曲目的第一位艺术家
+ */
+function albumOf(filePath, meta) {
+    const tags = meta.tags || {};
+    if (!tags.album) return null;
+    if (tags.albumartist) {
+        return {
+            key: `${normalize(tags.albumartist)}\u0000${normalize(tags.album)}`,
+            artistKey: normalize(tags.albumartist),
+            name: `${tags.albumartist} - ${tags.album}`
+        };
+    }
+    const dir = path.dirname(filePath);
+    return {
+        key: `${dir}\u0000${normalize(tags.album)}`,
+        artistKey: normalize(splitArtists(tags.artist)[0] || ''),
+        name: `${tags.album} (${path.basename(dir)})`
+    };
+}
+
+/**
+ * 每张专辑的艺术家: 专辑内曲目的艺术家都相同时为该艺术家，否则 (合辑) 专辑自身作为一位艺术家
+ * @returns {Map<string, string>} 专辑 key -> 艺术家 key
+ */
+function albumArtists(items) {
+    const artists = new Map();
+    items.filter(item => item.album).forEach(item => {
+        if (!artists.has(item.album.key)) artists.set(item.album.key, new Set());
+        artists.get(item.album.key).add(item.album.artistKey);
+    });
+    return new Map([...artists].map(([key, set]) => [key, set.size === 1 ? [...set][0] : key]));
+}
+
+/**
+ * 计算内嵌封面和同名/目录封面的感知哈希 (缓存在索引中)
+ * @returns {Array<{ path, sidecar: boolean, hash, album }>}
+ */
+async function collectCoverHashes(files, index) {
+    const items = [];
+    const seenSidecars = new Set();
+
+    for (let i = 0; i < files.length; i++) {
+        const { path: filePath, meta } = files[i];
+        process.stdout.write(`\r   计算封面哈希: ${i + 1}/${files.length}`);
+        if (!meta || meta.error) continue;
+        const album = albumOf(filePath, meta);
+
+        if (meta.cover) {
+            const hash = await index.getCoverHash(filePath);
+            if (hash) items.push({ path: filePath, sidecar: false, hash, album });
+        }
+
+        // 目录封面属于目录中第一首歌的专辑
+        const coverFile = findCoverFile(filePath);
+        if (coverFile && !seenSidecars.has(coverFile)) {
+            seenSidecars.add(coverFile);
+            const hash = await index.getCoverHash(coverFile);
+            if (hash) items.push({ path: coverFile, sidecar: true, hash, album });
+        }
+    }
+    return items;
+}
+
+/**
+ * 比较封面
+ * @param {Array} items collectCoverHashes 的结果
+ * @param {string[]} placeholderHashes 已知占位图样本的哈希
+ * @returns {{ placeholders, foreign, mixed }}
+ *    placeholders: 疑似占位图 [{ ...item, reason }]
+ *    foreign: 与其他艺术家的专辑封面相同 [{ ...item, owner }]
+ *    mixed: 有多种封面的专辑 [{ name, groups }]
+ */
+function compareCovers(items, placeholderHashes) {
+    const result = { placeholders: [], foreign: [], mixed: [] };
+
+    const real = [];
+    items.forEach(item => {
+        if (isBlankHash(item.hash)) {
+            result.placeholders.push({ ...item, reason: '纯色图片' });
+        } else if (placeholderHashes.some(h => hashDistance(h, item.hash) <= HASH_THRESHOLD)) {
+            result.placeholders.push({ ...item, reason: '与占位图样本相同' });
+        } else {
+            real.push(item);
+        }
+    });
+
+    // 先合并完全相同的哈希再聚类，整库比较时组数远少于文件数
+    const byHash = new Map();
+    real.forEach(item => {
+        if (!byHash.has(item.hash)) byHash.set(item.hash, []);
+        byHash.get(item.hash).push(item);
+    });
+    const clusters = groupByHash([...byHash.keys()], h => h).map(hashes => hashes.flatMap(h => byHash.get(h)));
+
+    // 按不同的专辑计数: 一张专辑 (包括合辑) 只算一位艺术家
+    const artistOf = albumArtists(real);
+    const placeholderSet = new Set();
+    clusters.forEach(cluster => {
+        const albums = new Map();
+        cluster.filter(item => item.album).forEach(item => {
+            if (!albums.has(item.album.key)) albums.set(item.album.key, { ...item.album, artist: artistOf.get(item.album.key), count: 0 });
+            albums.get(item.album.key).count++;
+        });
+        const artists = new Set([...albums.values()].map(a => a.artist));
+
+        if (artists.size >= PLACEHOLDER_ARTISTS) {
+            cluster.forEach(item => {
+                placeholderSet.add(item);
+                result.placeholders.push({ ...item, reason: `${artists.size} 位艺术家的专辑共用` });
+            });
+            return;
+        }
+        if (artists.size < 2) return;
+
+        // 使用这张封面最多的专辑视为封面所属的专辑，其他艺术家的曲目下载错了封面
+        const owner = [...albums.values()].reduce((a, b) => (b.count > a.count ? b : a));
+        cluster
+            .filter(item => item.album && artistOf.get(item.album.key) !== owner.artist)
+            .forEach(item => result.foreign.push({ ...item, owner }));
+    });
+
+    // 一张专辑内按哈希分组 (不含占位图)
+    const albums = new Map();
+    real.filter(item => item.album && !placeholderSet.has(item)).forEach(item => {
+        if (!albums.has(item.album.key)) albums.set(item.album.key, { name: item.album.name, items: [] });
+        albums.get(item.album.key).items.push(item);
+    });
+    albums.forEach(album => {
+        const groups = groupByHash(album.items, item => item.hash);
+        if (groups.length > 1) result.mixed.push({ name: album.name, groups });
+    });
+
+    return result;
+}
+
+/**
+ * 描述一组封面: "5 首 + 目录封面"
+ */
+function describeHashGroup(group) {
+    const tracks = group.filter(item => !item.sidecar).length;
+    const sidecars = group.length - tracks;
+    return [tracks > 0 ? `${tracks} 首` : '', sidecars > 0 ? `${sidecars} 个封面文件` : ''].filter(Boolean).join(' + ');
+}
+
+// ---------------------------------------------------------
+// 5. 输出
+// ---------------------------------------------------------
+
+function printSection(title, items, targetDir, describe) {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length} 个):`);
+    items.slice(0, PREVIEW_LIMIT).forEach(item => {
+        const detail = describe(item);
+        console.log(`   - ${path.relative(targetDir, item.path)}${detail ? `  ${detail}` : ''}`);
+    });
+    if (items.length > PREVIEW_LIMIT) {
+        console.log(`   ... 还有 ${items.length - PREVIEW_LIMIT} 个`);
+    }
+}
+
+// ---------------------------------------------------------
+// 6. 主逻辑
+// ---------------------------------------------------------
+
+async function run() {
+    const options = parseArgs();
+    const targetDir = path.resolve(options.targetDir);
+
+    console.log(`\n🖼️  内嵌封面检查`);
+    console.log(`📂 扫描目录: ${targetDir}`);
+    console.log(`📐 封面尺寸: 短边不低于 ${options.minSize}px${options.maxSize > 0 ? `，长边不超过 ${options.maxSize}px` : ''}`);
+    console.log('─'.repeat(60));
+
+    if (!fs.existsSync(targetDir)) {
+        console.error('❌ 目标目录不存在');
+        process.exit(1);
+    }
+
+    // 感知哈希需要 ffmpeg 解码图片
+    let placeholderHashes = [];
+    if (options.compare) {
+        try {
+            execSync('which ffmpeg', { stdio: 'pipe' });
+        } catch (e) {
+            console.error('❌ 未安装 ffmpeg，请先执行: brew install ffmpeg');
+            process.exit(1);
+        }
+        placeholderHashes = options.placeholders.map(file => {
+            const hash = fs.existsSync(file) ? coverHash(fs.readFileSync(file)) : null;
+            if (!hash) {
+                console.error(`❌ 无法读取占位图样本: ${file}`);
+                process.exit(1);
+            }
+            return hash;
+        });
+    }
+
+    console.log('\n⏳ 正在扫描文件...');
+    const index = openIndex({ rebuild: options.rebuildIndex });
+    let audioFiles = index.scan(targetDir, { extensions: AUDIO_EXTENSIONS });
+    if (options.limit > 0) {
+        audioFiles = audioFiles.slice(0, options.limit);
+        console.log(`   限制处理前 ${options.limit} 个文件`);
+    }
+
+    if (audioFiles.length === 0) {
+        console.log('\n✨ 未找到音频文件');
+        return;
+    }
+
+    const files = [];
+    for (let i = 0; i < audioFiles.length; i++) {
+        process.stdout.write(`\r   读取封面信息: ${i + 1}/${audioFiles.length}`);
+        files.push({ path: audioFiles[i], meta: await index.getMetadata(audioFiles[i]) });
+    }
+    index.save();
+    console.log('');
+
+    const result = classify(files, { minSize: options.minSize, maxSize: options.maxSize });
+
+    // ---------------------------------------------------------
+    // 输出报告
+    // ---------------------------------------------------------
+    console.log('\n' + '═'.repeat(60));
+    console.log('📊 检查报告');
+    console.log('═'.repeat(60));
+
+    printSection('❌ 缺少封面', result.missing, targetDir,
+        item => item.coverFile ? `(可嵌入: ${path.relative(targetDir, item.coverFile)})` : '');
+    printSection('💔 封面损坏', result.corrupt, targetDir, () => '');
+    printSection('🔍 分辨率过低', result.small, targetDir, item => `${item.info.width}x${item.info.height}`);
+    printSection('🛠️  可规范化', result.fixable, targetDir,
+        item => `${describeProblems(item.problems, item.info)} → ${describeChanges(item.problems, item.info, fitSize(item.info.width, item.info.height, options.maxSize))}`);
+    printSection('⚠️  无法读取', result.unreadable, targetDir, item => item.error);
+
+    const okCount = files.length - result.missing.length - result.corrupt.length - result.small.length -
+        result.fixable.length - result.unreadable.length;
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 统计: 共 ${files.length} 个文件，正常 ${okCount} 个，缺少 ${result.missing.length} 个，` +
+        `损坏 ${result.corrupt.length} 个，过低 ${result.small.length} 个，可规范化 ${result.fixable.length} 个`);
+    console.log('═'.repeat(60));
+
+    if (result.missing.some(item => item.coverFile)) {
+        console.log('\n💡 有封面文件的可用 embed_covers.js 嵌入，没有的可用 download_covers.js 下载');
+    }
+    if (result.corrupt.length + result.small.length > 0) {
+        console.log('\n💡 损坏和分辨率过低的封面可用 update_cover_art.js 重新下载，或用 embed_covers.js --overwrite 替换');
+    }
+
+    // ---------------------------------------------------------
+    // 感知哈希比较
+    // ---------------------------------------------------------
+    if (options.compare) {
+        console.log('\n⏳ 正在比较封面...');
+        const items = await collectCoverHashes(files, index);
+        index.save();
+        console.log('');
+        const comparison = compareCovers(items, placeholderHashes);
+
+        console.log('\n' + '═'.repeat(60));
+        console.log('📊 封面比较');
+        console.log('═'.repeat(60));
+
+        if (comparison.mixed.length > 0) {
+            console.log(`\n🎨 一张专辑有多种封面 (${comparison.mixed.length} 张):`);
+            comparison.mixed.slice(0, PREVIEW_LIMIT).forEach(album => {
+                console.log(`   - ${album.name}: ${album.groups.length} 种 (${album.groups.map(describeHashGroup).join(' / ')})`);
+            });
+            if (comparison.mixed.length > PREVIEW_LIMIT) {
+                console.log(`   ... 还有 ${comparison.mixed.length - PREVIEW_LIMIT} 张`);
+            }
+        }
+        printSection('🔀 与其他艺术家的专辑封面相同', comparison.foreign, targetDir, item => `(${item.owner.name})`);
+        printSection('🚫 疑似占位图', comparison.placeholders, targetDir, item => item.reason);
+
+        console.log('\n' + '═'.repeat(60));
+        console.log(`📊 统计: 比较 ${items.length} 张封面，多种封面的专辑 ${comparison.mixed.length} 张，` +
+            `疑似错误 ${comparison.foreign.length} 个，疑似占位图 ${comparison.placeholders.length} 个`);
+        console.log('═'.repeat(60));
+
+        if (comparison.mixed.length > 0) {
+            console.log('\n💡 多种封面的专辑可用 album_covers.js 统一');
+        }
+        if (comparison.foreign.length + comparison.placeholders.length > 0) {
+            console.log('\n💡 错误的封面和占位图可用 update_cover_art.js 重新下载');
+        }
+    }
+
+    // ---------------------------------------------------------
+    // 规范化
+    // ---------------------------------------------------------
+    const fixable = result.fixable.filter(item => COVER_EXTENSIONS.test(item.path));
+    if (!options.fix) {
+        if (fixable.length > 0) console.log(`\n💡 加 --fix 可规范化 ${fixable.length} 个文件的封面`);
+        return;
+    }
+    if (fixable.length === 0) {
+        console.log('\n✨ 没有需要规范化的封面');
+        return;
+    }
+
+    if (fixable.some(item => item.problems.some(p => p !== 'exif'))) {
+        try {
+            execSync('which ffmpeg', { stdio: 'pipe' });
+        } catch (e) {
+            console.error('\n❌ 未安装 ffmpeg，请先执行: brew install ffmpeg');
+            process.exit(1);
+        }
+    }
+
+    if (!options.autoYes) {
+        const answer = await ask(`\n是否规范化 ${fixable.length} 个文件的封面? [Y/n]: `);
+        if (!(answer === '' || answer === 'y' || answer === 'yes')) {
+            console.log('\n❌ 已取消操作');
+            return;
+        }
+    }
+
+    console.log('\n⏳ 正在规范化封面...');
+    const journal = openJournal('check_covers');
+    const errors = [];
+    let successCount = 0;
+
+    fixable.forEach((item, i) => {
+        process.stdout.write(`\r   处理中: ${i + 1}/${fixable.length}`);
+        try {
+            fixCover(item.path, options.maxSize, journal);
+            successCount++;
+        } catch (e) {
+            errors.push({ file: item.path, error: e.message });
+        }
+    });
+
+    console.log('\n\n' + '═'.repeat(60));
+    console.log('✅ 规范化完成!');
+    console.log('═'.repeat(60));
+    console.log(`   成功: ${successCount} 个文件`);
+    if (errors.length > 0) {
+        console.log(`   失败: ${errors.length} 个文件`);
+        errors.slice(0, 10).forEach(e => {
+            console.log(`   ❌ ${path.relative(targetDir, e.file)}: ${e.error}`);
+        });
+    }
+    journal.finish();
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+if (require.main === module) {
+    run().catch(err => {
+        console.error('❌ 运行出错:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    albumOf,
+    compareCovers
+};
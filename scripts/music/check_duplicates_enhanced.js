@@ -1,16 +1,42 @@
 /**
  * 脚本名称: Check Duplicates Enhanced (增强版音乐重复检测)
  * 功能描述: 扫描指定目录，检测完全重复和语义重复的音乐文件，关联歌词，生成清理脚本
+ *    - 完全重复: 大小 + MD5 相同
+ *    - 语义重复: 归一化后的歌手 + 歌名相同
+ *    - 声纹重复 (--fingerprint): 声纹指纹相似的同一录音，如不同文件名的 MP3 和 FLAC (需要 ffmpeg)
+ *    - 保留评分: 按实际音频属性 (无损/有损、采样率、位深、码率、时长) 以及标签完整度、封面分辨率、歌词评分
+ *    - 假无损检测: 分析无损文件的频谱截止频率，有损转码的按有损格式评分 (需要 ffmpeg，未安装时跳过)
+ *    - 默认生成清理脚本 (移动评分最高以外的文件)；--review 逐组审阅，按键选择保留的文件
+ *    - 整库模式 (--library): 扫描整个音乐库，每个歌手子目录各自作为默认歌手，合唱歌曲按合作歌手匹配，
+ *      只报告分布在不同歌手目录中的重复 (如同时放在两位歌手目录下的合唱、精选集与歌手目录中的同一首歌)
  * 使用方法:
- *    node check_duplicates_enhanced.js [目标目录]
+ *    node check_duplicates_enhanced.js [目标目录] [--rebuild-index] [--fingerprint] [--review] [--no-spectrum] [--dry-run]
+ *    node check_duplicates_enhanced.js [音乐库目录] --library [--artist-depth 2] [其他选项]
+ * 选项:
+ *    --rebuild-index  忽略音乐库索引缓存，重新计算所有文件的 MD5、指纹和频谱
+ *    --fingerprint    同时按声纹指纹检测同一录音 (指纹缓存在音乐库索引中)
+ *    --review         交互审阅每组重复文件，选择后直接移动 (记录到操作日志，可用 undo.js 撤销) 或生成清理脚本
+ *    --no-spectrum    不做频谱分析 (不检测假无损)
+ *    --dry-run        预览模式: --review 审阅后不移动文件，只能生成清理脚本
+ *    --library        整库模式，检测跨歌手目录的重复
+ *    --artist-depth   整库模式下歌手目录所在的层级 (默认 1，即音乐库的直接子目录；"分类/歌手/专辑" 结构用 2)
  * 示例:
  *    node check_duplicates_enhanced.js "/Volumes/CCSSD/Media/齐秦"
+ *    node check_duplicates_enhanced.js "/Volumes/CCSSD/Media/齐秦" --fingerprint
+ *    node check_duplicates_enhanced.js "/Volumes/CCSSD/Media/齐秦" --review
+ *    node check_duplicates_enhanced.js "/Volumes/CCSSD/Media" --library
  *    cd /Volumes/CCSSD/Media/齐秦 && node /path/to/check_duplicates_enhanced.js
  */
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { execSync } = require('child_process');
+const { parseFileName, splitArtists, sameArtist } = require('./lib/filename_parser');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const { groupFingerprints } = require('./lib/fingerprint');
+const { createKeyReader, reviewGroups, formatAudio } = require('./lib/duplicate_review');
+const { rankDuplicates, detectFakeLossless, describeFake } = require('./lib/quality');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -19,17 +45,11 @@ const crypto = require('crypto');
 const AUDIO_EXTENSIONS = /\.(mp3|m4a|flac|wav|wma|ape)$/i;
 const LRC_EXTENSION = /\.lrc$/i;
 
-// 描述性后缀（括号内容），会被移除用于匹配
-const DESCRIPTIVE_SUFFIXES = [
-    'live', 'remix', 'mix', 'cover', 'demo', 'acoustic', 'instrumental',
-    'dj', '伴奏', '演唱会', '现场', '版', '大合唱', '合唱', '独唱',
-    '钢琴版', '吉他版', '纯音乐', 'karaoke', 'ktv', 'radio edit',
-    'remaster', 'remastered', 'bonus', 'edit', 'extended', 'short',
-    '蛰伏', '国语', '粤语', '日语', '英语', '翻唱'
-];
+// 扫描时只收集音频和歌词，其他文件 (封面、cue、日志等) 不进入音乐库索引
+const SCAN_EXTENSIONS = new RegExp(`${AUDIO_EXTENSIONS.source}|${LRC_EXTENSION.source}`, 'i');
 
-// 合作歌手分隔符
-const COLLABORATION_SEPARATORS = /[、&,\/×x]|\s+feat\.?\s+|\s+ft\.?\s+|\s+with\s+/i;
+// 清理时存放重复文件的临时目录 (相对扫描目录)
+const TEMP_DIR = '_duplicates_temp';
 
 // 繁简体映射表（常用字）
 const TRAD_TO_SIMP = {
@@ -57,55 +77,6 @@ const ROMAN_TO_ARABIC = {
 // 2. 工具函数
 // ---------------------------------------------------------
 
-/**
- * 递归查找目录下的所有文件
- */
-function findAllFiles(dir) {
-    let results = [];
-    try {
-        if (!fs.existsSync(dir)) return [];
-        const list = fs.readdirSync(dir);
-
-        list.forEach(file => {
-            if (file.startsWith('.')) return; // 忽略隐藏文件
-
-            const fullPath = path.join(dir, file);
-            try {
-                const stat = fs.statSync(fullPath);
-                if (stat.isDirectory()) {
-                    results = results.concat(findAllFiles(fullPath));
-                } else {
-                    results.push(fullPath);
-                }
-            } catch (e) {}
-        });
-    } catch (e) {}
-    return results;
-}
-
-/**
- * 计算文件 MD5
- */
-function getFileHash(filePath) {
-    const BUFFER_SIZE = 8192;
-    try {
-        const fd = fs.openSync(filePath, 'r');
-        const hash = crypto.createHash('md5');
-        const buffer = Buffer.alloc(BUFFER_SIZE);
-        let bytesRead;
-        try {
-            while ((bytesRead = fs.readSync(fd, buffer, 0, BUFFER_SIZE, null)) !== 0) {
-                hash.update(buffer.slice(0, bytesRead));
-            }
-        } finally {
-            fs.closeSync(fd);
-        }
-        return hash.digest('hex');
-    } catch (e) {
-        return null;
-    }
-}
-
 /**
  * 繁体转简体
  */
@@ -128,116 +99,16 @@ function normalizeRomanNumerals(str) {
     return result;
 }
 
-/**
- * 移除数字前缀
- * 例如: "01 - xxx", "01.xxx", "01-xxx", "1-01 xxx"
- */
-function removeTrackNumber(name) {
-    // 匹配开头的数字编号
-    // "01 - " | "01. " | "01-" | "01." | "1-01 " | "1-01."
-    return name
-        .replace(/^[\d\-\.]+[\s\.\-]+/, '')  // "01 - xxx" -> "xxx"
-        .replace(/^\d+\./, '');               // "01.xxx" -> "xxx"
-}
-
-/**
- * 移除描述性后缀（括号内容）
- * 例如: "(Live)", "（大合唱）"
- */
-function removeDescriptiveSuffix(name) {
-    // 匹配末尾的括号内容
-    const suffixPattern = new RegExp(
-        `\\s*[（(]\\s*(${DESCRIPTIVE_SUFFIXES.join('|')})[^)）]*[)）]$`,
-        'i'
-    );
-
-    let result = name;
-    // 可能有多个后缀，循环移除
-    let prev;
-    do {
-        prev = result;
-        result = result.replace(suffixPattern, '');
-    } while (result !== prev);
-
-    return result.trim();
-}
-
-/**
- * 从文件名提取歌手和歌名
- */
-function parseSongInfo(fileName, defaultArtist) {
-    // 去扩展名
-    const ext = path.extname(fileName);
-    let nameNoExt = path.basename(fileName, ext);
-
-    // 去数字前缀
-    nameNoExt = removeTrackNumber(nameNoExt);
-
-    let artist = '';
-    let title = '';
-
-    // 尝试按 " - " 分割 (最标准的格式)
-    if (nameNoExt.includes(' - ')) {
-        const idx = nameNoExt.indexOf(' - ');
-        const possibleArtist = nameNoExt.substring(0, idx).trim();
-        const possibleTitle = nameNoExt.substring(idx + 3).trim();
-
-        // 检查第一部分是否像歌手名（非纯数字）
-        if (!/^\d+$/.test(possibleArtist) && possibleArtist.length > 0) {
-            artist = possibleArtist;
-            title = possibleTitle;
-        } else {
-            title = nameNoExt;
-        }
-    }
-    // 尝试按 "-" 分割 (无空格)
-    else if (nameNoExt.includes('-') && !nameNoExt.startsWith('-')) {
-        const idx = nameNoExt.indexOf('-');
-        const possibleArtist = nameNoExt.substring(0, idx).trim();
-        const possibleTitle = nameNoExt.substring(idx + 1).trim();
-
-        if (!/^\d+$/.test(possibleArtist) && possibleArtist.length > 0) {
-            artist = possibleArtist;
-            title = possibleTitle;
-        } else {
-            title = nameNoExt;
-        }
-    }
-    else {
-        title = nameNoExt;
-    }
-
-    // 去除歌名的描述性后缀
-    title = removeDescriptiveSuffix(title);
-
-    // 歌手 fallback
-    if (!artist) {
-        artist = defaultArtist || 'Unknown';
-    }
-
-    return { artist, title, original: fileName };
-}
-
 /**
  * 检查歌手是否匹配（处理合唱/feat情况）
+ * 按完整歌手名比较 (含中英文别名)，"陈" 与 "陈奕迅"、"Max" 与 "Maroon 5" 不匹配
  */
 function artistMatches(fileArtist, dirArtist) {
     if (!fileArtist || !dirArtist) return false;
 
-    const normFile = toSimplified(fileArtist.toLowerCase().replace(/\s+/g, ''));
-    const normDir = toSimplified(dirArtist.toLowerCase().replace(/\s+/g, ''));
-
-    // 完全匹配
-    if (normFile === normDir) return true;
-
-    // 拆分合作歌手
-    const collaborators = fileArtist
-        .split(COLLABORATION_SEPARATORS)
-        .map(s => toSimplified(s.trim().toLowerCase().replace(/\s+/g, '')))
-        .filter(s => s.length > 0);
-
-    // 目录歌手在合作者中
-    return collaborators.some(c => c === normDir || c.includes(normDir) || normDir.includes(c));
+    const dir = toSimplified(dirArtist);
+    // 完全匹配，或目录歌手是合作者之一
+    return [fileArtist, ...splitArtists(fileArtist)].some(a => sameArtist(toSimplified(a), dir));
 }
 
 /**
@@ -262,31 +133,138 @@ function getSongKey(artist, title, dirArtist) {
 }
 
 /**
- * 评分函数：决定哪个文件更应该保留
+ * 整库模式下文件所属的歌手目录: 音乐库下第 depth 级目录，文件所在层级较浅时取最深的一级
+ * @returns {{ dir: string, artist: string|null }} 直接位于音乐库根目录的文件没有默认歌手
  */
-function getScore(fileInfo) {
-    let score = 0;
-    const name = fileInfo.name;
+function getArtistDir(filePath, root, depth) {
+    const parts = path.relative(root, path.dirname(filePath)).split(path.sep).filter(Boolean);
+    if (parts.length === 0) return { dir: root, artist: null };
+    const level = Math.min(depth, parts.length);
+    return { dir: path.join(root, ...parts.slice(0, level)), artist: parts[level - 1] };
+}
 
-    // 优先 "Artist - Title" 格式
-    if (name.includes(' - ')) score += 100;
+/**
+ * 两个同名文件的歌手是否为同一首歌: 歌手相同，或合唱歌手中包含对方的歌手 / 歌手目录
+ */
+function sameSongArtist(a, b) {
+    if (a.key === b.key) return true;
+    return artistMatches(a.artist, b.artist) || artistMatches(b.artist, a.artist)
+        || artistMatches(a.artist, b.dirArtist) || artistMatches(b.artist, a.dirArtist);
+}
 
-    // 优先简体中文
-    if (!/[齊學華國愛戀夢風雲時間東車馬鳥魚長門開關聽說話語紅綠藍黃頭臉體發無從來過]/.test(name)) {
-        score += 20;
-    }
+/**
+ * 整库模式的歌曲分组: 同名文件中歌手相互匹配的归为同一首歌 (可传递)
+ * 结果写入每个文件的 songId；不同目录中的 "周杰伦&费玉清 - 千里之外" 与 "费玉清 - 千里之外" 为同一首
+ */
+function assignSongIds(fileInfos) {
+    const byTitle = new Map();
+    fileInfos.filter(f => f.title && f.key).forEach(f => {
+        const title = f.key.split('|')[1];
+        if (!byTitle.has(title)) byTitle.set(title, []);
+        byTitle.get(title).push(f);
+    });
 
-    // 文件大小 (每 MB 加 1 分)
-    if (fileInfo.size) {
-        score += (fileInfo.size / 1024 / 1024);
+    for (const [title, group] of byTitle) {
+        const parent = group.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                if (sameSongArtist(group[i], group[j])) parent[find(j)] = find(i);
+            }
+        }
+        group.forEach((f, i) => { f.songId = `${title}#${find(i)}`; });
     }
+}
+
+/**
+ * 整库模式的语义重复组 key: 组内各文件的歌手 (去重) + 歌名
+ */
+function mergedSongKey(files) {
+    const artists = [...new Set(files.map(f => f.key.split('|')[0]))];
+    return `${artists.join('、')}|${files[0].key.split('|')[1]}`;
+}
+
+/**
+ * 重复组是否分布在不同的歌手目录中
+ */
+function spansArtistDirs(files) {
+    return new Set(files.map(f => f.artistDir)).size > 1;
+}
+
+/**
+ * 从路径解析歌曲信息: 歌手、歌名、所属歌手目录和语义匹配 key
+ * @param {Object} options { libraryMode, targetDir, artistDepth, dirArtist }
+ * @returns {{ artist, title, dirArtist, artistDir, key }}
+ */
+function describeSong(filePath, { libraryMode, targetDir, artistDepth, dirArtist }) {
+    const artistDir = libraryMode ? getArtistDir(filePath, targetDir, artistDepth) : { dir: targetDir, artist: dirArtist };
+    const songInfo = parseFileName(filePath, { defaultArtist: artistDir.artist });
+    return {
+        artist: songInfo.artist,
+        title: songInfo.title,
+        dirArtist: artistDir.artist,
+        artistDir: artistDir.dir,
+        key: songInfo.artist ? getSongKey(songInfo.artist, songInfo.title, artistDir.artist) : null
+    };
+}
+
+/**
+ * 语义重复分组: 按 songId 分组，整库模式只保留跨歌手目录的组；全部属于同一组完全重复的不再报告
+ * @param {Array} fileInfos 已设置 songId 的文件信息
+ * @param {Array} exactDuplicates 完全重复组 [{ hash, files }]
+ * @param {boolean} libraryMode 整库模式
+ * @returns {Array<{ key, files }>}
+ */
+function groupSemanticDuplicates(fileInfos, exactDuplicates, libraryMode) {
+    const keepGroup = files => !libraryMode || spansArtistDirs(files);
 
-    // 优先无损格式
-    if (/\.flac$/i.test(name)) score += 50;
-    if (/\.ape$/i.test(name)) score += 40;
-    if (/\.wav$/i.test(name)) score += 30;
+    // 记录已在完全重复中的文件路径（避免语义重复重复报告）
+    const exactDupPaths = new Set();
+    exactDuplicates.forEach(d => {
+        d.files.forEach(f => exactDupPaths.add(f.path));
+    });
+
+    const songMap = new Map();
+    fileInfos.forEach(f => {
+        // 跳过已在完全重复中的文件? 不，语义重复也要报告
+        if (f.title && f.songId) {
+            if (!songMap.has(f.songId)) songMap.set(f.songId, []);
+            songMap.get(f.songId).push(f);
+        }
+    });
 
-    return score;
+    const semanticDuplicates = [];
+    for (const [key, group] of songMap) {
+        if (group.length > 1 && keepGroup(group)) {
+            // 检查是否全部都在同一个完全重复组中
+            const allInExact = group.every(f => exactDupPaths.has(f.path));
+            const uniqueHashes = new Set();
+            if (allInExact) {
+                // 计算这组内有多少不同的文件（通过路径）
+                // 如果都是完全相同的文件，跳过
+                group.forEach(f => {
+                    const ed = exactDuplicates.find(e => e.files.some(ef => ef.path === f.path));
+                    if (ed) uniqueHashes.add(ed.hash);
+                });
+                if (uniqueHashes.size <= 1) {
+                    // 全是同一组完全重复，跳过语义重复报告
+                    continue;
+                }
+            }
+
+            semanticDuplicates.push({ key: libraryMode ? mergedSongKey(group) : key, files: group });
+        }
+    }
+    return semanticDuplicates;
+}
+
+/**
+ * 报告中的音质说明: 格式、码率/位深、大小
+ */
+function describeQuality(fileInfo) {
+    const format = fileInfo.details && fileInfo.details.format;
+    const sizeMB = (fileInfo.size / 1024 / 1024).toFixed(2);
+    return `${formatAudio(fileInfo.path, format)}, ${sizeMB}MB`;
 }
 
 /**
@@ -311,28 +289,137 @@ function safeDirName(name) {
     return name.replace(/[\/\\:*?"<>|]/g, '_').substring(0, 50);
 }
 
+/**
+ * 重复组的歌名 (用于清理目录名)
+ */
+function groupTitle(type, group) {
+    if (type === 'semantic') return group.key.split('|')[1];
+    return group.files[0].title || 'Unknown';
+}
+
+/**
+ * 清理时存放某组重复文件的目录 (相对扫描目录)
+ */
+function getGroupDir(type, idx, title) {
+    const name = `group_${String(idx + 1).padStart(3, '0')}`;
+    return `${TEMP_DIR}/${type}/${type === 'exact' ? name : `${name}_${safeDirName(title)}`}`;
+}
+
+/**
+ * 按审阅结果调整重复组: 选择保留的文件排到第一个，跳过和未审阅的组移除
+ */
+function applyReview(duplicates, reviewed) {
+    const kept = duplicates.filter(d => {
+        const group = reviewed.find(g => g.source === d);
+        if (!group || !(group.keeper >= 0)) return false;
+        d.files = [d.files[group.keeper], ...d.files.filter((_, i) => i !== group.keeper)];
+        return true;
+    });
+    duplicates.splice(0, duplicates.length, ...kept);
+}
+
+/**
+ * 创建目录 (逐级记录到操作日志，撤销时删除空目录)
+ */
+function ensureDir(dir, journal) {
+    if (fs.existsSync(dir)) return;
+    ensureDir(path.dirname(dir), journal);
+    fs.mkdirSync(dir);
+    journal.recordMkdir(dir);
+}
+
+/**
+ * 把每组第一个 (保留) 以外的文件及其歌词移动到临时目录，与清理脚本的目录结构一致
+ * @param {Array} sections [[类型, 重复组列表], ...]
+ * @returns {number} 移动的文件数
+ */
+function moveDuplicates(targetDir, sections, journal, index) {
+    let moved = 0;
+
+    const move = (src, destDir) => {
+        // 同一文件可能出现在多个组中，已在前面的组中移走
+        if (!fs.existsSync(src)) return;
+        const dest = path.join(destDir, path.basename(src));
+        if (fs.existsSync(dest)) {
+            console.log(`   ⚠️  目标文件已存在，跳过: ${path.relative(targetDir, dest)}`);
+            return;
+        }
+        fs.renameSync(src, dest);
+        journal.recordMove(src, dest);
+        index.move(src, dest);
+        moved++;
+    };
+
+    sections.forEach(([type, duplicates]) => {
+        duplicates.forEach((d, idx) => {
+            const groupDir = path.join(targetDir, getGroupDir(type, idx, groupTitle(type, d)));
+            ensureDir(groupDir, journal);
+            d.files.slice(1).forEach(f => {
+                move(f.path, groupDir);
+                if (f.lrcPath) move(f.lrcPath, groupDir);
+            });
+        });
+    });
+    return moved;
+}
+
 // ---------------------------------------------------------
 // 3. 主逻辑
 // ---------------------------------------------------------
 
-function run() {
+async function run() {
     // 解析目标目录
-    const targetDir = process.argv[2] || process.cwd();
+    const args = process.argv.slice(2);
+    const depthIndex = args.indexOf('--artist-depth');
+    const targetDir = path.resolve(args.find((a, i) => !a.startsWith('--') && (depthIndex < 0 || i !== depthIndex + 1)) || process.cwd());
+    const libraryMode = args.includes('--library');
+    const artistDepth = depthIndex >= 0 ? parseInt(args[depthIndex + 1], 10) : 1;
+    const rebuildIndex = args.includes('--rebuild-index');
+    const useFingerprint = args.includes('--fingerprint');
+    const review = args.includes('--review');
+    const useSpectrum = !args.includes('--no-spectrum');
+    const dryRun = args.includes('--dry-run');
     const dirArtist = path.basename(targetDir);
+    const totalSteps = useFingerprint ? 4 : 3;
 
     console.log(`\n🚀 增强版音乐重复检测`);
     console.log(`📂 扫描目录: ${targetDir}`);
-    console.log(`🎤 默认歌手: ${dirArtist}`);
+    if (libraryMode) {
+        console.log(`📚 整库模式: 第 ${artistDepth} 级子目录为歌手目录，只报告跨歌手目录的重复`);
+    } else {
+        console.log(`🎤 默认歌手: ${dirArtist}`);
+    }
+    if (useFingerprint) console.log(`🎧 声纹检测: 开启`);
+    if (review) console.log(`👀 交互审阅: 开启`);
+    if (review && dryRun) console.log(`🔍 预览模式: 审阅后不移动文件`);
     console.log('─'.repeat(50));
 
     if (!fs.existsSync(targetDir)) {
         console.error('❌ 目标目录不存在');
         process.exit(1);
     }
+    if (!(artistDepth >= 1)) {
+        console.error('❌ --artist-depth 必须是正整数');
+        process.exit(1);
+    }
+
+    // 声纹检测和频谱分析需要 ffmpeg 解码音频
+    let hasFfmpeg = true;
+    try {
+        execSync('which ffmpeg', { stdio: 'pipe' });
+    } catch {
+        hasFfmpeg = false;
+    }
+    if (useFingerprint && !hasFfmpeg) {
+        console.error('❌ 未安装 ffmpeg，请先执行: brew install ffmpeg');
+        process.exit(1);
+    }
 
-    // 扫描所有文件
+    // 扫描所有文件 (MD5 等信息缓存在音乐库索引中，未变化的文件不会重新读取)
     console.log('\n⏳ 正在扫描文件...');
-    const allFiles = findAllFiles(targetDir);
+    const index = openIndex({ rebuild: rebuildIndex });
+    // 跳过上次清理移出的文件，否则整库模式下临时目录会被当作一个歌手目录
+    const allFiles = index.scan(targetDir, { extensions: SCAN_EXTENSIONS, skip: new RegExp(`^(\\.|${TEMP_DIR}$)`) });
 
     // 分类：音频 vs 歌词
     const audioFiles = [];
@@ -356,26 +443,25 @@ function run() {
     }
 
     // 预处理文件信息
-    const fileInfos = audioFiles.map(f => {
-        const stat = fs.statSync(f);
-        const songInfo = parseSongInfo(path.basename(f), dirArtist);
-        const lrcPath = findAssociatedLrc(f, lrcIndex);
-
-        return {
-            path: f,
-            name: path.basename(f),
-            size: stat.size,
-            artist: songInfo.artist,
-            title: songInfo.title,
-            key: getSongKey(songInfo.artist, songInfo.title, dirArtist),
-            lrcPath: lrcPath
-        };
-    });
+    const fileInfos = audioFiles.map(f => ({
+        path: f,
+        name: path.basename(f),
+        size: index.get(f).size,
+        ...describeSong(f, { libraryMode, targetDir, artistDepth, dirArtist }),
+        lrcPath: findAssociatedLrc(f, lrcIndex)
+    }));
+
+    // 语义重复的分组依据: 单目录模式为 歌手 + 歌名，整库模式按合作歌手合并
+    if (libraryMode) {
+        assignSongIds(fileInfos);
+    } else {
+        fileInfos.forEach(f => { f.songId = f.key; });
+    }
 
     // ---------------------------------------------------------
     // A. 完全重复检测 (Size + MD5)
     // ---------------------------------------------------------
-    console.log('\n🔒 [1/2] 检测完全重复文件 (MD5)...');
+    console.log(`\n🔒 [1/${totalSteps}] 检测完全重复文件 (MD5)...`);
 
     const sizeMap = new Map();
     fileInfos.forEach(f => {
@@ -383,6 +469,9 @@ function run() {
         sizeMap.get(f.size).push(f);
     });
 
+    // 整库模式只保留分布在不同歌手目录中的重复组 (同一目录内的重复用单目录模式检测)
+    const keepGroup = files => !libraryMode || spansArtistDirs(files);
+
     const exactDuplicates = [];
     let checkedCount = 0;
     const sizeGroups = [...sizeMap.entries()].filter(([size, group]) => group.length > 1 && size > 0);
@@ -393,7 +482,7 @@ function run() {
 
         const hashMap = new Map();
         group.forEach(f => {
-            const hash = getFileHash(f.path);
+            const hash = index.getHash(f.path);
             if (hash) {
                 if (!hashMap.has(hash)) hashMap.set(hash, []);
                 hashMap.get(hash).push(f);
@@ -401,59 +490,87 @@ function run() {
         });
 
         for (const [hash, sameFiles] of hashMap) {
-            if (sameFiles.length > 1) {
+            if (sameFiles.length > 1 && keepGroup(sameFiles)) {
                 exactDuplicates.push({ hash, size, files: sameFiles });
             }
         }
     }
     console.log(`\r   完成！发现 ${exactDuplicates.length} 组完全重复`);
+    index.save();
 
-    // 记录已在完全重复中的文件路径（避免语义重复重复报告）
-    const exactDupPaths = new Set();
-    exactDuplicates.forEach(d => {
-        d.files.forEach(f => exactDupPaths.add(f.path));
-    });
+    // ---------------------------------------------------------
+    // B. 语义重复检测 (歌手 + 歌名，整库模式下合唱歌曲按合作歌手匹配)
+    // ---------------------------------------------------------
+    console.log(`\n🎵 [2/${totalSteps}] 检测语义重复文件 (同名歌曲)...`);
+
+    const semanticDuplicates = groupSemanticDuplicates(fileInfos, exactDuplicates, libraryMode);
+    console.log(`   完成！发现 ${semanticDuplicates.length} 组语义重复`);
 
     // ---------------------------------------------------------
-    // B. 语义重复检测 (歌手 + 歌名)
+    // C. 声纹重复检测 (同一录音，不同格式/文件名)
     // ---------------------------------------------------------
-    console.log('\n🎵 [2/2] 检测语义重复文件 (同名歌曲)...');
+    const fingerprintDuplicates = [];
+    if (useFingerprint) {
+        console.log(`\n🎧 [3/${totalSteps}] 检测声纹重复文件 (同一录音)...`);
+
+        for (let i = 0; i < fileInfos.length; i++) {
+            const f = fileInfos[i];
+            process.stdout.write(`\r   进度: ${i + 1}/${fileInfos.length} 个文件...`);
+            const meta = await index.getMetadata(f.path);
+            f.duration = meta && meta.format ? meta.format.duration : 0;
+            f.fingerprint = index.getFingerprint(f.path);
+        }
+        index.save();
 
-    const songMap = new Map();
-    fileInfos.forEach(f => {
-        // 跳过已在完全重复中的文件? 不，语义重复也要报告
-        if (f.title && f.key) {
-            if (!songMap.has(f.key)) songMap.set(f.key, []);
-            songMap.get(f.key).push(f);
+        const failed = fileInfos.filter(f => !f.fingerprint).length;
+        const exactHash = f => (exactDuplicates.find(e => e.files.includes(f)) || {}).hash;
+
+        for (const group of groupFingerprints(fileInfos)) {
+            // 全是同一组完全重复，或已经是同一组语义重复时，不再重复报告
+            const hashes = new Set(group.items.map(f => exactHash(f) || f.path));
+            const songs = new Set(group.items.map(f => f.songId || f.path));
+            if (hashes.size <= 1 || songs.size <= 1 || !keepGroup(group.items)) continue;
+
+            fingerprintDuplicates.push({ similarity: group.similarity, files: group.items });
         }
-    });
+        console.log(`\r   完成！发现 ${fingerprintDuplicates.length} 组声纹重复${failed ? ` (${failed} 个文件无法解码)` : ''}`);
+    }
 
-    const semanticDuplicates = [];
-    for (const [key, group] of songMap) {
-        if (group.length > 1) {
-            // 检查是否全部都在同一个完全重复组中
-            const allInExact = group.every(f => exactDupPaths.has(f.path));
-            const uniqueHashes = new Set();
-            if (allInExact) {
-                // 计算这组内有多少不同的文件（通过路径）
-                // 如果都是完全相同的文件，跳过
-                group.forEach(f => {
-                    const ed = exactDuplicates.find(e => e.files.some(ef => ef.path === f.path));
-                    if (ed) uniqueHashes.add(ed.hash);
-                });
-                if (uniqueHashes.size <= 1) {
-                    // 全是同一组完全重复，跳过语义重复报告
-                    continue;
-                }
-            }
+    // ---------------------------------------------------------
+    // D. 音质分析 (只分析重复组中的文件)
+    // ---------------------------------------------------------
+    console.log(`\n📐 [${totalSteps}/${totalSteps}] 分析音质...`);
+
+    const groupedFiles = new Set();
+    [exactDuplicates, semanticDuplicates, fingerprintDuplicates].forEach(duplicates => {
+        duplicates.forEach(d => d.files.forEach(f => groupedFiles.add(f)));
+    });
 
-            semanticDuplicates.push({ key, files: group });
+    const analyzeSpectrum = useSpectrum && hasFfmpeg;
+    let analyzedCount = 0;
+    for (const f of groupedFiles) {
+        analyzedCount++;
+        process.stdout.write(`\r   进度: ${analyzedCount}/${groupedFiles.size} 个文件...`);
+        f.details = await index.getMetadata(f.path);
+        // 只有无损文件需要检测是否为假无损
+        if (analyzeSpectrum && f.details && f.details.format && f.details.format.lossless) {
+            f.spectrum = index.getSpectrum(f.path);
         }
     }
-    console.log(`   完成！发现 ${semanticDuplicates.length} 组语义重复`);
+    index.save();
+
+    const fakeCount = [...groupedFiles].filter(f => f.details && detectFakeLossless(f.spectrum, f.details.format)).length;
+    console.log(`\r   完成！已分析 ${groupedFiles.size} 个文件${fakeCount ? `，${fakeCount} 个疑似假无损` : ''}`);
+    if (useSpectrum && !hasFfmpeg) {
+        console.log('   ⚠️  未安装 ffmpeg，跳过假无损检测 (brew install ffmpeg)');
+    }
+
+    [exactDuplicates, semanticDuplicates, fingerprintDuplicates].forEach(duplicates => {
+        duplicates.forEach(d => { d.files = rankDuplicates(d.files); });
+    });
 
     // ---------------------------------------------------------
-    // C. 输出报告
+    // E. 输出报告
     // ---------------------------------------------------------
     console.log('\n' + '═'.repeat(50));
     console.log('📊 检测报告');
@@ -463,7 +580,6 @@ function run() {
     if (exactDuplicates.length > 0) {
         console.log(`\n🔒 完全重复 (${exactDuplicates.length} 组)`);
         exactDuplicates.forEach((d, idx) => {
-            d.files.sort((a, b) => getScore(b) - getScore(a));
             console.log(`\n   [组 ${idx + 1}] MD5: ${d.hash.substring(0, 8)}... | ${(d.size/1024/1024).toFixed(2)}MB`);
             d.files.forEach((f, i) => {
                 const prefix = i === 0 ? '✅ 保留' : '❌ 移除';
@@ -480,14 +596,37 @@ function run() {
     if (semanticDuplicates.length > 0) {
         console.log(`\n🎵 语义重复 (${semanticDuplicates.length} 组)`);
         semanticDuplicates.forEach((d, idx) => {
-            d.files.sort((a, b) => getScore(b) - getScore(a));
             const [artist, title] = d.key.split('|');
             console.log(`\n   [组 ${idx + 1}] ${artist} - ${title} (${d.files.length} 首)`);
             d.files.forEach((f, i) => {
                 const prefix = i === 0 ? '⭐ 推荐' : '   备选';
                 const relPath = path.relative(targetDir, f.path);
-                const sizeMB = (f.size / 1024 / 1024).toFixed(2);
-                console.log(`      ${prefix}: ${relPath} (${sizeMB}MB)`);
+                console.log(`      ${prefix}: ${relPath} (${describeQuality(f)})`);
+                const fake = f.details && detectFakeLossless(f.spectrum, f.details.format);
+                if (fake) {
+                    console.log(`         ⚠️  ${describeFake(fake, f.spectrum)}`);
+                }
+                if (f.lrcPath) {
+                    console.log(`         📝 歌词: ${path.basename(f.lrcPath)}`);
+                }
+            });
+        });
+    }
+
+    // 声纹重复
+    if (fingerprintDuplicates.length > 0) {
+        console.log(`\n🎧 声纹重复 (${fingerprintDuplicates.length} 组)`);
+        fingerprintDuplicates.forEach((d, idx) => {
+            const similarity = (d.similarity * 100).toFixed(0);
+            console.log(`\n   [组 ${idx + 1}] ${d.files[0].title || 'Unknown'} (${d.files.length} 首，相似度 ${similarity}%)`);
+            d.files.forEach((f, i) => {
+                const prefix = i === 0 ? '⭐ 推荐' : '   备选';
+                const relPath = path.relative(targetDir, f.path);
+                console.log(`      ${prefix}: ${relPath} (${describeQuality(f)})`);
+                const fake = f.details && detectFakeLossless(f.spectrum, f.details.format);
+                if (fake) {
+                    console.log(`         ⚠️  ${describeFake(fake, f.spectrum)}`);
+                }
                 if (f.lrcPath) {
                     console.log(`         📝 歌词: ${path.basename(f.lrcPath)}`);
                 }
@@ -495,20 +634,89 @@ function run() {
         });
     }
 
-    if (exactDuplicates.length === 0 && semanticDuplicates.length === 0) {
+    if (exactDuplicates.length === 0 && semanticDuplicates.length === 0 && fingerprintDuplicates.length === 0) {
         console.log('\n✨ 完美！未发现任何重复文件。');
         return;
     }
 
     // ---------------------------------------------------------
-    // D. 生成清理脚本
+    // F. 交互审阅 (选择每组保留的文件)
+    // ---------------------------------------------------------
+    const sections = [
+        ['exact', exactDuplicates],
+        ['semantic', semanticDuplicates],
+        ['fingerprint', fingerprintDuplicates]
+    ];
+
+    if (review) {
+        const reviewed = [];
+        sections.forEach(([type, duplicates]) => {
+            duplicates.forEach(d => reviewed.push({
+                type,
+                source: d,
+                files: d.files,
+                similarity: d.similarity,
+                title: type === 'semantic' ? d.key.split('|').join(' - ') : groupTitle(type, d)
+            }));
+        });
+
+        const keys = createKeyReader();
+        const status = await reviewGroups(reviewed, {
+            keys,
+            targetDir,
+            loadDetails: f => f.details || index.getMetadata(f.path)
+        });
+        index.save();
+
+        if (status === 'abort') {
+            keys.close();
+            console.log('\n🚫 已放弃，未做任何修改');
+            return;
+        }
+
+        sections.forEach(([, duplicates]) => applyReview(duplicates, reviewed));
+        const decided = sections.reduce((sum, [, duplicates]) => sum + duplicates.length, 0);
+        const pendingMoves = sections.reduce((sum, [, duplicates]) =>
+            sum + duplicates.reduce((n, d) => n + d.files.length - 1, 0), 0);
+
+        if (decided === 0) {
+            keys.close();
+            console.log('\n✨ 没有选择要移除的文件');
+            return;
+        }
+
+        console.log('\n' + '═'.repeat(50));
+        console.log(`📋 已选择 ${decided} 组，待移动 ${pendingMoves} 个音频文件 (连同歌词)`);
+        if (dryRun) {
+            console.log(`预览模式不移动文件  s=生成清理脚本  其他=放弃`);
+        } else {
+            console.log(`y=立即移动到 ${TEMP_DIR} (可用 undo.js 撤销)  s=生成清理脚本  其他=放弃`);
+        }
+        const key = await keys.next();
+        keys.close();
+
+        if (key === 'y' && !dryRun) {
+            const journal = openJournal('check_duplicates_enhanced');
+            const moved = moveDuplicates(targetDir, sections, journal, index);
+            index.save();
+            console.log(`\n✅ 已移动 ${moved} 个文件到 ${TEMP_DIR}，请检查后手动删除`);
+            journal.finish();
+            return;
+        }
+        if (key !== 's') {
+            console.log('\n🚫 已放弃，未做任何修改');
+            return;
+        }
+    }
+
+    // ---------------------------------------------------------
+    // G. 生成清理脚本
     // ---------------------------------------------------------
     console.log('\n' + '═'.repeat(50));
     console.log('📝 生成清理脚本');
     console.log('═'.repeat(50));
 
     const scriptPath = path.join(targetDir, '_cleanup_duplicates.sh');
-    const tempDir = '_duplicates_temp';
     const lines = [];
 
     lines.push('#!/bin/bash');
@@ -534,8 +742,7 @@ function run() {
         lines.push('');
 
         exactDuplicates.forEach((d, idx) => {
-            d.files.sort((a, b) => getScore(b) - getScore(a));
-            const groupDir = `${tempDir}/exact/group_${String(idx + 1).padStart(3, '0')}`;
+            const groupDir = getGroupDir('exact', idx);
 
             lines.push(`# [组 ${idx + 1}] ${d.files[0].title || 'Unknown'}`);
             lines.push(`mkdir -p "./${groupDir}"`);
@@ -561,10 +768,8 @@ function run() {
         lines.push('');
 
         semanticDuplicates.forEach((d, idx) => {
-            d.files.sort((a, b) => getScore(b) - getScore(a));
             const [artist, title] = d.key.split('|');
-            const safeTitle = safeDirName(title);
-            const groupDir = `${tempDir}/semantic/group_${String(idx + 1).padStart(3, '0')}_${safeTitle}`;
+            const groupDir = getGroupDir('semantic', idx, title);
 
             lines.push(`# [组 ${idx + 1}] ${artist} - ${title}`);
             lines.push(`mkdir -p "./${groupDir}"`);
@@ -582,9 +787,36 @@ function run() {
         });
     }
 
+    // 声纹重复
+    if (fingerprintDuplicates.length > 0) {
+        lines.push('# ═══════════════════════════════════════');
+        lines.push('# 声纹重复 (同一录音，不同格式或文件名)');
+        lines.push('# ═══════════════════════════════════════');
+        lines.push('');
+
+        fingerprintDuplicates.forEach((d, idx) => {
+            const title = groupTitle('fingerprint', d);
+            const groupDir = getGroupDir('fingerprint', idx, title);
+
+            lines.push(`# [组 ${idx + 1}] ${title} (相似度 ${(d.similarity * 100).toFixed(0)}%)`);
+            lines.push(`mkdir -p "./${groupDir}"`);
+
+            // 跳过第一个（推荐保留），移动其余的
+            d.files.slice(1).forEach(f => {
+                const relPath = path.relative(targetDir, f.path);
+                lines.push(`mv "./${relPath}" "./${groupDir}/" 2>/dev/null || true`);
+                if (f.lrcPath) {
+                    const lrcRelPath = path.relative(targetDir, f.lrcPath);
+                    lines.push(`mv "./${lrcRelPath}" "./${groupDir}/" 2>/dev/null || true`);
+                }
+            });
+            lines.push('');
+        });
+    }
+
     lines.push('echo ""');
     lines.push('echo "✅ 清理完成！"');
-    lines.push(`echo "📁 重复文件已移动到: ${tempDir}"`);
+    lines.push(`echo "📁 重复文件已移动到: ${TEMP_DIR}"`);
     lines.push('echo "请检查后手动删除临时目录"');
 
     fs.writeFileSync(scriptPath, lines.join('\n'), { mode: 0o755 });
@@ -597,14 +829,30 @@ function run() {
     let totalToMove = 0;
     exactDuplicates.forEach(d => totalToMove += d.files.length - 1);
     semanticDuplicates.forEach(d => totalToMove += d.files.length - 1);
+    fingerprintDuplicates.forEach(d => totalToMove += d.files.length - 1);
 
     console.log(`\n📊 统计:`);
     console.log(`   完全重复组: ${exactDuplicates.length}`);
     console.log(`   语义重复组: ${semanticDuplicates.length}`);
+    if (useFingerprint) console.log(`   声纹重复组: ${fingerprintDuplicates.length}`);
+    if (fakeCount > 0) console.log(`   疑似假无损: ${fakeCount} 个`);
     console.log(`   待移动文件: ${totalToMove} 个`);
 }
 
 // ---------------------------------------------------------
 // 执行
 // ---------------------------------------------------------
-run();
+if (require.main === module) {
+    run().catch(err => {
+        console.error('❌ 运行出错:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getArtistDir,
+    describeSong,
+    assignSongIds,
+    spansArtistDirs,
+    groupSemanticDuplicates
+};
@@ -2,20 +2,30 @@
  * 脚本名称: Download Lyrics (歌词下载工具)
  * 功能描述: 扫描目录，为缺少歌词的音频文件自动下载 .lrc 歌词
  * 数据源:
- *    - QQ音乐（优先，中文歌曲最准）
- *    - 网易云音乐
+ *    - lib/providers 下所有支持歌词的数据源（QQ音乐优先，其次网易云）
  * 特点:
  *    - 支持多种格式: MP3/FLAC/M4A/WAV/OGG/AAC/DFF/DSF
  *    - 智能解析文件名（支持多种命名格式）
+ *    - 匹配打分结合本地时长和专辑标签，避免选中同名歌曲的其他版本
  *    - 只下载缺失的，不覆盖已有歌词
+ *    - 歌词经 lib/lrc 校验 (跳过纯音乐、只有作词作曲信息的歌词) 并规范化后保存
+ *    - 时长校验: 比较最后一行歌词、数据源时长与本地音频时长，跳过 Live / Remix 等不同版本的歌词，
+ *      可疑的标记为低可信度，在报告中列出供人工检查
  *    - 交互式确认，检查后直接执行
+ *    - 新建和覆盖的歌词文件记录到操作日志，可用 undo.js 撤销
  * 使用方法:
  *    node download_lyrics.js [目标目录] [选项]
  * 选项:
  *    --apply      直接执行模式（跳过确认）
  *    --overwrite  覆盖已有的 .lrc 文件
  *    --limit N    只处理前 N 个文件
+ *    --translate        同时获取翻译/音译，按时间标签合并到 .lrc (原文下一行)
+ *    --translate-files  同时获取翻译/音译，分别保存为 .zh.lrc / .roma.lrc
+ *                       (音译目前只有网易云提供，QQ音乐的歌词没有音译)
+ *    --no-duration-check  不校验歌词与音频时长
  *    -y           自动确认执行
+ *    --record     录制网络响应到离线数据目录 (fixtures/http)
+ *    --replay     使用录制的离线数据，不联网
  * 示例:
  *    node download_lyrics.js "/path/to/music"              # 检查并询问
  *    node download_lyrics.js "/path/to/music" --apply      # 直接执行
@@ -23,9 +33,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const readline = require('readline');
+const { parseFileName } = require('./lib/filename_parser');
+const { rankMatches, withLocalInfo } = require('./lib/matching');
+const { LRC_VARIANTS, validateLrc, normalizeLrc, normalizeVariant, mergeLrc, checkDuration } = require('./lib/lrc');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const providers = require('./lib/providers');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -33,12 +47,21 @@ const readline = require('readline');
 
 const AUDIO_EXTENSIONS = /\.(mp3|m4a|flac|wav|ogg|aac|ape|wma|dff|dsf)$/i;
 
+// 匹配分数低于此值的结果不尝试获取歌词
+const MIN_MATCH_SCORE = 20;
+
+// 歌词无效或时长不符时，最多依次尝试的搜索结果数
+const MAX_CANDIDATES = 3;
+
 // 解析命令行参数
 const args = process.argv.slice(2);
 const targetDir = args.find(a => !a.startsWith('--') && !a.startsWith('-')) || process.cwd();
 const forceApply = args.includes('--apply');
 const overwrite = args.includes('--overwrite');
 const autoYes = args.includes('-y');
+const translate = args.includes('--translate');
+const translateFiles = args.includes('--translate-files');
+const durationCheck = !args.includes('--no-duration-check');
 const limitArg = args.find(a => a.startsWith('--limit'));
 const limit = limitArg ? parseInt(args[args.indexOf(limitArg) + 1]) || 0 : 0;
 
@@ -102,318 +125,97 @@ function hasLrcFile(audioPath) {
 }
 
 /**
- * 获取 .lrc 文件路径
+ * 获取 .lrc 文件路径，variant 为 translation / romanization 时返回 .zh.lrc / .roma.lrc
  */
-function getLrcPath(audioPath) {
+function getLrcPath(audioPath, variant = null) {
     const dir = path.dirname(audioPath);
     const baseName = path.basename(audioPath, path.extname(audioPath));
-    return path.join(dir, `${baseName}.lrc`);
+    const suffix = variant ? LRC_VARIANTS[variant] : '';
+    return path.join(dir, `${baseName}${suffix}.lrc`);
 }
 
 /**
- * 智能解析文件名，提取歌曲名和艺术家
+ * 获取歌词；需要翻译时同时获取翻译/音译
+ * @returns {{ lyric, translation, romanization }|null}
  */
-function parseFileName(fileName) {
-    // 去掉扩展名
-    let name = path.basename(fileName, path.extname(fileName));
-
-    // 保存原始名称
-    const original = name;
-
-    // 去掉常见前缀（数字编号）
-    name = name.replace(/^\d+[\.\-_\s]+/, '');
-    name = name.replace(/^\[\d+\]\s*/, '');
-
-    // 去掉常见后缀标记
-    const suffixPatterns = [
-        /\s*[\(\[【（]?(live|现场|演唱会|伴奏|纯音乐|remix|cover|翻唱|原唱|高清|无损|flac|mp3|320k|128k)[\)\]】）]?\s*$/gi,
-        /\s*-\s*(live|现场|伴奏)$/gi
-    ];
-    suffixPatterns.forEach(p => { name = name.replace(p, ''); });
-
-    // 去掉括号内容（feat 除外）
-    name = name.replace(/\s*[\(\[【（](?!feat|ft)[^\)\]】）]*[\)\]】）]\s*/gi, ' ');
-    name = name.replace(/\s*[\(\[【（](feat\.?|ft\.?)[^\)\]】）]*[\)\]】）]\s*/gi, ' ');
-
-    // 尝试各种分隔符拆分
-    const separators = [' - ', ' – ', ' — ', '-', '_'];
-    let artist = null;
-    let title = null;
-
-    for (const sep of separators) {
-        if (name.includes(sep)) {
-            const parts = name.split(sep).map(s => s.trim()).filter(s => s);
-            if (parts.length >= 2) {
-                // 默认格式：艺术家 - 歌曲名
-                artist = parts[0];
-                title = parts.slice(1).join(' ');
-                break;
-            }
-        }
-    }
-
-    // 如果没有分隔符，整个作为歌曲名
-    if (!title) {
-        title = name.trim();
-    }
-
-    // 清理多余空格
-    title = title?.replace(/\s+/g, ' ').trim();
-    artist = artist?.replace(/\s+/g, ' ').trim();
-
-    return { title, artist, original };
+async function fetchLyricSet(match) {
+    if (translate || translateFiles) return providers.getLyricSet(match);
+    const lyric = await providers.getLyrics(match);
+    return lyric ? { lyric, translation: null, romanization: null } : null;
 }
 
 /**
- * HTTP GET 请求
+ * 生成单独保存的翻译/音译文件，已存在的不覆盖 (除非 --overwrite)
  */
-function httpGet(url, headers = {}) {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const client = urlObj.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: urlObj.hostname,
-            port: urlObj.port,
-            path: urlObj.pathname + urlObj.search,
-            method: 'GET',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                ...headers
-            }
-        };
-
-        const req = client.request(options, (res) => {
-            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                return httpGet(res.headers.location, headers).then(resolve).catch(reject);
-            }
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-            res.on('error', reject);
-        });
-
-        req.on('error', reject);
-        req.end();
-    });
+function variantFiles(audioPath, set) {
+    return Object.keys(LRC_VARIANTS)
+        .map(variant => ({ path: getLrcPath(audioPath, variant), content: normalizeVariant(set[variant]) }))
+        .filter(f => f.content && (overwrite || !fs.existsSync(f.path)));
 }
 
 /**
- * 延时函数
+ * 写入歌词文件并记录到操作日志 (覆盖时记录原内容)
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function writeLyricFile(filePath, content, journal) {
+    const data = Buffer.from(content, 'utf-8');
+    if (fs.existsSync(filePath)) {
+        const old = fs.readFileSync(filePath);
+        fs.writeFileSync(filePath, data);
+        journal.recordWrite(filePath, old, data);
+    } else {
+        fs.writeFileSync(filePath, data);
+        journal.recordCreate(filePath);
+    }
 }
 
 // ---------------------------------------------------------
-// 3. 歌词 API
+// 3. 歌词处理
 // ---------------------------------------------------------
 
 /**
- * QQ音乐搜索歌曲
- */
-async function searchQQMusic(title, artist = null) {
-    try {
-        let searchTerm = title;
-        if (artist) {
-            searchTerm = `${artist} ${title}`;
-        }
-
-        const url = `https://c.y.qq.com/soso/fcgi-bin/client_search_cp?w=${encodeURIComponent(searchTerm)}&format=json&n=5`;
-        const response = await httpGet(url);
-
-        let data;
-        if (response.startsWith('callback')) {
-            data = JSON.parse(response.slice(9, -1));
-        } else {
-            data = JSON.parse(response);
-        }
-
-        const songs = data?.data?.song?.list || [];
-        return songs.map(s => ({
-            source: 'QQ音乐',
-            title: s.songname,
-            artist: s.singer?.map(x => x.name).join('/') || '',
-            songmid: s.songmid
-        }));
-    } catch (e) {
-        return [];
-    }
-}
-
-/**
- * QQ音乐获取歌词
- */
-async function getQQLyrics(songmid) {
-    try {
-        const url = `https://c.y.qq.com/lyric/fcgi-bin/fcg_query_lyric_new.fcg?songmid=${songmid}&format=json&nobase64=1`;
-        const response = await httpGet(url, {
-            'Referer': 'https://y.qq.com/'
-        });
-
-        let data;
-        if (response.startsWith('MusicJsonCallback')) {
-            const jsonStr = response.replace(/^MusicJsonCallback\(/, '').replace(/\)$/, '');
-            data = JSON.parse(jsonStr);
-        } else {
-            data = JSON.parse(response);
-        }
-
-        if (data.lyric) {
-            // QQ音乐歌词是 base64 编码的
-            let lyric = data.lyric;
-            if (!lyric.startsWith('[')) {
-                try {
-                    lyric = Buffer.from(lyric, 'base64').toString('utf-8');
-                } catch (e) {}
-            }
-            return lyric;
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
-
-/**
- * 网易云搜索歌曲
- */
-async function searchNetease(title, artist = null) {
-    try {
-        let searchTerm = title;
-        if (artist) {
-            searchTerm = `${artist} ${title}`;
-        }
-
-        const url = `https://music.163.com/api/search/get?s=${encodeURIComponent(searchTerm)}&type=1&limit=5`;
-        const response = await httpGet(url, { 'Referer': 'https://music.163.com' });
-        const data = JSON.parse(response);
-
-        if (data.code !== 200) return [];
-
-        const songs = data?.result?.songs || [];
-        return songs.map(s => ({
-            source: '网易云',
-            title: s.name,
-            artist: s.artists?.map(a => a.name).join('/') || '',
-            songId: s.id
-        }));
-    } catch (e) {
-        return [];
-    }
-}
-
-/**
- * 网易云获取歌词
+ * 验证歌词有效性 (纯音乐、只有作词作曲信息、没有时间标签、行数太少的视为无效)
  */
-async function getNeteaseLyrics(songId) {
-    try {
-        const url = `https://music.163.com/api/song/lyric?id=${songId}&lv=1&tv=1`;
-        const response = await httpGet(url, { 'Referer': 'https://music.163.com' });
-        const data = JSON.parse(response);
-
-        if (data.lrc && data.lrc.lyric) {
-            return data.lrc.lyric;
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
-
-/**
- * 标准化字符串用于比较
- */
-function normalize(s) {
-    return s?.toLowerCase().replace(/[^\w\u4e00-\u9fa5]/g, '') || '';
-}
-
-/**
- * 计算匹配分数
- */
-function calculateMatchScore(parsed, result) {
-    let score = 0;
-
-    const parsedTitle = normalize(parsed.title);
-    const parsedArtist = normalize(parsed.artist);
-    const resultTitle = normalize(result.title);
-    const resultArtist = normalize(result.artist);
-
-    // 标题匹配
-    if (parsedTitle && resultTitle) {
-        if (parsedTitle === resultTitle) score += 50;
-        else if (resultTitle.includes(parsedTitle) || parsedTitle.includes(resultTitle)) score += 30;
-    }
-
-    // 艺术家匹配
-    if (parsedArtist && resultArtist) {
-        if (parsedArtist === resultArtist) score += 40;
-        else if (resultArtist.includes(parsedArtist) || parsedArtist.includes(resultArtist)) score += 20;
-    }
-
-    return score;
+function isValidLyric(lyric) {
+    return validateLrc(lyric).valid;
 }
 
 /**
- * 搜索歌词（多数据源）
+ * 清理歌词格式: 解码 HTML 实体，输出统一的 LRC 格式 (应用 offset、按时间排序)
  */
-async function searchLyrics(title, artist = null) {
-    // 并行搜索
-    const [qqResults, neteaseResults] = await Promise.all([
-        searchQQMusic(title, artist),
-        searchNetease(title, artist)
-    ]);
-
-    return [...qqResults, ...neteaseResults];
+function cleanLyric(lyric) {
+    return normalizeLrc(lyric);
 }
 
 /**
- * 获取歌词内容
+ * 从搜索结果中选出歌词: 按匹配分数依次尝试，跳过无效歌词和时长不符的版本
+ * 时长校验为低可信度的结果作为备选，没有时长相符的结果时采用
+ * @param {Object} parsed 文件名解析结果 (可含本地时长和专辑，见 withLocalInfo)
+ * @param {Array} results 搜索结果
+ * @param {number} localDuration 本地音频时长 (秒，0 表示不校验)
+ * @returns {{ match, score, set, lyric, check, rejected }}
+ *          没有可用歌词时 match 为 null；rejected 为因时长不符跳过的结果
  */
-async function getLyrics(song) {
-    if (song.source === 'QQ音乐' && song.songmid) {
-        return await getQQLyrics(song.songmid);
-    } else if (song.source === '网易云' && song.songId) {
-        return await getNeteaseLyrics(song.songId);
+async function chooseLyric(parsed, results, localDuration) {
+    const candidates = rankMatches(parsed, results)
+        .filter(c => c.score >= MIN_MATCH_SCORE)
+        .slice(0, MAX_CANDIDATES);
+    const rejected = [];
+    let fallback = null;
+
+    for (const { match, score } of candidates) {
+        // 获取歌词内容，规范化后再校验
+        const set = await fetchLyricSet(match);
+        const lyric = cleanLyric(set && set.lyric);
+        if (!isValidLyric(lyric)) continue;
+
+        const check = checkDuration(lyric, { local: localDuration, provider: match.duration });
+        const choice = { match, score, set, lyric, check, rejected };
+        if (check.status === 'ok') return choice;
+        if (check.status === 'low') fallback = fallback || choice;
+        else rejected.push({ match, reasons: check.reasons });
     }
-    return null;
-}
-
-/**
- * 验证歌词有效性
- */
-function isValidLyric(lyric) {
-    if (!lyric) return false;
-    // 检查是否有时间标签
-    if (!lyric.includes('[')) return false;
-    // 检查是否是纯音乐
-    if (lyric.includes('纯音乐') && lyric.length < 100) return false;
-    if (lyric.includes('此歌曲为没有填词的纯音乐')) return false;
-    // 检查内容长度
-    const lines = lyric.split('\n').filter(l => l.match(/\[\d+:\d+/));
-    return lines.length >= 3;
-}
 
-/**
- * 清理歌词格式
- */
-function cleanLyric(lyric) {
-    if (!lyric) return null;
-
-    // 解码 HTML 实体
-    lyric = lyric
-        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&apos;/g, "'");
-
-    // 去掉多余的空行
-    lyric = lyric.replace(/\n{3,}/g, '\n\n');
-
-    return lyric.trim();
+    return fallback || { match: null, rejected };
 }
 
 // ---------------------------------------------------------
@@ -424,6 +226,8 @@ async function run() {
     console.log(`\n🎵 歌词下载工具`);
     console.log(`📂 扫描目录: ${targetDir}`);
     if (overwrite) console.log(`⚠️  覆盖模式: 将覆盖已有 .lrc 文件`);
+    if (translate) console.log(`🌐 双语模式: 翻译/音译按时间合并到 .lrc`);
+    if (translateFiles) console.log(`🌐 双语模式: 翻译/音译保存为 .zh.lrc / .roma.lrc`);
     console.log('─'.repeat(60));
 
     if (!fs.existsSync(targetDir)) {
@@ -472,6 +276,8 @@ async function run() {
     // 搜索歌词
     console.log('\n⏳ 正在搜索歌词...');
     const plans = [];
+    const mismatched = [];
+    const index = openIndex();
     let searchCount = 0;
 
     for (const item of needLyrics) {
@@ -483,42 +289,31 @@ async function run() {
         }
 
         // 搜索歌曲
-        const results = await searchLyrics(parsed.title, parsed.artist);
-
-        if (results.length > 0) {
-            // 计算匹配分数，选最佳
-            let bestMatch = results[0];
-            let bestScore = calculateMatchScore(parsed, results[0]);
-
-            for (let i = 1; i < results.length; i++) {
-                const score = calculateMatchScore(parsed, results[i]);
-                if (score > bestScore || (score === bestScore && results[i].source === 'QQ音乐')) {
-                    bestScore = score;
-                    bestMatch = results[i];
-                }
-            }
-
-            // 只有分数足够才尝试获取歌词
-            if (bestScore >= 20) {
-                // 获取歌词内容
-                const lyric = await getLyrics(bestMatch);
-
-                if (isValidLyric(lyric)) {
-                    plans.push({
-                        file,
-                        lrcPath: getLrcPath(file),
-                        hasExisting: item.hasExisting,
-                        lyric: cleanLyric(lyric),
-                        matchScore: bestScore,
-                        matchSource: bestMatch.source,
-                        matchInfo: `${bestMatch.artist} - ${bestMatch.title}`
-                    });
-                }
-            }
-        }
+        const results = await providers.search(parsed.title, parsed.artist, { capability: 'lyrics' });
 
-        // 延迟避免请求过快
-        await delay(150);
+        // 补充本地时长和专辑用于打分，按匹配分数依次尝试，校验歌词内容和时长
+        const local = withLocalInfo(parsed, await index.getMetadata(file));
+        const choice = await chooseLyric(local, results, durationCheck ? local.duration : 0);
+
+        if (choice.match) {
+            const { match, set, lyric } = choice;
+            const hasTranslation = Boolean(set.translation || set.romanization);
+            plans.push({
+                file,
+                lrcPath: getLrcPath(file),
+                hasExisting: item.hasExisting,
+                lyric: translate && hasTranslation ? mergeLrc(lyric, [set.translation, set.romanization]) : lyric,
+                hasTranslation,
+                extraFiles: translateFiles ? variantFiles(file, set) : [],
+                matchScore: choice.score,
+                matchSource: match.source,
+                matchInfo: `${match.artist} - ${match.title}`,
+                lowConfidence: choice.check.status === 'low',
+                checkReasons: choice.check.reasons
+            });
+        } else if (choice.rejected.length > 0) {
+            mismatched.push({ file, rejected: choice.rejected });
+        }
 
         searchCount++;
         if (searchCount % 5 === 0 || searchCount === needLyrics.length) {
@@ -526,6 +321,18 @@ async function run() {
         }
     }
     console.log('\n');
+    index.save();
+
+    if (mismatched.length > 0) {
+        console.log(`⏭️  时长不符跳过 (${mismatched.length} 个，可能是 Live / Remix 等其他版本):`);
+        mismatched.slice(0, 10).forEach(item => {
+            const { match, reasons } = item.rejected[0];
+            console.log(`   ${path.relative(targetDir, item.file)}`);
+            console.log(`      ${match.source}: ${match.artist} - ${match.title} | ${reasons.join('; ')}`);
+        });
+        if (mismatched.length > 10) console.log(`   ... 还有 ${mismatched.length - 10} 个`);
+        console.log('');
+    }
 
     if (plans.length === 0) {
         console.log('😕 未能匹配到任何歌词');
@@ -545,7 +352,10 @@ async function run() {
         console.log(`\n${idx + 1}. ${relPath}`);
         console.log(`   🔍 匹配: ${plan.matchInfo}`);
         console.log(`   📡 来源: ${plan.matchSource} | 分数: ${plan.matchScore}`);
+        if (plan.lowConfidence) console.log(`   ⚠️  低可信度: ${plan.checkReasons.join('; ')}`);
         console.log(`   📝 保存: ${lrcRelPath}${plan.hasExisting ? ' (覆盖)' : ''}`);
+        if (translate) console.log(`   🌐 翻译: ${plan.hasTranslation ? '已合并到歌词' : '无'}`);
+        plan.extraFiles.forEach(f => console.log(`   🌐 保存: ${path.relative(targetDir, f.path)}`));
 
         // 显示歌词预览
         const previewLines = plan.lyric.split('\n').slice(0, 3).join(' | ');
@@ -556,7 +366,8 @@ async function run() {
     // 执行或提示
     // ---------------------------------------------------------
     console.log('\n' + '═'.repeat(60));
-    console.log(`📊 统计: 将下载 ${plans.length} 个歌词文件`);
+    const extraCount = plans.reduce((sum, plan) => sum + plan.extraFiles.length, 0);
+    console.log(`📊 统计: 将下载 ${plans.length} 个歌词文件${extraCount > 0 ? `，${extraCount} 个翻译/音译文件` : ''}`);
     console.log('═'.repeat(60));
 
     // 询问确认或直接执行
@@ -577,6 +388,7 @@ async function run() {
 
     // 执行下载
     console.log('\n⏳ 正在保存歌词文件...');
+    const journal = openJournal('download_lyrics');
     let successCount = 0;
     let failCount = 0;
 
@@ -587,7 +399,8 @@ async function run() {
         process.stdout.write(`\r   保存中: ${i + 1}/${plans.length}`);
 
         try {
-            fs.writeFileSync(plan.lrcPath, plan.lyric, 'utf-8');
+            writeLyricFile(plan.lrcPath, plan.lyric, journal);
+            plan.extraFiles.forEach(f => writeLyricFile(f.path, f.content, journal));
             successCount++;
         } catch (e) {
             failCount++;
@@ -602,12 +415,31 @@ async function run() {
     if (failCount > 0) {
         console.log(`   失败: ${failCount} 个文件`);
     }
+    journal.finish();
+
+    // 低可信度的歌词列出来供人工检查
+    const lowConfidence = plans.filter(plan => plan.lowConfidence);
+    if (lowConfidence.length > 0) {
+        console.log(`\n⚠️  低可信度歌词 (${lowConfidence.length} 个，建议人工检查):`);
+        lowConfidence.forEach(plan => {
+            console.log(`   ${path.relative(targetDir, plan.lrcPath)}`);
+            console.log(`      ${plan.checkReasons.join('; ')}`);
+        });
+    }
 }
 
 // ---------------------------------------------------------
 // 执行
 // ---------------------------------------------------------
-run().catch(err => {
-    console.error('❌ 运行出错:', err.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    run().catch(err => {
+        console.error('❌ 运行出错:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    isValidLyric,
+    cleanLyric,
+    chooseLyric
+};
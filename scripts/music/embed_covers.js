@@ -1,28 +1,44 @@
 /**
  * 脚本名称: Embed Covers (封面嵌入工具)
- * 功能描述: 将同名 .jpg 封面嵌入到 WAV 音频文件中
- * 技术实现: 使用 RIFF "ID3 " 子块嵌入 ID3v2.4 标签
+ * 功能描述: 将同名 .jpg / .png / .webp 封面嵌入到 WAV / M4A / DSF / DFF 音频文件中
+ *    - 短边低于 --min-size 或无法识别的封面跳过
+ *    - 嵌入前规范化 (lib/cover_image): 长边超过 --max-size 的缩小，PNG/WebP/渐进式 JPEG 转为基线 JPEG，去除 EXIF
+ *      (缩小和转换格式需要 ffmpeg，未安装时按原图嵌入)；同名图片文件本身不修改
+ * 技术实现:
+ *    - WAV: 写入 RIFF "ID3 " 子块的 APIC 帧 (lib/tags/wav，保留已有的歌词等帧)
+ *    - M4A: 写入 iTunes 封面原子 (covr)
+ *    - DSF/DFF: 写入文件末尾 ID3v2 标签的 APIC 帧
  * 使用方法:
  *    node embed_covers.js [目标目录] [选项]
  * 选项:
  *    -y           自动确认执行
  *    --limit N    只处理前 N 个文件
  *    --overwrite  覆盖已有封面
+ *    --min-size N 短边低于 N 像素的封面不嵌入 (默认 300)
+ *    --max-size N 长边超过 N 像素的封面缩小后嵌入 (默认 1500，0 表示不缩小)
  * 示例:
  *    node embed_covers.js "/path/to/music"       # 检查并询问
  *    node embed_covers.js "/path/to/music" -y    # 自动确认执行
+ *    node embed_covers.js "/path/to/music" --max-size 1000   # 车机只支持较小的封面
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { execSync } = require('child_process');
+const { openJournal } = require('./lib/journal');
+const {
+    MIN_COVER_SIZE, MAX_COVER_SIZE, inspectImage, coverProblems, describeProblems, fitSize, normalizeCover, describeChanges
+} = require('./lib/cover_image');
+const mp4 = require('./lib/tags/mp4');
+const { id3Module } = require('./lib/tags/formats');
 
 // ---------------------------------------------------------
 // 配置
 // ---------------------------------------------------------
 
-const AUDIO_EXTENSIONS = /\.(wav)$/i;
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const AUDIO_EXTENSIONS = /\.(wav|m4a|dsf|dff)$/i;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
 
 const args = process.argv.slice(2);
 const targetDir = args.find(a => !a.startsWith('--') && !a.startsWith('-')) || process.cwd();
@@ -30,11 +46,29 @@ const autoYes = args.includes('-y');
 const overwrite = args.includes('--overwrite');
 const limitArg = args.find(a => a.startsWith('--limit'));
 const limit = limitArg ? parseInt(args[args.indexOf(limitArg) + 1]) || 0 : 0;
+const minSize = numberOption('--min-size', MIN_COVER_SIZE);
+const maxSize = numberOption('--max-size', MAX_COVER_SIZE);
 
 // ---------------------------------------------------------
 // 工具函数
 // ---------------------------------------------------------
 
+function numberOption(name, defaultValue) {
+    const index = args.indexOf(name);
+    if (index === -1) return defaultValue;
+    const value = parseInt(args[index + 1]);
+    return isNaN(value) ? defaultValue : value;
+}
+
+function hasFfmpeg() {
+    try {
+        execSync('which ffmpeg', { stdio: 'pipe' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 function createRL() {
     return readline.createInterface({
         input: process.stdin,
@@ -84,186 +118,50 @@ function findCoverFile(audioPath) {
     return null;
 }
 
+function isM4a(audioPath) {
+    return path.extname(audioPath).toLowerCase() === '.m4a';
+}
+
 /**
- * 检查 WAV 文件是否已有嵌入封面
- * 通过查找 RIFF "ID3 " 子块来判断
+ * 检查音频文件是否已有嵌入封面
+ * M4A 检查 covr 原子，WAV/DSF/DFF 检查 ID3 中的 APIC 帧
  */
 function hasEmbeddedCover(audioPath) {
     try {
-        const buf = fs.readFileSync(audioPath);
-
-        // 检查 RIFF 头
-        if (buf.toString('ascii', 0, 4) !== 'RIFF') return false;
-
-        // 遍历 RIFF 块查找 ID3 子块
-        let offset = 12; // 跳过 RIFF 头 (RIFF + size + WAVE)
-        while (offset < buf.length - 8) {
-            const chunkId = buf.toString('ascii', offset, offset + 4);
-            const chunkSize = buf.readUInt32LE(offset + 4);
-
-            if (chunkId === 'ID3 ') {
-                // 检查 ID3 数据中是否有 APIC 帧
-                const id3Start = offset + 8;
-                if (buf.toString('ascii', id3Start, id3Start + 3) === 'ID3') {
-                    // 简单检查是否包含 APIC
-                    const id3Data = buf.slice(id3Start, id3Start + chunkSize);
-                    return id3Data.includes(Buffer.from('APIC'));
-                }
-            }
-
-            offset += 8 + chunkSize;
-            // RIFF 块需要 2 字节对齐
-            if (chunkSize % 2 !== 0) offset++;
-        }
-        return false;
+        if (isM4a(audioPath)) return mp4.readTags(audioPath).covers.length > 0;
+        return Boolean(id3Module(audioPath).readTags(audioPath).image);
     } catch (e) {
         return false;
     }
 }
 
 /**
- * 创建 ID3v2.4 标签 (仅包含 APIC 帧)
- */
-function createID3v24Tag(coverBuffer) {
-    // APIC 帧数据: 4 字节填充 + 图片数据
-    // 简化版本: 直接使用 4 字节前缀 + 图片数据
-    const apicData = Buffer.concat([
-        Buffer.from([0x00, 0x00, 0x00, 0x00]), // 简化的 APIC 前缀
-        coverBuffer
-    ]);
-
-    // APIC 帧头
-    const frameId = Buffer.from('APIC');
-    const frameSize = Buffer.alloc(4);
-    // ID3v2.4 使用 syncsafe 整数
-    const size = apicData.length;
-    frameSize[0] = (size >> 21) & 0x7F;
-    frameSize[1] = (size >> 14) & 0x7F;
-    frameSize[2] = (size >> 7) & 0x7F;
-    frameSize[3] = size & 0x7F;
-    const frameFlags = Buffer.from([0x00, 0x00]);
-
-    const apicFrame = Buffer.concat([frameId, frameSize, frameFlags, apicData]);
-
-    // ID3 头
-    const id3Header = Buffer.alloc(10);
-    id3Header.write('ID3');
-    id3Header[3] = 0x04; // 版本 2.4
-    id3Header[4] = 0x00; // 修订版
-    id3Header[5] = 0x00; // 标志
-
-    // ID3 大小 (syncsafe)
-    const totalSize = apicFrame.length;
-    id3Header[6] = (totalSize >> 21) & 0x7F;
-    id3Header[7] = (totalSize >> 14) & 0x7F;
-    id3Header[8] = (totalSize >> 7) & 0x7F;
-    id3Header[9] = totalSize & 0x7F;
-
-    return Buffer.concat([id3Header, apicFrame]);
-}
-
-/**
- * 移除 WAV 文件中已有的 ID3 数据
- * 处理多种情况：
- * 1. ID3 在文件开头（node-id3 破坏的情况）
- * 2. ID3 作为 RIFF 子块
- * 3. ID3 直接追加在文件末尾（不在 RIFF 块内）
+ * 读取要嵌入的封面: 规范化后的 JPEG；不需要处理或无法转码时为原图
  */
-function removeExistingID3Chunk(wavBuf) {
-    // 情况1: 检查是否以 ID3 开头 (被 node-id3 破坏的情况)
-    if (wavBuf.toString('ascii', 0, 3) === 'ID3') {
-        // 解析 ID3 大小 (syncsafe integer)
-        const size = (wavBuf[6] << 21) | (wavBuf[7] << 14) | (wavBuf[8] << 7) | wavBuf[9];
-        const totalID3Size = 10 + size;
-        if (wavBuf.toString('ascii', totalID3Size, totalID3Size + 4) === 'RIFF') {
-            wavBuf = wavBuf.slice(totalID3Size);
-        }
-    }
-
-    // 验证 RIFF 格式
-    if (wavBuf.toString('ascii', 0, 4) !== 'RIFF') {
-        return wavBuf;
-    }
-
-    // 遍历 RIFF 块，找到 data 块结束位置，并收集非 ID3 块
-    const chunks = [];
-    let offset = 12;
-    let dataChunkEnd = 0;
-
-    while (offset < wavBuf.length - 8) {
-        const chunkId = wavBuf.toString('ascii', offset, offset + 4);
-        const chunkSize = wavBuf.readUInt32LE(offset + 4);
-
-        // 检查是否是有效的 RIFF 块（块 ID 应该是可打印 ASCII）
-        const isValidChunk = /^[\x20-\x7e]{4}$/.test(chunkId);
-        if (!isValidChunk || chunkSize > wavBuf.length - offset) {
-            // 遇到无效块，停止解析（可能是追加的原始 ID3 数据）
-            break;
-        }
-
-        if (chunkId !== 'ID3 ') {
-            // 保留非 ID3 块
-            let chunkEnd = offset + 8 + chunkSize;
-            if (chunkSize % 2 !== 0) chunkEnd++; // 2 字节对齐
-            chunks.push(wavBuf.slice(offset, Math.min(chunkEnd, wavBuf.length)));
-
-            if (chunkId === 'data') {
-                dataChunkEnd = chunkEnd;
-            }
-        }
-
-        offset += 8 + chunkSize;
-        if (chunkSize % 2 !== 0) offset++;
+function prepareCover(task, canEncode) {
+    const data = fs.readFileSync(task.coverPath);
+    if (task.changes.length === 0 || (!canEncode && task.changes.some(c => c !== 'exif'))) {
+        return { mime: task.info.type === 'jpg' ? 'image/jpeg' : `image/${task.info.type}`, data };
     }
-
-    // 重建 WAV 文件（只保留有效的 RIFF 块）
-    const header = wavBuf.slice(0, 12); // RIFF + size + WAVE
-    const newData = Buffer.concat([header, ...chunks]);
-
-    // 更新 RIFF 大小
-    newData.writeUInt32LE(newData.length - 8, 4);
-
-    return newData;
+    return normalizeCover(data, { maxSize });
 }
 
 /**
- * 将封面嵌入 WAV 文件
- * 使用 RIFF "ID3 " 子块格式
+ * 将封面嵌入音频文件
+ * M4A 替换 covr 原子；WAV/DSF/DFF 写入 APIC 帧，与已有的歌词等帧合并
  */
-function embedCover(audioPath, coverPath) {
+function embedCover(audioPath, cover, journal) {
     try {
-        let wavBuf = fs.readFileSync(audioPath);
-        const coverBuf = fs.readFileSync(coverPath);
+        const { mime, data } = cover;
 
-        // 移除已有的 ID3 块
-        wavBuf = removeExistingID3Chunk(wavBuf);
-
-        // 验证 RIFF/WAVE 格式
-        if (wavBuf.toString('ascii', 0, 4) !== 'RIFF' ||
-            wavBuf.toString('ascii', 8, 12) !== 'WAVE') {
-            return { success: false, error: '不是有效的 WAV 文件' };
+        if (isM4a(audioPath)) {
+            mp4.writeTags(audioPath, { covers: [{ mime, data }] }, { journal });
+        } else {
+            id3Module(audioPath).writeTags(audioPath, {
+                image: { mime, type: { id: 3, name: 'front cover' }, description: 'Cover', imageBuffer: data }
+            }, { journal });
         }
-
-        // 创建 ID3v2.4 标签
-        const id3Tag = createID3v24Tag(coverBuf);
-
-        // 创建 RIFF "ID3 " 子块
-        const id3ChunkId = Buffer.from('ID3 '); // 4 字节，包含尾随空格
-        const id3ChunkSize = Buffer.alloc(4);
-        id3ChunkSize.writeUInt32LE(id3Tag.length);
-        const id3Chunk = Buffer.concat([id3ChunkId, id3ChunkSize, id3Tag]);
-
-        // 合并 WAV + ID3 块
-        let newBuf = Buffer.concat([wavBuf, id3Chunk]);
-
-        // 更新 RIFF 头的大小字段
-        const newRiffSize = newBuf.length - 8;
-        newBuf.writeUInt32LE(newRiffSize, 4);
-
-        // 写入文件
-        fs.writeFileSync(audioPath, newBuf);
-
-        return { success: true, coverSize: coverBuf.length };
+        return { success: true, coverSize: data.length };
     } catch (e) {
         return { success: false, error: e.message };
     }
@@ -274,9 +172,10 @@ function embedCover(audioPath, coverPath) {
 // ---------------------------------------------------------
 
 async function run() {
-    console.log(`\n🖼️  封面嵌入工具 (RIFF ID3 子块方式)`);
+    console.log(`\n🖼️  封面嵌入工具 (WAV: RIFF ID3 子块 / M4A: covr / DSF、DFF: ID3)`);
     console.log(`📂 扫描目录: ${targetDir}`);
     if (overwrite) console.log(`⚠️  覆盖模式: 将覆盖已有封面`);
+    console.log(`📐 封面尺寸: 短边不低于 ${minSize}px${maxSize > 0 ? `，长边超过 ${maxSize}px 的缩小` : ''}`);
     console.log('─'.repeat(60));
 
     if (!fs.existsSync(targetDir)) {
@@ -285,7 +184,7 @@ async function run() {
     }
 
     // 扫描音频文件
-    console.log('\n⏳ 正在扫描 WAV 文件...');
+    console.log('\n⏳ 正在扫描 WAV / M4A / DSD 文件...');
     let audioFiles = findAudioFiles(targetDir);
 
     if (limit > 0) {
@@ -294,30 +193,51 @@ async function run() {
     }
 
     if (audioFiles.length === 0) {
-        console.log('\n✨ 未找到 WAV 文件');
+        console.log('\n✨ 未找到 WAV / M4A / DSD 文件');
         return;
     }
 
-    console.log(`   发现 ${audioFiles.length} 个 WAV 文件`);
+    console.log(`   发现 ${audioFiles.length} 个音频文件`);
 
     // 筛选需要处理的文件
     console.log('\n⏳ 正在检查封面...');
     const tasks = [];
+    const rejected = [];
+    const coverInfos = new Map();
 
     for (const file of audioFiles) {
         const coverPath = findCoverFile(file);
         const hasEmbedded = hasEmbeddedCover(file);
 
         if (coverPath && (!hasEmbedded || overwrite)) {
+            // 同一张封面可能对应多首歌 (同名的 .wav 和 .m4a)，只读取一次
+            if (!coverInfos.has(coverPath)) coverInfos.set(coverPath, inspectImage(fs.readFileSync(coverPath)));
+            const info = coverInfos.get(coverPath);
+            const problems = coverProblems(info, { minSize, maxSize });
+
+            if (problems.includes('corrupt') || problems.includes('small')) {
+                rejected.push({ file, coverPath, reason: describeProblems(problems.filter(p => p === 'corrupt' || p === 'small'), info) });
+                continue;
+            }
             tasks.push({
                 file,
                 coverPath,
-                coverSize: fs.statSync(coverPath).size,
+                coverSize: info.bytes,
+                info,
+                changes: problems,
                 hasExisting: hasEmbedded
             });
         }
     }
 
+    if (rejected.length > 0) {
+        console.log(`\n⚠️  跳过 ${rejected.length} 个不可用的封面:`);
+        rejected.slice(0, 10).forEach(r => {
+            console.log(`   - ${path.relative(targetDir, r.coverPath)}: ${r.reason}`);
+        });
+        if (rejected.length > 10) console.log(`   ... 还有 ${rejected.length - 10} 个`);
+    }
+
     if (tasks.length === 0) {
         console.log('\n✨ 所有文件都已嵌入封面，或没有可用的封面文件');
         return;
@@ -325,6 +245,13 @@ async function run() {
 
     console.log(`   发现 ${tasks.length} 个文件需要嵌入封面`);
 
+    // 缩小和转换格式需要 ffmpeg，只去除 EXIF 不需要
+    const needsEncode = tasks.filter(t => t.changes.some(c => c !== 'exif'));
+    const canEncode = needsEncode.length === 0 || hasFfmpeg();
+    if (!canEncode) {
+        console.log(`\n⚠️  未安装 ffmpeg，${needsEncode.length} 个需要缩小或转换格式的封面将按原图嵌入 (brew install ffmpeg)`);
+    }
+
     // 输出计划
     console.log('\n' + '═'.repeat(60));
     console.log('📋 嵌入计划');
@@ -334,8 +261,11 @@ async function run() {
         const relPath = path.relative(targetDir, task.file);
         const coverName = path.basename(task.coverPath);
         const sizeKB = (task.coverSize / 1024).toFixed(1);
+        const changes = task.changes.length > 0
+            ? ` → ${describeChanges(task.changes, task.info, fitSize(task.info.width, task.info.height, maxSize))}`
+            : '';
         console.log(`${idx + 1}. ${relPath}`);
-        console.log(`   🖼️  ${coverName} (${sizeKB} KB)${task.hasExisting ? ' (覆盖)' : ''}`);
+        console.log(`   🖼️  ${coverName} (${task.info.width}x${task.info.height}, ${sizeKB} KB)${changes}${task.hasExisting ? ' (覆盖)' : ''}`);
     });
 
     if (tasks.length > 15) {
@@ -343,7 +273,7 @@ async function run() {
     }
 
     console.log('\n' + '═'.repeat(60));
-    console.log(`📊 统计: 将为 ${tasks.length} 个 WAV 文件嵌入封面`);
+    console.log(`📊 统计: 将为 ${tasks.length} 个文件嵌入封面`);
     console.log('═'.repeat(60));
 
     // 询问确认
@@ -367,13 +297,19 @@ async function run() {
     let successCount = 0;
     let failCount = 0;
     const errors = [];
+    const journal = openJournal('embed_covers');
 
     for (let i = 0; i < tasks.length; i++) {
         const task = tasks[i];
 
         process.stdout.write(`\r   处理中: ${i + 1}/${tasks.length}`);
 
-        const result = embedCover(task.file, task.coverPath);
+        let result;
+        try {
+            result = embedCover(task.file, prepareCover(task, canEncode), journal);
+        } catch (e) {
+            result = { success: false, error: e.message };
+        }
 
         if (result.success) {
             successCount++;
@@ -395,6 +331,7 @@ async function run() {
             });
         }
     }
+    journal.finish();
 }
 
 // ---------------------------------------------------------
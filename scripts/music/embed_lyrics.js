@@ -1,7 +1,14 @@
 /**
  * 脚本名称: Embed Lyrics (歌词嵌入工具)
- * 功能描述: 将同名 .lrc 歌词嵌入到 WAV 音频文件中
- * 技术实现: 使用 RIFF "ID3 " 子块嵌入 ID3v2.4 标签 (USLT 帧)
+ * 功能描述: 将同名 .lrc 歌词嵌入到 MP3 / WAV / M4A / DSF / DFF 音频文件中
+ * 技术实现:
+ *    - MP3: 写入文件开头 ID3v2 标签的 SYLT + USLT 帧 (lib/tags/mp3)
+ *    - WAV: 写入 RIFF "ID3 " 子块的 SYLT + USLT 帧 (lib/tags/wav，保留已有的封面等帧)
+ *    - M4A: 写入 iTunes 歌词原子 (©lyr)
+ *    - DSF/DFF: 写入文件末尾 ID3v2 标签的 SYLT + USLT 帧
+ *    - 纯音乐、只有作词作曲信息的 .lrc 跳过 (lib/lrc 校验)
+ *    - SYLT 为同步歌词，由 LRC 时间标签转换为毫秒时间轴，增强型 LRC 的 <mm:ss.xx> 逐字时间按词写入；
+ *      USLT 保存完整的 LRC 文本，供不支持 SYLT 的播放器使用
  * 使用方法:
  *    node embed_lyrics.js [目标目录] [选项]
  * 选项:
@@ -16,12 +23,17 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { openJournal } = require('./lib/journal');
+const NodeID3 = require('node-id3');
+const { LRC_PROBLEMS, UNUSABLE_PROBLEMS, parseLrc, validateLrc, toSynchronisedText } = require('./lib/lrc');
+const mp4 = require('./lib/tags/mp4');
+const { id3Module } = require('./lib/tags/formats');
 
 // ---------------------------------------------------------
 // 配置
 // ---------------------------------------------------------
 
-const AUDIO_EXTENSIONS = /\.(wav)$/i;
+const AUDIO_EXTENSIONS = /\.(mp3|wav|m4a|dsf|dff)$/i;
 
 const args = process.argv.slice(2);
 const targetDir = args.find(a => !a.startsWith('--') && !a.startsWith('-')) || process.cwd();
@@ -81,259 +93,58 @@ function findLrcFile(audioPath) {
     return null;
 }
 
+function isM4a(audioPath) {
+    return path.extname(audioPath).toLowerCase() === '.m4a';
+}
+
 /**
- * 检查 WAV 文件是否已有嵌入歌词
- * 通过查找 RIFF "ID3 " 子块中的 USLT 帧来判断
+ * 检查音频文件是否已有嵌入歌词
+ * M4A 检查 ©lyr 原子，其他格式检查 ID3 中的 USLT / SYLT 帧
  */
 function hasEmbeddedLyrics(audioPath) {
     try {
-        const buf = fs.readFileSync(audioPath);
-
-        // 检查 RIFF 头
-        if (buf.toString('ascii', 0, 4) !== 'RIFF') return false;
-
-        // 遍历 RIFF 块查找 ID3 子块
-        let offset = 12; // 跳过 RIFF 头 (RIFF + size + WAVE)
-        while (offset < buf.length - 8) {
-            const chunkId = buf.toString('ascii', offset, offset + 4);
-            const chunkSize = buf.readUInt32LE(offset + 4);
-
-            if (chunkId === 'ID3 ') {
-                // 检查 ID3 数据中是否有 USLT 帧
-                const id3Start = offset + 8;
-                if (buf.toString('ascii', id3Start, id3Start + 3) === 'ID3') {
-                    const id3Data = buf.slice(id3Start, id3Start + chunkSize);
-                    return id3Data.includes(Buffer.from('USLT'));
-                }
-            }
-
-            offset += 8 + chunkSize;
-            // RIFF 块需要 2 字节对齐
-            if (chunkSize % 2 !== 0) offset++;
-        }
-        return false;
+        if (isM4a(audioPath)) return Boolean(mp4.readTags(audioPath).tags.lyrics);
+        const tags = id3Module(audioPath).readTags(audioPath);
+        return Boolean(tags.unsynchronisedLyrics || tags.synchronisedLyrics);
     } catch (e) {
         return false;
     }
 }
 
 /**
- * 从 WAV 文件中提取现有的 ID3 帧 (如 APIC)
- * 返回所有非 USLT 帧的 Buffer
- */
-function extractExistingFrames(wavBuf) {
-    const frames = [];
-
-    // 检查 RIFF 头
-    if (wavBuf.toString('ascii', 0, 4) !== 'RIFF') return frames;
-
-    // 遍历 RIFF 块查找 ID3 子块
-    let offset = 12;
-    while (offset < wavBuf.length - 8) {
-        const chunkId = wavBuf.toString('ascii', offset, offset + 4);
-        const chunkSize = wavBuf.readUInt32LE(offset + 4);
-
-        const isValidChunk = /^[\x20-\x7e]{4}$/.test(chunkId);
-        if (!isValidChunk || chunkSize > wavBuf.length - offset) break;
-
-        if (chunkId === 'ID3 ') {
-            const id3Start = offset + 8;
-            if (wavBuf.toString('ascii', id3Start, id3Start + 3) === 'ID3') {
-                // 解析 ID3 大小 (syncsafe)
-                const id3Size = (wavBuf[id3Start + 6] << 21) |
-                               (wavBuf[id3Start + 7] << 14) |
-                               (wavBuf[id3Start + 8] << 7) |
-                               wavBuf[id3Start + 9];
-
-                // 遍历 ID3 帧
-                let frameOffset = id3Start + 10;
-                while (frameOffset < id3Start + 10 + id3Size - 10) {
-                    const frameId = wavBuf.toString('ascii', frameOffset, frameOffset + 4);
-
-                    // 检查帧 ID 是否有效
-                    if (!/^[A-Z0-9]{4}$/.test(frameId)) break;
-
-                    // 读取帧大小 (syncsafe)
-                    const frameSize = (wavBuf[frameOffset + 4] << 21) |
-                                     (wavBuf[frameOffset + 5] << 14) |
-                                     (wavBuf[frameOffset + 6] << 7) |
-                                     wavBuf[frameOffset + 7];
-
-                    if (frameSize <= 0 || frameSize > id3Size) break;
-
-                    // 保留非 USLT 帧
-                    if (frameId !== 'USLT') {
-                        const frameData = wavBuf.slice(frameOffset, frameOffset + 10 + frameSize);
-                        frames.push(frameData);
-                    }
-
-                    frameOffset += 10 + frameSize;
-                }
-            }
-            break;
-        }
-
-        offset += 8 + chunkSize;
-        if (chunkSize % 2 !== 0) offset++;
-    }
-
-    return frames;
-}
-
-/**
- * 创建 USLT 帧 (Unsynchronized Lyrics)
- */
-function createUSLTFrame(lyrics) {
-    // USLT 帧数据格式:
-    // - 1 byte: 文本编码 (0x03 = UTF-8)
-    // - 3 bytes: 语言代码 (例如 "chi" 或 "XXX")
-    // - null-terminated: 内容描述符 (空字符串)
-    // - 歌词文本 (UTF-8)
-
-    const encoding = Buffer.from([0x03]); // UTF-8
-    const language = Buffer.from('XXX'); // 未指定语言
-    const descriptor = Buffer.from([0x00]); // 空描述符
-    const lyricsBuffer = Buffer.from(lyrics, 'utf-8');
-
-    const frameData = Buffer.concat([encoding, language, descriptor, lyricsBuffer]);
-
-    // 帧头
-    const frameId = Buffer.from('USLT');
-    const frameSize = Buffer.alloc(4);
-    // ID3v2.4 使用 syncsafe 整数
-    const size = frameData.length;
-    frameSize[0] = (size >> 21) & 0x7F;
-    frameSize[1] = (size >> 14) & 0x7F;
-    frameSize[2] = (size >> 7) & 0x7F;
-    frameSize[3] = size & 0x7F;
-    const frameFlags = Buffer.from([0x00, 0x00]);
-
-    return Buffer.concat([frameId, frameSize, frameFlags, frameData]);
-}
-
-/**
- * 创建 ID3v2.4 标签
+ * 由 LRC 生成 ID3 歌词帧: USLT 为完整 LRC 文本，SYLT 为毫秒时间轴
+ * 没有时间标签的歌词只写 USLT，并删除旧的 SYLT
  */
-function createID3v24Tag(frames) {
-    const allFrames = Buffer.concat(frames);
-
-    // ID3 头
-    const id3Header = Buffer.alloc(10);
-    id3Header.write('ID3');
-    id3Header[3] = 0x04; // 版本 2.4
-    id3Header[4] = 0x00; // 修订版
-    id3Header[5] = 0x00; // 标志
-
-    // ID3 大小 (syncsafe)
-    const totalSize = allFrames.length;
-    id3Header[6] = (totalSize >> 21) & 0x7F;
-    id3Header[7] = (totalSize >> 14) & 0x7F;
-    id3Header[8] = (totalSize >> 7) & 0x7F;
-    id3Header[9] = totalSize & 0x7F;
-
-    return Buffer.concat([id3Header, allFrames]);
+function buildLyricFrames(lrcContent) {
+    const { lines } = parseLrc(lrcContent);
+    const synchronisedText = toSynchronisedText(lines);
+
+    return {
+        unsynchronisedLyrics: { language: 'XXX', text: lrcContent },
+        synchronisedLyrics: synchronisedText.length > 0 ? [{
+            language: 'XXX',
+            timeStampFormat: NodeID3.TagConstants.TimeStampFormat.MILLISECONDS,
+            contentType: NodeID3.TagConstants.SynchronisedLyrics.ContentType.LYRICS,
+            shortText: '',
+            synchronisedText
+        }] : null
+    };
 }
 
 /**
- * 移除 WAV 文件中已有的 ID3 数据
+ * 将歌词嵌入音频文件
+ * M4A 写入 ©lyr 原子；其他格式写入 SYLT + USLT 帧，与已有的封面等帧合并
  */
-function removeExistingID3Chunk(wavBuf) {
-    // 情况1: 检查是否以 ID3 开头 (被破坏的情况)
-    if (wavBuf.toString('ascii', 0, 3) === 'ID3') {
-        const size = (wavBuf[6] << 21) | (wavBuf[7] << 14) | (wavBuf[8] << 7) | wavBuf[9];
-        const totalID3Size = 10 + size;
-        if (wavBuf.toString('ascii', totalID3Size, totalID3Size + 4) === 'RIFF') {
-            wavBuf = wavBuf.slice(totalID3Size);
-        }
-    }
-
-    // 验证 RIFF 格式
-    if (wavBuf.toString('ascii', 0, 4) !== 'RIFF') {
-        return wavBuf;
-    }
-
-    // 遍历 RIFF 块，收集非 ID3 块
-    const chunks = [];
-    let offset = 12;
-
-    while (offset < wavBuf.length - 8) {
-        const chunkId = wavBuf.toString('ascii', offset, offset + 4);
-        const chunkSize = wavBuf.readUInt32LE(offset + 4);
-
-        const isValidChunk = /^[\x20-\x7e]{4}$/.test(chunkId);
-        if (!isValidChunk || chunkSize > wavBuf.length - offset) {
-            break;
-        }
-
-        if (chunkId !== 'ID3 ') {
-            let chunkEnd = offset + 8 + chunkSize;
-            if (chunkSize % 2 !== 0) chunkEnd++;
-            chunks.push(wavBuf.slice(offset, Math.min(chunkEnd, wavBuf.length)));
-        }
-
-        offset += 8 + chunkSize;
-        if (chunkSize % 2 !== 0) offset++;
-    }
-
-    // 重建 WAV 文件
-    const header = wavBuf.slice(0, 12);
-    const newData = Buffer.concat([header, ...chunks]);
-    newData.writeUInt32LE(newData.length - 8, 4);
-
-    return newData;
-}
-
-/**
- * 将歌词嵌入 WAV 文件
- * 保留已有的 APIC 等帧
- */
-function embedLyrics(audioPath, lrcPath) {
+function embedLyrics(audioPath, lrcPath, journal) {
     try {
-        let wavBuf = fs.readFileSync(audioPath);
         const lrcContent = fs.readFileSync(lrcPath, 'utf-8');
 
-        // 提取已有的帧 (如 APIC)
-        const existingFrames = extractExistingFrames(wavBuf);
-
-        // 移除已有的 ID3 块
-        wavBuf = removeExistingID3Chunk(wavBuf);
-
-        // 验证 RIFF/WAVE 格式
-        if (wavBuf.toString('ascii', 0, 4) !== 'RIFF' ||
-            wavBuf.toString('ascii', 8, 12) !== 'WAVE') {
-            return { success: false, error: '不是有效的 WAV 文件' };
+        if (isM4a(audioPath)) {
+            mp4.writeTags(audioPath, { set: { lyrics: lrcContent } }, { journal });
+        } else {
+            id3Module(audioPath).writeTags(audioPath, buildLyricFrames(lrcContent), { journal });
         }
-
-        // 创建 USLT 帧
-        const usltFrame = createUSLTFrame(lrcContent);
-
-        // 合并所有帧 (保留的帧 + 新的 USLT)
-        const allFrames = [...existingFrames, usltFrame];
-
-        // 创建 ID3v2.4 标签
-        const id3Tag = createID3v24Tag(allFrames);
-
-        // 创建 RIFF "ID3 " 子块
-        const id3ChunkId = Buffer.from('ID3 ');
-        const id3ChunkSize = Buffer.alloc(4);
-        id3ChunkSize.writeUInt32LE(id3Tag.length);
-        const id3Chunk = Buffer.concat([id3ChunkId, id3ChunkSize, id3Tag]);
-
-        // 合并 WAV + ID3 块
-        let newBuf = Buffer.concat([wavBuf, id3Chunk]);
-
-        // 更新 RIFF 头的大小字段
-        const newRiffSize = newBuf.length - 8;
-        newBuf.writeUInt32LE(newRiffSize, 4);
-
-        // 写入文件
-        fs.writeFileSync(audioPath, newBuf);
-
-        return {
-            success: true,
-            lrcSize: lrcContent.length,
-            preservedFrames: existingFrames.length
-        };
+        return { success: true, lrcSize: lrcContent.length };
     } catch (e) {
         return { success: false, error: e.message };
     }
@@ -344,7 +155,7 @@ function embedLyrics(audioPath, lrcPath) {
 // ---------------------------------------------------------
 
 async function run() {
-    console.log(`\n🎤 歌词嵌入工具 (RIFF ID3 子块方式)`);
+    console.log(`\n🎤 歌词嵌入工具 (MP3、DSF、DFF: ID3 / WAV: RIFF ID3 子块 / M4A: ©lyr)`);
     console.log(`📂 扫描目录: ${targetDir}`);
     if (overwrite) console.log(`⚠️  覆盖模式: 将覆盖已有嵌入歌词`);
     console.log('─'.repeat(60));
@@ -355,7 +166,7 @@ async function run() {
     }
 
     // 扫描音频文件
-    console.log('\n⏳ 正在扫描 WAV 文件...');
+    console.log('\n⏳ 正在扫描 MP3 / WAV / M4A / DSD 文件...');
     let audioFiles = findAudioFiles(targetDir);
 
     if (limit > 0) {
@@ -364,15 +175,16 @@ async function run() {
     }
 
     if (audioFiles.length === 0) {
-        console.log('\n✨ 未找到 WAV 文件');
+        console.log('\n✨ 未找到 MP3 / WAV / M4A / DSD 文件');
         return;
     }
 
-    console.log(`   发现 ${audioFiles.length} 个 WAV 文件`);
+    console.log(`   发现 ${audioFiles.length} 个音频文件`);
 
     // 筛选需要处理的文件
     console.log('\n⏳ 正在检查歌词...');
     const tasks = [];
+    const skipped = [];
 
     for (const file of audioFiles) {
         const lrcPath = findLrcFile(file);
@@ -380,16 +192,31 @@ async function run() {
 
         if (lrcPath && (!hasEmbedded || overwrite)) {
             const lrcContent = fs.readFileSync(lrcPath, 'utf-8');
+            const { reason } = validateLrc(lrcContent);
+            if (UNUSABLE_PROBLEMS.includes(reason)) {
+                skipped.push({ lrcPath, reason });
+                continue;
+            }
+
+            const { lines } = parseLrc(lrcContent);
             tasks.push({
                 file,
                 lrcPath,
                 lrcSize: lrcContent.length,
                 lrcLines: lrcContent.split('\n').filter(l => l.trim()).length,
+                syncMode: lines.some(l => l.words) ? '逐字同步' : (lines.length > 0 ? '逐行同步' : '无时间标签'),
                 hasExisting: hasEmbedded
             });
         }
     }
 
+    if (skipped.length > 0) {
+        console.log(`   跳过 ${skipped.length} 个无效歌词:`);
+        skipped.slice(0, 5).forEach(s => {
+            console.log(`      - ${path.relative(targetDir, s.lrcPath)} (${LRC_PROBLEMS[s.reason]})`);
+        });
+    }
+
     if (tasks.length === 0) {
         console.log('\n✨ 所有文件都已嵌入歌词，或没有可用的 .lrc 文件');
         return;
@@ -406,7 +233,8 @@ async function run() {
         const relPath = path.relative(targetDir, task.file);
         const lrcName = path.basename(task.lrcPath);
         console.log(`${idx + 1}. ${relPath}`);
-        console.log(`   🎤 ${lrcName} (${task.lrcLines} 行)${task.hasExisting ? ' (覆盖)' : ''}`);
+        const sync = isM4a(task.file) ? '' : `, ${task.syncMode}`;
+        console.log(`   🎤 ${lrcName} (${task.lrcLines} 行${sync})${task.hasExisting ? ' (覆盖)' : ''}`);
     });
 
     if (tasks.length > 15) {
@@ -414,7 +242,7 @@ async function run() {
     }
 
     console.log('\n' + '═'.repeat(60));
-    console.log(`📊 统计: 将为 ${tasks.length} 个 WAV 文件嵌入歌词`);
+    console.log(`📊 统计: 将为 ${tasks.length} 个文件嵌入歌词`);
     console.log('═'.repeat(60));
 
     // 询问确认
@@ -438,13 +266,14 @@ async function run() {
     let successCount = 0;
     let failCount = 0;
     const errors = [];
+    const journal = openJournal('embed_lyrics');
 
     for (let i = 0; i < tasks.length; i++) {
         const task = tasks[i];
 
         process.stdout.write(`\r   处理中: ${i + 1}/${tasks.length}`);
 
-        const result = embedLyrics(task.file, task.lrcPath);
+        const result = embedLyrics(task.file, task.lrcPath, journal);
 
         if (result.success) {
             successCount++;
@@ -466,6 +295,7 @@ async function run() {
             });
         }
     }
+    journal.finish();
 }
 
 // ---------------------------------------------------------
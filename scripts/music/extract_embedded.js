@@ -0,0 +1,321 @@
+/**
+ * 脚本名称: Extract Embedded (内嵌封面/歌词导出)
+ * 功能描述: 把音频文件中内嵌的封面和歌词导出为同名 .jpg / .lrc 文件，供只读取外部文件的播放器使用
+ *    - 封面: MP3/WAV/DSF/DFF 的 APIC 帧、FLAC 的 PICTURE 块、M4A 的 covr 原子 (见 lib/tags/cover)，
+ *      按原图导出，PNG 封面保存为 .png
+ *    - 歌词: USLT / SYLT 帧、FLAC 的 LYRICS 字段、M4A 的 ©lyr 原子 (见 lib/tags/lyrics)，
+ *      只有 SYLT 时由时间轴还原为 LRC
+ *    - 已有同名封面 (.jpg / .jpeg / .png / .webp) 或 .lrc 时跳过，--overwrite 时覆盖
+ *    - 新建和覆盖的文件记录到操作日志，可用 undo.js 撤销
+ * 使用方法:
+ *    node extract_embedded.js [目标目录] [选项]
+ * 选项:
+ *    --no-cover     不导出封面
+ *    --no-lyrics    不导出歌词
+ *    --overwrite    覆盖已有的同名封面/歌词文件
+ *    -y             自动确认执行
+ *    --limit N      只处理前 N 个文件
+ * 示例:
+ *    node extract_embedded.js "/Volumes/Music/周杰伦"
+ *    node extract_embedded.js "/Volumes/Music/周杰伦" --no-cover -y
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const { COVER_EXTENSIONS, readCover } = require('./lib/tags/cover');
+const { LYRICS_EXTENSIONS, readLyrics } = require('./lib/tags/lyrics');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff|ogg|ape|wma|aac)$/i;
+
+// 已有这些同名图片时视为已有封面 (与 download_covers.js / embed_covers.js 一致)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// 导出封面的扩展名
+const MIME_EXTENSIONS = { 'image/png': '.png', 'image/webp': '.webp' };
+
+// 预览最多列出的文件数
+const PREVIEW_LIMIT = 20;
+
+// ---------------------------------------------------------
+// 2. 参数解析
+// ---------------------------------------------------------
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        targetDir: null,
+        cover: true,
+        lyrics: true,
+        overwrite: false,
+        autoYes: false,
+        limit: 0
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = args[i + 1];
+
+        if (!arg.startsWith('-')) {
+            if (!result.targetDir) result.targetDir = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--no-cover':
+                result.cover = false;
+                break;
+            case '--no-lyrics':
+                result.lyrics = false;
+                break;
+            case '--overwrite':
+                result.overwrite = true;
+                break;
+            case '-y':
+                result.autoYes = true;
+                break;
+            case '--limit':
+                result.limit = parseInt(next, 10) || 0;
+                i++;
+                break;
+        }
+    }
+
+    result.targetDir = result.targetDir || process.cwd();
+    return result;
+}
+
+// ---------------------------------------------------------
+// 3. 工具函数
+// ---------------------------------------------------------
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+function sidecarBase(audioPath) {
+    return path.join(path.dirname(audioPath), path.basename(audioPath, path.extname(audioPath)));
+}
+
+/**
+ * 已有的同名封面文件
+ */
+function findCoverFile(audioPath) {
+    const base = sidecarBase(audioPath);
+    return IMAGE_EXTENSIONS.map(ext => `${base}${ext}`).find(p => fs.existsSync(p)) || null;
+}
+
+/**
+ * 检查一个文件需要导出的内容
+ * @returns {{ cover, lyrics, skipped, errors }}
+ *    cover / lyrics: 要写入的文件 { path, mime? / synced? }，不需要导出时为 null
+ *    skipped: 因已有外部文件而跳过的类型 ['cover', 'lyrics']
+ */
+function planFile(audioPath, options) {
+    const result = { cover: null, lyrics: null, skipped: [], errors: [] };
+    const base = sidecarBase(audioPath);
+
+    if (options.cover && COVER_EXTENSIONS.test(audioPath)) {
+        try {
+            const cover = readCover(audioPath);
+            const existing = findCoverFile(audioPath);
+            if (cover && existing && !options.overwrite) {
+                result.skipped.push('cover');
+            } else if (cover) {
+                result.cover = { path: `${base}${MIME_EXTENSIONS[cover.mime] || '.jpg'}`, mime: cover.mime };
+            }
+        } catch (e) {
+            result.errors.push(`封面: ${e.message}`);
+        }
+    }
+
+    if (options.lyrics && LYRICS_EXTENSIONS.test(audioPath)) {
+        try {
+            const lyrics = readLyrics(audioPath);
+            const lrcPath = `${base}.lrc`;
+            if (lyrics && fs.existsSync(lrcPath) && !options.overwrite) {
+                result.skipped.push('lyrics');
+            } else if (lyrics) {
+                result.lyrics = { path: lrcPath, synced: lyrics.synced };
+            }
+        } catch (e) {
+            result.errors.push(`歌词: ${e.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 写入外部文件并记录到操作日志 (覆盖时记录原内容)
+ */
+function writeSidecar(filePath, data, journal) {
+    if (fs.existsSync(filePath)) {
+        const old = fs.readFileSync(filePath);
+        fs.writeFileSync(filePath, data);
+        journal.recordWrite(filePath, old, data);
+    } else {
+        fs.writeFileSync(filePath, data);
+        journal.recordCreate(filePath);
+    }
+}
+
+// ---------------------------------------------------------
+// 4. 主逻辑
+// ---------------------------------------------------------
+
+async function run() {
+    const options = parseArgs();
+    const targetDir = path.resolve(options.targetDir);
+    const kinds = [options.cover ? '封面' : '', options.lyrics ? '歌词' : ''].filter(Boolean).join('、');
+
+    console.log(`\n📤 内嵌封面/歌词导出`);
+    console.log(`📂 扫描目录: ${targetDir}`);
+    console.log(`📦 导出内容: ${kinds || '无'}`);
+    if (options.overwrite) console.log(`⚠️  覆盖模式: 将覆盖已有的同名封面/歌词文件`);
+    console.log('─'.repeat(60));
+
+    if (!fs.existsSync(targetDir)) {
+        console.error('❌ 目标目录不存在');
+        process.exit(1);
+    }
+    if (!kinds) {
+        console.log('\n✨ 没有要导出的内容 (--no-cover 和 --no-lyrics 不能同时使用)');
+        return;
+    }
+
+    console.log('\n⏳ 正在扫描文件...');
+    const index = openIndex();
+    let audioFiles = index.scan(targetDir, { extensions: AUDIO_EXTENSIONS });
+    index.save();
+    if (options.limit > 0) {
+        audioFiles = audioFiles.slice(0, options.limit);
+        console.log(`   限制处理前 ${options.limit} 个文件`);
+    }
+    if (audioFiles.length === 0) {
+        console.log('\n✨ 未找到音频文件');
+        return;
+    }
+
+    const plans = [];
+    const errors = [];
+    const skipped = { cover: 0, lyrics: 0 };
+    let unsupported = 0;
+    audioFiles.forEach((audioPath, i) => {
+        process.stdout.write(`\r   读取内嵌内容: ${i + 1}/${audioFiles.length}`);
+        if (!COVER_EXTENSIONS.test(audioPath) && !LYRICS_EXTENSIONS.test(audioPath)) {
+            unsupported++;
+            return;
+        }
+        const plan = planFile(audioPath, options);
+        plan.skipped.forEach(kind => skipped[kind]++);
+        plan.errors.forEach(error => errors.push({ file: audioPath, error }));
+        if (plan.cover || plan.lyrics) plans.push({ audioPath, ...plan });
+    });
+    console.log('');
+
+    // ---------------------------------------------------------
+    // 输出计划
+    // ---------------------------------------------------------
+    const coverCount = plans.filter(p => p.cover).length;
+    const lyricsCount = plans.filter(p => p.lyrics).length;
+    const unsyncedCount = plans.filter(p => p.lyrics && !p.lyrics.synced).length;
+
+    if (plans.length > 0) {
+        console.log('\n📋 导出计划');
+        plans.slice(0, PREVIEW_LIMIT).forEach(plan => {
+            const outputs = [plan.cover, plan.lyrics].filter(Boolean).map(o => path.basename(o.path));
+            const note = plan.lyrics && !plan.lyrics.synced ? ' (歌词无时间标签)' : '';
+            console.log(`   - ${path.relative(targetDir, plan.audioPath)} → ${outputs.join(', ')}${note}`);
+        });
+        if (plans.length > PREVIEW_LIMIT) console.log(`   ... 还有 ${plans.length - PREVIEW_LIMIT} 个文件`);
+    }
+    if (errors.length > 0) {
+        console.log(`\n⚠️  无法读取 (${errors.length} 个):`);
+        errors.slice(0, 10).forEach(e => console.log(`   - ${path.relative(targetDir, e.file)}: ${e.error}`));
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 统计: 共 ${audioFiles.length} 个文件，导出封面 ${coverCount} 个，导出歌词 ${lyricsCount} 个` +
+        `${unsyncedCount > 0 ? ` (${unsyncedCount} 个无时间标签)` : ''}`);
+    if (skipped.cover + skipped.lyrics > 0) {
+        console.log(`   已有外部文件跳过: 封面 ${skipped.cover} 个，歌词 ${skipped.lyrics} 个 (--overwrite 覆盖)`);
+    }
+    if (unsupported > 0) console.log(`   不支持读取内嵌内容的格式: ${unsupported} 个`);
+    console.log('═'.repeat(60));
+
+    if (plans.length === 0) {
+        console.log('\n✨ 没有需要导出的内容');
+        return;
+    }
+
+    if (!options.autoYes) {
+        const answer = await ask('\n是否执行以上操作? [Y/n]: ');
+        if (!(answer === '' || answer === 'y' || answer === 'yes')) {
+            console.log('\n❌ 已取消操作');
+            return;
+        }
+    }
+
+    // ---------------------------------------------------------
+    // 执行导出 (重新读取，避免把整个音乐库的封面留在内存中)
+    // ---------------------------------------------------------
+    console.log('\n⏳ 正在导出...');
+    const journal = openJournal('extract_embedded');
+    const failures = [];
+    let coverWritten = 0;
+    let lyricsWritten = 0;
+
+    plans.forEach((plan, i) => {
+        process.stdout.write(`\r   进度: ${i + 1}/${plans.length}`);
+        if (plan.cover) {
+            try {
+                writeSidecar(plan.cover.path, readCover(plan.audioPath).data, journal);
+                coverWritten++;
+            } catch (e) {
+                failures.push({ file: plan.cover.path, error: e.message });
+            }
+        }
+        if (plan.lyrics) {
+            try {
+                writeSidecar(plan.lyrics.path, Buffer.from(readLyrics(plan.audioPath).text, 'utf-8'), journal);
+                lyricsWritten++;
+            } catch (e) {
+                failures.push({ file: plan.lyrics.path, error: e.message });
+            }
+        }
+    });
+
+    console.log('\n\n' + '═'.repeat(60));
+    console.log('✅ 导出完成!');
+    console.log('═'.repeat(60));
+    console.log(`   封面: ${coverWritten} 个`);
+    console.log(`   歌词: ${lyricsWritten} 个`);
+    if (failures.length > 0) {
+        console.log(`   失败: ${failures.length} 个`);
+        failures.slice(0, 10).forEach(e => {
+            console.log(`   ❌ ${path.relative(targetDir, e.file)}: ${e.error}`);
+        });
+    }
+    journal.finish();
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+run().catch(err => {
+    console.error('❌ 运行出错:', err.message);
+    process.exit(1);
+});
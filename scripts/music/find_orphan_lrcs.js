@@ -1,14 +1,19 @@
 /**
  * 脚本名称: Find Orphan LRCs (孤立歌词检测)
- * 功能描述: 扫描指定目录，检测没有对应音频文件的孤立歌词文件，生成清理脚本
+ * 功能描述: 扫描指定目录，检测没有对应音频文件的孤立歌词文件，以及没有歌词内容的无效歌词
+ *          (纯音乐提示、只有作词作曲信息、空文件，由 lib/lrc 校验)，生成清理脚本
  * 使用方法:
- *    node find_orphan_lrcs.js [目标目录]
+ *    node find_orphan_lrcs.js [目标目录] [选项]
+ * 选项:
+ *    --json    以 JSON 格式输出孤立歌词和无效歌词 (不输出文字报告，也不生成清理脚本)
  * 示例:
  *    node find_orphan_lrcs.js "/Volumes/CCSSD/Media/齐秦"
+ *    node find_orphan_lrcs.js "/Volumes/CCSSD/Media/齐秦" --json
  */
 
 const fs = require('fs');
 const path = require('path');
+const { LRC_PROBLEMS, UNUSABLE_PROBLEMS, validateLrc, lrcBaseName } = require('./lib/lrc');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -24,10 +29,24 @@ const AUDIO_EXTENSIONS = new Set([
 // ---------------------------------------------------------
 
 /**
- * 扫描目录，检测孤立歌词文件
- * 规则：同目录下没有同名音频文件的 .lrc 文件视为孤立
+ * 检查歌词内容，没有任何歌词时返回问题 (LRC_PROBLEMS 的键)
  */
-function findOrphanLrcs(dir, targetDir, results = [], visited = new Set()) {
+function checkLrcContent(lrcPath) {
+    try {
+        const { reason } = validateLrc(fs.readFileSync(lrcPath, 'utf-8'));
+        return UNUSABLE_PROBLEMS.includes(reason) ? reason : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 扫描目录，检测孤立歌词和无效歌词
+ * 规则：同目录下没有同名音频文件的 .lrc 文件视为孤立 (.zh.lrc / .roma.lrc 按去掉后缀的文件名匹配)；
+ *       有音频但没有歌词内容的视为无效
+ * @returns {{ orphans: Array, invalid: Array }}
+ */
+function findOrphanLrcs(dir, targetDir, results = { orphans: [], invalid: [] }, visited = new Set()) {
     // 防止循环引用
     let realPath;
     try {
@@ -66,10 +85,13 @@ function findOrphanLrcs(dir, targetDir, results = [], visited = new Set()) {
                 const basename = path.basename(item, ext);
 
                 if (ext === '.lrc') {
+                    // 翻译/音译歌词 (.zh.lrc / .roma.lrc) 对应同名音频
+                    const audioName = lrcBaseName(item);
                     lrcFiles.push({
                         path: fullPath,
                         name: item,
-                        basename: basename
+                        basename: audioName,
+                        isVariant: audioName !== basename
                     });
                 } else if (AUDIO_EXTENSIONS.has(ext)) {
                     // 存入小写以支持忽略大小写匹配
@@ -79,15 +101,19 @@ function findOrphanLrcs(dir, targetDir, results = [], visited = new Set()) {
         } catch (e) {}
     });
 
-    // 2. 检查 LRC 是否孤立（同目录下没有同名音频）
+    // 2. 检查 LRC 是否孤立（同目录下没有同名音频），有音频时检查歌词内容
     lrcFiles.forEach(lrc => {
+        const entry = {
+            path: lrc.path,
+            name: lrc.name,
+            relPath: path.relative(targetDir, lrc.path)
+        };
         if (!audioBasenames.has(lrc.basename.toLowerCase())) {
-            results.push({
-                path: lrc.path,
-                name: lrc.name,
-                relPath: path.relative(targetDir, lrc.path)
-            });
+            results.orphans.push(entry);
+            return;
         }
+        const reason = lrc.isVariant ? null : checkLrcContent(lrc.path);
+        if (reason) results.invalid.push({ ...entry, reason });
     });
 
     // 3. 递归处理子目录
@@ -103,7 +129,22 @@ function findOrphanLrcs(dir, targetDir, results = [], visited = new Set()) {
 // ---------------------------------------------------------
 
 function run() {
-    const targetDir = process.argv[2] || process.cwd();
+    const args = process.argv.slice(2);
+    const targetDir = args.find(arg => !arg.startsWith('-')) || process.cwd();
+
+    if (args.includes('--json')) {
+        if (!fs.existsSync(targetDir)) {
+            console.error('❌ 目标目录不存在');
+            process.exit(1);
+        }
+        const { orphans, invalid } = findOrphanLrcs(targetDir, targetDir);
+        console.log(JSON.stringify({
+            targetDir,
+            orphans: orphans.map(lrc => lrc.relPath),
+            invalid: invalid.map(lrc => ({ path: lrc.relPath, reason: lrc.reason, description: LRC_PROBLEMS[lrc.reason] }))
+        }, null, 2));
+        return;
+    }
 
     console.log(`\n🔍 孤立歌词检测工具`);
     console.log(`📂 扫描目录: ${targetDir}`);
@@ -116,9 +157,9 @@ function run() {
 
     console.log('\n⏳ 正在扫描文件...');
 
-    const orphanLrcs = findOrphanLrcs(targetDir, targetDir);
+    const { orphans: orphanLrcs, invalid: invalidLrcs } = findOrphanLrcs(targetDir, targetDir);
 
-    console.log(`   完成！发现 ${orphanLrcs.length} 个孤立歌词文件`);
+    console.log(`   完成！发现 ${orphanLrcs.length} 个孤立歌词文件，${invalidLrcs.length} 个无效歌词文件`);
 
     // ---------------------------------------------------------
     // 输出报告
@@ -127,8 +168,8 @@ function run() {
     console.log('📊 检测报告');
     console.log('═'.repeat(50));
 
-    if (orphanLrcs.length === 0) {
-        console.log('\n✨ 完美！未发现孤立歌词文件。');
+    if (orphanLrcs.length === 0 && invalidLrcs.length === 0) {
+        console.log('\n✨ 完美！未发现孤立歌词和无效歌词文件。');
         return;
     }
 
@@ -140,7 +181,7 @@ function run() {
         byDir.get(dir).push(lrc);
     });
 
-    console.log(`\n📄 孤立歌词文件 (${orphanLrcs.length} 个)`);
+    if (orphanLrcs.length > 0) console.log(`\n📄 孤立歌词文件 (${orphanLrcs.length} 个)`);
 
     let displayCount = 0;
     const MAX_DISPLAY = 30;
@@ -160,6 +201,16 @@ function run() {
         });
     }
 
+    if (invalidLrcs.length > 0) {
+        console.log(`\n🚫 无效歌词文件 (${invalidLrcs.length} 个，有对应音频但没有歌词内容)`);
+        invalidLrcs.slice(0, MAX_DISPLAY).forEach(lrc => {
+            console.log(`      ${lrc.relPath} (${LRC_PROBLEMS[lrc.reason]})`);
+        });
+        if (invalidLrcs.length > MAX_DISPLAY) {
+            console.log(`\n   ... 等 ${invalidLrcs.length - MAX_DISPLAY} 个更多文件`);
+        }
+    }
+
     // ---------------------------------------------------------
     // 生成清理脚本
     // ---------------------------------------------------------
@@ -185,20 +236,35 @@ function run() {
     lines.push(`mkdir -p "./${tempDir}"`);
     lines.push('');
 
-    lines.push('# ═══════════════════════════════════════');
-    lines.push(`# 孤立歌词文件 (${orphanLrcs.length} 个)`);
-    lines.push('# ═══════════════════════════════════════');
-    lines.push('');
+    if (orphanLrcs.length > 0) {
+        lines.push('# ═══════════════════════════════════════');
+        lines.push(`# 孤立歌词文件 (${orphanLrcs.length} 个)`);
+        lines.push('# ═══════════════════════════════════════');
+        lines.push('');
 
-    orphanLrcs.forEach(lrc => {
-        lines.push(`mv "./${lrc.relPath}" "./${tempDir}/" 2>/dev/null || true`);
-    });
+        orphanLrcs.forEach(lrc => {
+            lines.push(`mv "./${lrc.relPath}" "./${tempDir}/" 2>/dev/null || true`);
+        });
+        lines.push('');
+    }
+
+    if (invalidLrcs.length > 0) {
+        lines.push('# ═══════════════════════════════════════');
+        lines.push(`# 无效歌词文件 (${invalidLrcs.length} 个)`);
+        lines.push('# ═══════════════════════════════════════');
+        lines.push('');
+
+        invalidLrcs.forEach(lrc => {
+            lines.push(`# ${LRC_PROBLEMS[lrc.reason]}`);
+            lines.push(`mv "./${lrc.relPath}" "./${tempDir}/" 2>/dev/null || true`);
+        });
+        lines.push('');
+    }
 
-    lines.push('');
     lines.push('echo ""');
     lines.push('echo "✅ 清理完成！"');
-    lines.push(`echo "📁 孤立歌词已移动到: ${tempDir}"`);
-    lines.push(`echo "   共移动 ${orphanLrcs.length} 个文件"`);
+    lines.push(`echo "📁 孤立歌词和无效歌词已移动到: ${tempDir}"`);
+    lines.push(`echo "   共移动 ${orphanLrcs.length + invalidLrcs.length} 个文件"`);
     lines.push('echo "请检查后手动删除临时目录"');
 
     fs.writeFileSync(scriptPath, lines.join('\n'), { mode: 0o755 });
@@ -210,6 +276,7 @@ function run() {
     // 统计
     console.log(`\n📊 统计:`);
     console.log(`   孤立歌词: ${orphanLrcs.length} 个`);
+    console.log(`   无效歌词: ${invalidLrcs.length} 个`);
     console.log(`   涉及目录: ${byDir.size} 个`);
 }
 
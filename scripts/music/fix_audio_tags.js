@@ -2,13 +2,15 @@
  * 脚本名称: Fix Audio Tags (音频标签补全)
  * 功能描述: 扫描目录，检测缺少标签的音频文件，从多个数据源获取信息自动补全
  * 数据源:
- *    - QQ音乐（优先，中文歌曲最准）
- *    - 网易云音乐
- *    - iTunes（国际歌曲备选）
+ *    - lib/providers 下所有数据源（QQ音乐优先，其次网易云、iTunes）
+ *    - 缺少年份/流派时查询所属专辑补全
  * 特点:
  *    - 支持多种格式: MP3/FLAC/M4A/WAV/OGG/AAC
+ *    - FLAC/M4A/WAV/DSF/DFF 直接修改元数据 (不重编码、不依赖 ffmpeg)，其他格式通过 ffmpeg 写入
  *    - 智能解析文件名（支持多种命名格式）
+ *    - 匹配打分结合本地时长和已有的专辑标签，避免选中同名歌曲的 Live / Remix 等其他版本
  *    - 只补缺的，不覆盖已有标签
+ *    - 下载的封面分辨率过低时不嵌入，过大的缩小并转为基线 JPEG (lib/cover_image)
  *    - 自动识别占位符标签（如 "track", "album"）
  *    - 交互式确认，检查后直接执行
  * 使用方法:
@@ -19,6 +21,8 @@
  *    --with-lrc   同时下载 .lrc 歌词文件
  *    --limit N    只处理前 N 个文件
  *    -y           自动确认执行
+ *    --record     录制网络响应到离线数据目录 (fixtures/http)
+ *    --replay     使用录制的离线数据，不联网
  * 示例:
  *    node fix_audio_tags.js "/path/to/music"              # 检查并询问
  *    node fix_audio_tags.js "/path/to/music" --apply      # 直接执行
@@ -27,11 +31,20 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const readline = require('readline');
 const { execSync, spawnSync } = require('child_process');
 const mm = require('music-metadata');
+const { parseFileName } = require('./lib/filename_parser');
+const { downloadFile } = require('./lib/http');
+const { openJournal } = require('./lib/journal');
+const { inspectImage, coverProblems, normalizeCover } = require('./lib/cover_image');
+const flac = require('./lib/tags/flac');
+const mp4 = require('./lib/tags/mp4');
+const dsd = require('./lib/tags/dsd');
+const wav = require('./lib/tags/wav');
+const { pickBestMatch } = require('./lib/matching');
+const { isPlaceholder } = require('./lib/tag_audit');
+const providers = require('./lib/providers');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -98,20 +111,6 @@ function findAudioFiles(dir) {
     return results;
 }
 
-/**
- * 检查标签值是否是无效的占位符
- */
-function isPlaceholder(value) {
-    if (!value) return true;
-    const placeholders = [
-        'track', 'title', 'album', 'artist', 'unknown', 'untitled',
-        '未知', '无', '无标题', '无专辑', '未知艺术家',
-        'test', 'temp', 'demo'
-    ];
-    const normalized = value.toLowerCase().trim();
-    return placeholders.includes(normalized) || normalized.length <= 1;
-}
-
 /**
  * 解析音频文件的现有标签
  */
@@ -132,7 +131,8 @@ async function parseExistingTags(filePath) {
             year: common.year || null,
             hasCover: !!(common.picture && common.picture.length > 0),
             genre: common.genre?.[0] || null,
-            trackNumber: common.track?.no || null
+            trackNumber: common.track?.no || null,
+            duration: metadata.format.duration || 0
         };
     } catch (e) {
         return { error: e.message };
@@ -159,372 +159,127 @@ function getLrcPath(audioPath) {
 }
 
 /**
- * 判断是否像艺术家名（用于识别文件名格式）
+ * 检查下载的封面 (lib/cover_image): 分辨率过低或损坏时返回 false；
+ * 否则缩小过大的封面、转为基线 JPEG 并去除 EXIF 后写回原文件，规范化失败时保留原图
  */
-function looksLikeArtist(str) {
-    if (!str) return false;
-    // 优先检查常见歌手名（精确匹配）
-    const knownArtists = [
-        '周杰伦', '林俊杰', '陈奕迅', '王菲', '邓紫棋', '薛之谦', '李荣浩',
-        '张学友', '刘德华', '蔡依林', '五月天', '齐秦', '费玉清', '邓丽君',
-        '许嵩', '汪苏泷', '张惠妹', '萧敬腾', '杨丞琳', '潘玮柏', '王力宏',
-        '李宗盛', '罗大佑', '周华健', '陶喆', '孙燕姿', '梁静茹', '莫文蔚',
-        '那英', '张靓颖', '李健', '毛不易', '华晨宇', '鹿晗', '张杰', '谭咏麟',
-        'Beyond', 'Taylor Swift', 'Ed Sheeran', 'Adele', 'Bruno Mars', 'Coldplay', 'Maroon 5'
-    ];
-    if (knownArtists.some(a => a.toLowerCase() === str.toLowerCase())) return true;
-    // 不再用字符数量判断，避免误判歌曲名
-    return false;
+function prepareCoverFile(coverPath) {
+    const data = fs.readFileSync(coverPath);
+    const problems = coverProblems(inspectImage(data));
+    if (problems.includes('corrupt') || problems.includes('small')) return false;
+    if (problems.length === 0) return true;
+
+    try {
+        fs.writeFileSync(coverPath, normalizeCover(data).data);
+    } catch (e) {}
+    return true;
 }
 
 /**
- * 智能解析文件名，提取歌曲名和艺术家
+ * 写入标签: FLAC/M4A/WAV/DSF/DFF 直接修改元数据，其他格式使用 ffmpeg
  */
-function parseFileName(fileName) {
-    // 去掉扩展名
-    let name = path.basename(fileName, path.extname(fileName));
-
-    // 保存原始名称
-    const original = name;
-
-    // 去掉常见前缀（数字编号）
-    name = name.replace(/^\d+[\.\-_\s]+/, '');
-    name = name.replace(/^\[\d+\]\s*/, '');
-
-    // 先提取括号内容（可能包含 feat. 信息）
-    const featMatch = name.match(/[\(\[【（](feat\.?|ft\.?)[^\)\]】）]*[\)\]】）]/i);
-
-    // 去掉常见后缀标记（但保留 feat）
-    const suffixPatterns = [
-        /\s*[\(\[【（]?(live|现场|演唱会|伴奏|纯音乐|remix|cover|翻唱|原唱|高清|无损|flac|mp3|320k|128k)[\)\]】）]?\s*$/gi,
-        /\s*-\s*(live|现场|伴奏)$/gi
-    ];
-    suffixPatterns.forEach(p => { name = name.replace(p, ''); });
-
-    // 去掉括号内容（feat 除外）
-    if (!name.match(/^[\(\[【（].*[\)\]】）]$/)) {
-        name = name.replace(/\s*[\(\[【（](?!feat|ft)[^\)\]】）]*[\)\]】）]\s*/gi, ' ');
+function writeTags(filePath, tags, journal, coverPath = null) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.flac') {
+        return writeFlacTags(filePath, tags, journal, coverPath);
     }
-    // 再去掉 feat 括号
-    name = name.replace(/\s*[\(\[【（](feat\.?|ft\.?)[^\)\]】）]*[\)\]】）]\s*/gi, ' ');
-
-    // 尝试各种分隔符拆分
-    const separators = [' - ', ' – ', ' — ', '-', '_'];
-    let artist = null;
-    let title = null;
-
-    for (const sep of separators) {
-        if (name.includes(sep)) {
-            const parts = name.split(sep).map(s => s.trim()).filter(s => s);
-            if (parts.length >= 2) {
-                const first = parts[0];
-                const last = parts[parts.length - 1];
-
-                // 智能判断格式：
-                // 如果最后一部分像艺术家名，则是「歌曲名-艺术家」格式
-                // 否则是「艺术家-歌曲名」格式
-                if (looksLikeArtist(last) && !looksLikeArtist(first)) {
-                    // 格式：歌曲名 - 艺术家
-                    artist = last;
-                    title = parts.slice(0, -1).join(' ');
-                } else {
-                    // 格式：艺术家 - 歌曲名
-                    artist = first;
-                    title = parts.slice(1).join(' ');
-                }
-                break;
-            }
-        }
+    if (ext === '.m4a') {
+        return writeMp4Tags(filePath, tags, journal, coverPath);
     }
-
-    // 如果没有分隔符，整个作为歌曲名
-    if (!title) {
-        title = name.trim();
+    if (ext === '.wav' || dsd.isDsd(filePath)) {
+        return writeId3Tags(filePath, tags, journal, coverPath);
     }
-
-    // 清理多余空格
-    title = title?.replace(/\s+/g, ' ').trim();
-    artist = artist?.replace(/\s+/g, ' ').trim();
-
-    return { title, artist, original };
+    return writeTagsWithFFmpeg(filePath, tags, journal, coverPath);
 }
 
 /**
- * HTTP GET 请求（支持自定义 headers）
+ * 写入 FLAC 标签 (不重写音频数据)
  */
-function httpGet(url, headers = {}) {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const client = urlObj.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: urlObj.hostname,
-            port: urlObj.port,
-            path: urlObj.pathname + urlObj.search,
-            method: 'GET',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                ...headers
+function writeFlacTags(filePath, tags, journal, coverPath = null) {
+    try {
+        const changes = {
+            set: {
+                TITLE: tags.title,
+                ARTIST: tags.artist,
+                ALBUM: tags.album,
+                DATE: tags.year,
+                GENRE: tags.genre,
+                TRACKNUMBER: tags.trackNumber
             }
         };
-
-        const req = client.request(options, (res) => {
-            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                // 跟随重定向
-                return httpGet(res.headers.location, headers).then(resolve).catch(reject);
-            }
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-            res.on('error', reject);
+        // 只补缺的: 未更新的字段不动
+        Object.keys(changes.set).forEach(key => {
+            if (!changes.set[key]) delete changes.set[key];
         });
-
-        req.on('error', reject);
-        req.end();
-    });
-}
-
-/**
- * 下载文件到本地
- */
-function downloadFile(url, destPath) {
-    return new Promise((resolve, reject) => {
-        const client = url.startsWith('https') ? https : http;
-        const file = fs.createWriteStream(destPath);
-        client.get(url, (res) => {
-            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                file.close();
-                fs.unlinkSync(destPath);
-                return downloadFile(res.headers.location, destPath).then(resolve).catch(reject);
-            }
-            res.pipe(file);
-            file.on('finish', () => {
-                file.close();
-                resolve(destPath);
-            });
-        }).on('error', (err) => {
-            fs.unlink(destPath, () => {});
-            reject(err);
-        });
-    });
-}
-
-/**
- * 搜索 QQ音乐 API（优先，中文歌曲最准）
- */
-async function searchQQMusic(query, artist = null) {
-    try {
-        let searchTerm = query;
-        if (artist) {
-            searchTerm = `${artist} ${query}`;
-        }
-
-        const url = `https://c.y.qq.com/soso/fcgi-bin/client_search_cp?w=${encodeURIComponent(searchTerm)}&format=json&n=5`;
-        const response = await httpGet(url);
-
-        // QQ音乐可能返回 callback(json) 格式
-        let data;
-        if (response.startsWith('callback')) {
-            data = JSON.parse(response.slice(9, -1));
-        } else {
-            data = JSON.parse(response);
+        if (coverPath && fs.existsSync(coverPath)) {
+            changes.pictures = [{ type: 3, mime: 'image/jpeg', data: fs.readFileSync(coverPath) }];
         }
 
-        const songs = data?.data?.song?.list || [];
-        return songs.map(s => ({
-            source: 'QQ音乐',
-            title: s.songname,
-            artist: s.singer?.map(x => x.name).join('/') || '',
-            album: s.albumname || '',
-            year: null, // QQ音乐搜索结果不含年份
-            genre: null,
-            songmid: s.songmid,
-            albummid: s.albummid,
-            // QQ音乐封面 URL
-            coverUrl: s.albummid ? `https://y.gtimg.cn/music/photo_new/T002R500x500M000${s.albummid}.jpg` : null
-        }));
+        flac.writeTags(filePath, changes, { journal });
+        return { success: true };
     } catch (e) {
-        return [];
+        return { success: false, error: e.message };
     }
 }
 
 /**
- * 搜索网易云音乐 API
+ * 写入 M4A 标签 (修改 ilst 原子，moov 变大时自动修正音频块偏移)
  */
-async function searchNetease(query, artist = null) {
+function writeMp4Tags(filePath, tags, journal, coverPath = null) {
     try {
-        let searchTerm = query;
-        if (artist) {
-            searchTerm = `${artist} ${query}`;
+        const changes = {
+            set: {
+                title: tags.title,
+                artist: tags.artist,
+                album: tags.album,
+                year: tags.year,
+                genre: tags.genre,
+                track: tags.trackNumber
+            }
+        };
+        Object.keys(changes.set).forEach(key => {
+            if (!changes.set[key]) delete changes.set[key];
+        });
+        if (coverPath && fs.existsSync(coverPath)) {
+            changes.covers = [{ mime: 'image/jpeg', data: fs.readFileSync(coverPath) }];
         }
 
-        const url = `https://music.163.com/api/search/get?s=${encodeURIComponent(searchTerm)}&type=1&limit=5`;
-        const response = await httpGet(url, { 'Referer': 'https://music.163.com' });
-        const data = JSON.parse(response);
-
-        if (data.code !== 200) return [];
-
-        const songs = data?.result?.songs || [];
-        return songs.map(s => ({
-            source: '网易云',
-            title: s.name,
-            artist: s.artists?.map(a => a.name).join('/') || '',
-            album: s.album?.name || '',
-            year: null,
-            genre: null,
-            songId: s.id,
-            albumId: s.album?.id,
-            // 网易云封面需要额外请求，暂用专辑图
-            coverUrl: s.album?.picUrl ? `${s.album.picUrl}?param=500y500` : null
-        }));
+        mp4.writeTags(filePath, changes, { journal });
+        return { success: true };
     } catch (e) {
-        return [];
+        return { success: false, error: e.message };
     }
 }
 
 /**
- * 搜索 iTunes API（国际歌曲备选）
+ * 写入 WAV/DSF/DFF 标签 (WAV 的 ID3 + LIST/INFO 块、DSF 末尾的 ID3v2、DFF 的 ID3 块，不移动音频数据)
  */
-async function searchItunes(query, artist = null) {
+function writeId3Tags(filePath, tags, journal, coverPath = null) {
     try {
-        let searchTerm = query;
-        if (artist) {
-            searchTerm = `${artist} ${query}`;
+        const id3Tags = {};
+        ['title', 'artist', 'album', 'year', 'genre', 'trackNumber'].forEach(key => {
+            if (tags[key]) id3Tags[key] = String(tags[key]);
+        });
+        if (coverPath && fs.existsSync(coverPath)) {
+            id3Tags.image = {
+                mime: 'image/jpeg',
+                type: { id: 3, name: 'front cover' },
+                description: 'Cover',
+                imageBuffer: fs.readFileSync(coverPath)
+            };
         }
 
-        const url = `https://itunes.apple.com/search?term=${encodeURIComponent(searchTerm)}&media=music&limit=5`;
-        const response = await httpGet(url);
-        const data = JSON.parse(response);
-
-        if (data.resultCount > 0) {
-            return data.results.map(r => ({
-                source: 'iTunes',
-                title: r.trackName,
-                artist: r.artistName,
-                album: r.collectionName,
-                year: r.releaseDate ? new Date(r.releaseDate).getFullYear() : null,
-                genre: r.primaryGenreName,
-                trackNumber: r.trackNumber,
-                coverUrl: r.artworkUrl100?.replace('100x100', '600x600'),
-                previewUrl: r.previewUrl
-            }));
-        }
-        return [];
+        const tagModule = dsd.isDsd(filePath) ? dsd : wav;
+        tagModule.writeTags(filePath, id3Tags, { journal });
+        return { success: true };
     } catch (e) {
-        return [];
-    }
-}
-
-/**
- * 多数据源搜索（智能合并结果）
- */
-async function searchAllSources(query, artist = null) {
-    // 并行搜索所有数据源
-    const [qqResults, neteaseResults, itunesResults] = await Promise.all([
-        searchQQMusic(query, artist),
-        searchNetease(query, artist),
-        searchItunes(query, artist)
-    ]);
-
-    // 合并结果，QQ音乐优先
-    const allResults = [
-        ...qqResults,
-        ...neteaseResults,
-        ...itunesResults
-    ];
-
-    return allResults;
-}
-
-/**
- * 艺术家中英文名映射
- */
-const ARTIST_ALIASES = {
-    '周杰伦': ['jay chou', 'jaychou'],
-    '林俊杰': ['jj lin', 'lin junjie'],
-    '陈奕迅': ['eason chan'],
-    '王菲': ['faye wong'],
-    '邓紫棋': ['gem', 'g.e.m.'],
-    '张学友': ['jacky cheung'],
-    '刘德华': ['andy lau'],
-    '蔡依林': ['jolin tsai'],
-    '五月天': ['mayday'],
-    '齐秦': ['chyi chin'],
-    '李宗盛': ['jonathan lee'],
-    '罗大佑': ['lo ta-yu'],
-    '许嵩': ['vae'],
-    '汪苏泷': ['silence wang'],
-    '薛之谦': ['joker xue'],
-    '李荣浩': ['li ronghao'],
-    '张惠妹': ['a-mei', 'chang hui-mei'],
-    '萧敬腾': ['jam hsiao'],
-    '杨丞琳': ['rainie yang'],
-    '潘玮柏': ['wilber pan'],
-    '王力宏': ['leehom wang', 'wang leehom']
-};
-
-/**
- * 检查艺术家是否匹配（支持中英文别名）
- */
-function artistMatches(artist1, artist2) {
-    if (!artist1 || !artist2) return false;
-    const normalize = (s) => s.toLowerCase().replace(/[^\w\u4e00-\u9fa5]/g, '');
-    const a1 = normalize(artist1);
-    const a2 = normalize(artist2);
-
-    // 直接匹配
-    if (a1 === a2) return true;
-    if (a1.includes(a2) || a2.includes(a1)) return true;
-
-    // 别名匹配
-    for (const [cn, aliases] of Object.entries(ARTIST_ALIASES)) {
-        const cnNorm = normalize(cn);
-        const isA1Match = a1 === cnNorm || aliases.some(al => normalize(al) === a1);
-        const isA2Match = a2 === cnNorm || aliases.some(al => normalize(al) === a2);
-        if (isA1Match && isA2Match) return true;
-    }
-
-    return false;
-}
-
-/**
- * 计算匹配分数
- */
-function calculateMatchScore(parsed, result) {
-    let score = 0;
-
-    const normalize = (s) => s?.toLowerCase().replace(/[^\w\u4e00-\u9fa5]/g, '') || '';
-
-    const parsedTitle = normalize(parsed.title);
-    const parsedArtist = normalize(parsed.artist);
-    const resultTitle = normalize(result.title);
-    const resultArtist = normalize(result.artist);
-
-    // 标题匹配
-    if (parsedTitle && resultTitle) {
-        if (parsedTitle === resultTitle) score += 50;
-        else if (resultTitle.includes(parsedTitle) || parsedTitle.includes(resultTitle)) score += 30;
-    }
-
-    // 艺术家匹配（支持中英文别名）
-    if (artistMatches(parsed.artist, result.artist)) {
-        score += 40;
-    } else if (parsedArtist && resultArtist) {
-        if (resultArtist.includes(parsedArtist) || parsedArtist.includes(resultArtist)) score += 20;
-    }
-
-    // 如果艺术家匹配了，给一个基础分（允许即使标题不匹配也能采用）
-    if (score >= 40 && score < 50) {
-        score += 10; // 至少达到阈值
+        return { success: false, error: e.message };
     }
-
-    return score;
 }
 
 /**
- * 使用 ffmpeg 写入标签
+ * 使用 ffmpeg 写入标签 (替换前备份原文件到操作日志，可用 undo.js 撤销)
  */
-function writeTagsWithFFmpeg(filePath, tags, coverPath = null) {
+function writeTagsWithFFmpeg(filePath, tags, journal, coverPath = null) {
     const ext = path.extname(filePath).toLowerCase();
     const dir = path.dirname(filePath);
     const baseName = path.basename(filePath, ext);
@@ -576,9 +331,11 @@ function writeTagsWithFFmpeg(filePath, tags, coverPath = null) {
         });
 
         if (result.status === 0 && fs.existsSync(tempFile)) {
-            // 替换原文件
+            // 备份后替换原文件
+            const backupPath = journal.backupFile(filePath);
             fs.unlinkSync(filePath);
             fs.renameSync(tempFile, filePath);
+            journal.recordReplace(filePath, backupPath);
             return { success: true };
         } else {
             if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
@@ -594,57 +351,6 @@ function writeTagsWithFFmpeg(filePath, tags, coverPath = null) {
 // 3. 歌词相关函数
 // ---------------------------------------------------------
 
-/**
- * QQ音乐获取歌词
- */
-async function getQQLyrics(songmid) {
-    try {
-        const url = `https://c.y.qq.com/lyric/fcgi-bin/fcg_query_lyric_new.fcg?songmid=${songmid}&format=json&nobase64=1`;
-        const response = await httpGet(url, {
-            'Referer': 'https://y.qq.com/'
-        });
-
-        let data;
-        if (response.startsWith('MusicJsonCallback')) {
-            const jsonStr = response.replace(/^MusicJsonCallback\(/, '').replace(/\)$/, '');
-            data = JSON.parse(jsonStr);
-        } else {
-            data = JSON.parse(response);
-        }
-
-        if (data.lyric) {
-            let lyric = data.lyric;
-            if (!lyric.startsWith('[')) {
-                try {
-                    lyric = Buffer.from(lyric, 'base64').toString('utf-8');
-                } catch (e) {}
-            }
-            return lyric;
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
-
-/**
- * 网易云获取歌词
- */
-async function getNeteaseLyrics(songId) {
-    try {
-        const url = `https://music.163.com/api/song/lyric?id=${songId}&lv=1&tv=1`;
-        const response = await httpGet(url, { 'Referer': 'https://music.163.com' });
-        const data = JSON.parse(response);
-
-        if (data.lrc && data.lrc.lyric) {
-            return data.lrc.lyric;
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
-
 /**
  * 验证歌词有效性
  */
@@ -779,27 +485,24 @@ async function run() {
         }
 
         // 多数据源搜索
-        const results = await searchAllSources(searchTitle, searchArtist);
-
-        // 延迟避免请求过快
-        await new Promise(r => setTimeout(r, 100));
-
-        if (results.length > 0) {
-            // 计算匹配分数，选最佳
-            let bestMatch = results[0];
-            let bestScore = calculateMatchScore(parsed, results[0]);
-
-            for (let i = 1; i < results.length; i++) {
-                const score = calculateMatchScore(parsed, results[i]);
-                // 同分时优先选中文结果
-                if (score > bestScore || (score === bestScore && results[i].source === 'QQ音乐')) {
-                    bestScore = score;
-                    bestMatch = results[i];
-                }
-            }
+        const results = await providers.search(searchTitle, searchArtist);
+
+        // 计算匹配分数，选最佳（同分时优先选优先级高的数据源），时长和专辑相符的加分
+        const local = { ...parsed, duration: existing.duration, album: existing.album };
+        const { match: bestMatch, score: bestScore } = pickBestMatch(local, results);
 
+        if (bestMatch) {
             // 只有分数足够才采用
             if (bestScore >= 20) {
+                // 搜索结果缺少年份/流派时，查询所属专辑
+                if ((!existing.year && !bestMatch.year) || (!existing.genre && !bestMatch.genre)) {
+                    const album = await providers.getAlbum(bestMatch);
+                    if (album) {
+                        bestMatch.year = bestMatch.year || album.year;
+                        bestMatch.genre = bestMatch.genre || album.genre;
+                    }
+                }
+
                 // 构建补全计划（只补缺的）
                 const updates = {};
                 if (missing.title && bestMatch.title) updates.title = bestMatch.title;
@@ -898,6 +601,7 @@ async function run() {
     let successCount = 0;
     let failCount = 0;
     let lrcCount = 0;
+    const journal = openJournal('fix_audio_tags');
 
     for (let i = 0; i < plans.length; i++) {
         const plan = plans[i];
@@ -916,10 +620,16 @@ async function run() {
             }
         }
 
+        // 分辨率过低或损坏的封面不使用，其余规范化为基线 JPEG
+        if (coverPath && !prepareCoverFile(coverPath)) {
+            fs.unlinkSync(coverPath);
+            coverPath = null;
+        }
+
         // 写入标签（如果有更新）
         let tagSuccess = true;
         if (Object.keys(plan.updates).length > 0 || coverPath) {
-            const result = writeTagsWithFFmpeg(plan.file, plan.updates, coverPath);
+            const result = writeTags(plan.file, plan.updates, journal, coverPath);
             tagSuccess = result.success;
         }
 
@@ -931,15 +641,11 @@ async function run() {
         // 下载歌词（如果需要）
         if (plan.needLrc && plan.bestMatch) {
             try {
-                let lyric = null;
-                if (plan.bestMatch.source === 'QQ音乐' && plan.bestMatch.songmid) {
-                    lyric = await getQQLyrics(plan.bestMatch.songmid);
-                } else if (plan.bestMatch.source === '网易云' && plan.bestMatch.songId) {
-                    lyric = await getNeteaseLyrics(plan.bestMatch.songId);
-                }
+                const lyric = await providers.getLyrics(plan.bestMatch);
 
                 if (isValidLyric(lyric)) {
                     fs.writeFileSync(plan.lrcPath, cleanLyric(lyric), 'utf-8');
+                    journal.recordCreate(plan.lrcPath);
                     lrcCount++;
                 }
             } catch (e) {}
@@ -963,6 +669,7 @@ async function run() {
     if (failCount > 0) {
         console.log(`   失败: ${failCount} 个文件`);
     }
+    journal.finish();
 }
 
 // ---------------------------------------------------------
@@ -17,12 +17,14 @@
  *   -n, --limit    返回数量 (默认 20)
  *   -o, --output   输出到文件
  *   --json         输出 JSON 格式
+ *   --record       录制网络响应到离线数据目录
+ *   --replay       使用录制的离线数据，不联网
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const OpenCC = require('opencc-js');
+const { httpGet, delay } = require('./lib/http');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -41,19 +43,6 @@ const converter = OpenCC.Converter({ from: 'hk', to: 'cn' });
 // 2. 工具函数
 // ---------------------------------------------------------
 
-/**
- * HTTPS GET 请求
- */
-function httpGet(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-        }).on('error', reject);
-    });
-}
-
 /**
  * 繁体转简体 (使用 OpenCC-js 库)
  * 支持 Traditional Chinese (繁体) -> Simplified Chinese (简体)
@@ -116,13 +105,6 @@ function getSongKey(trackName) {
     return normalized;
 }
 
-/**
- * 延时函数
- */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * 解析命令行参数
  */
@@ -205,6 +187,8 @@ function printHelp() {
   -n, --limit     返回数量 (默认 ${DEFAULT_LIMIT})
   -o, --output    输出到文件
   --json          输出 JSON 格式
+  --record        录制网络响应到离线数据目录 (fixtures/http)
+  --replay        使用录制的离线数据，不联网
   -h, --help      显示帮助
 
 示例:
@@ -575,7 +559,15 @@ async function main() {
     }
 }
 
-main().catch(e => {
-    console.error('❌ 错误:', e.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    main().catch(e => {
+        console.error('❌ 错误:', e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getSongKey,
+    fetchArtistTopSongs,
+    fetchChartSongs
+};
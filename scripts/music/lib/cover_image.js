@@ -0,0 +1,361 @@
+/**
+ * 模块名称: Cover Image (封面图片检查与规范化)
+ * 功能描述: 封面嵌入、下载和检查共用的图片处理
+ *    - 检查: 分辨率、格式、渐进式 JPEG、EXIF、文件是否完整 (纯 JS，不需要 ffmpeg)
+ *    - 规范化: 超过最大边长的缩小，PNG/WebP/渐进式 JPEG 转为基线 JPEG (需要 ffmpeg)，去除 EXIF
+ *    - 只需要去除 EXIF 的 JPEG 直接删掉对应的段，不重新编码
+ *    - 感知哈希: dHash (缩小到 9x8 灰度后比较相邻像素)，用于判断两张封面是否为同一张图 (需要 ffmpeg)
+ * 使用方法:
+ *    const { inspectImage, coverProblems, normalizeCover } = require('./lib/cover_image');
+ *    const info = inspectImage(buffer);   // { type, width, height, progressive, exif, bytes }，损坏时为 null
+ *    coverProblems(info, { minSize: 300, maxSize: 1000 });   // ['large', 'exif']
+ *    const cover = normalizeCover(buffer, { maxSize: 1000 });   // { data, mime, width, height, changes }
+ *    hashDistance(coverHash(bufferA), coverHash(bufferB)) <= HASH_THRESHOLD;   // 同一张封面
+ */
+
+const { spawnSync } = require('child_process');
+const { imageSize } = require('image-size');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 短边低于该值的封面不使用
+const MIN_COVER_SIZE = 300;
+
+// 长边超过该值的封面缩小到该值 (车机等设备可用 --max-size 1000)
+const MAX_COVER_SIZE = 1500;
+
+// ffmpeg mjpeg 编码质量 (2-31，越小越好)
+const JPEG_QUALITY = 2;
+
+// 去除的 JPEG 段: APP1 (EXIF/XMP)、APP13 (Photoshop)、COM (注释)
+// APP0 (JFIF)、APP2 (ICC 色彩配置)、APP14 (Adobe 色彩变换) 会影响显示，保留
+const STRIP_MARKERS = new Set([0xE1, 0xED, 0xFE]);
+
+// 渐进式/无损等非基线 JPEG 的帧类型 (SOF2/SOF3/SOF6/SOF7/SOF10/SOF11/SOF14/SOF15)
+const NON_BASELINE_SOF = new Set([0xC2, 0xC3, 0xC6, 0xC7, 0xCA, 0xCB, 0xCE, 0xCF]);
+
+// dHash: 9x8 灰度图，每行比较相邻像素得到 64 位
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// 汉明距离不超过该值视为同一张封面 (不同分辨率、压缩质量的同一张图通常在 5 以内)
+const HASH_THRESHOLD = 10;
+
+// 哈希中 1 的位数不超过该值视为纯色图片 (数据源的默认封面、没有内容的占位图)
+const BLANK_HASH_BITS = 2;
+
+// 问题说明，按严重程度排序
+const PROBLEM_LABELS = {
+    corrupt: '损坏',
+    small: '分辨率过低',
+    large: '分辨率过高',
+    format: '非 JPEG',
+    progressive: '渐进式 JPEG',
+    exif: '含 EXIF'
+};
+
+// ---------------------------------------------------------
+// 2. 检查
+// ---------------------------------------------------------
+
+/**
+ * 遍历 JPEG 的文件头段 (到 SOS 为止)
+ * @returns {{ segments: Array<{ marker, start, end }>, headerEnd: number }|null} 结构错误时为 null
+ */
+function readJpegSegments(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        // 段之间的填充字节
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xDA || marker === 0xD9) return { segments, headerEnd: offset };
+        // 没有长度字段的标记
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) return null;
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+    return null;
+}
+
+/**
+ * 文件是否完整: JPEG 有结束标记 (EOI)，PNG 有 IEND 块，WebP 的 RIFF 大小与文件一致
+ */
+function isComplete(buffer, type) {
+    if (type === 'jpg') {
+        // 部分软件会在 EOI 之后追加数据，只要求末尾 1KB 内有 EOI
+        const tail = buffer.subarray(Math.max(0, buffer.length - 1024));
+        return tail.lastIndexOf(Buffer.from([0xFF, 0xD9])) >= 0;
+    }
+    if (type === 'png') {
+        const end = buffer.lastIndexOf(Buffer.from('IEND', 'latin1'));
+        return end >= 0 && end >= buffer.length - 1024;
+    }
+    if (type === 'webp') {
+        return buffer.length >= 12 && buffer.readUInt32LE(4) + 8 <= buffer.length;
+    }
+    return true;
+}
+
+/**
+ * 读取图片信息
+ * @param {Buffer} buffer
+ * @returns {{ type, width, height, progressive, exif, bytes }|null} 无法识别或不完整时为 null
+ */
+function inspectImage(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+
+    let size;
+    try {
+        size = imageSize(buffer);
+    } catch (e) {
+        return null;
+    }
+    if (!size.width || !size.height || !isComplete(buffer, size.type)) return null;
+
+    const info = { type: size.type, width: size.width, height: size.height, progressive: false, exif: false, bytes: buffer.length };
+    if (size.type === 'jpg') {
+        const jpeg = readJpegSegments(buffer);
+        if (!jpeg) return null;
+        info.progressive = jpeg.segments.some(s => NON_BASELINE_SOF.has(s.marker));
+        info.exif = jpeg.segments.some(s => STRIP_MARKERS.has(s.marker));
+    }
+    return info;
+}
+
+/**
+ * 封面的问题列表
+ * @param {Object|null} info inspectImage 的结果 (null 表示损坏)
+ * @param {Object} options { minSize, maxSize }，maxSize 为 0 时不限制
+ * @returns {string[]} 'corrupt' | 'small' | 'large' | 'format' | 'progressive' | 'exif'
+ */
+function coverProblems(info, options = {}) {
+    const { minSize = MIN_COVER_SIZE, maxSize = MAX_COVER_SIZE } = options;
+    if (!info) return ['corrupt'];
+
+    const problems = [];
+    if (Math.min(info.width, info.height) < minSize) problems.push('small');
+    if (maxSize > 0 && Math.max(info.width, info.height) > maxSize) problems.push('large');
+    if (info.type !== 'jpg') problems.push('format');
+    if (info.progressive) problems.push('progressive');
+    if (info.exif) problems.push('exif');
+    return problems;
+}
+
+/**
+ * 问题说明，如 "分辨率过高 3000x3000"
+ */
+function describeProblems(problems, info) {
+    return problems.map(problem => {
+        if (!info) return PROBLEM_LABELS[problem];
+        if (problem === 'small' || problem === 'large') return `${PROBLEM_LABELS[problem]} ${info.width}x${info.height}`;
+        if (problem === 'format') return `${info.type.toUpperCase()} 格式`;
+        return PROBLEM_LABELS[problem];
+    }).join('、');
+}
+
+// ---------------------------------------------------------
+// 3. 规范化
+// ---------------------------------------------------------
+
+/**
+ * 缩小后的尺寸: 长边不超过 maxSize，保持比例
+ */
+function fitSize(width, height, maxSize) {
+    const longSide = Math.max(width, height);
+    if (!maxSize || longSide <= maxSize) return { width, height };
+    const scale = maxSize / longSide;
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * 去除 JPEG 中的 EXIF/XMP/Photoshop/注释段，没有这些段时返回原 Buffer
+ */
+function stripJpegMetadata(buffer) {
+    const jpeg = readJpegSegments(buffer);
+    if (!jpeg) return buffer;
+    const kept = jpeg.segments.filter(s => !STRIP_MARKERS.has(s.marker));
+    if (kept.length === jpeg.segments.length) return buffer;
+
+    return Buffer.concat([
+        buffer.subarray(0, 2),
+        ...kept.map(s => buffer.subarray(s.start, s.end)),
+        buffer.subarray(jpeg.headerEnd)
+    ]);
+}
+
+/**
+ * 用 ffmpeg 编码为指定尺寸的基线 JPEG (不写入任何元数据)
+ */
+function encodeJpeg(buffer, width, height) {
+    const args = [
+        '-v', 'error', '-nostdin', '-i', 'pipe:0',
+        '-vf', `scale=${width}:${height}:flags=lanczos,format=yuvj420p`,
+        '-frames:v', '1', '-map_metadata', '-1', '-flags', '+bitexact',
+        '-c:v', 'mjpeg', '-q:v', String(JPEG_QUALITY), '-f', 'image2pipe', 'pipe:1'
+    ];
+    const result = spawnSync('ffmpeg', args, { input: buffer, maxBuffer: 64 * 1024 * 1024 });
+    if (result.error) {
+        if (result.error.code === 'ENOENT') throw new Error('未安装 ffmpeg，请先执行: brew install ffmpeg');
+        throw result.error;
+    }
+    if (result.status !== 0 || !result.stdout || result.stdout.length === 0) {
+        const message = result.stderr ? result.stderr.toString().trim().split('\n').pop() : '';
+        throw new Error(`图片转码失败${message ? `: ${message}` : ''}`);
+    }
+    return result.stdout;
+}
+
+/**
+ * 把封面规范化为不超过 maxSize 的基线 JPEG，并去除 EXIF
+ * 只需要去除 EXIF 时不重新编码；需要缩小或转换格式时调用 ffmpeg (未安装时抛出异常)
+ * 不检查最小分辨率，由调用方根据 coverProblems 决定是否使用
+ * @param {Buffer} buffer
+ * @param {Object} options { maxSize }
+ * @returns {{ data: Buffer, mime: string, width, height, changes: string[] }} changes 为处理掉的问题 (同 coverProblems)
+ */
+function normalizeCover(buffer, options = {}) {
+    const info = inspectImage(buffer);
+    if (!info) throw new Error('图片无法识别或已损坏');
+
+    const changes = coverProblems(info, { minSize: 0, maxSize: options.maxSize });
+    const size = fitSize(info.width, info.height, options.maxSize === undefined ? MAX_COVER_SIZE : options.maxSize);
+
+    let data = buffer;
+    if (changes.some(c => c !== 'exif')) data = encodeJpeg(buffer, size.width, size.height);
+    data = stripJpegMetadata(data);
+
+    return { data, mime: 'image/jpeg', width: size.width, height: size.height, changes };
+}
+
+/**
+ * 规范化内容说明，如 "缩小到 1000x1000、PNG 转 JPEG、去除 EXIF"
+ */
+function describeChanges(changes, info, size) {
+    return changes.map(change => {
+        if (change === 'large') return `缩小到 ${size.width}x${size.height}`;
+        if (change === 'format') return `${info.type.toUpperCase()} 转 JPEG`;
+        if (change === 'progressive') return '转为基线 JPEG';
+        if (change === 'exif') return '去除 EXIF';
+        return PROBLEM_LABELS[change];
+    }).join('、');
+}
+
+// ---------------------------------------------------------
+// 4. 感知哈希
+// ---------------------------------------------------------
+
+/**
+ * 计算 dHash: 每行相邻像素左边比右边亮记为 1
+ * @param {Uint8Array|Buffer} pixels 9x8 灰度像素 (逐行)
+ * @returns {string} 16 位十六进制
+ */
+function dHash(pixels) {
+    let hex = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const offset = y * HASH_WIDTH + x;
+            nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+            if (++bits === 4) {
+                hex += nibble.toString(16);
+                nibble = 0;
+                bits = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+/**
+ * 用 ffmpeg 把图片缩小为 9x8 灰度并计算 dHash
+ * @returns {string|null} 图片无法解码时为 null (未安装 ffmpeg 时抛出异常)
+ */
+function coverHash(buffer) {
+    const args = [
+        '-v', 'error', '-nostdin', '-i', 'pipe:0',
+        '-vf', `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`,
+        '-frames:v', '1', '-f', 'rawvideo', 'pipe:1'
+    ];
+    const result = spawnSync('ffmpeg', args, { input: buffer, maxBuffer: 1024 * 1024 });
+    if (result.error) {
+        if (result.error.code === 'ENOENT') throw new Error('未安装 ffmpeg，请先执行: brew install ffmpeg');
+        return null;
+    }
+    if (result.status !== 0 || !result.stdout || result.stdout.length < HASH_WIDTH * HASH_HEIGHT) return null;
+    return dHash(result.stdout);
+}
+
+/**
+ * 两个哈希的汉明距离
+ */
+function hashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * 是否为纯色或接近纯色的图片 (相邻像素几乎没有明暗变化)
+ */
+function isBlankHash(hash) {
+    return hashDistance(hash, '0'.repeat(hash.length)) <= BLANK_HASH_BITS;
+}
+
+/**
+ * 按哈希把图片分组: 与组内第一张的距离不超过阈值的归为一组
+ * @param {Array} items
+ * @param {Function} getHash item => hash
+ * @returns {Array<Array>} 按组大小从大到小排序
+ */
+function groupByHash(items, getHash, threshold = HASH_THRESHOLD) {
+    const groups = [];
+    items.forEach(item => {
+        const hash = getHash(item);
+        const group = groups.find(g => hashDistance(getHash(g[0]), hash) <= threshold);
+        if (group) group.push(item);
+        else groups.push([item]);
+    });
+    return groups.sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+    MIN_COVER_SIZE,
+    MAX_COVER_SIZE,
+    HASH_THRESHOLD,
+    inspectImage,
+    coverProblems,
+    describeProblems,
+    fitSize,
+    stripJpegMetadata,
+    normalizeCover,
+    describeChanges,
+    dHash,
+    coverHash,
+    hashDistance,
+    isBlankHash,
+    groupByHash
+};
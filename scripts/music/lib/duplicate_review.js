@@ -0,0 +1,355 @@
+/**
+ * 模块名称: Duplicate Review (重复文件交互审阅)
+ * 功能描述: 在终端中逐组显示重复文件，并排比较格式、码率、频谱、时长、标签、封面和歌词，按键选择保留的文件
+ *    - 1-9      保留对应的文件，其余移除
+ *    - 回车     采用推荐 (按评分排序的第 1 个可选文件；没有可选文件时跳过本组)
+ *               (不能保留前面的组中已选择移除的文件，也不能移除前面的组中已选择保留的文件)
+ *    - s        跳过本组 (全部保留)
+ *    - b        返回上一组重新选择
+ *    - q        结束审阅，只处理已选择的组
+ *    - Ctrl+C   放弃，不做任何修改
+ *    非终端输入 (管道) 时每行一个按键，空行表示回车
+ * 使用方法:
+ *    const { reviewGroups } = require('./lib/duplicate_review');
+ *    const keys = createKeyReader();
+ *    const status = await reviewGroups(groups, { keys, targetDir, loadDetails: f => index.getMetadata(f.path) });
+ *    // status: 'done' | 'quit' | 'abort'；每组的 keeper 为保留文件的下标，-1 表示跳过
+ *    keys.close();
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { detectFakeLossless } = require('./quality');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 分组类型 -> 标题
+const GROUP_LABELS = {
+    exact: '🔒 完全重复',
+    semantic: '🎵 语义重复',
+    fingerprint: '🎧 声纹重复'
+};
+
+// 左侧标签列宽、每列最小宽度 (终端字符宽度)
+const LABEL_WIDTH = 8;
+const MIN_COLUMN_WIDTH = 18;
+
+// 按数字键最多可选的文件数
+const MAX_CHOICES = 9;
+
+// ---------------------------------------------------------
+// 2. 显示
+// ---------------------------------------------------------
+
+/**
+ * 终端显示宽度 (中日韩文字、全角符号和 emoji 占 2 列)
+ */
+function displayWidth(str) {
+    let width = 0;
+    for (const ch of str) {
+        const code = ch.codePointAt(0);
+        const wide = (code >= 0x1100 && code <= 0x115f) || (code >= 0x2600 && code <= 0x27bf)
+            || (code >= 0x2b50 && code <= 0x2b55) || (code >= 0x2e80 && code <= 0xa4cf)
+            || (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff)
+            || (code >= 0xfe30 && code <= 0xfe4f) || (code >= 0xff00 && code <= 0xff60)
+            || (code >= 0xffe0 && code <= 0xffe6) || code >= 0x1f300;
+        width += wide ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * 截断或补空格到指定显示宽度
+ */
+function fitWidth(str, width) {
+    let result = '';
+    let used = 0;
+    const chars = [...str];
+    const overflow = displayWidth(str) > width;
+    for (const ch of chars) {
+        const w = displayWidth(ch);
+        if (used + w > width - (overflow ? 1 : 0)) break;
+        result += ch;
+        used += w;
+    }
+    if (overflow) {
+        result += '…';
+        used += 1;
+    }
+    return result + ' '.repeat(Math.max(0, width - used));
+}
+
+function formatDuration(seconds) {
+    if (!seconds) return '-';
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 音频格式: 无损显示位深/采样率，有损显示码率
+ */
+function formatAudio(filePath, format) {
+    const ext = path.extname(filePath).slice(1).toUpperCase();
+    if (!format) return ext;
+    if (format.lossless) {
+        const bits = format.bitsPerSample ? `${format.bitsPerSample}bit/` : '';
+        const rate = format.sampleRate ? `${format.sampleRate / 1000}kHz` : '';
+        return `${ext} ${bits}${rate}`.trim();
+    }
+    return format.bitrate ? `${ext} ${Math.round(format.bitrate / 1000)}kbps` : ext;
+}
+
+/**
+ * 频谱检测结果: 未检测 / 正常 / 假无损的截止频率
+ */
+function formatSpectrum(spectrum, format) {
+    if (!spectrum) return '-';
+    const fake = detectFakeLossless(spectrum, format);
+    const cutoff = `${(spectrum.cutoff / 1000).toFixed(1)}kHz`;
+    if (fake === 'lossy') return `⚠️ 有损转码 ${cutoff}`;
+    if (fake === 'upsampled') return `⚠️ 升频 ${cutoff}`;
+    return '✅ 正常';
+}
+
+/**
+ * 一个文件的比较信息
+ * @param {Object} file check_duplicates_enhanced 的文件信息 { path, size, lrcPath, spectrum? }
+ * @param {Object} details lib/library_index 的 getMetadata 记录 (可为 null)
+ * @param {string} targetDir 扫描目录 (显示相对路径)
+ * @returns {Array<[string, string]>} [标签, 内容]
+ */
+function describeFile(file, details, targetDir) {
+    const tags = (details && details.tags) || {};
+    const format = details && details.format;
+    const lyrics = [details && details.lyrics ? '内嵌' : '', file.lrcPath ? 'LRC' : ''].filter(Boolean);
+    const coverSize = details && details.coverSize ? ` ${details.coverSize.width}×${details.coverSize.height}` : '';
+
+    return [
+        ['文件', path.basename(file.path)],
+        ['目录', path.relative(targetDir, path.dirname(file.path)) || '.'],
+        ['格式', formatAudio(file.path, format)],
+        ['频谱', formatSpectrum(file.spectrum, format)],
+        ['时长', formatDuration(format && format.duration)],
+        ['大小', `${(file.size / 1024 / 1024).toFixed(2)}MB`],
+        ['标题', tags.title || '-'],
+        ['艺术家', tags.artist || '-'],
+        ['专辑', tags.album || '-'],
+        ['封面', details && details.cover ? `✅${coverSize}` : '❌'],
+        ['歌词', lyrics.length > 0 ? lyrics.join(' + ') : '❌']
+    ];
+}
+
+/**
+ * 并排显示一组文件
+ * @param {Object} group { type, title, similarity?, files }
+ * @param {Array} described 每个文件的 describeFile 结果
+ * @param {Object} options
+ * @param {number} options.index / options.total  当前组序号 / 组数
+ * @param {number} options.columns 终端宽度
+ * @param {Set} options.removed 前面的组中已选择移除的文件
+ * @param {number} options.recommended 推荐保留的下标 (默认 0，-1 表示没有可保留的文件)
+ * @returns {string[]} 输出行
+ */
+function renderGroup(group, described, options = {}) {
+    const columns = options.columns || 100;
+    const removed = options.removed || new Set();
+    const recommended = options.recommended || 0;
+    const similarity = group.similarity ? `，相似度 ${(group.similarity * 100).toFixed(0)}%` : '';
+    const lines = [
+        '',
+        '═'.repeat(Math.min(columns, 60)),
+        `[${options.index}/${options.total}] ${GROUP_LABELS[group.type] || group.type}: ${group.title} (${group.files.length} 首${similarity})`,
+        '═'.repeat(Math.min(columns, 60))
+    ];
+
+    // 文件太多时分成多块显示
+    const perBlock = Math.max(1, Math.floor((columns - LABEL_WIDTH) / MIN_COLUMN_WIDTH));
+    const width = Math.floor((columns - LABEL_WIDTH) / Math.min(perBlock, group.files.length));
+
+    for (let start = 0; start < group.files.length; start += perBlock) {
+        const indexes = group.files.map((_, i) => i).slice(start, start + perBlock);
+        const header = indexes.map(i => {
+            const mark = i === recommended ? ' ⭐推荐' : '';
+            const gone = removed.has(group.files[i].path) ? ' (已移除)' : '';
+            return fitWidth(`${i < MAX_CHOICES ? `[${i + 1}]` : '   '}${mark}${gone}`, width);
+        });
+        lines.push('');
+        lines.push(fitWidth('', LABEL_WIDTH) + header.join('').trimEnd());
+
+        described[0].forEach(([label], row) => {
+            const cells = indexes.map(i => fitWidth(described[i][row][1], width - 1) + ' ');
+            lines.push(fitWidth(label, LABEL_WIDTH) + cells.join('').trimEnd());
+        });
+    }
+    return lines;
+}
+
+// ---------------------------------------------------------
+// 3. 按键
+// ---------------------------------------------------------
+
+/**
+ * 读取按键: 终端中为单键，管道输入时每行一个按键
+ * @returns {{ next: () => Promise<string>, close: () => void }}
+ *          按键: 字符本身 / 'enter' / 'ctrl-c'；输入结束时返回 'q'
+ */
+function createKeyReader(input = process.stdin) {
+    if (input.isTTY) {
+        readline.emitKeypressEvents(input);
+        input.setRawMode(true);
+        input.resume();
+        return {
+            next: () => new Promise(resolve => {
+                input.once('keypress', (str, key = {}) => {
+                    if (key.ctrl && key.name === 'c') resolve('ctrl-c');
+                    else if (key.name === 'return' || key.name === 'enter') resolve('enter');
+                    else resolve((str || key.name || '').toLowerCase());
+                });
+            }),
+            close: () => {
+                input.setRawMode(false);
+                input.pause();
+            }
+        };
+    }
+
+    const rl = readline.createInterface({ input });
+    const queued = [];
+    const waiting = [];
+    let ended = false;
+    rl.on('line', line => {
+        const key = line.trim().toLowerCase() || 'enter';
+        if (waiting.length > 0) waiting.shift()(key);
+        else queued.push(key);
+    });
+    rl.on('close', () => {
+        ended = true;
+        waiting.splice(0).forEach(resolve => resolve('q'));
+    });
+
+    return {
+        next: () => new Promise(resolve => {
+            if (queued.length > 0) resolve(queued.shift());
+            else if (ended) resolve('q');
+            else waiting.push(resolve);
+        }),
+        close: () => rl.close()
+    };
+}
+
+// ---------------------------------------------------------
+// 4. 审阅
+// ---------------------------------------------------------
+
+/**
+ * 保留第 index 个文件是否与前面各组的选择冲突:
+ * 该文件已被选择移除，或者会移除本组中前面已选择保留的其他文件 (两组合起来会把同一录音全部移走)
+ * @returns {string|null} 冲突说明，没有冲突时为 null
+ */
+function choiceConflict(group, index, { removed, kept }) {
+    if (removed.has(group.files[index].path)) return '该文件已在前面的组中选择移除';
+    const other = group.files.find((f, i) => i !== index && kept.has(f.path));
+    return other ? `会移除前面的组中选择保留的 ${path.basename(other.path)}` : null;
+}
+
+/**
+ * 读取一组的选择，无效按键时重新读取
+ * @returns {Promise<number|'back'|'quit'|'abort'>} 保留文件的下标，-1 表示跳过
+ */
+async function readChoice(keys, group, { choices, removed, kept, recommended, print }) {
+    for (;;) {
+        const key = await keys.next();
+        if (key === 'ctrl-c') return 'abort';
+        if (key === 'q') return 'quit';
+        if (key === 'b') return 'back';
+        if (key === 'enter') return recommended;
+        if (key === 's') return -1;
+
+        if (/^[1-9]$/.test(key) && Number(key) <= choices) {
+            const conflict = choiceConflict(group, Number(key) - 1, { removed, kept });
+            if (!conflict) return Number(key) - 1;
+            print(`⚠️  ${conflict}，请选择其他文件，或按 b 返回修改`);
+        } else {
+            print(`⚠️  无效按键: ${key}`);
+        }
+    }
+}
+
+/**
+ * 逐组审阅，结果写入每组的 keeper (保留文件的下标，-1 表示跳过；未审阅的组为 undefined)
+ * @param {Array} groups [{ type, title, similarity?, files }]，files 按推荐程度排序
+ * @param {Object} options
+ * @param {Object} options.keys      createKeyReader() 的结果
+ * @param {Function} options.loadDetails async (file) => getMetadata 记录
+ * @param {string} options.targetDir 扫描目录
+ * @param {Function} options.print   输出函数 (默认 console.log)
+ * @returns {Promise<'done'|'quit'|'abort'>}
+ */
+async function reviewGroups(groups, options) {
+    const print = options.print || console.log;
+    const columns = () => process.stdout.columns || 100;
+    const cache = new Map();
+    let i = 0;
+
+    // 前面各组中选择移除 / 保留的文件
+    const decidedBefore = index => {
+        const removed = new Set();
+        const kept = new Set();
+        groups.slice(0, index).filter(g => g.keeper >= 0).forEach(g => {
+            g.files.forEach((f, k) => {
+                if (k !== g.keeper) removed.add(f.path);
+                else kept.add(f.path);
+            });
+        });
+        return { removed, kept };
+    };
+
+    while (i < groups.length) {
+        const group = groups[i];
+        const described = [];
+        for (const file of group.files) {
+            if (!cache.has(file.path)) cache.set(file.path, await options.loadDetails(file));
+            described.push(describeFile(file, cache.get(file.path), options.targetDir));
+        }
+
+        const { removed, kept } = decidedBefore(i);
+        // 没有不冲突的文件时没有推荐 (-1)，回车跳过本组
+        const recommended = group.files.findIndex((_, k) => !choiceConflict(group, k, { removed, kept }));
+        renderGroup(group, described, { index: i + 1, total: groups.length, columns: columns(), removed, recommended })
+            .forEach(line => print(line));
+        const choices = Math.min(group.files.length, MAX_CHOICES);
+        if (recommended < 0) {
+            print('\n⚠️  本组没有可保留的文件 (与前面各组的选择冲突)');
+            print(`回车=跳过本组  b=上一组  q=结束审阅  Ctrl+C=放弃`);
+        } else {
+            print(`\n保留哪一个? [1-${choices}] 回车=推荐  s=跳过本组  b=上一组  q=结束审阅  Ctrl+C=放弃`);
+        }
+
+        const choice = await readChoice(options.keys, group, { choices, removed, kept, recommended, print });
+        if (choice === 'abort' || choice === 'quit') return choice;
+        if (choice === 'back') {
+            i = Math.max(0, i - 1);
+            continue;
+        }
+
+        group.keeper = choice;
+        print(choice >= 0
+            ? `   ✅ 保留: ${path.basename(group.files[choice].path)}`
+            : '   ⏭️  跳过，全部保留');
+        i++;
+    }
+    return 'done';
+}
+
+module.exports = {
+    GROUP_LABELS,
+    displayWidth,
+    fitWidth,
+    formatAudio,
+    describeFile,
+    renderGroup,
+    createKeyReader,
+    reviewGroups
+};
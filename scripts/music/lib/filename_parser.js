@@ -0,0 +1,422 @@
+/**
+ * 模块名称: Filename Parser (文件名解析)
+ * 功能描述: 所有音乐脚本共用的文件名解析器，从 "歌手 - 歌名" 等格式中提取歌曲信息
+ * 解析结果:
+ *    - artist      歌手
+ *    - title       歌名（已去除版本标记和 feat 信息）
+ *    - featuring   合作歌手列表（来自 feat./ft. 标记）
+ *    - trackNumber 曲目编号（来自 "01. "、"1-01 " 等前缀）
+ *    - discNumber  碟片编号（来自 "1-01 " 前缀或 CD1/Disc 1 目录）
+ *    - versions    版本标记（Live、伴奏、2005版 等括号内容）
+ *    - confidence  解析可信度 (0 ~ 1)
+ * 使用方法:
+ *    const { parseFileName } = require('./lib/filename_parser');
+ *    parseFileName('01. 周杰伦 - 晴天 (Live).flac');
+ *    parseFileName('晴天.flac', { defaultArtist: '周杰伦' });
+ */
+
+const path = require('path');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 可识别的文件扩展名（只去掉这些，避免把 "F.I.R.飞儿乐团" 之类的名字截断）
+const KNOWN_EXTENSIONS = /\.(mp3|m4a|flac|wav|ogg|aac|ape|wma|dff|dsf|alac|lrc|jpg|jpeg|png|webp)$/i;
+
+// 已知歌手列表（用于判断 "歌名 - 歌手" 格式）
+const KNOWN_ARTISTS = [
+    '周杰伦', '林俊杰', '陈奕迅', '王菲', '邓紫棋', '薛之谦', '李荣浩',
+    '张学友', '刘德华', '蔡依林', '五月天', '齐秦', '费玉清', '邓丽君',
+    '许嵩', '汪苏泷', '张惠妹', '萧敬腾', '杨丞琳', '潘玮柏', '王力宏',
+    '李宗盛', '罗大佑', '周华健', '陶喆', '孙燕姿', '梁静茹', '莫文蔚',
+    '那英', '张靓颖', '李健', '毛不易', '华晨宇', '鹿晗', '张杰', '谭咏麟',
+    '刀郎', '张宇', '任贤齐', '孟庭苇', '伍佰', '张信哲', '张国荣',
+    'Beyond', 'S.H.E', 'Taylor Swift', 'Ed Sheeran', 'Adele', 'Bruno Mars',
+    'Coldplay', 'Maroon 5'
+];
+
+// 艺术家中英文名映射
+const ARTIST_ALIASES = {
+    '周杰伦': ['jay chou', 'jaychou'],
+    '林俊杰': ['jj lin', 'lin junjie'],
+    '陈奕迅': ['eason chan'],
+    '王菲': ['faye wong'],
+    '邓紫棋': ['gem', 'g.e.m.'],
+    '张学友': ['jacky cheung'],
+    '刘德华': ['andy lau'],
+    '蔡依林': ['jolin tsai'],
+    '五月天': ['mayday'],
+    '齐秦': ['chyi chin'],
+    '李宗盛': ['jonathan lee'],
+    '罗大佑': ['lo ta-yu'],
+    '许嵩': ['vae'],
+    '汪苏泷': ['silence wang'],
+    '薛之谦': ['joker xue'],
+    '李荣浩': ['li ronghao'],
+    '张惠妹': ['a-mei', 'chang hui-mei'],
+    '萧敬腾': ['jam hsiao'],
+    '杨丞琳': ['rainie yang'],
+    '潘玮柏': ['wilber pan'],
+    '王力宏': ['leehom wang', 'wang leehom']
+};
+
+// 版本标记关键词（括号内容或 " - xxx" 后缀为这些词，或以这些词加空格/标点开头时视为版本标记）
+const VERSION_KEYWORDS = [
+    'live', 'remix', 'mix', 'cover', 'demo', 'acoustic', 'instrumental',
+    'dj', 'karaoke', 'ktv', 'radio edit', 'remaster', 'remastered',
+    'bonus', 'edit', 'extended', 'short', 'version', 'ver.',
+    '伴奏', '演唱会', '现场', '大合唱', '合唱', '独唱', '钢琴版', '吉他版',
+    '纯音乐', '纯享', '国语', '粤语', '日语', '英语', '翻唱', '原唱', '加长',
+    '完整', '蛰伏'
+];
+
+// 关键词后紧跟字母/汉字时是普通单词的一部分 ("Demons"、"Mixed Signals"、"完整的我")
+const WORD_CHAR = /\p{L}/u;
+
+// 音质标记（直接丢弃，不算版本）
+const QUALITY_MARKS = /^(高清|无损|hi-?res|flac|mp3|wav|320k|128k|24bit|16bit|sq|hq)$/i;
+
+// 合作歌手分隔符
+const COLLABORATION_SEPARATORS = /[、&,，\/×]|\s+x\s+|\s+feat\.?\s+|\s+ft\.?\s+|\s+with\s+/i;
+
+// 歌手/歌名分隔符（按优先级）
+const SPACED_SEPARATORS = [' - ', ' – ', ' — ', ' _ '];
+
+// 括号对（左 -> 右）
+const BRACKETS = { '(': ')', '（': '）', '[': ']', '【': '】' };
+
+// ---------------------------------------------------------
+// 2. 工具函数
+// ---------------------------------------------------------
+
+/**
+ * 标准化字符串用于比较（小写，去空格和标点）
+ */
+function normalize(s) {
+    return s ? s.toLowerCase().replace(/[^\w\u4e00-\u9fa5]/g, '') : '';
+}
+
+/**
+ * 判断是否像艺术家名（已知歌手或别名，精确匹配）
+ */
+function looksLikeArtist(str) {
+    if (!str) return false;
+    const norm = normalize(str);
+    if (!norm) return false;
+    if (KNOWN_ARTISTS.some(a => normalize(a) === norm)) return true;
+    return Object.values(ARTIST_ALIASES).some(aliases => aliases.some(al => normalize(al) === norm));
+}
+
+/**
+ * 拆分合作歌手 ("周杰伦&费玉清" -> ['周杰伦', '费玉清'])
+ */
+function splitArtists(str) {
+    if (!str) return [];
+    return str.split(COLLABORATION_SEPARATORS).map(s => s.trim()).filter(s => s);
+}
+
+/**
+ * 判断两个歌手名是否为同一人（含合作歌手、中英文别名）
+ */
+function sameArtist(a, b) {
+    const na = normalize(a);
+    const nb = normalize(b);
+    if (!na || !nb) return false;
+    if (na === nb) return true;
+    for (const [cn, aliases] of Object.entries(ARTIST_ALIASES)) {
+        const names = [cn, ...aliases].map(normalize);
+        if (names.includes(na) && names.includes(nb)) return true;
+    }
+    return false;
+}
+
+/**
+ * 判断括号内容是否为版本标记
+ */
+function isVersionTag(str) {
+    const s = str.trim().toLowerCase();
+    if (!s) return false;
+    if (VERSION_KEYWORDS.some(k => s.startsWith(k) && !WORD_CHAR.test(s.charAt(k.length)))) return true;
+    // "2005版"、"粤语版"、"电影版" 之类
+    return /版$/.test(s) || /^\d{2,4}\s*(年|版|ver)/.test(s);
+}
+
+/**
+ * 去掉扩展名（仅限已知扩展名）
+ */
+function stripExtension(name) {
+    return name.replace(KNOWN_EXTENSIONS, '');
+}
+
+/**
+ * 从目录名中识别碟片编号 (CD1 / Disc 2 / Disk3)
+ */
+function discFromPath(filePath) {
+    const dirName = path.basename(path.dirname(filePath));
+    const match = dirName.match(/^(?:cd|disc|disk)\s*[-_]?\s*(\d{1,2})$/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * 移除曲目编号前缀，返回 { name, trackNumber, discNumber }
+ * 例如: "01 - xxx", "01. xxx", "01.xxx", "01_xxx", "1-01 xxx", "[03] xxx"
+ */
+function stripTrackNumber(name) {
+    let match;
+
+    // "1-01 xxx" / "1-01. xxx" (碟片-曲目)
+    match = name.match(/^(\d{1,2})-(\d{1,3})(?:[\s.\-_]+)(.+)$/);
+    if (match) {
+        return { name: match[3], trackNumber: parseInt(match[2], 10), discNumber: parseInt(match[1], 10) };
+    }
+
+    // "[03] xxx"
+    match = name.match(/^\[(\d{1,3})\]\s*(.+)$/);
+    if (match) {
+        return { name: match[2], trackNumber: parseInt(match[1], 10), discNumber: null };
+    }
+
+    // "01 - xxx" / "01. xxx" / "01.xxx" / "01_xxx"
+    match = name.match(/^(\d{1,3})\s*[.\-_、]\s*(.+)$/);
+    if (match) {
+        return { name: match[2], trackNumber: parseInt(match[1], 10), discNumber: null };
+    }
+
+    // "01 xxx"：仅空格分隔时要求补零或后接中文，避免误切 "99 Problems"
+    match = name.match(/^(0\d{1,2}|\d{1,3}(?=\s+[^\x00-\x7f]))\s+(.+)$/);
+    if (match) {
+        return { name: match[2], trackNumber: parseInt(match[1], 10), discNumber: null };
+    }
+
+    return { name, trackNumber: null, discNumber: null };
+}
+
+/**
+ * 提取字符串中的括号段，返回 { text, groups }
+ * text 为去掉括号后的文本，groups 为括号内容列表
+ */
+function extractBrackets(str) {
+    const groups = [];
+    let text = '';
+    let i = 0;
+
+    while (i < str.length) {
+        const close = BRACKETS[str[i]];
+        if (close) {
+            const end = str.indexOf(close, i + 1);
+            if (end > i) {
+                groups.push(str.slice(i + 1, end).trim());
+                text += ' ';
+                i = end + 1;
+                continue;
+            }
+        }
+        text += str[i];
+        i++;
+    }
+
+    return { text: text.replace(/\s+/g, ' ').trim(), groups };
+}
+
+/**
+ * 提取 feat 信息（括号内或末尾的 feat./ft.）
+ */
+function extractFeaturing(str) {
+    const match = str.match(/\s+(?:feat\.?|ft\.?|featuring)\s+(.+)$/i);
+    if (!match) return { text: str, featuring: [] };
+    return { text: str.slice(0, match.index).trim(), featuring: splitArtists(match[1]) };
+}
+
+/**
+ * 按 "-" 或 "_"（无空格）拆分，跳过括号内的分隔符
+ * 两侧都是英文字母时不拆分，避免误切 "A-Lin"、"Yo-Yo" 之类的名字
+ */
+function splitOnBareSeparator(str) {
+    let depth = 0;
+    for (let i = 1; i < str.length - 1; i++) {
+        const c = str[i];
+        if (BRACKETS[c]) depth++;
+        else if (Object.values(BRACKETS).includes(c)) depth = Math.max(0, depth - 1);
+        if (depth > 0 || (c !== '-' && c !== '_')) continue;
+        if (/[A-Za-z]/.test(str[i - 1]) && /[A-Za-z]/.test(str[i + 1])) continue;
+        const left = str.slice(0, i).trim();
+        const right = str.slice(i + 1).trim();
+        if (left && right) return [left, right];
+    }
+    return null;
+}
+
+// ---------------------------------------------------------
+// 3. 解析主函数
+// ---------------------------------------------------------
+
+/**
+ * 解析文件名，提取歌手、歌名、合作歌手、曲目/碟片编号和版本标记
+ * @param {string} fileName - 文件名或完整路径
+ * @param {object} [options]
+ * @param {string} [options.defaultArtist] - 默认歌手（通常为所在歌手目录名）
+ * @returns {{artist: string|null, title: string, featuring: string[], trackNumber: number|null,
+ *            discNumber: number|null, versions: string[], confidence: number, original: string}}
+ */
+function parseFileName(fileName, options = {}) {
+    const defaultArtist = options.defaultArtist || null;
+    const original = stripExtension(path.basename(fileName));
+
+    const stripped = stripTrackNumber(original.trim());
+    let name = stripped.name;
+    const trackNumber = stripped.trackNumber;
+    const discNumber = stripped.discNumber || discFromPath(fileName);
+
+    const versions = [];
+    let featuring = [];
+    let artist = null;
+    let title = null;
+    let confidence;
+
+    // 1. 按带空格的分隔符拆分（最标准的格式）
+    let parts = null;
+    for (const sep of SPACED_SEPARATORS) {
+        if (name.includes(sep)) {
+            parts = name.split(sep).map(s => s.trim()).filter(s => s);
+            if (parts.length >= 2) break;
+            parts = null;
+        }
+    }
+
+    // 末尾的 " - Live" / " - 伴奏" 属于版本标记，不是歌名
+    // 只剩 "歌手 - 歌名" 两段时不再去掉，"Oasis - Live Forever" 的后一段是歌名
+    while (parts && parts.length > 2 && isVersionTag(parts[parts.length - 1])) {
+        versions.push(parts.pop());
+    }
+
+    const spaced = !!parts;
+
+    // 2. 退而求其次：无空格的 "-" / "_"
+    if (!parts) {
+        const bare = splitOnBareSeparator(name);
+        if (bare && isVersionTag(bare[1])) {
+            // "晴天-Live"
+            name = bare[0];
+            versions.push(bare[1]);
+        } else if (bare) {
+            parts = bare;
+        }
+    }
+
+    if (parts) {
+        const first = parts[0];
+        const rest = parts.slice(1).join(' - ');
+        const last = parts[parts.length - 1];
+
+        if (defaultArtist && !sameArtistLoose(first, defaultArtist) && sameArtistLoose(last, defaultArtist)) {
+            // 格式：歌名 - 歌手（与所在歌手目录一致）
+            artist = last;
+            title = parts.slice(0, -1).join(' - ');
+        } else if (looksLikeArtist(last) && !looksLikeArtist(first)) {
+            // 格式：歌名 - 歌手（已知歌手）
+            artist = last;
+            title = parts.slice(0, -1).join(' - ');
+        } else if (/^\d+$/.test(first)) {
+            // 纯数字不是歌手名，整体作为歌名
+            title = `${first} - ${rest}`;
+        } else {
+            artist = first;
+            title = rest;
+        }
+    } else {
+        title = name;
+    }
+
+    // 3. 处理歌名中的括号：feat、歌手、版本标记
+    const { text, groups } = extractBrackets(title);
+    const remainingGroups = [];
+    for (const group of groups) {
+        const feat = group.match(/^(?:feat\.?|ft\.?|featuring)\s*(.+)$/i);
+        if (feat) {
+            featuring = featuring.concat(splitArtists(feat[1]));
+        } else if (QUALITY_MARKS.test(group)) {
+            // 音质标记直接丢弃
+        } else if (!artist && (looksLikeArtist(group) || (defaultArtist && sameArtistLoose(group, defaultArtist)))) {
+            // 格式：歌名 (歌手)
+            artist = group;
+        } else if (group) {
+            remainingGroups.push(group);
+        }
+    }
+    versions.unshift(...remainingGroups);
+
+    const featInTitle = extractFeaturing(text);
+    title = featInTitle.text;
+    featuring = featuring.concat(featInTitle.featuring);
+
+    // 歌手字段中的 feat（"周杰伦 feat. 杨瑞代 - xxx"）
+    if (artist) {
+        const featInArtist = extractFeaturing(artist);
+        artist = featInArtist.text;
+        featuring = featuring.concat(featInArtist.featuring);
+        const artistBrackets = artist.match(/^(.*?)\s*[\(（](?:feat\.?|ft\.?)\s*([^\)）]+)[\)）]\s*$/i);
+        if (artistBrackets) {
+            artist = artistBrackets[1];
+            featuring = featuring.concat(splitArtists(artistBrackets[2]));
+        }
+    }
+
+    title = title.replace(/\s+/g, ' ').trim();
+    artist = artist ? artist.replace(/\s+/g, ' ').trim() : null;
+
+    // 歌名被括号整个包住时（如 "(序曲)"），保留原内容
+    if (!title && versions.length > 0 && !parts) {
+        title = versions.shift();
+    }
+
+    // 4. 计算可信度
+    if (artist && spaced) {
+        confidence = (looksLikeArtist(artist) || (defaultArtist && sameArtistLoose(artist, defaultArtist))) ? 0.95 : 0.8;
+    } else if (artist) {
+        confidence = 0.6;
+    } else if (defaultArtist) {
+        confidence = 0.5;
+    } else {
+        confidence = 0.3;
+    }
+    if (!title) confidence = 0;
+
+    if (!artist && defaultArtist) {
+        artist = defaultArtist;
+    }
+
+    return {
+        artist: artist || null,
+        title,
+        featuring: [...new Set(featuring)],
+        trackNumber,
+        discNumber,
+        versions,
+        confidence,
+        original
+    };
+}
+
+/**
+ * 宽松的歌手比较：同一人，或其中一方是另一方的合作歌手
+ */
+function sameArtistLoose(a, b) {
+    if (sameArtist(a, b)) return true;
+    const nb = normalize(b);
+    return splitArtists(a).some(x => sameArtist(x, b) || normalize(x) === nb);
+}
+
+module.exports = {
+    KNOWN_ARTISTS,
+    ARTIST_ALIASES,
+    VERSION_KEYWORDS,
+    COLLABORATION_SEPARATORS,
+    parseFileName,
+    looksLikeArtist,
+    splitArtists,
+    sameArtist,
+    isVersionTag,
+    stripTrackNumber,
+    normalize
+};
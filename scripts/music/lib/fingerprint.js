@@ -0,0 +1,341 @@
+/**
+ * 模块名称: Fingerprint (声纹指纹)
+ * 功能描述: 用 ffmpeg 把音频解码为 PCM，按 Chromaprint 默认算法计算声纹指纹，比较并分组相同录音
+ *    - 解码: 单声道 11025Hz 16 位 PCM，只取前 120 秒 (与 fpcalc 默认一致)
+ *    - 指纹: 4096 点 Hamming 窗 FFT → 12 音级色度 → 时间平滑 → 归一化 → 16 个分类器，每帧 32 位
+ *    - 比较: 在 ±10 秒内错位对齐，取比特差异最少的位置，返回相似度 (0-1)
+ *    - 同一录音的 MP3 / FLAC / 不同码率转码相似度通常在 0.9 以上，不同歌曲约 0.5
+ * 使用方法:
+ *    const { fingerprintFile, compareFingerprints, groupFingerprints } = require('./lib/fingerprint');
+ *    const fp = fingerprintFile('/Music/晴天.flac');   // number[]，解码失败时为 null
+ *    const similarity = compareFingerprints(fp, fingerprintFile('/Music/周杰伦 - 晴天.mp3'));
+ *    const groups = groupFingerprints([{ path, fingerprint, duration }, ...]);
+ */
+
+const { durationTolerance } = require('./matching');
+const { decodePcm, forEachFrame } = require('./spectrum');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const SAMPLE_RATE = 11025;
+const MAX_SECONDS = 120;
+
+// FFT 帧长 4096，相邻帧重叠 2/3
+const FRAME_SIZE = 4096;
+const FRAME_STEP = Math.floor(FRAME_SIZE / 3);
+
+// 色度特征的频率范围
+const MIN_FREQ = 28;
+const MAX_FREQ = 3520;
+const NUM_BANDS = 12;
+
+// 色度的时间平滑系数
+const CHROMA_FILTER = [0.25, 0.75, 1.0, 0.75, 0.25];
+
+// 色度向量的模小于该值时视为静音
+const NORM_THRESHOLD = 0.01;
+
+// Chromaprint 默认算法的 16 个分类器: [滤波器类型, 起始音级, 音级数, 帧数] + 3 个量化阈值
+const CLASSIFIERS = [
+    [0, 4, 3, 15, [1.98215, 2.35817, 2.63523]],
+    [4, 4, 6, 15, [-1.03809, -0.651211, -0.282167]],
+    [1, 0, 4, 16, [-0.298702, 0.119262, 0.558497]],
+    [3, 8, 2, 12, [-0.105439, 0.0153946, 0.135898]],
+    [3, 4, 4, 8, [-0.142891, 0.0258736, 0.200632]],
+    [4, 0, 3, 5, [-0.826319, -0.590612, -0.368214]],
+    [1, 2, 2, 9, [-0.557409, -0.233035, 0.0534525]],
+    [2, 7, 3, 4, [-0.0646826, 0.00620476, 0.0784847]],
+    [2, 6, 2, 16, [-0.192387, -0.029699, 0.215855]],
+    [2, 1, 3, 2, [-0.0397818, -0.00568076, 0.0292026]],
+    [5, 10, 1, 15, [-0.53823, -0.369934, -0.190235]],
+    [3, 6, 2, 10, [-0.124877, 0.0296483, 0.139239]],
+    [2, 1, 1, 14, [-0.101475, 0.0225617, 0.231971]],
+    [3, 5, 6, 4, [-0.0799915, -0.00729616, 0.063262]],
+    [1, 9, 2, 12, [-0.272556, 0.019424, 0.302559]],
+    [3, 4, 2, 14, [-0.164292, -0.0321188, 0.0846339]]
+];
+const MAX_FILTER_WIDTH = Math.max(...CLASSIFIERS.map(c => c[3]));
+const GRAY_CODE = [0, 1, 3, 2];
+
+// 比较时最多错位的帧数 (每帧约 0.124 秒，80 帧约 10 秒) 和至少需要重叠的帧数
+const MAX_OFFSET = 80;
+const MIN_OVERLAP = 40;
+
+// 相似度达到该值视为同一录音
+const MATCH_THRESHOLD = 0.85;
+
+// ---------------------------------------------------------
+// 2. 解码
+// ---------------------------------------------------------
+
+/**
+ * 用 ffmpeg 解码为单声道 11025Hz PCM
+ * @returns {Int16Array|null} 解码失败时返回 null (未安装 ffmpeg 时抛出异常)
+ */
+function decodeAudio(filePath, maxSeconds = MAX_SECONDS) {
+    return decodePcm(filePath, { sampleRate: SAMPLE_RATE, seconds: maxSeconds });
+}
+
+// ---------------------------------------------------------
+// 3. 频谱与色度
+// ---------------------------------------------------------
+
+/**
+ * FFT 频点 -> 音级 (0-11，A 为 0)，不在频率范围内的为 -1
+ */
+function buildNoteMap() {
+    const notes = new Int8Array(FRAME_SIZE / 2 + 1).fill(-1);
+    const minIndex = Math.max(1, Math.round(FRAME_SIZE * MIN_FREQ / SAMPLE_RATE));
+    const maxIndex = Math.min(FRAME_SIZE / 2, Math.round(FRAME_SIZE * MAX_FREQ / SAMPLE_RATE));
+    for (let i = minIndex; i < maxIndex; i++) {
+        const freq = i * SAMPLE_RATE / FRAME_SIZE;
+        const octave = Math.log2(freq / (440 / 16));
+        notes[i] = Math.floor(NUM_BANDS * (octave - Math.floor(octave)));
+    }
+    return notes;
+}
+
+/**
+ * 计算每帧的色度向量 (12 个音级的能量)
+ * @returns {Float64Array[]}
+ */
+function chromagram(samples) {
+    const notes = buildNoteMap();
+    const frames = [];
+
+    forEachFrame(samples, FRAME_SIZE, FRAME_STEP, power => {
+        const chroma = new Float64Array(NUM_BANDS);
+        for (let i = 0; i < notes.length; i++) {
+            if (notes[i] >= 0) chroma[notes[i]] += power[i];
+        }
+        frames.push(chroma);
+    });
+    return frames;
+}
+
+/**
+ * 时间平滑 (5 帧加权) 后按欧氏范数归一化
+ */
+function smoothChroma(frames) {
+    const result = [];
+    for (let t = CHROMA_FILTER.length - 1; t < frames.length; t++) {
+        const chroma = new Float64Array(NUM_BANDS);
+        CHROMA_FILTER.forEach((coef, j) => {
+            const frame = frames[t - CHROMA_FILTER.length + 1 + j];
+            for (let b = 0; b < NUM_BANDS; b++) chroma[b] += frame[b] * coef;
+        });
+
+        const norm = Math.sqrt(chroma.reduce((sum, v) => sum + v * v, 0));
+        for (let b = 0; b < NUM_BANDS; b++) chroma[b] = norm < NORM_THRESHOLD ? 0 : chroma[b] / norm;
+        result.push(chroma);
+    }
+    return result;
+}
+
+// ---------------------------------------------------------
+// 4. 指纹
+// ---------------------------------------------------------
+
+/**
+ * 色度的积分图，area(帧1, 音级1, 帧2, 音级2) 为矩形区域之和
+ */
+function integralImage(rows) {
+    const width = NUM_BANDS + 1;
+    const table = new Float64Array((rows.length + 1) * width);
+    rows.forEach((row, r) => {
+        for (let c = 0; c < NUM_BANDS; c++) {
+            table[(r + 1) * width + c + 1] = row[c]
+                + table[r * width + c + 1] + table[(r + 1) * width + c] - table[r * width + c];
+        }
+    });
+    return (r1, c1, r2, c2) => table[r2 * width + c2] - table[r1 * width + c2] - table[r2 * width + c1] + table[r1 * width + c1];
+}
+
+function subtractLog(a, b) {
+    return Math.log(1 + a) - Math.log(1 + b);
+}
+
+/**
+ * 6 种 Haar 型滤波器: 整块 / 音级二分 / 时间二分 / 棋盘 / 音级三分 / 时间三分
+ */
+function applyFilter(area, type, x, y, h, w) {
+    switch (type) {
+        case 0:
+            return subtractLog(area(x, y, x + w, y + h), 0);
+        case 1: {
+            const h2 = Math.floor(h / 2);
+            return subtractLog(area(x, y + h2, x + w, y + h), area(x, y, x + w, y + h2));
+        }
+        case 2: {
+            const w2 = Math.floor(w / 2);
+            return subtractLog(area(x + w2, y, x + w, y + h), area(x, y, x + w2, y + h));
+        }
+        case 3: {
+            const w2 = Math.floor(w / 2);
+            const h2 = Math.floor(h / 2);
+            return subtractLog(
+                area(x, y + h2, x + w2, y + h) + area(x + w2, y, x + w, y + h2),
+                area(x, y, x + w2, y + h2) + area(x + w2, y + h2, x + w, y + h)
+            );
+        }
+        case 4: {
+            const h3 = Math.floor(h / 3);
+            return subtractLog(
+                area(x, y + h3, x + w, y + 2 * h3),
+                area(x, y, x + w, y + h3) + area(x, y + 2 * h3, x + w, y + h)
+            );
+        }
+        default: {
+            const w3 = Math.floor(w / 3);
+            return subtractLog(
+                area(x + w3, y, x + 2 * w3, y + h),
+                area(x, y, x + w3, y + h) + area(x + 2 * w3, y, x + w, y + h)
+            );
+        }
+    }
+}
+
+function quantize(value, [t0, t1, t2]) {
+    if (value < t0) return 0;
+    if (value < t1) return 1;
+    return value < t2 ? 2 : 3;
+}
+
+/**
+ * 计算 PCM 的声纹指纹
+ * @param {Int16Array} samples 单声道 11025Hz PCM
+ * @returns {number[]} 每帧一个 32 位无符号整数，音频太短时为空数组
+ */
+function computeFingerprint(samples) {
+    const rows = smoothChroma(chromagram(samples));
+    const area = integralImage(rows);
+    const fingerprint = [];
+
+    for (let x = 0; x + MAX_FILTER_WIDTH <= rows.length; x++) {
+        let bits = 0;
+        for (const [type, y, h, w, thresholds] of CLASSIFIERS) {
+            bits = (bits << 2) | GRAY_CODE[quantize(applyFilter(area, type, x, y, h, w), thresholds)];
+        }
+        fingerprint.push(bits >>> 0);
+    }
+    return fingerprint;
+}
+
+/**
+ * 解码并计算文件的声纹指纹
+ * @returns {number[]|null} 解码失败或音频太短时返回 null
+ */
+function fingerprintFile(filePath) {
+    const samples = decodeAudio(filePath);
+    if (!samples) return null;
+    const fingerprint = computeFingerprint(samples);
+    return fingerprint.length > 0 ? fingerprint : null;
+}
+
+/**
+ * 指纹 <-> base64 (小端 32 位)，用于缓存到音乐库索引
+ */
+function encodeFingerprint(fingerprint) {
+    const buf = Buffer.alloc(fingerprint.length * 4);
+    fingerprint.forEach((v, i) => buf.writeUInt32LE(v, i * 4));
+    return buf.toString('base64');
+}
+
+function decodeFingerprint(text) {
+    const buf = Buffer.from(text, 'base64');
+    const fingerprint = [];
+    for (let i = 0; i + 4 <= buf.length; i += 4) fingerprint.push(buf.readUInt32LE(i));
+    return fingerprint;
+}
+
+// ---------------------------------------------------------
+// 5. 比较与分组
+// ---------------------------------------------------------
+
+function popcount(v) {
+    v -= (v >>> 1) & 0x55555555;
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * 比较两个指纹
+ * @returns {number} 最佳对齐位置的相似度 (1 - 比特差异率)，重叠太少时为 0
+ */
+function compareFingerprints(a, b) {
+    if (!a || !b) return 0;
+    let best = 0;
+
+    for (let offset = -MAX_OFFSET; offset <= MAX_OFFSET; offset++) {
+        const startA = Math.max(0, offset);
+        const startB = Math.max(0, -offset);
+        const overlap = Math.min(a.length - startA, b.length - startB);
+        if (overlap < MIN_OVERLAP) continue;
+
+        let errors = 0;
+        for (let i = 0; i < overlap; i++) errors += popcount(a[startA + i] ^ b[startB + i]);
+        best = Math.max(best, 1 - errors / (overlap * 32));
+    }
+    return best;
+}
+
+/**
+ * 按指纹相似度分组 (相似关系可传递: A≈B、B≈C 时 A、B、C 为一组)
+ * 只比较时长相差在容差 (5 秒或 3%) 以内的文件
+ * @param {Array<{ fingerprint: number[], duration?: number }>} items 其他字段原样保留
+ * @param {Object} options
+ * @param {number} options.threshold 相似度阈值 (默认 0.85)
+ * @returns {Array<{ items: Array, similarity: number }>} 只返回 2 个及以上的组，similarity 为组内最低的配对相似度
+ */
+function groupFingerprints(items, options = {}) {
+    const threshold = options.threshold || MATCH_THRESHOLD;
+    const list = items.filter(item => item.fingerprint && item.fingerprint.length > 0)
+        .sort((a, b) => (a.duration || 0) - (b.duration || 0));
+
+    // 并查集
+    const parent = list.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const minSimilarity = new Map();
+
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            const d1 = list[i].duration || 0;
+            const d2 = list[j].duration || 0;
+            if (d1 && d2 && d2 - d1 > durationTolerance(d1)) break;
+
+            const similarity = compareFingerprints(list[i].fingerprint, list[j].fingerprint);
+            if (similarity < threshold) continue;
+
+            const root = find(i);
+            const other = find(j);
+            const lowest = Math.min(similarity, minSimilarity.get(root) ?? 1, minSimilarity.get(other) ?? 1);
+            parent[other] = root;
+            minSimilarity.set(root, lowest);
+        }
+    }
+
+    const groups = new Map();
+    list.forEach((item, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item);
+    });
+
+    return [...groups.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([root, group]) => ({ items: group, similarity: minSimilarity.get(root) }));
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    MATCH_THRESHOLD,
+    decodeAudio,
+    computeFingerprint,
+    fingerprintFile,
+    encodeFingerprint,
+    decodeFingerprint,
+    compareFingerprints,
+    groupFingerprints
+};
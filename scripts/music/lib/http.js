@@ -0,0 +1,236 @@
+/**
+ * 模块名称: HTTP (网络请求)
+ * 功能描述: 音乐脚本共用的 HTTP GET / 文件下载，支持重定向、超时和离线录制/回放
+ * 录制/回放:
+ *    --record   正常联网，同时把每个响应保存到离线数据目录
+ *    --replay   不联网，从离线数据目录读取响应 (没有录制过的 URL 视为请求失败)
+ *    也可用环境变量 JSTOOLS_HTTP=record|replay 指定 (子进程会继承该设置)
+ *    离线数据目录默认为仓库下的 fixtures/http，可用环境变量 JSTOOLS_FIXTURES 指定
+ * 使用方法:
+ *    const { httpGet, httpGetBuffer, downloadFile } = require('./lib/http');
+ *    const text = await httpGet(url, { headers: { Referer: 'https://music.163.com' } });
+ *    await downloadFile(coverUrl, '/Music/周杰伦/晴天.jpg');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', '..', 'fixtures', 'http');
+
+// 以文本保存的响应类型，其余 (图片等) 以 base64 保存
+const TEXT_CONTENT_TYPES = /json|javascript|text|xml/i;
+
+const fixtures = {
+    mode: detectFixtureMode(),
+    dir: process.env.JSTOOLS_FIXTURES || DEFAULT_FIXTURES_DIR
+};
+
+// ---------------------------------------------------------
+// 2. 录制/回放
+// ---------------------------------------------------------
+
+/**
+ * 从命令行参数或环境变量判断录制/回放模式
+ */
+function detectFixtureMode() {
+    let mode = process.env.JSTOOLS_HTTP || 'live';
+    if (process.argv.includes('--record')) mode = 'record';
+    if (process.argv.includes('--replay')) mode = 'replay';
+
+    // 写回环境变量，让调用的子脚本使用同一模式
+    if (mode !== 'live') process.env.JSTOOLS_HTTP = mode;
+    return mode;
+}
+
+/**
+ * 手动设置录制/回放模式 (测试脚本使用)
+ * @param {string} mode 'live' | 'record' | 'replay'
+ * @param {string} dir  离线数据目录 (可选)
+ */
+function setFixtureMode(mode, dir) {
+    fixtures.mode = mode;
+    if (dir) fixtures.dir = dir;
+}
+
+/**
+ * 获取当前录制/回放模式
+ */
+function getFixtureMode() {
+    return fixtures.mode;
+}
+
+/**
+ * URL 对应的离线数据文件: <目录>/<域名>/<URL 的 SHA1 前 16 位>.json
+ */
+function getFixturePath(url) {
+    const hostname = new URL(url).hostname;
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return path.join(fixtures.dir, hostname, `${hash}.json`);
+}
+
+/**
+ * 保存响应 (错误状态码也保存，回放时原样抛出)
+ */
+function saveFixture(url, statusCode, contentType, body) {
+    const isText = TEXT_CONTENT_TYPES.test(contentType || '');
+    const record = {
+        url,
+        statusCode,
+        contentType: contentType || '',
+        encoding: isText ? 'utf-8' : 'base64',
+        body: body.toString(isText ? 'utf-8' : 'base64')
+    };
+
+    const fixturePath = getFixturePath(url);
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify(record, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * 读取录制的响应
+ */
+function loadFixture(url) {
+    const fixturePath = getFixturePath(url);
+    if (!fs.existsSync(fixturePath)) {
+        const err = new Error(`无离线数据: ${url}`);
+        err.code = 'ENOFIXTURE';
+        throw err;
+    }
+
+    const record = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+    if (record.statusCode >= 400) {
+        const err = new Error(`HTTP ${record.statusCode}`);
+        err.statusCode = record.statusCode;
+        throw err;
+    }
+    return Buffer.from(record.body, record.encoding);
+}
+
+// ---------------------------------------------------------
+// 3. 请求
+// ---------------------------------------------------------
+
+/**
+ * 发送 GET 请求 (跟随重定向)，返回 { statusCode, contentType, body }
+ */
+function request(url, options, redirects = 0) {
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const client = urlObj.protocol === 'https:' ? https : http;
+
+        const req = client.request({
+            hostname: urlObj.hostname,
+            port: urlObj.port,
+            path: urlObj.pathname + urlObj.search,
+            method: 'GET',
+            headers: {
+                'User-Agent': USER_AGENT,
+                ...options.headers
+            }
+        }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    return reject(new Error(`重定向次数过多: ${url}`));
+                }
+                const location = new URL(res.headers.location, url).toString();
+                return request(location, options, redirects + 1).then(resolve).catch(reject);
+            }
+
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                statusCode: res.statusCode,
+                contentType: res.headers['content-type'],
+                body: Buffer.concat(chunks)
+            }));
+            res.on('error', reject);
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`请求超时 (${timeout}ms)`));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * 发送 GET 请求，返回 Buffer
+ * HTTP 状态码 >= 400 时抛出错误，错误对象带 statusCode 字段
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.headers 额外请求头
+ * @param {number} options.timeout 超时毫秒数 (默认 10 秒)
+ */
+async function httpGetBuffer(url, options = {}) {
+    if (fixtures.mode === 'replay') {
+        return loadFixture(url);
+    }
+
+    const response = await request(url, options);
+    if (fixtures.mode === 'record') {
+        saveFixture(url, response.statusCode, response.contentType, response.body);
+    }
+
+    if (response.statusCode >= 400) {
+        const err = new Error(`HTTP ${response.statusCode}`);
+        err.statusCode = response.statusCode;
+        throw err;
+    }
+    return response.body;
+}
+
+/**
+ * 发送 GET 请求，返回文本
+ */
+async function httpGet(url, options = {}) {
+    const buffer = await httpGetBuffer(url, options);
+    return buffer.toString('utf-8');
+}
+
+/**
+ * 下载文件到本地，失败时删除不完整的文件
+ */
+async function downloadFile(url, destPath, options = {}) {
+    const buffer = await httpGetBuffer(url, options);
+    try {
+        fs.writeFileSync(destPath, buffer);
+    } catch (e) {
+        fs.unlink(destPath, () => {});
+        throw e;
+    }
+    return destPath;
+}
+
+/**
+ * 延时函数
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    USER_AGENT,
+    setFixtureMode,
+    getFixtureMode,
+    getFixturePath,
+    saveFixture,
+    httpGet,
+    httpGetBuffer,
+    downloadFile,
+    delay
+};
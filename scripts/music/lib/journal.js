@@ -0,0 +1,577 @@
+/**
+ * 模块名称: Journal (操作日志)
+ * 功能描述: 记录每次运行中移动文件、创建文件/目录、改写标签的操作，供 undo.js 整体撤销
+ * 存储格式:
+ *    ~/.jstools/journal/<运行ID>.jsonl   每行一条操作记录，第一行为运行信息
+ *    ~/.jstools/journal/<运行ID>/        改写前的数据备份
+ *    可用环境变量 JSTOOLS_JOURNAL 指定其他目录
+ * 操作类型:
+ *    - move     文件移动 (from -> to)
+ *    - create   新建文件 (撤销时删除)
+ *    - mkdir    新建目录 (撤销时若为空则删除)
+ *    - write    JS 整体读入后改写文件，只备份被替换的字节区间
+ *    - patch    原位改写文件中的一段 (长度不变，如 FLAC 元数据区)，只备份这一段
+ *    - tail     替换文件末尾 (长度可变，如 DSF 末尾的 ID3 标签、WAV data 之后的标签块)，只备份原来的末尾
+ *    - rewrite  JS 通过临时文件重写文件 (标签区变长)，只备份被替换的标签区，原样复制的音频数据只记录新旧位置
+ *    - replace  外部工具 (ffmpeg) 重写整个文件，备份原文件
+ * 使用方法:
+ *    const { openJournal } = require('./lib/journal');
+ *    const journal = openJournal('organize_hot_songs');
+ *    fs.renameSync(src, dest);
+ *    journal.recordMove(src, dest);
+ *    journal.finish();   // 输出撤销命令
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const DEFAULT_JOURNAL_DIR = path.join(os.homedir(), '.jstools', 'journal');
+
+// 差异区间间隔小于该值时合并为一个区间
+const MERGE_GAP = 64;
+const BLOCK_SIZE = 4096;
+
+// 撤销 rewrite 时复制数据的块大小
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+// ---------------------------------------------------------
+// 2. 工具函数
+// ---------------------------------------------------------
+
+/**
+ * 获取日志目录
+ */
+function getJournalDir() {
+    return process.env.JSTOOLS_JOURNAL || DEFAULT_JOURNAL_DIR;
+}
+
+/**
+ * 计算 Buffer 的 MD5
+ */
+function md5(buffer) {
+    return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+/**
+ * 文件当前状态 (用于撤销前确认文件未被再次修改)
+ */
+function fileState(filePath) {
+    const stat = fs.statSync(filePath);
+    return { size: stat.size, mtime: Math.floor(stat.mtimeMs) };
+}
+
+/**
+ * 生成运行 ID: 20250101-120000-脚本名
+ */
+function createRunId(script, dir) {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+        `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+    let id = `${stamp}-${script}`;
+    for (let n = 2; fs.existsSync(path.join(dir, `${id}.jsonl`)); n++) {
+        id = `${stamp}-${script}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * 比较改写前后的内容，找出被替换的区间
+ * 按相同偏移比较 (适合块大小不变的原位修改)，长度变化的部分作为末尾区间
+ * 返回 [{ offset, oldLength, newLength }]
+ */
+function diffRanges(oldBuf, newBuf) {
+    const ranges = [];
+    const minLength = Math.min(oldBuf.length, newBuf.length);
+    let start = -1;
+    let lastDiff = -1;
+
+    for (let i = 0; i < minLength; i++) {
+        // 整块相同时跳过 (音频数据部分)
+        if (i % BLOCK_SIZE === 0 && i + BLOCK_SIZE <= minLength &&
+            oldBuf.compare(newBuf, i, i + BLOCK_SIZE, i, i + BLOCK_SIZE) === 0) {
+            i += BLOCK_SIZE - 1;
+            continue;
+        }
+        if (oldBuf[i] === newBuf[i]) continue;
+        if (start >= 0 && i - lastDiff > MERGE_GAP) {
+            ranges.push({ offset: start, oldLength: lastDiff + 1 - start, newLength: lastDiff + 1 - start });
+            start = -1;
+        }
+        if (start < 0) start = i;
+        lastDiff = i;
+    }
+
+    if (oldBuf.length !== newBuf.length) {
+        // 末尾长度不同，与最后一个相邻区间合并
+        if (start >= 0 && minLength - lastDiff <= MERGE_GAP) {
+            ranges.push({ offset: start, oldLength: oldBuf.length - start, newLength: newBuf.length - start });
+        } else {
+            if (start >= 0) {
+                ranges.push({ offset: start, oldLength: lastDiff + 1 - start, newLength: lastDiff + 1 - start });
+            }
+            ranges.push({ offset: minLength, oldLength: oldBuf.length - minLength, newLength: newBuf.length - minLength });
+        }
+    } else if (start >= 0) {
+        ranges.push({ offset: start, oldLength: lastDiff + 1 - start, newLength: lastDiff + 1 - start });
+    }
+
+    return ranges;
+}
+
+/**
+ * 把 input 中 position 开始的 length 字节追加到 output
+ */
+function copyBytes(input, output, position, length) {
+    const chunk = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, length));
+    let remaining = length;
+    while (remaining > 0) {
+        const bytesRead = fs.readSync(input, chunk, 0, Math.min(chunk.length, remaining), position);
+        if (bytesRead === 0) throw new Error('文件不完整');
+        fs.writeSync(output, chunk, 0, bytesRead);
+        position += bytesRead;
+        remaining -= bytesRead;
+    }
+}
+
+/**
+ * 按 rewrite 记录还原原文件: 复制的区间从当前文件读回，其余从备份读回，按原位置依次拼接
+ */
+function restoreRewrite(op) {
+    const segments = [
+        ...op.copies.map(c => ({ offset: c.from, length: c.length, fromBackup: false, position: c.to })),
+        ...op.ranges.map(r => ({ offset: r.offset, length: r.length, fromBackup: true, position: r.backupOffset }))
+    ].sort((a, b) => a.offset - b.offset);
+
+    const tempFile = path.join(path.dirname(op.path), `_undo_${Date.now()}${path.extname(op.path)}`);
+    const current = fs.openSync(op.path, 'r');
+    const backup = fs.openSync(op.backup, 'r');
+    const output = fs.openSync(tempFile, 'w');
+    try {
+        segments.forEach(seg => copyBytes(seg.fromBackup ? backup : current, output, seg.position, seg.length));
+        if (fs.fstatSync(output).size !== op.oldSize) throw new Error(`还原校验失败: ${op.path}`);
+    } catch (e) {
+        fs.closeSync(output);
+        fs.unlinkSync(tempFile);
+        throw e;
+    } finally {
+        fs.closeSync(backup);
+        fs.closeSync(current);
+    }
+    fs.closeSync(output);
+    fs.renameSync(tempFile, op.path);
+}
+
+// ---------------------------------------------------------
+// 3. 记录
+// ---------------------------------------------------------
+
+/**
+ * 打开一次运行的操作日志 (第一次记录操作时才创建文件)
+ * @param {string} script 脚本名称
+ */
+function openJournal(script) {
+    const dir = getJournalDir();
+    let id = null;
+    let logPath = null;
+    let backupDir = null;
+    let count = 0;
+
+    function ensureRun() {
+        if (!id) {
+            fs.mkdirSync(dir, { recursive: true });
+            id = createRunId(script, dir);
+            logPath = path.join(dir, `${id}.jsonl`);
+            backupDir = path.join(dir, id);
+            fs.appendFileSync(logPath, JSON.stringify({
+                type: 'run',
+                id,
+                script,
+                cwd: process.cwd(),
+                argv: process.argv.slice(2),
+                startedAt: new Date().toISOString()
+            }) + '\n', 'utf-8');
+        }
+    }
+
+    function append(record) {
+        ensureRun();
+        count++;
+        fs.appendFileSync(logPath, JSON.stringify({ seq: count, ...record }) + '\n', 'utf-8');
+    }
+
+    function nextBackupPath(ext) {
+        ensureRun();
+        fs.mkdirSync(backupDir, { recursive: true });
+        return path.join(backupDir, `${count + 1}${ext}`);
+    }
+
+    return {
+        get id() {
+            return id;
+        },
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * 记录文件移动 (移动成功后调用)
+         */
+        recordMove(from, to) {
+            append({ type: 'move', from: path.resolve(from), to: path.resolve(to) });
+        },
+
+        /**
+         * 记录新建文件 (写入后调用)
+         */
+        recordCreate(filePath) {
+            append({ type: 'create', path: path.resolve(filePath), ...fileState(filePath) });
+        },
+
+        /**
+         * 记录新建目录 (创建后调用)
+         */
+        recordMkdir(dirPath) {
+            append({ type: 'mkdir', path: path.resolve(dirPath) });
+        },
+
+        /**
+         * 记录 JS 改写文件 (写入后调用)，只备份被替换的区间
+         */
+        recordWrite(filePath, oldBuf, newBuf) {
+            const ranges = diffRanges(oldBuf, newBuf);
+            if (ranges.length === 0) return;
+
+            const backupPath = nextBackupPath('.bin');
+            let backupOffset = 0;
+            const parts = ranges.map(r => {
+                const part = { ...r, backupOffset };
+                backupOffset += r.oldLength;
+                return part;
+            });
+            fs.writeFileSync(backupPath, Buffer.concat(ranges.map(r => oldBuf.subarray(r.offset, r.offset + r.oldLength))));
+
+            append({
+                type: 'write',
+                path: path.resolve(filePath),
+                backup: backupPath,
+                ranges: parts,
+                oldSize: oldBuf.length,
+                oldHash: md5(oldBuf),
+                newHash: md5(newBuf),
+                ...fileState(filePath)
+            });
+        },
+
+        /**
+         * 记录原位改写 (写入后调用)，offset 处的 oldBytes 被替换为等长的 newBytes
+         */
+        recordPatch(filePath, offset, oldBytes, newBytes) {
+            const backupPath = nextBackupPath('.bin');
+            fs.writeFileSync(backupPath, oldBytes);
+            append({
+                type: 'patch',
+                path: path.resolve(filePath),
+                offset,
+                length: oldBytes.length,
+                backup: backupPath,
+                newHash: md5(newBytes),
+                ...fileState(filePath)
+            });
+        },
+
+        /**
+         * 记录替换文件末尾 (写入后调用)，offset 之后的 oldTail 被替换为 newTail
+         */
+        recordTail(filePath, offset, oldTail, newTail) {
+            const backupPath = nextBackupPath('.bin');
+            fs.writeFileSync(backupPath, oldTail);
+            append({
+                type: 'tail',
+                path: path.resolve(filePath),
+                offset,
+                backup: backupPath,
+                newHash: md5(newTail),
+                ...fileState(filePath)
+            });
+        },
+
+        /**
+         * 记录 JS 重写文件 (替换后调用)
+         * @param {Array<{ from, to, length }>} copies 从原文件 from 处原样复制到新文件 to 处的区间
+         * @param {Array<{ offset, data }>} previous 原文件中其余的部分 (被替换的标签区)，只备份这些
+         * @param {number} oldSize 原文件大小
+         */
+        recordRewrite(filePath, copies, previous, oldSize) {
+            const backupPath = nextBackupPath('.bin');
+            let backupOffset = 0;
+            const ranges = previous.map(p => {
+                const range = { offset: p.offset, length: p.data.length, backupOffset };
+                backupOffset += p.data.length;
+                return range;
+            });
+            fs.writeFileSync(backupPath, Buffer.concat(previous.map(p => p.data)));
+            append({
+                type: 'rewrite',
+                path: path.resolve(filePath),
+                backup: backupPath,
+                copies,
+                ranges,
+                oldSize,
+                ...fileState(filePath)
+            });
+        },
+
+        /**
+         * 外部工具重写文件前备份原文件，返回备份路径
+         * 重写成功后调用 recordReplace(filePath, backupPath)
+         */
+        backupFile(filePath) {
+            const backupPath = nextBackupPath(path.extname(filePath));
+            fs.copyFileSync(filePath, backupPath, fs.constants.COPYFILE_FICLONE);
+            return backupPath;
+        },
+
+        /**
+         * 记录外部工具重写文件 (重写成功后调用)
+         */
+        recordReplace(filePath, backupPath) {
+            append({ type: 'replace', path: path.resolve(filePath), backup: backupPath, ...fileState(filePath) });
+        },
+
+        /**
+         * 丢弃未使用的备份 (重写失败时调用)
+         */
+        discardBackup(backupPath) {
+            if (backupPath && fs.existsSync(backupPath)) fs.unlinkSync(backupPath);
+        },
+
+        /**
+         * 运行结束，输出撤销命令
+         */
+        finish() {
+            if (count === 0) return;
+            console.log(`↩️  已记录 ${count} 项操作，撤销本次运行: jstools undo ${id}`);
+        }
+    };
+}
+
+// ---------------------------------------------------------
+// 4. 读取 / 撤销
+// ---------------------------------------------------------
+
+/**
+ * 列出所有运行 (新的在前)
+ */
+function listRuns() {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.jsonl'))
+        .map(f => readRun(f.slice(0, -6)))
+        .filter(Boolean)
+        .sort((a, b) => b.info.startedAt.localeCompare(a.info.startedAt));
+}
+
+/**
+ * 读取一次运行的日志
+ * @returns {{ info, ops: Array, undone: boolean }|null}
+ */
+function readRun(id) {
+    const logPath = path.join(getJournalDir(), `${id}.jsonl`);
+    if (!fs.existsSync(logPath)) return null;
+
+    const records = fs.readFileSync(logPath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    const info = records.find(r => r.type === 'run');
+    if (!info) return null;
+
+    return {
+        info,
+        ops: records.filter(r => ['move', 'create', 'mkdir', 'write', 'patch', 'tail', 'rewrite', 'replace'].includes(r.type)),
+        undone: records.some(r => r.type === 'undone')
+    };
+}
+
+/**
+ * 检查文件是否仍是本次运行写入后的状态
+ * 同一运行中之后的操作已被撤销时 (如重写后又原位修改)，修改时间已变，只比较大小
+ */
+function isUnchanged(filePath, op, restored) {
+    if (!fs.existsSync(filePath)) return false;
+    const state = fileState(filePath);
+    const isRestored = Boolean(restored && restored.has(path.resolve(filePath)));
+    return state.size === op.size && (isRestored || state.mtime === op.mtime);
+}
+
+/**
+ * 撤销单个操作，返回 { ok, message }
+ */
+function undoOp(op, options) {
+    const dryRun = options.dryRun;
+    const force = options.force;
+
+    switch (op.type) {
+        case 'move': {
+            if (!fs.existsSync(op.to)) return { ok: false, message: `文件已不存在: ${op.to}` };
+            if (fs.existsSync(op.from)) return { ok: false, message: `原位置已有文件: ${op.from}` };
+            if (!dryRun) {
+                fs.mkdirSync(path.dirname(op.from), { recursive: true });
+                fs.renameSync(op.to, op.from);
+            }
+            return { ok: true, message: `移回: ${op.to} -> ${op.from}` };
+        }
+
+        case 'create': {
+            if (!fs.existsSync(op.path)) return { ok: true, message: `已不存在: ${op.path}` };
+            if (!force && !isUnchanged(op.path, op, options.restored)) return { ok: false, message: `文件已被修改，跳过删除: ${op.path}` };
+            if (!dryRun) fs.unlinkSync(op.path);
+            return { ok: true, message: `删除: ${op.path}` };
+        }
+
+        case 'mkdir': {
+            if (!fs.existsSync(op.path)) return { ok: true, message: `已不存在: ${op.path}` };
+            if (fs.readdirSync(op.path).length > 0) return { ok: false, message: `目录非空，保留: ${op.path}` };
+            if (!dryRun) fs.rmdirSync(op.path);
+            return { ok: true, message: `删除空目录: ${op.path}` };
+        }
+
+        case 'write': {
+            if (!fs.existsSync(op.path)) return { ok: false, message: `文件已不存在: ${op.path}` };
+            let current = fs.readFileSync(op.path);
+            if (!force && md5(current) !== op.newHash) return { ok: false, message: `文件已被修改，跳过: ${op.path}` };
+
+            // 从后往前替换回原始区间
+            const backup = fs.readFileSync(op.backup);
+            for (const r of [...op.ranges].reverse()) {
+                current = Buffer.concat([
+                    current.subarray(0, r.offset),
+                    backup.subarray(r.backupOffset, r.backupOffset + r.oldLength),
+                    current.subarray(r.offset + r.newLength)
+                ]);
+            }
+            if (md5(current) !== op.oldHash) return { ok: false, message: `还原校验失败: ${op.path}` };
+            if (!dryRun) fs.writeFileSync(op.path, current);
+            return { ok: true, message: `还原标签: ${op.path}` };
+        }
+
+        case 'patch': {
+            if (!fs.existsSync(op.path)) return { ok: false, message: `文件已不存在: ${op.path}` };
+            const backup = fs.readFileSync(op.backup);
+            const fd = fs.openSync(op.path, dryRun ? 'r' : 'r+');
+            try {
+                const current = Buffer.alloc(op.length);
+                fs.readSync(fd, current, 0, op.length, op.offset);
+                if (!force && md5(current) !== op.newHash) return { ok: false, message: `文件已被修改，跳过: ${op.path}` };
+                if (!dryRun) fs.writeSync(fd, backup, 0, backup.length, op.offset);
+            } finally {
+                fs.closeSync(fd);
+            }
+            return { ok: true, message: `还原标签: ${op.path}` };
+        }
+
+        case 'tail': {
+            if (!fs.existsSync(op.path)) return { ok: false, message: `文件已不存在: ${op.path}` };
+            const backup = fs.readFileSync(op.backup);
+            const fd = fs.openSync(op.path, dryRun ? 'r' : 'r+');
+            try {
+                const size = fs.fstatSync(fd).size;
+                const current = Buffer.alloc(Math.max(size - op.offset, 0));
+                fs.readSync(fd, current, 0, current.length, op.offset);
+                if (!force && md5(current) !== op.newHash) return { ok: false, message: `文件已被修改，跳过: ${op.path}` };
+                if (!dryRun) {
+                    fs.ftruncateSync(fd, op.offset);
+                    fs.writeSync(fd, backup, 0, backup.length, op.offset);
+                }
+            } finally {
+                fs.closeSync(fd);
+            }
+            return { ok: true, message: `还原标签: ${op.path}` };
+        }
+
+        case 'rewrite': {
+            if (!fs.existsSync(op.path)) return { ok: false, message: `文件已不存在: ${op.path}` };
+            if (!fs.existsSync(op.backup)) return { ok: false, message: `备份已不存在: ${op.backup}` };
+            if (!force && !isUnchanged(op.path, op, options.restored)) return { ok: false, message: `文件已被修改，跳过: ${op.path}` };
+            if (!dryRun) restoreRewrite(op);
+            return { ok: true, message: `还原标签: ${op.path}` };
+        }
+
+        case 'replace': {
+            if (!fs.existsSync(op.backup)) return { ok: false, message: `备份已不存在: ${op.backup}` };
+            if (!force && fs.existsSync(op.path) && !isUnchanged(op.path, op, options.restored)) {
+                return { ok: false, message: `文件已被修改，跳过: ${op.path}` };
+            }
+            if (!dryRun) fs.copyFileSync(op.backup, op.path);
+            return { ok: true, message: `还原文件: ${op.path}` };
+        }
+
+        default:
+            return { ok: false, message: `未知操作: ${op.type}` };
+    }
+}
+
+/**
+ * 撤销一次运行 (按相反顺序)
+ * @param {string} id
+ * @param {Object} options
+ * @param {boolean} options.dryRun 只显示将要执行的操作
+ * @param {boolean} options.force  文件已被再次修改时仍然还原
+ * @returns {{ results: Array<{ op, ok, message }> }}
+ */
+function undoRun(id, options = {}) {
+    const run = readRun(id);
+    if (!run) throw new Error(`找不到运行记录: ${id}`);
+    if (run.undone && !options.force) throw new Error(`该运行已撤销: ${id}`);
+
+    // 已还原过的文件，撤销更早的操作时不再比较修改时间
+    const restored = new Set();
+    const results = [...run.ops].reverse().map(op => {
+        try {
+            const result = undoOp(op, { ...options, restored });
+            if (result.ok && op.path) restored.add(op.path);
+            return { op, ...result };
+        } catch (e) {
+            return { op, ok: false, message: `${e.message}` };
+        }
+    });
+
+    if (!options.dryRun) {
+        const logPath = path.join(getJournalDir(), `${id}.jsonl`);
+        fs.appendFileSync(logPath, JSON.stringify({
+            type: 'undone',
+            at: new Date().toISOString(),
+            failed: results.filter(r => !r.ok).length
+        }) + '\n', 'utf-8');
+    }
+
+    return { results };
+}
+
+module.exports = {
+    getJournalDir,
+    diffRanges,
+    openJournal,
+    listRuns,
+    readRun,
+    undoRun
+};
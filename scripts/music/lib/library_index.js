@@ -0,0 +1,474 @@
+/**
+ * 模块名称: Library Index (音乐库索引)
+ * 功能描述: 所有音乐脚本共用的增量索引，缓存文件的标签、音频属性、MD5、歌词/封面状态和文件名解析结果
+ * 存储格式:
+ *    JSON Lines 文件，每行一条记录，以绝对路径为键，后写入的行覆盖先写入的行
+ *    记录的 size + mtime 与磁盘不一致时视为失效，只重新读取变化过的文件
+ *    中断写入留下的残行在读取时忽略，下次保存时整体重写文件
+ *    默认位置 ~/.jstools/library_index.jsonl，可用环境变量 JSTOOLS_INDEX 指定
+ * 记录字段:
+ *    - path / size / mtime   文件路径、大小、修改时间
+ *    - parsed                文件名解析结果 (parseFileName)
+ *    - lrc                   是否存在同名 .lrc 文件
+ *    - hash                  MD5 (按需计算)
+ *    - tags / format         标签与音频属性 (按需读取)
+ *    - cover / lyrics        是否内嵌封面 / 歌词 (随标签一起读取)
+ *    - coverSize             内嵌封面的分辨率 { width, height } (随标签一起读取)
+ *    - coverImage            内嵌封面的格式、是否渐进式/含 EXIF，损坏时为 null (随标签一起读取，见 lib/cover_image)
+ *    - fingerprint           声纹指纹 (按需计算，需要 ffmpeg，见 lib/fingerprint)
+ *    - spectrum              频谱截止频率 (按需计算，需要 ffmpeg，见 lib/quality)
+ *    - coverHash             封面的感知哈希 (按需计算，需要 ffmpeg，见 lib/cover_image)；图片文件本身也可以建立记录
+ * 使用方法:
+ *    const { openIndex } = require('./lib/library_index');
+ *    const index = openIndex();
+ *    const files = index.scan('/Music/周杰伦', { extensions: AUDIO_EXTENSIONS });
+ *    const hash = index.getHash(files[0]);
+ *    const meta = await index.getMetadata(files[0]);
+ *    const fingerprint = index.getFingerprint(files[0]);
+ *    const spectrum = index.getSpectrum(files[0]);   // 先调用 getMetadata 以按原采样率分析 (DSD 等超过 96kHz 的降到 96kHz)
+ *    const coverHash = await index.getCoverHash(files[0]);   // 内嵌封面，也可以传入 cover.jpg 等图片
+ *    index.save();
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mm = require('music-metadata');
+const { imageSize } = require('image-size');
+const { parseFileName } = require('./filename_parser');
+const { inspectImage, coverHash } = require('./cover_image');
+const { fingerprintFile, encodeFingerprint, decodeFingerprint } = require('./fingerprint');
+const { analyzeFile } = require('./quality');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const DEFAULT_INDEX_PATH = path.join(os.homedir(), '.jstools', 'library_index.jsonl');
+const INDEX_VERSION = 1;
+const HASH_BUFFER_SIZE = 1024 * 1024;
+
+// 追加写入超过该比例的过期行时，保存时整体重写文件
+const COMPACT_RATIO = 0.3;
+
+// 图片文件 (计算封面哈希时直接读取图片本身)
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+
+// ---------------------------------------------------------
+// 2. 工具函数
+// ---------------------------------------------------------
+
+/**
+ * 获取索引文件路径
+ */
+function getIndexPath() {
+    return process.env.JSTOOLS_INDEX || DEFAULT_INDEX_PATH;
+}
+
+/**
+ * 计算文件 MD5
+ */
+function computeHash(filePath) {
+    try {
+        const fd = fs.openSync(filePath, 'r');
+        const hash = crypto.createHash('md5');
+        const buffer = Buffer.alloc(HASH_BUFFER_SIZE);
+        let bytesRead;
+        try {
+            while ((bytesRead = fs.readSync(fd, buffer, 0, HASH_BUFFER_SIZE, null)) !== 0) {
+                hash.update(buffer.subarray(0, bytesRead));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return hash.digest('hex');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 图片分辨率，无法识别时为 null
+ */
+function readImageSize(data) {
+    try {
+        const { width, height } = imageSize(data);
+        return width && height ? { width, height } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 读取标签和音频属性
+ */
+async function readMetadata(filePath) {
+    try {
+        const metadata = await mm.parseFile(filePath);
+        const common = metadata.common;
+        const format = metadata.format;
+        const picture = common.picture && common.picture.length > 0 ? common.picture[0] : null;
+
+        return {
+            tags: {
+                title: common.title || '',
+                artist: common.artist || '',
+                albumartist: common.albumartist || '',
+                album: common.album || '',
+                year: common.year || null,
+                track: common.track ? common.track.no : null,
+                disk: common.disk ? common.disk.no : null,
+                genre: common.genre ? common.genre.join(', ') : ''
+            },
+            format: {
+                container: format.container || '',
+                codec: format.codec || '',
+                lossless: !!format.lossless,
+                duration: format.duration || 0,
+                sampleRate: format.sampleRate || 0,
+                bitsPerSample: format.bitsPerSample || 0,
+                bitrate: format.bitrate || 0
+            },
+            cover: !!picture,
+            coverSize: picture ? readImageSize(picture.data) : null,
+            coverImage: picture ? inspectImage(picture.data) : null,
+            lyrics: !!(common.lyrics && common.lyrics.some(l => l && l.trim()))
+        };
+    } catch (e) {
+        return { tags: null, format: null, cover: false, coverSize: null, coverImage: null, lyrics: false, error: e.message };
+    }
+}
+
+/**
+ * 计算封面的感知哈希: 图片文件直接计算，音频文件取第一张内嵌图片
+ * @returns {string|null} 没有封面或无法解码时为 null
+ */
+async function readCoverHash(filePath) {
+    if (IMAGE_EXTENSIONS.test(filePath)) return coverHash(fs.readFileSync(filePath));
+    let metadata;
+    try {
+        metadata = await mm.parseFile(filePath);
+    } catch (e) {
+        return null;
+    }
+    const pictures = metadata.common.picture;
+    return pictures && pictures.length > 0 ? coverHash(pictures[0].data) : null;
+}
+
+/**
+ * 判断路径是否位于目录之下
+ */
+function isInside(filePath, dir) {
+    const rel = path.relative(dir, filePath);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// ---------------------------------------------------------
+// 3. 索引
+// ---------------------------------------------------------
+
+/**
+ * 打开索引
+ * @param {Object} options
+ * @param {string} options.file     索引文件路径 (默认 getIndexPath())
+ * @param {boolean} options.rebuild 忽略已有记录，全部重新读取
+ */
+function openIndex(options = {}) {
+    const indexPath = options.file || getIndexPath();
+    const entries = new Map();
+    let lineCount = 0;
+    let pending = [];
+    // 文件中有残行时下次保存整体重写 (否则追加的第一行会接在残行后面一起损坏)
+    let damaged = false;
+
+    if (!options.rebuild && fs.existsSync(indexPath)) {
+        const content = fs.readFileSync(indexPath, 'utf-8');
+        damaged = content.length > 0 && !content.endsWith('\n');
+        const lines = content.split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            lineCount++;
+            try {
+                const record = JSON.parse(line);
+                if (record.v !== INDEX_VERSION) continue;
+                if (record.deleted) {
+                    entries.delete(record.path);
+                } else {
+                    entries.set(record.path, record);
+                }
+            } catch (e) {
+                // 中断写入造成的残行，忽略
+                damaged = true;
+            }
+        }
+    }
+
+    // 本次运行的统计: 扫描文件数 / 失效重建数 / 实际计算 MD5 数 / 实际解析标签数 / 实际计算指纹数 / 实际分析频谱数 / 实际计算封面哈希数
+    const stats = { scanned: 0, stale: 0, hashed: 0, parsed: 0, fingerprinted: 0, analyzed: 0, coverHashed: 0 };
+
+    /**
+     * 标记记录已变化，等待写入
+     */
+    function touch(entry) {
+        pending.push(entry);
+    }
+
+    /**
+     * 获取与磁盘一致的记录，不存在或已失效时重新建立
+     */
+    function refresh(filePath, stat) {
+        const absPath = path.resolve(filePath);
+        if (!stat) {
+            try {
+                stat = fs.statSync(absPath);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const mtime = Math.floor(stat.mtimeMs);
+        const cached = entries.get(absPath);
+        if (cached && cached.size === stat.size && cached.mtime === mtime) {
+            return cached;
+        }
+
+        stats.stale++;
+        const entry = {
+            v: INDEX_VERSION,
+            path: absPath,
+            size: stat.size,
+            mtime,
+            parsed: parseFileName(absPath),
+            lrc: false
+        };
+        entries.set(absPath, entry);
+        touch(entry);
+        return entry;
+    }
+
+    /**
+     * 扫描目录，返回文件路径列表
+     * @param {string} dir
+     * @param {Object} scanOptions
+     * @param {RegExp} scanOptions.extensions 只返回匹配的文件
+     * @param {RegExp} scanOptions.skip       跳过的文件/目录名 (默认跳过 . 和 _ 开头)
+     */
+    function scan(dir, scanOptions = {}) {
+        const root = path.resolve(dir);
+        const skip = scanOptions.skip || /^[._]/;
+        const results = [];
+        const seen = new Set();
+
+        function walk(current) {
+            let items;
+            try {
+                items = fs.readdirSync(current, { withFileTypes: true });
+            } catch (e) {
+                return;
+            }
+
+            const names = new Set(items.map(item => item.name.toLowerCase()));
+
+            for (const item of items) {
+                if (skip.test(item.name)) continue;
+                const fullPath = path.join(current, item.name);
+
+                if (item.isDirectory()) {
+                    walk(fullPath);
+                    continue;
+                }
+                if (scanOptions.extensions && !scanOptions.extensions.test(item.name)) continue;
+
+                const entry = refresh(fullPath);
+                if (!entry) continue;
+                stats.scanned++;
+                seen.add(entry.path);
+
+                // 歌词文件可能单独增删，每次扫描都按目录列表更新
+                const baseName = path.basename(item.name, path.extname(item.name));
+                const hasLrc = names.has(`${baseName}.lrc`.toLowerCase());
+                if (entry.lrc !== hasLrc) {
+                    entry.lrc = hasLrc;
+                    touch(entry);
+                }
+
+                results.push(entry.path);
+            }
+        }
+
+        walk(root);
+
+        // 清除目录下已不存在的记录
+        for (const [filePath, entry] of entries) {
+            if (seen.has(filePath) || !isInside(filePath, root)) continue;
+            if (scanOptions.extensions && !scanOptions.extensions.test(filePath)) continue;
+            if (!fs.existsSync(filePath)) {
+                entries.delete(filePath);
+                pending.push({ v: INDEX_VERSION, path: filePath, deleted: true });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 获取记录 (已失效时重新建立)
+     */
+    function get(filePath) {
+        return refresh(filePath);
+    }
+
+    /**
+     * 获取文件 MD5，未缓存时计算
+     */
+    function getHash(filePath) {
+        const entry = refresh(filePath);
+        if (!entry) return null;
+        if (!entry.hash) {
+            entry.hash = computeHash(entry.path);
+            stats.hashed++;
+            if (entry.hash) touch(entry);
+        }
+        return entry.hash;
+    }
+
+    /**
+     * 获取标签和音频属性，未缓存时读取 (旧记录缺少封面信息时重新读取)
+     */
+    async function getMetadata(filePath) {
+        const entry = refresh(filePath);
+        if (!entry) return null;
+        if (entry.tags === undefined || (entry.cover && entry.coverImage === undefined)) {
+            Object.assign(entry, await readMetadata(entry.path));
+            stats.parsed++;
+            touch(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * 获取声纹指纹，未缓存时解码计算 (未安装 ffmpeg 时抛出异常)
+     * @returns {number[]|null}
+     */
+    function getFingerprint(filePath) {
+        const entry = refresh(filePath);
+        if (!entry) return null;
+        if (!entry.fingerprint) {
+            const fingerprint = fingerprintFile(entry.path);
+            stats.fingerprinted++;
+            if (!fingerprint) return null;
+            entry.fingerprint = encodeFingerprint(fingerprint);
+            touch(entry);
+            return fingerprint;
+        }
+        return decodeFingerprint(entry.fingerprint);
+    }
+
+    /**
+     * 获取频谱截止频率，未缓存时解码分析 (未安装 ffmpeg 时抛出异常)
+     * 按记录中的采样率解码，因此应先调用 getMetadata
+     * @returns {{ cutoff: number, nyquist: number, drop: number }|null}
+     */
+    function getSpectrum(filePath) {
+        const entry = refresh(filePath);
+        if (!entry) return null;
+        if (!entry.spectrum) {
+            const spectrum = analyzeFile(entry.path, entry.format);
+            stats.analyzed++;
+            if (!spectrum) return null;
+            entry.spectrum = spectrum;
+            touch(entry);
+        }
+        return entry.spectrum;
+    }
+
+    /**
+     * 获取封面的感知哈希，未缓存时计算 (未安装 ffmpeg 时抛出异常)
+     * 音频文件取内嵌封面 (已知没有内嵌封面时直接返回 null)，图片文件取图片本身
+     * @returns {Promise<string|null>}
+     */
+    async function getCoverHash(filePath) {
+        const entry = refresh(filePath);
+        if (!entry) return null;
+        if (entry.cover === false && !IMAGE_EXTENSIONS.test(entry.path)) return null;
+        if (!entry.coverHash) {
+            const hash = await readCoverHash(entry.path);
+            stats.coverHashed++;
+            if (!hash) return null;
+            entry.coverHash = hash;
+            touch(entry);
+        }
+        return entry.coverHash;
+    }
+
+    /**
+     * 文件被移动/重命名后同步记录，避免下次重新读取
+     */
+    function move(srcPath, destPath) {
+        const src = path.resolve(srcPath);
+        const dest = path.resolve(destPath);
+        const entry = entries.get(src);
+        if (!entry) return;
+
+        entries.delete(src);
+        pending.push({ v: INDEX_VERSION, path: src, deleted: true });
+
+        const moved = Object.assign({}, entry, { path: dest, parsed: parseFileName(dest) });
+        entries.set(dest, moved);
+        touch(moved);
+    }
+
+    /**
+     * 写入变化的记录；过期行过多时整体重写
+     */
+    function save() {
+        if (pending.length === 0) return;
+
+        try {
+            fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+
+            const needCompact = options.rebuild || damaged
+                || lineCount + pending.length > entries.size * (1 + COMPACT_RATIO) + 100;
+            if (needCompact) {
+                const tmpPath = `${indexPath}.tmp`;
+                const lines = [...entries.values()].map(e => JSON.stringify(e));
+                fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '', 'utf-8');
+                fs.renameSync(tmpPath, indexPath);
+                lineCount = lines.length;
+                damaged = false;
+            } else {
+                // 同一记录多次变化只写最后一次
+                const latest = new Map();
+                pending.forEach(e => latest.set(e.path, e));
+                const lines = [...latest.values()].map(e => JSON.stringify(e));
+                fs.appendFileSync(indexPath, lines.join('\n') + '\n', 'utf-8');
+                lineCount += lines.length;
+            }
+            pending = [];
+        } catch (e) {
+            console.error(`⚠️  索引保存失败: ${e.message}`);
+        }
+    }
+
+    return {
+        path: indexPath,
+        stats,
+        scan,
+        get,
+        getHash,
+        getMetadata,
+        getFingerprint,
+        getSpectrum,
+        getCoverHash,
+        move,
+        save
+    };
+}
+
+module.exports = {
+    DEFAULT_INDEX_PATH,
+    getIndexPath,
+    computeHash,
+    openIndex
+};
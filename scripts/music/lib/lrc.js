@@ -0,0 +1,436 @@
+/**
+ * 模块名称: LRC (歌词解析、校验与规范化)
+ * 功能描述: 解析、校验 LRC 歌词并输出统一格式，供歌词下载、嵌入和孤立歌词检测共用
+ *    - 行时间: [mm:ss.xx]，同一行可带多个时间标签 (重复的副歌)，乱序的行按时间排序
+ *    - 逐字时间 (增强型 LRC): [mm:ss.xx]<mm:ss.xx>词<mm:ss.xx>词
+ *    - 标识标签: [ti:] [ar:] [al:] [offset:] 等，offset 会应用到所有时间上
+ *    - 校验: 纯音乐、只有作词作曲信息、没有时间标签、行数太少的歌词视为无效
+ *    - 规范化: 标识标签在前，每行一个 [mm:ss.xx] 时间标签，按时间排序
+ *    - 时长: 比较最后一行的时间、数据源报告的时长与本地音频时长，识别 Live / Remix 等不同版本的歌词
+ *    - 双语: 按时间标签把翻译 / 音译合并到原歌词 (同一时间的行紧跟在原文之后)，或保存为 .zh.lrc / .roma.lrc
+ * 使用方法:
+ *    const { parseLrc, validateLrc, normalizeLrc, toSynchronisedText } = require('./lib/lrc');
+ *    const lrc = parseLrc(fs.readFileSync('晴天.lrc', 'utf-8'));
+ *    const { valid, reason } = validateLrc(content);   // reason: LRC_PROBLEMS 的键
+ *    const text = normalizeLrc(content);
+ *    const bilingual = mergeLrc(lyric, [translation, romanization]);
+ *    const { status, reasons } = checkDuration(lyric, { local: 269, provider: 301 });
+ *    const entries = toSynchronisedText(lrc.lines);   // [{ text, timeStamp }]
+ *    const text = serializeLrc({ meta: {}, lines: fromSynchronisedText(entries) });   // SYLT 还原为 LRC
+ */
+
+const { durationTolerance, compareDuration } = require('./matching');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// mm:ss、mm:ss.xx、mm:ss.xxx (部分歌词用冒号分隔小数)
+const TIME_PATTERN = '(\\d+):(\\d{1,2})(?:[.:](\\d{1,3}))?';
+const LINE_TAG = new RegExp(`^\\[${TIME_PATTERN}\\]`);
+const WORD_TAG = new RegExp(`<${TIME_PATTERN}>`, 'g');
+const META_TAG = /^\[([a-zA-Z#]+):(.*)\]$/;
+
+// 规范化时标识标签的顺序，其他标签按原顺序排在后面 (offset 已应用到时间上，不再输出)
+const META_ORDER = ['ti', 'ar', 'al', 'au', 'by', 'length', 're', 've'];
+
+// 作词作曲等制作信息行
+const CREDIT_LINE = /^(作词|作曲|编曲|词|曲|填词|谱曲|原唱|演唱|歌手|制作人?|监制|出品|发行|混音|录音|母带|和声|合声|配唱|吉他|贝斯|鼓|键盘|弦乐|OP|SP|Lyrics?|Lyricist|Music|Composer|Composed by|Written by|Arrang(?:er|ed by)|Producer|Produced by|Vocals?)\s*[:：]/i;
+
+// 纯音乐提示 (歌词行数很少时才算)；NOTICE 为数据源的固定提示语，无论行数都算
+const INSTRUMENTAL_LINE = /纯音乐|没有填词|^\(?instrumental\)?$/i;
+const INSTRUMENTAL_NOTICE = /没有填词|请.*欣赏/;
+
+// 有效歌词至少需要的歌词行数 (不含制作信息)
+const MIN_LYRIC_LINES = 3;
+
+// 校验问题 -> 说明
+const LRC_PROBLEMS = {
+    empty: '空歌词',
+    untimed: '没有时间标签',
+    instrumental: '纯音乐',
+    credits: '只有作词作曲信息',
+    short: '歌词行数太少'
+};
+
+// 没有任何歌词内容的问题 (没有时间标签、行数少的歌词仍可作为纯文本歌词使用)
+const UNUSABLE_PROBLEMS = ['empty', 'instrumental', 'credits'];
+
+// 最后一行歌词早于本地时长的这个比例时，可能是截断或其他版本的歌词
+const MIN_COVERAGE = 0.5;
+
+// 翻译 / 音译歌词文件的后缀: 晴天.zh.lrc、晴天.roma.lrc
+const LRC_VARIANTS = { translation: '.zh', romanization: '.roma' };
+
+// 翻译中表示 "本行无翻译" 的占位
+const TRANSLATION_PLACEHOLDER = /^(\/\/|-)?$/;
+
+// 合并双语歌词时，时间相差多少毫秒以内视为同一行
+const MERGE_TOLERANCE = 100;
+
+// 常见 HTML 实体 (部分数据源返回的歌词未解码)
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// ---------------------------------------------------------
+// 2. 解析
+// ---------------------------------------------------------
+
+/**
+ * 时间标签转为毫秒 (.xx 为百分之一秒，.xxx 为毫秒)
+ */
+function toMilliseconds(minutes, seconds, fraction) {
+    const ms = fraction ? Math.round(parseFloat(`0.${fraction}`) * 1000) : 0;
+    return parseInt(minutes) * 60000 + parseInt(seconds) * 1000 + ms;
+}
+
+/**
+ * 拆分逐字时间，标签之前的文字使用行时间
+ * 最后一个标签常用来标记结束时间，没有文字，保留为 text 为空的一项，序列化时原样写回
+ * @returns {Array<{ time, text }>|null} 没有逐字时间时返回 null
+ */
+function parseWords(text, lineTime) {
+    const matches = [...text.matchAll(WORD_TAG)];
+    if (matches.length === 0) return null;
+
+    const words = [];
+    const leading = text.slice(0, matches[0].index);
+    if (leading.trim()) words.push({ time: lineTime, text: leading });
+
+    matches.forEach((match, i) => {
+        const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+        const word = text.slice(match.index + match[0].length, end);
+        // 只有最后一个标签 (结束时间) 可以没有文字
+        if (word || end === text.length) words.push({ time: toMilliseconds(match[1], match[2], match[3]), text: word });
+    });
+    return words;
+}
+
+/**
+ * 解析 LRC 文本
+ * @returns {{ meta: Object, lines: Array<{ time, text, words }> }}
+ *          lines 按时间排序，time 为毫秒 (已应用 offset)；words 为逐字时间，没有时为 null
+ */
+function parseLrc(content) {
+    const meta = {};
+    const lines = [];
+
+    (content || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(raw => {
+        let line = raw.trim();
+        const times = [];
+        let match;
+        while ((match = line.match(LINE_TAG))) {
+            times.push(toMilliseconds(match[1], match[2], match[3]));
+            line = line.slice(match[0].length);
+        }
+
+        if (times.length === 0) {
+            const metaMatch = line.match(META_TAG);
+            if (metaMatch) meta[metaMatch[1].toLowerCase()] = metaMatch[2].trim();
+            return;
+        }
+
+        times.forEach(time => {
+            const words = parseWords(line, time);
+            const text = words ? line.replace(WORD_TAG, '') : line;
+            lines.push({ time, text: text.trim(), words });
+        });
+    });
+
+    // offset 为正表示歌词提前显示
+    const offset = parseInt(meta.offset) || 0;
+    if (offset) {
+        const shift = time => Math.max(0, time - offset);
+        lines.forEach(line => {
+            line.time = shift(line.time);
+            if (line.words) line.words.forEach(word => { word.time = shift(word.time); });
+        });
+    }
+
+    // 稳定排序，同一时间的行保持原顺序
+    lines.sort((a, b) => a.time - b.time);
+    return { meta, lines };
+}
+
+// ---------------------------------------------------------
+// 3. 校验
+// ---------------------------------------------------------
+
+/**
+ * 是否为制作信息行 (作词: xxx) 或 "歌名 - 歌手" 标题行
+ * 标题行需为第一行，或以 [ti:] 的歌名开头
+ */
+function isCreditLine(text, meta = {}, isFirst = false) {
+    if (CREDIT_LINE.test(text)) return true;
+    if (!/\s-\s/.test(text)) return false;
+    return isFirst || (Boolean(meta.ti) && text.startsWith(meta.ti));
+}
+
+/**
+ * 校验歌词
+ * @param {string|Object} content LRC 文本或 parseLrc 的结果
+ * @returns {{ valid: boolean, reason: string|null, lyricLines: number }}
+ *          reason 为 LRC_PROBLEMS 的键；lyricLines 为去掉制作信息后的歌词行数
+ */
+function validateLrc(content) {
+    const lrc = typeof content === 'string' || !content ? parseLrc(content) : content;
+    const texts = lrc.lines.map(line => line.text).filter(Boolean);
+    const lyrics = texts.filter((text, i) => !isCreditLine(text, lrc.meta, i === 0));
+
+    const notice = lyrics.find(text => INSTRUMENTAL_LINE.test(text));
+    const isBlank = !content || (typeof content === 'string' && !content.trim());
+
+    let reason = null;
+    if (isBlank || (lrc.lines.length > 0 && texts.length === 0)) reason = 'empty';
+    else if (lrc.lines.length === 0) reason = 'untimed';
+    else if (notice && (lyrics.length < MIN_LYRIC_LINES || INSTRUMENTAL_NOTICE.test(notice))) reason = 'instrumental';
+    else if (lyrics.length === 0) reason = 'credits';
+    else if (lyrics.length < MIN_LYRIC_LINES) reason = 'short';
+
+    return { valid: !reason, reason, lyricLines: lyrics.length };
+}
+
+// ---------------------------------------------------------
+// 4. 时长校验
+// ---------------------------------------------------------
+
+/**
+ * 最后一行歌词的时间 (毫秒)，没有带文字的时间行时返回 0
+ */
+function lastTimestamp(content) {
+    const lrc = typeof content === 'string' || !content ? parseLrc(content) : content;
+    const timed = lrc.lines.filter(line => line.text);
+    return timed.length > 0 ? timed[timed.length - 1].time : 0;
+}
+
+/**
+ * 校验歌词是否与本地音频时长相符
+ *    - 最后一行晚于本地时长 + 容差: 拒绝 (更长的版本)
+ *    - 数据源时长与本地时长相差超过容差: 低可信度，超过 3 倍容差时拒绝
+ *    - 最后一行早于本地时长的一半: 低可信度
+ * 容差见 lib/matching 的 durationTolerance
+ * @param {string|Object} content LRC 文本或 parseLrc 的结果
+ * @param {Object} durations
+ * @param {number} durations.local    本地音频时长 (秒，未知时为 0)
+ * @param {number} durations.provider 数据源报告的时长 (秒，可选)
+ * @returns {{ status: 'ok'|'low'|'reject', reasons: string[] }}
+ */
+function checkDuration(content, durations) {
+    const local = durations.local || 0;
+    const provider = durations.provider || 0;
+    if (!local) return { status: 'ok', reasons: [] };
+
+    const tolerance = durationTolerance(local);
+    const clock = seconds => formatTime(seconds * 1000).slice(0, -3);
+    const reasons = [];
+    let status = 'ok';
+    const flag = (level, reason) => {
+        reasons.push(reason);
+        if (level === 'reject' || status === 'ok') status = level;
+    };
+
+    const last = lastTimestamp(content) / 1000;
+    if (last > local + tolerance) {
+        flag('reject', `最后一行歌词 ${clock(last)} 超出音频时长 ${clock(local)}`);
+    } else if (last > 0 && local > 60 && last < local * MIN_COVERAGE) {
+        flag('low', `歌词在 ${clock(last)} 就结束了 (音频 ${clock(local)})`);
+    }
+
+    const match = compareDuration(local, provider);
+    if (match === 'off' || match === 'mismatch') {
+        const diff = Math.round(Math.abs(provider - local));
+        flag(match === 'mismatch' ? 'reject' : 'low', `数据源时长 ${clock(provider)} 与本地 ${clock(local)} 相差 ${diff} 秒`);
+    }
+
+    return { status, reasons };
+}
+
+// ---------------------------------------------------------
+// 5. 规范化
+// ---------------------------------------------------------
+
+/**
+ * 毫秒转为 mm:ss.xx
+ */
+function formatTime(ms) {
+    const centiseconds = Math.round(ms / 10);
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(Math.floor(centiseconds / 6000))}:${pad(Math.floor(centiseconds / 100) % 60)}.${pad(centiseconds % 100)}`;
+}
+
+/**
+ * 输出统一格式的 LRC: 标识标签在前 (不含 offset)，每行一个时间标签，逐字时间保留
+ */
+function serializeLrc(lrc) {
+    const keys = Object.keys(lrc.meta).filter(key => key !== 'offset');
+    const ordered = [
+        ...META_ORDER.filter(key => keys.includes(key)),
+        ...keys.filter(key => !META_ORDER.includes(key))
+    ];
+
+    const output = ordered.map(key => `[${key}:${lrc.meta[key]}]`);
+    lrc.lines.forEach(line => {
+        const text = line.words
+            ? line.words.map(word => `<${formatTime(word.time)}>${word.text}`).join('')
+            : line.text;
+        output.push(`[${formatTime(line.time)}]${text}`);
+    });
+    return output.join('\n');
+}
+
+/**
+ * 解码 HTML 实体
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+        .replace(/&([a-z]+);/g, (entity, name) => (name in HTML_ENTITIES ? HTML_ENTITIES[name] : entity));
+}
+
+/**
+ * 清理并规范化歌词: 解码 HTML 实体、应用 offset、按时间排序
+ * 没有时间标签的纯文本歌词只做清理 (去掉多余空行)
+ */
+function normalizeLrc(content) {
+    if (!content) return null;
+    const text = decodeEntities(content.replace(/^\uFEFF/, '')).replace(/\r\n?/g, '\n');
+    const lrc = parseLrc(text);
+    if (lrc.lines.length === 0) return text.replace(/\n{3,}/g, '\n\n').trim();
+    return serializeLrc(lrc);
+}
+
+// ---------------------------------------------------------
+// 6. 双语歌词
+// ---------------------------------------------------------
+
+/**
+ * 歌词文件对应的音频文件名 (不含扩展名): 去掉 .lrc 和翻译 / 音译后缀
+ */
+function lrcBaseName(fileName) {
+    const base = fileName.replace(/\.lrc$/i, '');
+    const suffix = Object.values(LRC_VARIANTS).find(s => base.toLowerCase().endsWith(s));
+    return suffix ? base.slice(0, -suffix.length) : base;
+}
+
+/**
+ * 解析翻译 / 音译歌词，去掉空行、"//" 占位和制作信息行
+ */
+function parseVariant(content) {
+    const lrc = parseLrc(decodeEntities(content || ''));
+    lrc.lines = lrc.lines.filter((line, i) => (
+        !TRANSLATION_PLACEHOLDER.test(line.text) && !isCreditLine(line.text, lrc.meta, i === 0)
+    ));
+    return lrc;
+}
+
+/**
+ * 规范化翻译 / 音译歌词 (单独保存为 .zh.lrc / .roma.lrc 时使用)，没有内容时返回 null
+ */
+function normalizeVariant(content) {
+    const lrc = parseVariant(content);
+    return lrc.lines.length > 0 ? serializeLrc({ meta: {}, lines: lrc.lines }) : null;
+}
+
+/**
+ * 按时间标签合并双语歌词: 原文每行之后插入时间相同的翻译 / 音译行
+ * 对不上原文的翻译行丢弃；与原文相同的行 (如英文歌词的 "翻译") 不重复插入
+ * @param {string} lyric 原歌词
+ * @param {Array<string|null>} extras 翻译、音译等，按插入顺序
+ * @param {Object} options
+ * @param {number} options.tolerance 时间相差多少毫秒以内视为同一行
+ * @returns {string} 规范化后的 LRC
+ */
+function mergeLrc(lyric, extras, options = {}) {
+    const tolerance = options.tolerance === undefined ? MERGE_TOLERANCE : options.tolerance;
+    const base = parseLrc(decodeEntities(lyric || ''));
+    const variants = extras.filter(Boolean).map(content => parseVariant(content).lines);
+
+    const lines = [];
+    base.lines.forEach(line => {
+        lines.push(line);
+        if (!line.text) return;
+
+        variants.forEach(variant => {
+            const index = variant.findIndex(v => Math.abs(v.time - line.time) <= tolerance);
+            if (index < 0) return;
+            // 每行翻译只用一次 (重复的副歌各有自己的时间标签)
+            const [match] = variant.splice(index, 1);
+            if (match.text !== line.text) lines.push({ time: line.time, text: match.text, words: null });
+        });
+    });
+
+    return serializeLrc({ meta: base.meta, lines });
+}
+
+// ---------------------------------------------------------
+// 7. 转换
+// ---------------------------------------------------------
+
+/**
+ * 转换为 SYLT 帧的时间轴 (node-id3 的 synchronisedText 格式)
+ * 有逐字时间时每个词一项，新一行的第一个词以换行开头 (ID3v2 SYLT 约定)；否则每行一项
+ * 逐字时间末尾的结束时间没有文字，不写入 SYLT
+ * @returns {Array<{ text, timeStamp }>}
+ */
+function toSynchronisedText(lines) {
+    const hasWords = lines.some(line => line.words);
+    if (!hasWords) return lines.map(line => ({ text: line.text, timeStamp: line.time }));
+
+    const entries = [];
+    lines.forEach(line => {
+        const words = line.words ? line.words.filter(word => word.text) : [{ time: line.time, text: line.text }];
+        words.forEach((word, i) => {
+            const newLine = i === 0 && entries.length > 0 ? '\n' : '';
+            entries.push({ text: newLine + word.text, timeStamp: word.time });
+        });
+    });
+    return entries;
+}
+
+/**
+ * 由 SYLT 时间轴还原歌词行 (toSynchronisedText 的逆操作)
+ * 有以换行开头的项时按逐字时间解析，每个换行开始新的一行；否则每项一行
+ * @param {Array<{ text, timeStamp }>} entries 毫秒时间轴
+ * @returns {Array<{ time, text, words }>} 可直接传给 serializeLrc
+ */
+function fromSynchronisedText(entries) {
+    const hasWords = entries.some((entry, i) => i > 0 && entry.text.startsWith('\n'));
+    if (!hasWords) {
+        return entries.map(entry => ({ time: entry.timeStamp, text: entry.text.trim(), words: null }));
+    }
+
+    const lines = [];
+    entries.forEach(entry => {
+        const text = entry.text.replace(/^\r?\n/, '');
+        if (lines.length === 0 || entry.text.startsWith('\n')) {
+            lines.push({ time: entry.timeStamp, text: '', words: [] });
+        }
+        const line = lines[lines.length - 1];
+        line.text += text;
+        line.words.push({ time: entry.timeStamp, text });
+    });
+    // 只有一个词的行没有逐字时间
+    lines.forEach(line => {
+        line.text = line.text.trim();
+        if (line.words.length === 1) line.words = null;
+    });
+    return lines;
+}
+
+module.exports = {
+    LRC_PROBLEMS,
+    UNUSABLE_PROBLEMS,
+    LRC_VARIANTS,
+    parseLrc,
+    isCreditLine,
+    validateLrc,
+    lastTimestamp,
+    checkDuration,
+    formatTime,
+    serializeLrc,
+    normalizeLrc,
+    lrcBaseName,
+    normalizeVariant,
+    mergeLrc,
+    toSynchronisedText,
+    fromSynchronisedText
+};
@@ -0,0 +1,171 @@
+/**
+ * 模块名称: Matching (搜索结果匹配)
+ * 功能描述: 比较本地歌曲与在线搜索结果，计算匹配分数并选出最佳结果
+ *    - 标题、艺术家: 字符串比较，艺术家支持中英文别名
+ *    - 时长: 本地时长已知时，与搜索结果时长相近的加分，相差过大的 (Live / Remix 等其他版本) 扣分
+ *    - 专辑: 本地文件有专辑标签时，专辑一致的加分
+ * 使用方法:
+ *    const { pickBestMatch, withLocalInfo } = require('./lib/matching');
+ *    const { match, score } = pickBestMatch({ title: '晴天', artist: '周杰伦' }, results);
+ *    const local = withLocalInfo(parsed, await index.getMetadata(file));   // 补充时长和专辑
+ *    const candidates = rankMatches(parsed, results);   // [{ match, score }]，分数从高到低
+ */
+
+const { ARTIST_ALIASES, normalize } = require('./filename_parser');
+
+// 时长容差: 5 秒或本地时长的 3%，取较大值；超过 3 倍容差视为不同版本
+const DURATION_TOLERANCE = 5;
+const DURATION_TOLERANCE_RATIO = 0.03;
+const DURATION_MISMATCH_FACTOR = 3;
+
+// 时长相差 2 秒以内视为同一音源
+const DURATION_EXACT = 2;
+
+// 时长 / 专辑的加减分
+const DURATION_SCORES = { exact: 20, close: 10, off: 0, mismatch: -30 };
+const ALBUM_SCORES = { exact: 15, partial: 5 };
+
+/**
+ * 检查艺术家是否匹配（支持包含关系和中英文别名）
+ */
+function artistMatches(artist1, artist2) {
+    if (!artist1 || !artist2) return false;
+    const a1 = normalize(artist1);
+    const a2 = normalize(artist2);
+    if (!a1 || !a2) return false;
+
+    // 直接匹配
+    if (a1 === a2) return true;
+    if (a1.includes(a2) || a2.includes(a1)) return true;
+
+    // 别名匹配
+    for (const [cn, aliases] of Object.entries(ARTIST_ALIASES)) {
+        const names = [cn, ...aliases].map(normalize);
+        if (names.includes(a1) && names.includes(a2)) return true;
+    }
+
+    return false;
+}
+
+/**
+ * 时长容差 (秒)
+ */
+function durationTolerance(local) {
+    return Math.max(DURATION_TOLERANCE, local * DURATION_TOLERANCE_RATIO);
+}
+
+/**
+ * 比较本地时长与搜索结果时长 (秒)
+ * @returns {'exact'|'close'|'off'|'mismatch'|null} 任一时长未知时返回 null
+ *          exact: 2 秒以内，close: 容差以内，off: 超出容差，mismatch: 超出 3 倍容差
+ */
+function compareDuration(local, remote) {
+    if (!local || !remote) return null;
+    const diff = Math.abs(local - remote);
+    const tolerance = durationTolerance(local);
+    if (diff <= DURATION_EXACT) return 'exact';
+    if (diff <= tolerance) return 'close';
+    return diff > tolerance * DURATION_MISMATCH_FACTOR ? 'mismatch' : 'off';
+}
+
+/**
+ * 计算匹配分数
+ * 标题完全一致 50 / 包含 30，艺术家匹配 40 / 部分包含 20
+ * 本地时长已知时: 相差 2 秒以内 +20 / 容差以内 +10 / 超出 3 倍容差 -30
+ * 本地有专辑标签时: 专辑一致 +15 / 部分包含 +5
+ * @param {Object} parsed { title, artist, duration?, album? }
+ * @param {Object} result 搜索结果 { title, artist, duration, album }
+ */
+function calculateMatchScore(parsed, result) {
+    let score = 0;
+
+    const parsedTitle = normalize(parsed.title);
+    const parsedArtist = normalize(parsed.artist);
+    const resultTitle = normalize(result.title);
+    const resultArtist = normalize(result.artist);
+
+    // 标题匹配
+    if (parsedTitle && resultTitle) {
+        if (parsedTitle === resultTitle) score += 50;
+        else if (resultTitle.includes(parsedTitle) || parsedTitle.includes(resultTitle)) score += 30;
+    }
+
+    // 艺术家匹配（支持中英文别名）
+    if (artistMatches(parsed.artist, result.artist)) {
+        score += 40;
+    } else if (parsedArtist && resultArtist) {
+        if (resultArtist.includes(parsedArtist) || parsedArtist.includes(resultArtist)) score += 20;
+    }
+
+    // 如果艺术家匹配了，给一个基础分（允许即使标题不匹配也能采用）
+    if (score >= 40 && score < 50) {
+        score += 10;
+    }
+
+    // 时长匹配
+    const duration = compareDuration(parsed.duration, result.duration);
+    if (duration) score += DURATION_SCORES[duration];
+
+    // 专辑匹配
+    const parsedAlbum = normalize(parsed.album);
+    const resultAlbum = normalize(result.album);
+    if (parsedAlbum && resultAlbum) {
+        if (parsedAlbum === resultAlbum) score += ALBUM_SCORES.exact;
+        else if (resultAlbum.includes(parsedAlbum) || parsedAlbum.includes(resultAlbum)) score += ALBUM_SCORES.partial;
+    }
+
+    return Math.max(score, 0);
+}
+
+/**
+ * 用本地文件的时长和专辑标签补充文件名解析结果，供匹配打分
+ * @param {Object} parsed 文件名解析结果 (或 { title, artist })
+ * @param {Object} entry lib/library_index 的 getMetadata 记录 (可为 null)
+ */
+function withLocalInfo(parsed, entry) {
+    if (!entry) return parsed;
+    return {
+        ...parsed,
+        duration: entry.format ? entry.format.duration : 0,
+        album: entry.tags ? entry.tags.album : ''
+    };
+}
+
+/**
+ * 选出分数最高的结果 (同分时保留排在前面的，即优先级更高的数据源)
+ * @returns {{ match: Object|null, score: number }}
+ */
+function pickBestMatch(parsed, results) {
+    let match = null;
+    let score = -1;
+
+    for (const result of results) {
+        const s = calculateMatchScore(parsed, result);
+        if (s > score) {
+            score = s;
+            match = result;
+        }
+    }
+
+    return { match, score: Math.max(score, 0) };
+}
+
+/**
+ * 按分数从高到低排列结果 (同分时保持原顺序，即数据源优先级)
+ * @returns {Array<{ match: Object, score: number }>}
+ */
+function rankMatches(parsed, results) {
+    return results
+        .map(result => ({ match: result, score: calculateMatchScore(parsed, result) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    artistMatches,
+    durationTolerance,
+    compareDuration,
+    calculateMatchScore,
+    withLocalInfo,
+    pickBestMatch,
+    rankMatches
+};
@@ -0,0 +1,227 @@
+/**
+ * 模块名称: Metadata Providers (在线数据源)
+ * 功能描述: 自动加载本目录下的数据源模块，按优先级统一提供搜索、歌词、封面、专辑查询
+ *
+ * 数据源模块格式 (新增数据源只需在本目录添加一个文件):
+ *    module.exports = {
+ *        name: 'qq',               // 唯一标识
+ *        label: 'QQ音乐',           // 显示名称，即搜索结果的 source 字段
+ *        priority: 10,             // 越小越优先，同分结果取优先级高的
+ *        rateLimit: 200,           // 两次请求的最小间隔 (ms)
+ *        timeout: 10000,           // 单次请求超时 (ms，可选)
+ *        retries: 2,               // 失败重试次数 (可选)
+ *        async search(title, artist, client) {},    // 返回结果列表
+ *        async getLyrics(result, client) {},        // 返回 LRC 文本 (可选)
+ *        async getLyricSet(result, client) {},      // 返回 { lyric, translation, romanization } (可选)
+ *        async getCover(result, client, size) {},   // 返回封面 URL (可选)
+ *        async getAlbum(result, client) {}          // 返回专辑信息 (可选)
+ *    };
+ *    client.get(url, headers) 已包含限速、超时和重试，数据源模块只负责拼 URL 和解析结果
+ *
+ * 使用方法:
+ *    const providers = require('./lib/providers');
+ *    const results = await providers.search('晴天', '周杰伦', { capability: 'lyrics' });
+ *    const lyric = await providers.getLyrics(results[0]);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpGet, delay, getFixtureMode, DEFAULT_TIMEOUT } = require('../http');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 500;
+
+// jstools -v 时输出数据源出错原因 (默认静默跳过)
+const VERBOSE = !!process.env.JSTOOLS_VERBOSE;
+
+// 能力名称 -> 数据源方法
+const CAPABILITIES = {
+    search: 'search',
+    lyrics: 'getLyrics',
+    cover: 'getCover',
+    album: 'getAlbum'
+};
+
+// ---------------------------------------------------------
+// 2. 加载数据源
+// ---------------------------------------------------------
+
+/**
+ * 加载本目录下所有数据源模块，按优先级排序
+ */
+function loadProviders() {
+    const providers = [];
+
+    fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .forEach(file => {
+            const provider = require(path.join(__dirname, file));
+            if (!provider.name || typeof provider.search !== 'function') {
+                throw new Error(`数据源模块格式错误: ${file}`);
+            }
+            provider.client = createClient(provider);
+            providers.push(provider);
+        });
+
+    return providers.sort((a, b) => (a.priority || 100) - (b.priority || 100));
+}
+
+/**
+ * 判断是否为值得重试的错误 (网络错误、超时、429、5xx)
+ */
+function isRetryable(err) {
+    // 回放的离线数据每次结果都一样，重试没有意义
+    if (getFixtureMode() === 'replay') return false;
+    if (!err.statusCode) return true;
+    return err.statusCode === 429 || err.statusCode >= 500;
+}
+
+/**
+ * 为数据源创建请求客户端：串行限速 + 超时 + 重试
+ */
+function createClient(provider) {
+    const rateLimit = provider.rateLimit || 0;
+    const timeout = provider.timeout || DEFAULT_TIMEOUT;
+    const retries = provider.retries === undefined ? DEFAULT_RETRIES : provider.retries;
+    let nextSlot = 0;
+
+    async function waitForSlot() {
+        // 回放离线数据时不需要限速
+        if (getFixtureMode() === 'replay') return;
+        const now = Date.now();
+        const wait = nextSlot - now;
+        nextSlot = Math.max(now, nextSlot) + rateLimit;
+        if (wait > 0) await delay(wait);
+    }
+
+    async function get(url, headers = {}) {
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) await delay(RETRY_DELAY * attempt);
+            await waitForSlot();
+            try {
+                return await httpGet(url, { headers, timeout });
+            } catch (e) {
+                lastError = e;
+                if (!isRetryable(e)) break;
+            }
+        }
+        throw lastError;
+    }
+
+    return { get };
+}
+
+const PROVIDERS = loadProviders();
+
+// ---------------------------------------------------------
+// 3. 统一接口
+// ---------------------------------------------------------
+
+/**
+ * 获取数据源列表
+ * @param {Object} options
+ * @param {string} options.capability 只返回支持该能力的数据源 (search/lyrics/cover/album)
+ * @param {string[]} options.only     只返回指定名称的数据源
+ */
+function getProviders(options = {}) {
+    return PROVIDERS.filter(p => {
+        if (options.only && options.only.length > 0 && !options.only.includes(p.name)) return false;
+        if (options.capability) {
+            const method = CAPABILITIES[options.capability];
+            if (!method || typeof p[method] !== 'function') return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 按名称查找数据源
+ */
+function getProvider(name) {
+    return PROVIDERS.find(p => p.name === name) || null;
+}
+
+/**
+ * 并行搜索所有数据源，结果按数据源优先级排列
+ * 单个数据源失败不影响其他数据源
+ */
+async function search(title, artist = null, options = {}) {
+    const providers = getProviders(options);
+
+    const resultLists = await Promise.all(providers.map(async (p) => {
+        try {
+            const results = await p.search(title, artist, p.client);
+            return results.map(r => ({ ...r, source: p.label, provider: p.name }));
+        } catch (e) {
+            if (VERBOSE) console.error(`   ⚠️  ${p.label} 搜索失败: ${e.message}`);
+            return [];
+        }
+    }));
+
+    return [].concat(...resultLists);
+}
+
+/**
+ * 调用搜索结果所属数据源的方法，失败返回 null
+ */
+async function callProvider(result, method, ...args) {
+    const provider = result && getProvider(result.provider);
+    if (!provider || typeof provider[method] !== 'function') return null;
+    try {
+        return await provider[method](result, provider.client, ...args);
+    } catch (e) {
+        if (VERBOSE) console.error(`   ⚠️  ${provider.label} ${method} 失败: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * 获取歌词
+ */
+function getLyrics(result) {
+    return callProvider(result, 'getLyrics');
+}
+
+/**
+ * 获取原歌词及翻译、音译 (数据源不支持时只有原歌词)
+ * @returns {{ lyric, translation, romanization }|null}
+ */
+async function getLyricSet(result) {
+    const provider = result && getProvider(result.provider);
+    if (provider && typeof provider.getLyricSet === 'function') {
+        return callProvider(result, 'getLyricSet');
+    }
+    const lyric = await getLyrics(result);
+    return lyric ? { lyric, translation: null, romanization: null } : null;
+}
+
+/**
+ * 获取指定边长的封面 URL (不指定时即搜索结果自带的 coverUrl)
+ */
+async function getCover(result, size) {
+    if (!size) return result.coverUrl || null;
+    return (await callProvider(result, 'getCover', size)) || result.coverUrl || null;
+}
+
+/**
+ * 获取专辑信息
+ * @returns {{ title, artist, year, coverUrl, tracks: Array<{ title, artist, trackNumber, discNumber }> }|null}
+ */
+function getAlbum(result) {
+    return callProvider(result, 'getAlbum');
+}
+
+module.exports = {
+    getProviders,
+    getProvider,
+    search,
+    getLyrics,
+    getLyricSet,
+    getCover,
+    getAlbum
+};
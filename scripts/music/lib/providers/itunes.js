@@ -0,0 +1,68 @@
+/**
+ * 数据源: iTunes（国际歌曲备选，唯一提供年份和流派）
+ */
+
+/**
+ * 把 100x100 的封面地址换成指定尺寸
+ */
+function coverUrl(artworkUrl, size = 600) {
+    return artworkUrl ? artworkUrl.replace('100x100', `${size}x${size}`) : null;
+}
+
+module.exports = {
+    name: 'itunes',
+    label: 'iTunes',
+    priority: 30,
+    rateLimit: 300,
+
+    async search(title, artist, client) {
+        const searchTerm = artist ? `${artist} ${title}` : title;
+        const url = `https://itunes.apple.com/search?term=${encodeURIComponent(searchTerm)}&media=music&limit=5`;
+        const data = JSON.parse(await client.get(url));
+
+        if (!data.resultCount) return [];
+
+        return data.results.map(r => ({
+            title: r.trackName,
+            artist: r.artistName,
+            album: r.collectionName,
+            year: r.releaseDate ? new Date(r.releaseDate).getFullYear() : null,
+            genre: r.primaryGenreName,
+            duration: r.trackTimeMillis ? r.trackTimeMillis / 1000 : null,
+            trackNumber: r.trackNumber,
+            albumId: r.collectionId,
+            artworkUrl: r.artworkUrl100 || null,
+            coverUrl: coverUrl(r.artworkUrl100),
+            previewUrl: r.previewUrl
+        }));
+    },
+
+    async getCover(result, client, size) {
+        return coverUrl(result.artworkUrl, size);
+    },
+
+    async getAlbum(result, client) {
+        if (!result.albumId) return null;
+
+        const url = `https://itunes.apple.com/lookup?id=${result.albumId}&entity=song`;
+        const data = JSON.parse(await client.get(url));
+        const collection = (data.results || []).find(r => r.wrapperType === 'collection');
+        if (!collection) return null;
+
+        return {
+            title: collection.collectionName,
+            artist: collection.artistName,
+            year: collection.releaseDate ? new Date(collection.releaseDate).getFullYear() : null,
+            genre: collection.primaryGenreName || null,
+            coverUrl: coverUrl(collection.artworkUrl100),
+            tracks: data.results
+                .filter(r => r.wrapperType === 'track')
+                .map(r => ({
+                    title: r.trackName,
+                    artist: r.artistName,
+                    trackNumber: r.trackNumber,
+                    discNumber: r.discNumber || 1
+                }))
+        };
+    }
+};
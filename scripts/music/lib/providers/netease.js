@@ -0,0 +1,88 @@
+/**
+ * 数据源: 网易云音乐
+ */
+
+const HEADERS = { 'Referer': 'https://music.163.com' };
+
+/**
+ * 拼接指定尺寸的封面 URL
+ */
+function coverUrl(picUrl, size = 500) {
+    return picUrl ? `${picUrl}?param=${size}y${size}` : null;
+}
+
+module.exports = {
+    name: 'netease',
+    label: '网易云',
+    priority: 20,
+    rateLimit: 200,
+
+    async search(title, artist, client) {
+        const searchTerm = artist ? `${artist} ${title}` : title;
+        const url = `https://music.163.com/api/search/get?s=${encodeURIComponent(searchTerm)}&type=1&limit=5`;
+        const data = JSON.parse(await client.get(url, HEADERS));
+
+        if (data.code !== 200) return [];
+
+        const songs = data?.result?.songs || [];
+        return songs.map(s => ({
+            title: s.name,
+            artist: s.artists?.map(a => a.name).join('/') || '',
+            album: s.album?.name || '',
+            year: null,
+            genre: null,
+            duration: s.duration ? s.duration / 1000 : null,
+            songId: s.id,
+            albumId: s.album?.id,
+            picUrl: s.album?.picUrl || null,
+            coverUrl: coverUrl(s.album?.picUrl)
+        }));
+    },
+
+    async getLyrics(result, client) {
+        const set = await this.getLyricSet(result, client);
+        return set ? set.lyric : null;
+    },
+
+    // lv: 原歌词，tv: 翻译 (tlyric)，rv: 音译 (romalrc)
+    async getLyricSet(result, client) {
+        if (!result.songId) return null;
+
+        const url = `https://music.163.com/api/song/lyric?id=${result.songId}&lv=1&tv=1&rv=1`;
+        const data = JSON.parse(await client.get(url, HEADERS));
+        if (!data.lrc?.lyric) return null;
+
+        return {
+            lyric: data.lrc.lyric,
+            translation: data.tlyric?.lyric || null,
+            romanization: data.romalrc?.lyric || null
+        };
+    },
+
+    async getCover(result, client, size) {
+        return coverUrl(result.picUrl, size);
+    },
+
+    async getAlbum(result, client) {
+        if (!result.albumId) return null;
+
+        const url = `https://music.163.com/api/album/${result.albumId}`;
+        const data = JSON.parse(await client.get(url, HEADERS));
+        const album = data?.album;
+        if (data.code !== 200 || !album) return null;
+
+        return {
+            title: album.name,
+            artist: album.artist?.name || '',
+            year: album.publishTime ? new Date(album.publishTime).getFullYear() : null,
+            genre: null,
+            coverUrl: coverUrl(album.picUrl),
+            tracks: (album.songs || []).map((s, i) => ({
+                title: s.name,
+                artist: s.artists?.map(a => a.name).join('/') || '',
+                trackNumber: s.no || i + 1,
+                discNumber: parseInt(s.disc, 10) || 1
+            }))
+        };
+    }
+};
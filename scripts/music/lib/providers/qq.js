@@ -0,0 +1,108 @@
+/**
+ * 数据源: QQ音乐（优先，中文歌曲最准）
+ */
+
+/**
+ * 解析 QQ音乐 可能返回的 callback(json) 格式
+ */
+function parseJsonp(response) {
+    const text = response.trim();
+    const match = text.match(/^[\w$]+\(([\s\S]*)\)$/);
+    return JSON.parse(match ? match[1] : text);
+}
+
+/**
+ * 部分接口仍返回 base64 编码的歌词
+ */
+function decodeLyric(lyric) {
+    if (!lyric) return null;
+    if (lyric.startsWith('[')) return lyric;
+    try {
+        return Buffer.from(lyric, 'base64').toString('utf-8');
+    } catch (e) {
+        return lyric;
+    }
+}
+
+// 封面最大边长
+const MAX_COVER_SIZE = 800;
+
+/**
+ * 拼接专辑封面 URL
+ */
+function coverUrl(albummid, size = 500) {
+    return albummid ? `https://y.gtimg.cn/music/photo_new/T002R${size}x${size}M000${albummid}.jpg` : null;
+}
+
+module.exports = {
+    name: 'qq',
+    label: 'QQ音乐',
+    priority: 10,
+    rateLimit: 200,
+
+    async search(title, artist, client) {
+        const searchTerm = artist ? `${artist} ${title}` : title;
+        const url = `https://c.y.qq.com/soso/fcgi-bin/client_search_cp?w=${encodeURIComponent(searchTerm)}&format=json&n=5`;
+        const data = parseJsonp(await client.get(url));
+
+        const songs = data?.data?.song?.list || [];
+        return songs.map(s => ({
+            title: s.songname,
+            artist: s.singer?.map(x => x.name).join('/') || '',
+            album: s.albumname || '',
+            year: null, // QQ音乐搜索结果不含年份
+            genre: null,
+            duration: s.interval || null,
+            songmid: s.songmid,
+            albummid: s.albummid,
+            coverUrl: coverUrl(s.albummid)
+        }));
+    },
+
+    async getLyrics(result, client) {
+        const set = await this.getLyricSet(result, client);
+        return set ? set.lyric : null;
+    },
+
+    // 此接口返回原歌词和翻译 (trans)，不含音译；音译需要其他接口，暂不支持 (见 README)
+    async getLyricSet(result, client) {
+        if (!result.songmid) return null;
+
+        const url = `https://c.y.qq.com/lyric/fcgi-bin/fcg_query_lyric_new.fcg?songmid=${result.songmid}&format=json&nobase64=1`;
+        const data = parseJsonp(await client.get(url, { 'Referer': 'https://y.qq.com/' }));
+        if (!data.lyric) return null;
+
+        return {
+            lyric: decodeLyric(data.lyric),
+            translation: decodeLyric(data.trans),
+            romanization: null
+        };
+    },
+
+    async getCover(result, client, size) {
+        return coverUrl(result.albummid, Math.min(size, MAX_COVER_SIZE));
+    },
+
+    async getAlbum(result, client) {
+        if (!result.albummid) return null;
+
+        const url = `https://c.y.qq.com/v8/fcg-bin/fcg_v8_album_info_cp.fcg?albummid=${result.albummid}&format=json`;
+        const data = parseJsonp(await client.get(url, { 'Referer': 'https://y.qq.com/' }));
+        const album = data?.data;
+        if (!album || !album.name) return null;
+
+        return {
+            title: album.name,
+            artist: album.singername || '',
+            year: album.aDate ? parseInt(album.aDate.slice(0, 4), 10) || null : null,
+            genre: album.genre || null,
+            coverUrl: coverUrl(result.albummid),
+            tracks: (album.list || []).map((s, i) => ({
+                title: s.songname,
+                artist: s.singer?.map(x => x.name).join('/') || '',
+                trackNumber: s.belongCD || i + 1,
+                discNumber: s.cdIdx ? s.cdIdx + 1 : 1
+            }))
+        };
+    }
+};
@@ -0,0 +1,294 @@
+/**
+ * 模块名称: Quality (音质评分)
+ * 功能描述: 根据实际的音频属性为同一首歌的多个版本打分，选出最值得保留的文件
+ *    - 音频: 格式 (无损 > 有损) > 采样率 > 位深 > 比特率，有损格式的码率额外加分
+ *    - 假无损: 分析频谱的截止频率，有损转码的 FLAC/WAV 在 16-20kHz 处陡降，按有损格式计分
+ *    - 附加信息: 标签完整度、内嵌封面 (按分辨率)、内嵌歌词和 .lrc 歌词
+ *    - 时长: 与同组大多数文件相差超过容差的 (截断、损坏的文件) 排在最后
+ * 使用方法:
+ *    const { qualityScore, analyzeFile, detectFakeLossless, rankDuplicates } = require('./lib/quality');
+ *    qualityScore({ format: 'flac', sampleRate: 96000, bitsPerSample: 24, bitrate: 0 });
+ *    const spectrum = analyzeFile('/Music/晴天.flac', meta.format);   // { cutoff, nyquist, drop }
+ *    detectFakeLossless(spectrum, meta.format);   // 'lossy' | 'upsampled' | null
+ *    const ranked = rankDuplicates([{ path, details, spectrum, lrcPath }, ...]);   // 推荐保留的排在最前
+ */
+
+const path = require('path');
+const { durationTolerance } = require('./matching');
+const { decodePcm, averageSpectrum, blackmanHarrisWindow } = require('./spectrum');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 格式质量优先级 (越大越好)
+const FORMAT_PRIORITY = {
+    'dff': 100,
+    'dsf': 100,
+    'flac': 90,
+    'wav': 85,
+    'alac': 80,
+    'm4a': 70,
+    'aac': 60,
+    'mp3': 50,
+    'ogg': 40,
+    'ape': 35,
+    'wma': 30
+};
+
+// 频谱分析: 从第 30 秒开始取 30 秒 (短于 90 秒的从头开始)，4096 点 FFT
+const ANALYSIS_START = 30;
+const ANALYSIS_SECONDS = 30;
+const FRAME_SIZE = 4096;
+
+// 解码的最高采样率: DSD (2.8MHz 起，按原采样率解码的开销是 44.1kHz 的 64 倍) 和 192kHz 重采样到 96kHz，
+// 到 48kHz 的频谱足以判断有损转码和升频
+const MAX_ANALYSIS_RATE = 96000;
+
+// 频谱按 200Hz 平滑，只看 2kHz 以上
+const SMOOTH_HZ = 200;
+const MIN_CUTOFF_HZ = 2000;
+
+// 相邻两个 1kHz 频段的电平差达到 25dB 视为陡降 (有损编码的低通)，自然衰减的音乐远小于该值
+const CLIFF_HZ = 1000;
+const CLIFF_DB = 25;
+
+// 平均电平低于该值视为静音，不做判断
+const SILENCE_DB = -90;
+
+// 低于该截止频率且陡降的无损文件视为有损转码 (MP3 320k 约 20kHz，128k 约 16kHz)
+const LOSSY_CUTOFF = 20000;
+
+// 采样率高于 48kHz 但在该频率以下陡降的视为 CD 音源升频
+const UPSAMPLED_CUTOFF = 24500;
+
+// 附加信息的分数
+const TAG_FIELDS = ['title', 'artist', 'album', 'year', 'track', 'genre'];
+const TAG_SCORE = 10;
+const COVER_SCORE = 40;
+const COVER_SIZE_SCORE = 40;        // 按短边比例加分，1000px 及以上满分
+const COVER_FULL_SIZE = 1000;
+const LYRICS_SCORE = 20;            // 内嵌歌词、.lrc 歌词各一次
+const NAME_SCORE = 5;               // "Artist - Title" 格式的文件名
+
+// 假无损比同等条件的有损文件再低一点 (体积更大却没有更多内容)
+const FAKE_PENALTY = 100;
+
+// 时长异常 (截断、损坏) 的文件排在所有正常文件之后
+const DURATION_PENALTY = 1000000;
+
+// ---------------------------------------------------------
+// 2. 音频质量
+// ---------------------------------------------------------
+
+/**
+ * 计算音频质量分数
+ * @param {Object} meta { format 扩展名, sampleRate, bitsPerSample, bitrate }
+ */
+function qualityScore(meta) {
+    let score = 0;
+
+    // 格式分数
+    score += (FORMAT_PRIORITY[meta.format] || 0) * 1000;
+
+    // 采样率分数 (96kHz = 96, 44.1kHz = 44)
+    score += (meta.sampleRate / 1000) * 10;
+
+    // 位深分数 (24bit = 240, 16bit = 160)
+    score += (meta.bitsPerSample || 16) * 10;
+
+    // 比特率分数 (320kbps = 32)
+    score += (meta.bitrate / 10000);
+
+    return score;
+}
+
+/**
+ * 音频格式 (用于 FORMAT_PRIORITY): 扩展名，无损的 M4A 视为 ALAC
+ */
+function audioFormat(filePath, format) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    if (ext === 'm4a' && format && format.lossless) return 'alac';
+    return ext;
+}
+
+// ---------------------------------------------------------
+// 3. 频谱分析 (假无损检测)
+// ---------------------------------------------------------
+
+function movingAverage(values, radius) {
+    const result = new Float64Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(values.length - 1, i + radius);
+        let sum = 0;
+        for (let k = from; k <= to; k++) sum += values[k];
+        result[i] = sum / (to - from + 1);
+    }
+    return result;
+}
+
+/**
+ * 分析 PCM 的频谱截止频率
+ * 在 2kHz 以上寻找最陡的下降: 某频点下方 1kHz 与上方 1kHz 的平均电平差最大的位置
+ * @param {Int16Array} samples 单声道 PCM
+ * @param {number} sampleRate
+ * @returns {{ cutoff: number, nyquist: number, drop: number }|null}
+ *          drop 达到 25dB 时 cutoff 为陡降处的频率，否则为奈奎斯特频率；静音或太短时为 null
+ */
+function analyzeSpectrum(samples, sampleRate) {
+    const power = averageSpectrum(samples, FRAME_SIZE, blackmanHarrisWindow(FRAME_SIZE, 1 / 32767));
+    if (!power) return null;
+
+    const binHz = sampleRate / FRAME_SIZE;
+    const levels = movingAverage(power.map(p => 10 * Math.log10(p + 1e-20)), Math.round(SMOOTH_HZ / binHz / 2));
+    const nyquist = sampleRate / 2;
+    const start = Math.round(MIN_CUTOFF_HZ / binHz);
+    const width = Math.max(1, Math.round(CLIFF_HZ / binHz));
+
+    // 前缀和，便于计算任意区间的平均电平
+    const sums = new Float64Array(levels.length + 1);
+    levels.forEach((v, i) => { sums[i + 1] = sums[i] + v; });
+    const mean = (from, to) => (sums[to] - sums[from]) / (to - from);
+
+    if (start + width >= levels.length || mean(start, levels.length) < SILENCE_DB) return null;
+
+    // 上方不足半个频段的位置 (奈奎斯特频率附近) 不参与比较
+    let best = { index: -1, drop: 0 };
+    for (let i = start; i + width / 2 < levels.length; i++) {
+        const drop = mean(i - width, i) - mean(i, Math.min(levels.length, i + width));
+        if (drop > best.drop) best = { index: i, drop };
+    }
+
+    return {
+        cutoff: best.drop >= CLIFF_DB ? Math.round(best.index * binHz) : nyquist,
+        nyquist,
+        drop: Math.round(best.drop)
+    };
+}
+
+/**
+ * 频谱分析的解码采样率: 源文件采样率，超过 MAX_ANALYSIS_RATE 时降到 MAX_ANALYSIS_RATE，未知时为 44.1kHz
+ */
+function analysisSampleRate(format) {
+    return Math.min((format && format.sampleRate) || 44100, MAX_ANALYSIS_RATE);
+}
+
+/**
+ * 解码文件的一段并分析频谱 (需要 ffmpeg，未安装时抛出异常)
+ * @param {string} filePath
+ * @param {Object} format getMetadata 的 format (取采样率和时长)
+ * @returns {{ cutoff, nyquist, drop }|null} 解码失败或静音时为 null
+ */
+function analyzeFile(filePath, format) {
+    const sampleRate = analysisSampleRate(format);
+    const duration = (format && format.duration) || 0;
+    const start = duration >= ANALYSIS_START * 3 ? ANALYSIS_START : 0;
+    const samples = decodePcm(filePath, { sampleRate, start, seconds: ANALYSIS_SECONDS });
+    return samples ? analyzeSpectrum(samples, sampleRate) : null;
+}
+
+/**
+ * 判断无损文件是否为假无损
+ * @param {Object} spectrum analyzeSpectrum 的结果
+ * @param {Object} format getMetadata 的 format
+ * @returns {'lossy'|'upsampled'|null} 有损转码 / 升频 / 正常
+ */
+function detectFakeLossless(spectrum, format) {
+    if (!spectrum || !format || !format.lossless || spectrum.drop < CLIFF_DB) return null;
+    if (spectrum.cutoff < LOSSY_CUTOFF) return 'lossy';
+    if (spectrum.nyquist > UPSAMPLED_CUTOFF && spectrum.cutoff < UPSAMPLED_CUTOFF) return 'upsampled';
+    return null;
+}
+
+/**
+ * 假无损说明，正常时为空字符串
+ */
+function describeFake(fake, spectrum) {
+    const cutoff = spectrum ? `${(spectrum.cutoff / 1000).toFixed(1)}kHz` : '';
+    if (fake === 'lossy') return `疑似有损转码 (频谱在 ${cutoff} 截止)`;
+    if (fake === 'upsampled') return `疑似升频 (频谱在 ${cutoff} 截止)`;
+    return '';
+}
+
+// ---------------------------------------------------------
+// 4. 保留评分
+// ---------------------------------------------------------
+
+/**
+ * 文件的保留分数
+ * @param {Object} file { path, lrcPath?, details?: getMetadata 记录, spectrum?: analyzeFile 结果 }
+ */
+function keeperScore(file) {
+    const details = file.details || {};
+    const format = details.format;
+    const tags = details.tags || {};
+    let score = 0;
+
+    // 音频: 假无损按有损的 CD 规格计分
+    if (format) {
+        const fake = detectFakeLossless(file.spectrum, format);
+        score += fake
+            ? qualityScore({ format: 'mp3', sampleRate: 44100, bitsPerSample: 16, bitrate: 0 }) - FAKE_PENALTY
+            : qualityScore({ ...format, format: audioFormat(file.path, format) });
+        // 有损格式的码率差别比采样率更明显 (320kbps = 160, 128kbps = 64)
+        if (!format.lossless && !fake) score += Math.min(format.bitrate, 320000) / 2000;
+    } else {
+        score += (FORMAT_PRIORITY[audioFormat(file.path)] || 0) * 1000;
+    }
+
+    // 标签完整度
+    score += TAG_FIELDS.filter(field => tags[field]).length * TAG_SCORE;
+
+    // 封面: 有封面加分，分辨率越高加分越多
+    if (details.cover) {
+        score += COVER_SCORE;
+        if (details.coverSize) {
+            const side = Math.min(details.coverSize.width, details.coverSize.height);
+            score += Math.min(1, side / COVER_FULL_SIZE) * COVER_SIZE_SCORE;
+        }
+    }
+
+    // 歌词
+    if (details.lyrics) score += LYRICS_SCORE;
+    if (file.lrcPath) score += LYRICS_SCORE;
+
+    if (path.basename(file.path).includes(' - ')) score += NAME_SCORE;
+
+    return score;
+}
+
+/**
+ * 按保留分数排序一组重复文件 (推荐保留的在最前)
+ * 时长与同组中位数相差超过容差的文件视为截断或损坏，排在最后
+ * @returns {Array} 新数组，每个文件附加 score
+ */
+function rankDuplicates(files) {
+    const durations = files.map(f => f.details && f.details.format ? f.details.format.duration : 0)
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    // 偶数个时取较长的一个 (截断的文件更短)
+    const median = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+
+    files.forEach(f => {
+        const duration = f.details && f.details.format ? f.details.format.duration : 0;
+        f.score = keeperScore(f);
+        if (median && Math.abs((duration || 0) - median) > durationTolerance(median)) {
+            f.score -= DURATION_PENALTY;
+        }
+    });
+    return [...files].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    FORMAT_PRIORITY,
+    qualityScore,
+    audioFormat,
+    analyzeSpectrum,
+    analysisSampleRate,
+    analyzeFile,
+    detectFakeLossless,
+    describeFake,
+    keeperScore,
+    rankDuplicates
+};
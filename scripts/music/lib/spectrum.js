@@ -0,0 +1,175 @@
+/**
+ * 模块名称: Spectrum (PCM 解码与频谱)
+ * 功能描述: 声纹指纹和音质分析共用的 ffmpeg 解码、FFT 和平均频谱
+ * 使用方法:
+ *    const { decodePcm, averageSpectrum } = require('./lib/spectrum');
+ *    const samples = decodePcm('/Music/晴天.flac', { sampleRate: 44100, start: 30, seconds: 20 });
+ *    const power = averageSpectrum(samples, 4096);   // 每个频点的平均功率，长度 4096 / 2 + 1
+ *    const sharp = averageSpectrum(samples, 4096, blackmanHarrisWindow(4096, 1 / 32767));
+ */
+
+const { spawnSync } = require('child_process');
+
+// ---------------------------------------------------------
+// 1. 解码
+// ---------------------------------------------------------
+
+/**
+ * 用 ffmpeg 解码为单声道 16 位 PCM
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {number} options.sampleRate 输出采样率
+ * @param {number} options.start      从第几秒开始 (默认 0)
+ * @param {number} options.seconds    最多解码的秒数
+ * @returns {Int16Array|null} 解码失败时返回 null (未安装 ffmpeg 时抛出异常)
+ */
+function decodePcm(filePath, options) {
+    const { sampleRate, start = 0, seconds } = options;
+    const args = ['-v', 'error', '-nostdin'];
+    if (start > 0) args.push('-ss', String(start));
+    args.push('-i', filePath, '-t', String(seconds), '-vn', '-ac', '1', '-ar', String(sampleRate), '-f', 's16le', '-');
+
+    const result = spawnSync('ffmpeg', args, { maxBuffer: (seconds + 1) * sampleRate * 2 + 1024 * 1024 });
+    if (result.error) {
+        if (result.error.code === 'ENOENT') throw new Error('未安装 ffmpeg，请先执行: brew install ffmpeg');
+        return null;
+    }
+    if (result.status !== 0 || !result.stdout || result.stdout.length < 2) return null;
+
+    const pcm = result.stdout;
+    const samples = new Int16Array(pcm.length >> 1);
+    for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2);
+    return samples;
+}
+
+// ---------------------------------------------------------
+// 2. FFT
+// ---------------------------------------------------------
+
+// 旋转因子，按 FFT 长度缓存
+const twiddleCache = new Map();
+
+function twiddles(n) {
+    if (!twiddleCache.has(n)) {
+        const cos = new Float64Array(n / 2);
+        const sin = new Float64Array(n / 2);
+        for (let k = 0; k < n / 2; k++) {
+            cos[k] = Math.cos(-2 * Math.PI * k / n);
+            sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        twiddleCache.set(n, { cos, sin });
+    }
+    return twiddleCache.get(n);
+}
+
+/**
+ * 原位基 2 FFT (长度必须是 2 的幂)
+ */
+function fft(re, im) {
+    const n = re.length;
+    const { cos, sin } = twiddles(n);
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const stride = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * stride];
+                const wi = sin[k * stride];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Hamming 窗 (乘以 scale，16 位 PCM 传 1 / 32767 即归一化到 ±1)
+ */
+function hammingWindow(size, scale = 1) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (size - 1))) * scale;
+    }
+    return window;
+}
+
+/**
+ * 4 项 Blackman-Harris 窗: 旁瓣约 -92dB，适合观察频谱的陡降 (Hamming 窗的泄漏会把陡降填平)
+ */
+function blackmanHarrisWindow(size, scale = 1) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const x = 2 * Math.PI * i / (size - 1);
+        window[i] = (0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x)) * scale;
+    }
+    return window;
+}
+
+// ---------------------------------------------------------
+// 3. 频谱
+// ---------------------------------------------------------
+
+/**
+ * 对每一帧做 FFT，回调功率谱 (re² + im²，长度 frameSize / 2 + 1)
+ * @param {Int16Array} samples
+ * @param {number} frameSize 帧长 (2 的幂)
+ * @param {number} step      帧移
+ * @param {Function} onFrame (power: Float64Array) => void，power 在下一帧会被覆盖
+ * @param {Float64Array} window 窗函数 (默认归一化的 Hamming 窗)
+ */
+function forEachFrame(samples, frameSize, step, onFrame, window = hammingWindow(frameSize, 1 / 32767)) {
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    const power = new Float64Array(frameSize / 2 + 1);
+
+    for (let start = 0; start + frameSize <= samples.length; start += step) {
+        for (let i = 0; i < frameSize; i++) re[i] = samples[start + i] * window[i];
+        im.fill(0);
+        fft(re, im);
+        for (let i = 0; i < power.length; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+        onFrame(power);
+    }
+}
+
+/**
+ * 所有帧的平均功率谱 (帧间不重叠)
+ * @param {Int16Array} samples
+ * @param {number} frameSize
+ * @param {Float64Array} window 窗函数 (默认 Hamming 窗)
+ * @returns {Float64Array|null} 音频不足一帧时返回 null
+ */
+function averageSpectrum(samples, frameSize, window) {
+    const sum = new Float64Array(frameSize / 2 + 1);
+    let frames = 0;
+    forEachFrame(samples, frameSize, frameSize, power => {
+        for (let i = 0; i < sum.length; i++) sum[i] += power[i];
+        frames++;
+    }, window);
+    if (frames === 0) return null;
+    return sum.map(v => v / frames);
+}
+
+module.exports = {
+    decodePcm,
+    fft,
+    hammingWindow,
+    blackmanHarrisWindow,
+    forEachFrame,
+    averageSpectrum
+};
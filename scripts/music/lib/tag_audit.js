@@ -0,0 +1,166 @@
+/**
+ * 模块名称: Tag Audit (标签完整度评分)
+ * 功能描述: 按字段给每个音频文件的标签完整度打分 (满分 100)，并按歌手目录、专辑汇总
+ *    - 字段: 标题、艺术家、专辑、专辑艺术家、年份、音轨号/碟号、流派、封面、歌词，按重要程度分配权重
+ *    - 占位符标签 ("unknown"、"未知艺术家"、"track" 等) 视为缺失，与 fix_audio_tags.js 共用 isPlaceholder
+ *    - 部分得分: 封面分辨率过低或损坏、CD1/Disc 2 等分碟目录中缺少碟号时只得一半
+ *    - 歌词: 内嵌歌词或同名 .lrc 均可
+ * 使用方法:
+ *    const { scoreFile, summarize } = require('./lib/tag_audit');
+ *    const result = scoreFile(entry);   // entry 为音乐库索引的记录 → { score, missing: ['year'], partial: ['cover'] }
+ *    const albums = summarize(files, file => file.album);   // [{ key, count, score, missing: { year: 3 } }]
+ */
+
+const path = require('path');
+const { coverProblems } = require('./cover_image');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 字段与权重 (合计 100)
+const AUDIT_FIELDS = [
+    { key: 'title', label: '标题', weight: 15 },
+    { key: 'artist', label: '艺术家', weight: 15 },
+    { key: 'album', label: '专辑', weight: 10 },
+    { key: 'albumartist', label: '专辑艺术家', weight: 5 },
+    { key: 'year', label: '年份', weight: 5 },
+    { key: 'track', label: '音轨号/碟号', weight: 10 },
+    { key: 'genre', label: '流派', weight: 5 },
+    { key: 'cover', label: '封面', weight: 20 },
+    { key: 'lyrics', label: '歌词', weight: 15 }
+];
+
+// 部分得分的比例
+const PARTIAL_RATIO = 0.5;
+
+// 无效的占位符标签值
+const PLACEHOLDERS = [
+    'track', 'title', 'album', 'artist', 'unknown', 'untitled',
+    '未知', '无', '无标题', '无专辑', '未知艺术家',
+    'test', 'temp', 'demo'
+];
+
+// 有效年份的下限 (上限为明年)
+const MIN_YEAR = 1900;
+
+// 分碟目录: CD1 / CD 2 / Disc1 / Disk 2
+const DISC_DIR = /^(cd|disc|disk)\s*\d+$/i;
+
+// ---------------------------------------------------------
+// 2. 评分
+// ---------------------------------------------------------
+
+/**
+ * 检查标签值是否是无效的占位符
+ */
+function isPlaceholder(value) {
+    if (!value) return true;
+    const normalized = String(value).toLowerCase().trim();
+    return PLACEHOLDERS.includes(normalized) || normalized.length <= 1;
+}
+
+/**
+ * 单个字段的状态
+ * @returns {'ok'|'partial'|'missing'}
+ */
+function fieldStatus(key, entry) {
+    const tags = entry.tags;
+
+    switch (key) {
+        case 'title':
+        case 'artist':
+        case 'album':
+        case 'albumartist':
+        case 'genre':
+            return isPlaceholder(tags[key]) ? 'missing' : 'ok';
+        case 'year':
+            return tags.year >= MIN_YEAR && tags.year <= new Date().getFullYear() + 1 ? 'ok' : 'missing';
+        case 'track':
+            if (!tags.track) return 'missing';
+            // 分碟目录中的曲目需要碟号，否则不同碟的 1 号曲目无法区分
+            return !tags.disk && DISC_DIR.test(path.basename(path.dirname(entry.path))) ? 'partial' : 'ok';
+        case 'cover': {
+            if (!entry.cover) return 'missing';
+            const problems = coverProblems(entry.coverImage, { maxSize: 0 });
+            return problems.includes('corrupt') || problems.includes('small') ? 'partial' : 'ok';
+        }
+        case 'lyrics':
+            return entry.lyrics || entry.lrc ? 'ok' : 'missing';
+        default:
+            return 'missing';
+    }
+}
+
+/**
+ * 给一个文件打分
+ * @param {Object} entry 音乐库索引的记录 (getMetadata 之后，含 tags / cover / coverImage / lyrics / lrc)
+ * @returns {{ score: number, missing: string[], partial: string[] }} 无法读取标签时所有字段都缺失
+ */
+function scoreFile(entry) {
+    const result = { score: 0, missing: [], partial: [] };
+
+    AUDIT_FIELDS.forEach(field => {
+        const status = entry && entry.tags ? fieldStatus(field.key, entry) : 'missing';
+        if (status === 'ok') {
+            result.score += field.weight;
+        } else if (status === 'partial') {
+            result.score += field.weight * PARTIAL_RATIO;
+            result.partial.push(field.key);
+        } else {
+            result.missing.push(field.key);
+        }
+    });
+
+    return result;
+}
+
+// ---------------------------------------------------------
+// 3. 汇总
+// ---------------------------------------------------------
+
+/**
+ * 按分组汇总评分
+ * @param {Array<{ score, missing, partial }>} files scoreFile 的结果 (可附加其他字段)
+ * @param {Function} keyOf file => 分组键
+ * @returns {Array<{ key, count, score, missing: Object, partial: Object }>}
+ *          score 为平均分 (保留一位小数)，missing / partial 为各字段的文件数；按平均分从低到高排序
+ */
+function summarize(files, keyOf) {
+    const groups = new Map();
+
+    files.forEach(file => {
+        const key = keyOf(file);
+        if (!groups.has(key)) groups.set(key, { key, count: 0, total: 0, missing: {}, partial: {} });
+        const group = groups.get(key);
+        group.count++;
+        group.total += file.score;
+        file.missing.forEach(field => { group.missing[field] = (group.missing[field] || 0) + 1; });
+        file.partial.forEach(field => { group.partial[field] = (group.partial[field] || 0) + 1; });
+    });
+
+    return [...groups.values()]
+        .map(({ total, ...group }) => ({ ...group, score: Math.round(total / group.count * 10) / 10 }))
+        .sort((a, b) => a.score - b.score || b.count - a.count);
+}
+
+/**
+ * 描述分组中缺失最多的字段: "年份 12、流派 8"
+ */
+function describeMissing(group, limit = 3) {
+    return AUDIT_FIELDS
+        .map(field => ({ label: field.label, count: (group.missing[field.key] || 0) + (group.partial[field.key] || 0) }))
+        .filter(item => item.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(item => `${item.label} ${item.count}`)
+        .join('、');
+}
+
+module.exports = {
+    AUDIT_FIELDS,
+    isPlaceholder,
+    scoreFile,
+    summarize,
+    describeMissing
+};
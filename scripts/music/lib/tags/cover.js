@@ -0,0 +1,66 @@
+/**
+ * 模块名称: Embedded Cover (内嵌封面读写)
+ * 功能描述: 按扩展名选择对应格式的标签模块，读取或替换内嵌的封面 (前封面)
+ *    - MP3 / WAV / DSF / DFF: ID3 的 APIC 帧
+ *    - FLAC: PICTURE 块 (优先类型 3 前封面)
+ *    - M4A: covr 原子
+ * 使用方法:
+ *    const cover = require('./lib/tags/cover');
+ *    const image = cover.readCover('/Music/晴天.flac');   // { mime, data } 或 null
+ *    cover.writeCover('/Music/晴天.flac', { mime: 'image/jpeg', data: jpegBuffer }, { journal });
+ */
+
+const path = require('path');
+const flac = require('./flac');
+const mp4 = require('./mp4');
+const { id3Module } = require('./formats');
+
+// 支持读写内嵌封面的格式
+const COVER_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff)$/i;
+
+/**
+ * 读取内嵌封面
+ * @returns {{ mime: string, data: Buffer }|null} 没有封面时为 null，格式不支持或文件损坏时抛出异常
+ */
+function readCover(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!COVER_EXTENSIONS.test(ext)) throw new Error(`不支持的格式: ${ext}`);
+
+    if (ext === '.flac') {
+        const { pictures } = flac.readTags(filePath);
+        const picture = pictures.find(p => p.type === 3) || pictures[0];
+        return picture ? { mime: picture.mime, data: picture.data } : null;
+    }
+    if (ext === '.m4a') {
+        const { covers } = mp4.readTags(filePath);
+        return covers.length > 0 ? covers[0] : null;
+    }
+    const { image } = id3Module(filePath).readTags(filePath);
+    return image && image.imageBuffer ? { mime: image.mime, data: image.imageBuffer } : null;
+}
+
+/**
+ * 替换内嵌封面 (只替换前封面，其他标签保持不变)
+ * @param {Object} cover { mime, data }
+ * @param {Object} options { journal }
+ */
+function writeCover(filePath, cover, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!COVER_EXTENSIONS.test(ext)) throw new Error(`不支持的格式: ${ext}`);
+
+    if (ext === '.flac') {
+        flac.writeTags(filePath, { pictures: [{ type: 3, mime: cover.mime, description: 'Cover', data: cover.data }] }, options);
+    } else if (ext === '.m4a') {
+        mp4.writeTags(filePath, { covers: [{ mime: cover.mime, data: cover.data }] }, options);
+    } else {
+        id3Module(filePath).writeTags(filePath, {
+            image: { mime: cover.mime, type: { id: 3, name: 'front cover' }, description: 'Cover', imageBuffer: cover.data }
+        }, options);
+    }
+}
+
+module.exports = {
+    COVER_EXTENSIONS,
+    readCover,
+    writeCover
+};
@@ -0,0 +1,328 @@
+/**
+ * 模块名称: DSD Tags (DSF/DFF 标签读写)
+ * 功能描述: 纯 JS 读写 DSD 文件的标签，标签内容使用 node-id3 的字段格式
+ *    - DSF: 文件末尾的 ID3v2 标签，位置由 "DSD " 头中的元数据指针指定
+ *    - DFF: 非标准但被广泛支持的 "ID3 " 块，同时同步 DIIN 块中的 DITI (标题) / DIAR (艺术家)
+ * 写入方式:
+ *    标签位于音频数据之后，只改写文件头中的大小/指针和文件末尾，不移动音频数据
+ *    (DFF 的 DIIN 位于音频数据之前且长度变化时才重写整个文件)
+ * 使用方法:
+ *    const dsd = require('./lib/tags/dsd');
+ *    const tags = dsd.readTags('/Music/晴天.dsf');
+ *    dsd.writeTags('/Music/晴天.dsf', {
+ *        title: '晴天',
+ *        image: { mime: 'image/jpeg', type: { id: 3 }, description: 'Cover', imageBuffer: coverBuffer }
+ *    });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NodeID3 = require('node-id3');
+const { readAt, patchInPlace, replaceTail, replaceFile } = require('./io');
+const { buildId3 } = require('./id3');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const DSD_EXTENSIONS = ['.dsf', '.dff'];
+
+// DSF: "DSD " 块固定 28 字节 (ID + 块大小 + 文件大小 + 元数据指针)
+const DSF_HEADER_SIZE = 28;
+
+// DFF: "FRM8" + 8 字节大小 + "DSD "；块头为 4 字节 ID + 8 字节大小 (大端)
+const DFF_HEADER_SIZE = 16;
+const DFF_CHUNK_HEADER_SIZE = 12;
+
+// DIIN 中与 ID3 字段对应的子块
+const DIIN_FIELDS = { DITI: 'title', DIAR: 'artist' };
+
+function isDsd(filePath) {
+    return DSD_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// ---------------------------------------------------------
+// 2. DSF
+// ---------------------------------------------------------
+
+/**
+ * 读取 DSF 结构
+ * @returns {{ fileSize, dataEnd, tagOffset, tag: Buffer }}
+ */
+function readDsf(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    if (fileSize < DSF_HEADER_SIZE) throw new Error('不是有效的 DSF 文件');
+    const header = readAt(fd, 0, DSF_HEADER_SIZE);
+    if (header.toString('latin1', 0, 4) !== 'DSD ') throw new Error('不是有效的 DSF 文件');
+
+    // 找到 data 块的结束位置
+    let offset = DSF_HEADER_SIZE;
+    let dataEnd = 0;
+    while (offset + 12 <= fileSize) {
+        const chunk = readAt(fd, offset, 12);
+        const size = Number(chunk.readBigUInt64LE(4));
+        if (size < 12) break;
+        offset += size;
+        if (chunk.toString('latin1', 0, 4) === 'data') {
+            dataEnd = offset;
+            break;
+        }
+    }
+    if (!dataEnd || dataEnd > fileSize) throw new Error('DSF 文件缺少 data 块');
+
+    // 元数据指针为 0 表示没有标签
+    const pointer = Number(header.readBigUInt64LE(20));
+    const tagOffset = pointer >= dataEnd && pointer < fileSize ? pointer : dataEnd;
+    const tag = tagOffset < fileSize ? readAt(fd, tagOffset, fileSize - tagOffset) : Buffer.alloc(0);
+    return { fileSize, dataEnd, tagOffset, tag };
+}
+
+function writeDsf(fd, filePath, tags, journal) {
+    const dsf = readDsf(fd);
+    const newTag = buildId3(dsf.tag, tags);
+
+    // 文件头: 文件总大小 + 元数据指针
+    const header = Buffer.alloc(16);
+    header.writeBigUInt64LE(BigInt(dsf.tagOffset + newTag.length), 0);
+    header.writeBigUInt64LE(BigInt(dsf.tagOffset), 8);
+
+    replaceTail(fd, filePath, dsf.tagOffset, newTag, journal);
+    patchInPlace(fd, filePath, 12, header, journal);
+}
+
+// ---------------------------------------------------------
+// 3. DFF (DSDIFF)
+// ---------------------------------------------------------
+
+/**
+ * 读取 DFF 顶层块列表
+ * @returns {{ fileSize, chunks: Array<{ id, offset, dataOffset, size, end }>, soundEnd }}
+ */
+function readDff(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    if (fileSize < DFF_HEADER_SIZE) throw new Error('不是有效的 DFF 文件');
+    const header = readAt(fd, 0, DFF_HEADER_SIZE);
+    if (header.toString('latin1', 0, 4) !== 'FRM8' || header.toString('latin1', 12, 16) !== 'DSD ') {
+        throw new Error('不是有效的 DFF 文件');
+    }
+
+    const chunks = [];
+    let offset = DFF_HEADER_SIZE;
+    while (offset + DFF_CHUNK_HEADER_SIZE <= fileSize) {
+        const chunkHeader = readAt(fd, offset, DFF_CHUNK_HEADER_SIZE);
+        const size = Number(chunkHeader.readBigUInt64BE(4));
+        const dataOffset = offset + DFF_CHUNK_HEADER_SIZE;
+        // 块数据按 2 字节对齐
+        const end = Math.min(dataOffset + size + (size % 2), fileSize);
+        chunks.push({ id: chunkHeader.toString('latin1', 0, 4), offset, dataOffset, size, end });
+        offset = end;
+    }
+
+    const sound = chunks.find(c => c.id === 'DSD ' || c.id === 'DST ');
+    if (!sound) throw new Error('DFF 文件缺少音频数据块');
+    return { fileSize, chunks, soundEnd: sound.end };
+}
+
+function buildDffChunk(id, data) {
+    const header = Buffer.alloc(DFF_CHUNK_HEADER_SIZE);
+    header.write(id, 0, 'latin1');
+    header.writeBigUInt64BE(BigInt(data.length), 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * ID3 标签补齐到偶数长度 (多出的 0 作为 ID3 填充计入标签大小)
+ * 块末尾的对齐字节有些播放器 (及 music-metadata) 不认，直接让块长度为偶数
+ */
+function padId3(tag) {
+    if (tag.length % 2 === 0) return tag;
+    const padded = Buffer.concat([tag, Buffer.alloc(1)]);
+    const size = ((tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9]) + 1;
+    padded[6] = (size >> 21) & 0x7f;
+    padded[7] = (size >> 14) & 0x7f;
+    padded[8] = (size >> 7) & 0x7f;
+    padded[9] = size & 0x7f;
+    return padded;
+}
+
+/**
+ * 解析 DIIN 子块
+ * @returns {Array<{ id, data }>}
+ */
+function parseDiin(data) {
+    const subChunks = [];
+    let offset = 0;
+    while (offset + DFF_CHUNK_HEADER_SIZE <= data.length) {
+        const size = Number(data.readBigUInt64BE(offset + 4));
+        const start = offset + DFF_CHUNK_HEADER_SIZE;
+        if (start + size > data.length) break;
+        subChunks.push({ id: data.toString('latin1', offset, offset + 4), data: data.subarray(start, start + size) });
+        offset = start + size + (size % 2);
+    }
+    return subChunks;
+}
+
+/**
+ * DITI/DIAR: 4 字节长度 + 文本
+ */
+function parseDiinText(data) {
+    if (data.length < 4) return '';
+    const length = Math.min(data.readUInt32BE(0), data.length - 4);
+    return data.toString('utf-8', 4, 4 + length);
+}
+
+function buildDiinText(text) {
+    const textBuffer = Buffer.from(text, 'utf-8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(textBuffer.length);
+    return Buffer.concat([length, textBuffer]);
+}
+
+/**
+ * 按新标签更新 DIIN 中的 DITI/DIAR，保留其他子块 (EMID、MARK 等)
+ * @returns {Buffer|null} 新的 DIIN 数据，不需要 DIIN 时返回 null
+ */
+function updateDiin(oldData, tags) {
+    const subChunks = oldData ? parseDiin(oldData) : [];
+    Object.keys(DIIN_FIELDS).forEach(id => {
+        const value = tags[DIIN_FIELDS[id]];
+        if (value === undefined) return;
+
+        const index = subChunks.findIndex(c => c.id === id);
+        if (index >= 0) subChunks.splice(index, 1);
+        if (value) subChunks.push({ id, data: buildDiinText(value) });
+    });
+    if (subChunks.length === 0 && !oldData) return null;
+    return Buffer.concat(subChunks.map(c => buildDffChunk(c.id, c.data)));
+}
+
+/**
+ * 计算写入后的块列表: 未修改的块引用原文件区间，修改过的块为新数据；ID3 块统一放到最后
+ * @returns {{ dff, parts: Array<{ chunk }|{ data }>, first: number, changeOffset: number }}
+ *          first / changeOffset 为第一个变化的块在新列表中的序号和原文件中的位置
+ */
+function planDff(fd, tags) {
+    const dff = readDff(fd);
+    const id3Chunk = dff.chunks.find(c => c.id === 'ID3 ');
+    const diinChunk = dff.chunks.find(c => c.id === 'DIIN');
+
+    const oldTag = id3Chunk ? readAt(fd, id3Chunk.dataOffset, id3Chunk.size) : Buffer.alloc(0);
+    const oldDiin = diinChunk ? readAt(fd, diinChunk.dataOffset, diinChunk.size) : null;
+    const newDiin = updateDiin(oldDiin, tags);
+
+    const parts = dff.chunks
+        .filter(c => c !== id3Chunk)
+        .map(c => (c === diinChunk && !newDiin.equals(oldDiin) ? { data: buildDffChunk('DIIN', newDiin) } : { chunk: c }));
+    if (!diinChunk && newDiin) parts.push({ data: buildDffChunk('DIIN', newDiin) });
+    parts.push({ data: buildDffChunk('ID3 ', padId3(buildId3(oldTag, tags))) });
+
+    const first = parts.findIndex((part, i) => !part.chunk || part.chunk !== dff.chunks[i]);
+    const changeOffset = first < dff.chunks.length ? dff.chunks[first].offset : dff.fileSize;
+    return { dff, parts, first, changeOffset };
+}
+
+function partLength(part) {
+    return part.chunk ? part.chunk.end - part.chunk.offset : part.data.length;
+}
+
+/**
+ * 变化都在音频数据之后: 只改写 FRM8 大小和文件末尾
+ */
+function writeDffTail(fd, filePath, plan, journal) {
+    const tail = Buffer.concat(plan.parts.slice(plan.first).map(part => (
+        part.chunk ? readAt(fd, part.chunk.offset, partLength(part)) : part.data
+    )));
+    const size = Buffer.alloc(8);
+    size.writeBigUInt64BE(BigInt(plan.changeOffset + tail.length - DFF_CHUNK_HEADER_SIZE));
+
+    replaceTail(fd, filePath, plan.changeOffset, tail, journal);
+    patchInPlace(fd, filePath, 4, size, journal);
+}
+
+/**
+ * 音频数据之前的块长度变化: 重写整个文件
+ */
+function rewriteDff(filePath, plan, journal) {
+    const total = plan.parts.reduce((sum, part) => sum + partLength(part), DFF_HEADER_SIZE);
+
+    const size = Buffer.alloc(8);
+    size.writeBigUInt64BE(BigInt(total - DFF_CHUNK_HEADER_SIZE));
+
+    // 文件头中只有 FRM8 大小变化
+    replaceFile(filePath, [
+        { start: 0, end: 4 },
+        { data: size },
+        { start: 12, end: DFF_HEADER_SIZE },
+        ...plan.parts.map(part => (part.chunk ? { start: part.chunk.offset, end: part.chunk.end } : { data: part.data }))
+    ], journal);
+}
+
+// ---------------------------------------------------------
+// 4. 读写接口
+// ---------------------------------------------------------
+
+/**
+ * 读取标签 (node-id3 格式)；DFF 的 ID3 缺少标题/艺术家时使用 DIIN 中的值
+ */
+function readTags(filePath) {
+    const isDsf = path.extname(filePath).toLowerCase() === '.dsf';
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        if (isDsf) return NodeID3.read(readDsf(fd).tag, { noRaw: true });
+
+        const dff = readDff(fd);
+        const id3Chunk = dff.chunks.find(c => c.id === 'ID3 ');
+        const diinChunk = dff.chunks.find(c => c.id === 'DIIN');
+        const tags = id3Chunk ? NodeID3.read(readAt(fd, id3Chunk.dataOffset, id3Chunk.size), { noRaw: true }) : {};
+        delete tags.raw;
+
+        if (diinChunk) {
+            parseDiin(readAt(fd, diinChunk.dataOffset, diinChunk.size)).forEach(c => {
+                const field = DIIN_FIELDS[c.id];
+                if (field && !tags[field]) tags[field] = parseDiinText(c.data);
+            });
+        }
+        return tags;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * 写入标签，与已有 ID3 帧合并 (lib/tags/id3，null 或空字符串表示删除)
+ * @param {string} filePath .dsf 或 .dff
+ * @param {Object} tags node-id3 格式的标签 { title, artist, album, image, unsynchronisedLyrics, ... }
+ * @param {Object} options
+ * @param {Object} options.journal 操作日志 (lib/journal)，记录后可撤销
+ * @returns {{ inPlace: boolean }} 是否只改写了文件头和末尾 (false 表示重写了整个文件)
+ */
+function writeTags(filePath, tags, options = {}) {
+    const journal = options.journal;
+    const isDsf = path.extname(filePath).toLowerCase() === '.dsf';
+    const fd = fs.openSync(filePath, 'r+');
+    let plan;
+    try {
+        if (isDsf) {
+            writeDsf(fd, filePath, tags, journal);
+            return { inPlace: true };
+        }
+
+        plan = planDff(fd, tags);
+        if (plan.changeOffset >= plan.dff.soundEnd) {
+            writeDffTail(fd, filePath, plan, journal);
+            return { inPlace: true };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    rewriteDff(filePath, plan, journal);
+    return { inPlace: false };
+}
+
+module.exports = {
+    DSD_EXTENSIONS,
+    isDsd,
+    readTags,
+    writeTags
+};
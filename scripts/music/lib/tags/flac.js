@@ -0,0 +1,377 @@
+/**
+ * 模块名称: FLAC Tags (FLAC 标签读写)
+ * 功能描述: 纯 JS 读写 FLAC 的 VORBIS_COMMENT 和 PICTURE 元数据块，不依赖 metaflac
+ * 写入方式:
+ *    - 新元数据不超过原元数据区 (含 PADDING) 时原位改写，只写文件头部几 KB
+ *    - 放不下时重写整个文件，并预留 PADDING 供下次原位修改
+ * 使用方法:
+ *    const flac = require('./lib/tags/flac');
+ *    const tags = flac.readTags('/Music/晴天.flac');
+ *    flac.writeTags('/Music/晴天.flac', {
+ *        set: { ALBUM: '叶惠美', ALBUMARTIST: '周杰伦' },
+ *        remove: ['DATE'],
+ *        pictures: [{ type: 3, mime: 'image/jpeg', data: coverBuffer }]
+ *    });
+ */
+
+const fs = require('fs');
+const { imageSize } = require('image-size');
+const { readAt, patchInPlace, replaceFile } = require('./io');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const BLOCK_TYPES = {
+    STREAMINFO: 0,
+    PADDING: 1,
+    APPLICATION: 2,
+    SEEKTABLE: 3,
+    VORBIS_COMMENT: 4,
+    CUESHEET: 5,
+    PICTURE: 6
+};
+
+// 重写文件时预留的 PADDING 大小
+const DEFAULT_PADDING = 8192;
+
+// 元数据块长度字段为 24 位
+const MAX_BLOCK_SIZE = 0xffffff;
+
+const DEFAULT_VENDOR = 'jstools';
+
+// ---------------------------------------------------------
+// 2. 元数据块解析
+// ---------------------------------------------------------
+
+/**
+ * 读取文件头部的所有元数据块 (不读取音频数据)
+ * 兼容文件开头带 ID3v2 标签的 FLAC
+ * @returns {{ flacOffset: number, blocks: Array<{ type, data }>, audioOffset: number }}
+ */
+function readBlocks(fd) {
+    let flacOffset = 0;
+    const head = readAt(fd, 0, 10);
+    if (head.toString('latin1', 0, 3) === 'ID3') {
+        const size = (head[6] << 21) | (head[7] << 14) | (head[8] << 7) | head[9];
+        const hasFooter = (head[5] & 0x10) !== 0;
+        flacOffset = 10 + size + (hasFooter ? 10 : 0);
+    }
+
+    if (readAt(fd, flacOffset, 4).toString('latin1') !== 'fLaC') {
+        throw new Error('不是有效的 FLAC 文件');
+    }
+
+    const blocks = [];
+    let position = flacOffset + 4;
+    let isLast = false;
+    while (!isLast) {
+        const header = readAt(fd, position, 4);
+        isLast = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7f;
+        const length = header.readUIntBE(1, 3);
+
+        // PADDING 只需要长度
+        const data = type === BLOCK_TYPES.PADDING ? null : readAt(fd, position + 4, length);
+        blocks.push({ type, length, data });
+        position += 4 + length;
+    }
+
+    if (blocks.length === 0 || blocks[0].type !== BLOCK_TYPES.STREAMINFO) {
+        throw new Error('FLAC 缺少 STREAMINFO');
+    }
+
+    return { flacOffset, blocks, audioOffset: position };
+}
+
+/**
+ * 解析 VORBIS_COMMENT (小端序)
+ * @returns {{ vendor: string, comments: Array<[string, string]> }}
+ */
+function parseVorbisComment(data) {
+    let offset = 0;
+    const vendorLength = data.readUInt32LE(offset);
+    const vendor = data.toString('utf-8', offset + 4, offset + 4 + vendorLength);
+    offset += 4 + vendorLength;
+
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+
+    const comments = [];
+    for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+        const length = data.readUInt32LE(offset);
+        const entry = data.toString('utf-8', offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        const eq = entry.indexOf('=');
+        if (eq > 0) comments.push([entry.slice(0, eq), entry.slice(eq + 1)]);
+    }
+
+    return { vendor, comments };
+}
+
+/**
+ * 生成 VORBIS_COMMENT 数据
+ */
+function buildVorbisComment(vendor, comments) {
+    const parts = [];
+    const vendorBuf = Buffer.from(vendor, 'utf-8');
+    parts.push(uint32LE(vendorBuf.length), vendorBuf, uint32LE(comments.length));
+    comments.forEach(([key, value]) => {
+        const entry = Buffer.from(`${key}=${value}`, 'utf-8');
+        parts.push(uint32LE(entry.length), entry);
+    });
+    return Buffer.concat(parts);
+}
+
+/**
+ * 解析 PICTURE (大端序)
+ */
+function parsePicture(data) {
+    let offset = 0;
+    const readUInt = () => {
+        const value = data.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    };
+    const readString = (encoding) => {
+        const length = readUInt();
+        const value = data.toString(encoding, offset, offset + length);
+        offset += length;
+        return value;
+    };
+
+    const type = readUInt();
+    const mime = readString('latin1');
+    const description = readString('utf-8');
+    const width = readUInt();
+    const height = readUInt();
+    const depth = readUInt();
+    const colors = readUInt();
+    const dataLength = readUInt();
+
+    return {
+        type,
+        mime,
+        description,
+        width,
+        height,
+        depth,
+        colors,
+        data: data.subarray(offset, offset + dataLength)
+    };
+}
+
+/**
+ * 生成 PICTURE 数据，未给出宽高时从图片读取
+ */
+function buildPicture(picture) {
+    let { width, height } = picture;
+    if (!width || !height) {
+        try {
+            const size = imageSize(picture.data);
+            width = size.width;
+            height = size.height;
+        } catch (e) {
+            width = 0;
+            height = 0;
+        }
+    }
+
+    const mime = Buffer.from(picture.mime || 'image/jpeg', 'latin1');
+    const description = Buffer.from(picture.description || '', 'utf-8');
+    return Buffer.concat([
+        uint32BE(picture.type === undefined ? 3 : picture.type),
+        uint32BE(mime.length), mime,
+        uint32BE(description.length), description,
+        uint32BE(width),
+        uint32BE(height),
+        uint32BE(picture.depth || 24),
+        uint32BE(picture.colors || 0),
+        uint32BE(picture.data.length),
+        picture.data
+    ]);
+}
+
+function uint32LE(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(value);
+    return buf;
+}
+
+function uint32BE(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(value);
+    return buf;
+}
+
+/**
+ * 把元数据块列表序列化 (最后一块设置 last 标志)
+ */
+function serializeBlocks(blocks) {
+    return Buffer.concat(blocks.map((block, i) => {
+        const length = block.data ? block.data.length : block.length;
+        if (length > MAX_BLOCK_SIZE) throw new Error('元数据块超过 16MB');
+
+        const header = Buffer.alloc(4);
+        header[0] = block.type | (i === blocks.length - 1 ? 0x80 : 0);
+        header.writeUIntBE(length, 1, 3);
+        return block.data ? Buffer.concat([header, block.data]) : Buffer.concat([header, Buffer.alloc(length)]);
+    }));
+}
+
+// ---------------------------------------------------------
+// 3. 读取
+// ---------------------------------------------------------
+
+/**
+ * 读取 FLAC 标签
+ * @returns {{ vendor: string, comments: Object<string, string[]>, pictures: Array, padding: number }}
+ */
+function readTags(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { blocks } = readBlocks(fd);
+        const result = { vendor: '', comments: {}, pictures: [], padding: 0 };
+
+        blocks.forEach(block => {
+            if (block.type === BLOCK_TYPES.VORBIS_COMMENT) {
+                const { vendor, comments } = parseVorbisComment(block.data);
+                result.vendor = vendor;
+                comments.forEach(([key, value]) => {
+                    const name = key.toUpperCase();
+                    if (!result.comments[name]) result.comments[name] = [];
+                    result.comments[name].push(value);
+                });
+            } else if (block.type === BLOCK_TYPES.PICTURE) {
+                result.pictures.push(parsePicture(block.data));
+            } else if (block.type === BLOCK_TYPES.PADDING) {
+                result.padding += block.length;
+            }
+        });
+
+        return result;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// ---------------------------------------------------------
+// 4. 写入
+// ---------------------------------------------------------
+
+/**
+ * 按修改内容生成新的元数据块列表 (不含 PADDING)
+ */
+function applyChanges(blocks, changes) {
+    const set = changes.set || {};
+    const setKeys = Object.keys(set).map(k => k.toUpperCase());
+    const removeKeys = (changes.remove || []).map(k => k.toUpperCase());
+    const newPictures = changes.pictures || [];
+    const replacedTypes = new Set(newPictures.map(p => (p.type === undefined ? 3 : p.type)));
+
+    const result = [];
+    let hasComment = false;
+
+    blocks.forEach(block => {
+        if (block.type === BLOCK_TYPES.PADDING) return;
+
+        if (block.type === BLOCK_TYPES.VORBIS_COMMENT) {
+            if (hasComment) return; // 只允许一个 VORBIS_COMMENT
+            hasComment = true;
+            result.push({ type: block.type, data: buildComment(parseVorbisComment(block.data)) });
+            return;
+        }
+
+        if (block.type === BLOCK_TYPES.PICTURE) {
+            if (changes.removePictures) return;
+            if (replacedTypes.has(block.data.readUInt32BE(0))) return;
+        }
+
+        result.push(block);
+    });
+
+    if (!hasComment && setKeys.length > 0) {
+        // 放在 STREAMINFO 之后
+        result.splice(1, 0, { type: BLOCK_TYPES.VORBIS_COMMENT, data: buildComment({ vendor: DEFAULT_VENDOR, comments: [] }) });
+    }
+
+    newPictures.forEach(picture => {
+        result.push({ type: BLOCK_TYPES.PICTURE, data: buildPicture(picture) });
+    });
+
+    return result;
+
+    function buildComment({ vendor, comments }) {
+        // 被设置或删除的键先全部去掉，再按顺序追加新值
+        const kept = comments.filter(([key]) => {
+            const name = key.toUpperCase();
+            return !setKeys.includes(name) && !removeKeys.includes(name);
+        });
+        Object.keys(set).forEach(key => {
+            const values = Array.isArray(set[key]) ? set[key] : [set[key]];
+            values
+                .filter(v => v !== null && v !== undefined && v !== '')
+                .forEach(v => kept.push([key.toUpperCase(), String(v)]));
+        });
+        return buildVorbisComment(vendor, kept);
+    }
+}
+
+/**
+ * 修改 FLAC 标签
+ * @param {string} filePath
+ * @param {Object} changes
+ * @param {Object} changes.set             要设置的字段 { ALBUM: '叶惠美', ARTIST: ['A', 'B'] }，空值表示删除
+ * @param {string[]} changes.remove        要删除的字段
+ * @param {Array} changes.pictures         新图片 [{ type, mime, description, data }]，替换同类型 (默认 3 封面) 的已有图片
+ * @param {boolean} changes.removePictures 删除所有已有图片
+ * @param {Object} options
+ * @param {Object} options.journal         操作日志 (lib/journal)，记录后可撤销
+ * @returns {{ inPlace: boolean }} 是否原位修改 (false 表示重写了整个文件)
+ */
+function writeTags(filePath, changes, options = {}) {
+    const journal = options.journal;
+    const fd = fs.openSync(filePath, 'r+');
+    let layout;
+    let newBlocks;
+
+    try {
+        layout = readBlocks(fd);
+        newBlocks = applyChanges(layout.blocks, changes);
+
+        const regionStart = layout.flacOffset + 4;
+        const regionLength = layout.audioOffset - regionStart;
+        const used = newBlocks.reduce((sum, b) => sum + 4 + (b.data ? b.data.length : b.length), 0);
+        const spare = regionLength - used;
+
+        // 原元数据区放得下 (剩余空间正好为 0 或能放下一个 PADDING 块头)
+        if (spare === 0 || spare >= 4) {
+            if (spare > 0) newBlocks.push({ type: BLOCK_TYPES.PADDING, length: spare - 4 });
+            patchInPlace(fd, filePath, regionStart, serializeBlocks(newBlocks), journal);
+            return { inPlace: true };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // 原文件头 (ID3 + fLaC) + 新元数据 + 原音频数据
+    newBlocks.push({ type: BLOCK_TYPES.PADDING, length: DEFAULT_PADDING });
+    const region = serializeBlocks(newBlocks);
+    replaceFile(filePath, [
+        { start: 0, end: layout.flacOffset + 4 },
+        { data: region },
+        { start: layout.audioOffset }
+    ], journal);
+    return { inPlace: false };
+}
+
+module.exports = {
+    BLOCK_TYPES,
+    readTags,
+    writeTags,
+    parseVorbisComment,
+    buildVorbisComment,
+    parsePicture,
+    buildPicture
+};
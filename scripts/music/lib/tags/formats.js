@@ -0,0 +1,30 @@
+/**
+ * 模块名称: Tag Formats (按格式选择标签模块)
+ * 功能描述: 按扩展名 (DSD 按文件头) 选择使用 node-id3 字段格式的标签模块，供封面、歌词的读写共用
+ *    - MP3: lib/tags/mp3
+ *    - WAV: lib/tags/wav
+ *    - DSF / DFF: lib/tags/dsd
+ * 使用方法:
+ *    const { id3Module } = require('./lib/tags/formats');
+ *    const tags = id3Module('/Music/晴天.wav').readTags('/Music/晴天.wav');
+ */
+
+const path = require('path');
+const mp3 = require('./mp3');
+const wav = require('./wav');
+const dsd = require('./dsd');
+
+/**
+ * 使用 node-id3 字段格式的标签模块 (MP3 / WAV / DSF / DFF)，其他格式 (FLAC、M4A 等) 返回 null
+ */
+function id3Module(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.mp3') return mp3;
+    if (ext === '.wav') return wav;
+    if (dsd.isDsd(filePath)) return dsd;
+    return null;
+}
+
+module.exports = {
+    id3Module
+};
@@ -0,0 +1,174 @@
+/**
+ * 模块名称: ID3 Tags (ID3v2 标签合并)
+ * 功能描述: WAV / DSF / DFF / MP3 共用的 ID3v2 标签合并，标签内容使用 node-id3 的字段格式
+ *    - 按帧合并: 只替换本次修改的字段对应的帧，其他帧 (TXXX、PRIV、其他类型的图片等 node-id3
+ *      不认识或只读出一个的帧) 原样复制，标签版本 (v2.3 / v2.4) 保持不变
+ *    - 与 NodeID3.update 不同，传入的字段整体替换原有的帧 (SYLT 等可重复帧不会越写越多)；
+ *      图片只替换同一类型 (封面、封底等) 的 APIC
+ *    - null 或空字符串表示删除该字段
+ * 使用方法:
+ *    const { buildId3, mergeId3 } = require('./id3');
+ *    const newTag = buildId3(oldTagBuffer, { title: '晴天', synchronisedLyrics: null });
+ *    const tags = mergeId3(oldTagBuffer, {});    // 读取为 node-id3 格式
+ */
+
+const NodeID3 = require('node-id3');
+const { FRAME_IDENTIFIERS } = require('node-id3/src/ID3Definitions');
+
+// ID3v2 标签头: "ID3" + 版本 (2) + 标志 (1) + syncsafe 大小 (4)
+const ID3_HEADER_SIZE = 10;
+
+// 帧头: ID (4) + 大小 (4，v2.4 为 syncsafe) + 标志 (2)
+const FRAME_HEADER_SIZE = 10;
+
+// 标签头标志
+const FLAG_UNSYNCHRONISATION = 0x80;
+const FLAG_EXTENDED_HEADER = 0x40;
+
+// node-id3 按 v2.3 写入的字段在 v2.4 标签中的对应帧，修改时一并替换
+const RELATED_FRAMES = { year: ['TDRC'] };
+
+function syncsafeSize(buf, offset) {
+    return (buf[offset] << 21) | (buf[offset + 1] << 14) | (buf[offset + 2] << 7) | buf[offset + 3];
+}
+
+/**
+ * 标签总长度 (含标签头和 v2.4 的标签尾)，不是 ID3v2 时返回 0
+ */
+function tagLength(header) {
+    if (header.length < ID3_HEADER_SIZE || header.toString('latin1', 0, 3) !== 'ID3') return 0;
+    const hasFooter = header[3] === 4 && (header[5] & 0x10) !== 0;
+    return ID3_HEADER_SIZE + syncsafeSize(header, 6) + (hasFooter ? ID3_HEADER_SIZE : 0);
+}
+
+function writeSyncsafe(buf, offset, size) {
+    [21, 14, 7, 0].forEach((shift, i) => { buf[offset + i] = (size >> shift) & 0x7f; });
+}
+
+/**
+ * 在标签末尾补 0 (ID3v2 填充区) 到 length 字节，并更新标签头中的大小
+ */
+function padTag(tag, length) {
+    const padded = Buffer.concat([tag, Buffer.alloc(length - tag.length)]);
+    writeSyncsafe(padded, 6, length - ID3_HEADER_SIZE);
+    return padded;
+}
+
+/**
+ * 合并标签
+ * @param {Buffer} oldTag 原 ID3 标签 (可为空)
+ * @param {Object} changes node-id3 格式，null 或空字符串表示删除
+ * @returns {Object} 合并后的标签 (node-id3 格式，不含 raw)
+ */
+function mergeId3(oldTag, changes) {
+    const tags = oldTag.length > 0 ? NodeID3.read(oldTag, { noRaw: true }) : {};
+    delete tags.raw;
+
+    Object.keys(changes).forEach(key => {
+        const value = changes[key];
+        if (value === null || value === undefined || value === '') delete tags[key];
+        else tags[key] = value;
+    });
+
+    // 旧版 embed_covers 写入的 APIC 没有 MIME
+    if (tags.image && typeof tags.image === 'object' && !tags.image.mime && tags.image.imageBuffer) {
+        const isPng = tags.image.imageBuffer.subarray(0, 4).toString('latin1') === '\x89PNG';
+        tags.image.mime = isPng ? 'image/png' : 'image/jpeg';
+    }
+    return tags;
+}
+
+/**
+ * 拆分标签中的帧 (含帧头的原始数据)，遇到填充区或损坏的帧时停止
+ * 只支持 v2.3 / v2.4 且没有整体反同步的标签，其他情况返回 null
+ * @returns {{ version: number, frames: Array<{ id, data: Buffer }> }|null}
+ */
+function readFrames(tag) {
+    if (tag.length < ID3_HEADER_SIZE || tag.toString('latin1', 0, 3) !== 'ID3') return null;
+    const version = tag[3];
+    const flags = tag[5];
+    if ((version !== 3 && version !== 4) || (flags & FLAG_UNSYNCHRONISATION)) return null;
+
+    const end = Math.min(tag.length, ID3_HEADER_SIZE + syncsafeSize(tag, 6));
+    let pos = ID3_HEADER_SIZE;
+    if (flags & FLAG_EXTENDED_HEADER) {
+        pos += version === 4 ? syncsafeSize(tag, pos) : 4 + tag.readUInt32BE(pos);
+    }
+
+    const frames = [];
+    while (pos + FRAME_HEADER_SIZE <= end && tag[pos] !== 0) {
+        const id = tag.toString('latin1', pos, pos + 4);
+        const size = version === 4 ? syncsafeSize(tag, pos + 4) : tag.readUInt32BE(pos + 4);
+        if (!/^[A-Z0-9]{4}$/.test(id) || pos + FRAME_HEADER_SIZE + size > end) break;
+        frames.push({ id, data: tag.subarray(pos, pos + FRAME_HEADER_SIZE + size) });
+        pos += FRAME_HEADER_SIZE + size;
+    }
+    return { version, frames };
+}
+
+/**
+ * APIC 帧的图片类型 (3 为封面)，无法识别时返回 null
+ */
+function pictureType(frame, version) {
+    let body = frame.data.subarray(FRAME_HEADER_SIZE);
+    // v2.4 带数据长度指示的帧，内容前有 4 字节长度
+    if (version === 4 && (frame.data[9] & 0x01)) body = body.subarray(4);
+    const mimeEnd = body.indexOf(0, 1);
+    return mimeEnd > 0 && mimeEnd + 1 < body.length ? body[mimeEnd + 1] : null;
+}
+
+/**
+ * 字段对应的帧 ID (如 title → TIT2)，也可以直接用帧 ID 作为字段名
+ */
+function frameIds(key) {
+    const ids = [FRAME_IDENTIFIERS.v3[key], FRAME_IDENTIFIERS.v4[key], ...(RELATED_FRAMES[key] || [])];
+    if (/^[A-Z0-9]{4}$/.test(key)) ids.push(key);
+    return ids.filter(Boolean);
+}
+
+/**
+ * 按帧合并标签，生成新的 ID3 标签 (不含填充区)
+ * @param {Buffer} oldTag 原 ID3 标签 (可为空)
+ * @param {Object} changes node-id3 格式，null 或空字符串表示删除
+ * @returns {Buffer} 没有任何帧时只有标签头
+ */
+function buildId3(oldTag, changes) {
+    const old = oldTag.length > 0 ? readFrames(oldTag) : { version: 3, frames: [] };
+    // v2.2 等不能逐帧复制的标签，整体读出后按 v2.3 重写
+    if (!old) return NodeID3.create(mergeId3(oldTag, changes));
+
+    const values = {};
+    const removed = new Set();
+    Object.keys(changes).forEach(key => {
+        const value = changes[key];
+        if (value !== null && value !== undefined && value !== '') values[key] = value;
+        // 设置图片时只替换同一类型的 APIC
+        if (key !== 'image' || !(key in values)) frameIds(key).forEach(id => removed.add(id));
+    });
+
+    const created = readFrames(NodeID3.create(values)).frames;
+    const pictures = new Set(created.filter(f => f.id === 'APIC').map(f => pictureType(f, 3)));
+    const kept = old.frames.filter(f => !removed.has(f.id) && !(f.id === 'APIC' && pictures.has(pictureType(f, old.version))));
+
+    // node-id3 按 v2.3 生成帧，写入 v2.4 标签时帧大小改为 syncsafe
+    if (old.version === 4) {
+        created.forEach(f => {
+            f.data = Buffer.from(f.data);
+            writeSyncsafe(f.data, 4, f.data.length - FRAME_HEADER_SIZE);
+        });
+    }
+
+    const body = Buffer.concat([...kept, ...created].map(f => f.data));
+    const header = Buffer.from([0x49, 0x44, 0x33, old.version, 0, 0, 0, 0, 0, 0]);
+    writeSyncsafe(header, 6, body.length);
+    return Buffer.concat([header, body]);
+}
+
+module.exports = {
+    ID3_HEADER_SIZE,
+    syncsafeSize,
+    tagLength,
+    padTag,
+    mergeId3,
+    buildId3
+};
@@ -0,0 +1,138 @@
+/**
+ * 模块名称: Tag IO (标签写入共用的文件操作)
+ * 功能描述: 按位置读取、原位改写一段数据、替换文件末尾、通过临时文件重写整个文件，并记录到操作日志 (只备份被替换的部分)
+ * 使用方法:
+ *    const { readAt, patchInPlace, replaceTail, replaceFile, copyRange } = require('./io');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 重写文件时复制音频数据的块大小
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * 从文件指定位置读取 length 字节
+ */
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    if (bytesRead < length) throw new Error('文件不完整');
+    return buffer;
+}
+
+/**
+ * 原位改写 offset 处的一段数据 (长度不变)，内容相同时不写入
+ * @param {number} fd 以 'r+' 打开的文件
+ * @param {Object} journal 操作日志 (可选)
+ * @returns {boolean} 是否有修改
+ */
+function patchInPlace(fd, filePath, offset, region, journal) {
+    const previous = readAt(fd, offset, region.length);
+    if (previous.equals(region)) return false;
+
+    fs.writeSync(fd, region, 0, region.length, offset);
+    if (journal) journal.recordPatch(filePath, offset, previous, region);
+    return true;
+}
+
+/**
+ * 把 offset 之后的内容替换为 tail (长度可变，用于文件末尾的标签)，内容相同时不写入
+ * @param {number} fd 以 'r+' 打开的文件
+ * @param {Object} journal 操作日志 (可选)
+ * @returns {boolean} 是否有修改
+ */
+function replaceTail(fd, filePath, offset, tail, journal) {
+    const size = fs.fstatSync(fd).size;
+    const previous = offset < size ? readAt(fd, offset, size - offset) : Buffer.alloc(0);
+    if (previous.equals(tail)) return false;
+
+    fs.writeSync(fd, tail, 0, tail.length, offset);
+    fs.ftruncateSync(fd, offset + tail.length);
+    if (journal) journal.recordTail(filePath, offset, previous, tail);
+    return true;
+}
+
+/**
+ * 把输入文件 [start, end) 区间复制到输出文件当前位置
+ */
+function copyRange(input, output, start, end) {
+    const chunk = Buffer.alloc(COPY_CHUNK_SIZE);
+    let position = start;
+    while (position < end) {
+        const bytesRead = fs.readSync(input, chunk, 0, Math.min(chunk.length, end - position), position);
+        if (bytesRead === 0) break;
+        fs.writeSync(output, chunk, 0, bytesRead);
+        position += bytesRead;
+    }
+}
+
+/**
+ * 原文件中没有被复制到新文件的区间 (被替换的标签区)
+ * @param {Array<{ from, length }>} copies
+ * @returns {Array<{ offset, length }>}
+ */
+function uncopiedRanges(copies, size) {
+    const ranges = [];
+    let position = 0;
+    [...copies].sort((a, b) => a.from - b.from).forEach(c => {
+        if (c.from > position) ranges.push({ offset: position, length: c.from - position });
+        position = Math.max(position, c.from + c.length);
+    });
+    if (position < size) ranges.push({ offset: position, length: size - position });
+    return ranges;
+}
+
+/**
+ * 通过临时文件重写整个文件，新内容按顺序由 parts 拼成:
+ *    { data }          新数据 (标签、元数据区等)
+ *    { start, end }    原文件的 [start, end) 区间 (音频数据等)，省略 end 表示到文件末尾
+ * 写入失败时删除临时文件、保留原文件；成功后替换原文件，
+ * 操作日志只备份原文件中没有原样复制的部分，复制的区间只记录新旧位置
+ */
+function replaceFile(filePath, parts, journal) {
+    const ext = path.extname(filePath);
+    const tempFile = path.join(path.dirname(filePath), `_temp_${Date.now()}${ext}`);
+    const input = fs.openSync(filePath, 'r');
+    const output = fs.openSync(tempFile, 'w');
+    const oldSize = fs.fstatSync(input).size;
+    const copies = [];
+    let previous = [];
+
+    try {
+        let position = 0;
+        parts.forEach(part => {
+            if (part.data) {
+                fs.writeSync(output, part.data);
+                position += part.data.length;
+                return;
+            }
+            const end = part.end === undefined ? oldSize : part.end;
+            copyRange(input, output, part.start, end);
+            if (end > part.start) copies.push({ from: part.start, to: position, length: end - part.start });
+            position += end - part.start;
+        });
+        if (journal) {
+            previous = uncopiedRanges(copies, oldSize).map(r => ({ offset: r.offset, data: readAt(input, r.offset, r.length) }));
+        }
+    } catch (e) {
+        fs.closeSync(output);
+        fs.closeSync(input);
+        if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+        throw e;
+    }
+
+    fs.closeSync(output);
+    fs.closeSync(input);
+
+    fs.renameSync(tempFile, filePath);
+    if (journal) journal.recordRewrite(filePath, copies, previous, oldSize);
+}
+
+module.exports = {
+    readAt,
+    patchInPlace,
+    replaceTail,
+    copyRange,
+    replaceFile
+};
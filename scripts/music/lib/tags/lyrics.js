@@ -0,0 +1,72 @@
+/**
+ * 模块名称: Embedded Lyrics (内嵌歌词读取)
+ * 功能描述: 按扩展名选择对应格式的标签模块，读取内嵌歌词并转为 LRC 文本
+ *    - MP3 / WAV / DSF / DFF: ID3 的 USLT 帧 (embed_lyrics.js 写入完整 LRC) 和 SYLT 帧 (毫秒时间轴)
+ *    - FLAC: VORBIS_COMMENT 的 LYRICS / UNSYNCEDLYRICS
+ *    - M4A: ©lyr 原子
+ *    - 优先使用带时间标签的歌词: 带时间标签的 USLT > SYLT (还原为 LRC) > 不带时间标签的文本
+ * 使用方法:
+ *    const { readLyrics } = require('./lib/tags/lyrics');
+ *    const lyrics = readLyrics('/Music/晴天.flac');   // { text, synced } 或 null
+ */
+
+const path = require('path');
+const NodeID3 = require('node-id3');
+const flac = require('./flac');
+const mp4 = require('./mp4');
+const { id3Module } = require('./formats');
+const { parseLrc, serializeLrc, fromSynchronisedText } = require('../lrc');
+
+// 支持读取内嵌歌词的格式
+const LYRICS_EXTENSIONS = /\.(mp3|flac|m4a|wav|dsf|dff)$/i;
+
+// FLAC 中保存歌词的字段 (不同软件写法不同)
+const FLAC_LYRICS_FIELDS = ['LYRICS', 'UNSYNCEDLYRICS'];
+
+/**
+ * 文本歌词，带时间标签时 synced 为 true，空白时为 null
+ */
+function textLyrics(text) {
+    if (!text || !text.trim()) return null;
+    return { text, synced: parseLrc(text).lines.length > 0 };
+}
+
+/**
+ * 读取 ID3 歌词: 带时间标签的 USLT 优先，其次由 SYLT 还原 (只支持毫秒时间轴)
+ */
+function readId3Lyrics(tags) {
+    const uslt = textLyrics(tags.unsynchronisedLyrics && tags.unsynchronisedLyrics.text);
+    if (uslt && uslt.synced) return uslt;
+
+    const sylt = (tags.synchronisedLyrics || []).find(frame =>
+        frame.timeStampFormat === NodeID3.TagConstants.TimeStampFormat.MILLISECONDS &&
+        frame.synchronisedText && frame.synchronisedText.length > 0);
+    if (sylt) {
+        return { text: serializeLrc({ meta: {}, lines: fromSynchronisedText(sylt.synchronisedText) }), synced: true };
+    }
+    return uslt;
+}
+
+/**
+ * 读取内嵌歌词
+ * @returns {{ text: string, synced: boolean }|null} 没有歌词时为 null，格式不支持或文件损坏时抛出异常
+ */
+function readLyrics(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!LYRICS_EXTENSIONS.test(ext)) throw new Error(`不支持的格式: ${ext}`);
+
+    if (ext === '.flac') {
+        const { comments } = flac.readTags(filePath);
+        const field = FLAC_LYRICS_FIELDS.find(name => comments[name] && comments[name][0].trim());
+        return field ? textLyrics(comments[field][0]) : null;
+    }
+    if (ext === '.m4a') {
+        return textLyrics(mp4.readTags(filePath).tags.lyrics);
+    }
+    return readId3Lyrics(id3Module(filePath).readTags(filePath));
+}
+
+module.exports = {
+    LYRICS_EXTENSIONS,
+    readLyrics
+};
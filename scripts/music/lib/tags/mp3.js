@@ -0,0 +1,81 @@
+/**
+ * 模块名称: MP3 Tags (MP3 标签读写)
+ * 功能描述: 纯 JS 读写 MP3 文件开头的 ID3v2 标签，标签内容使用 node-id3 的字段格式
+ *    - 与已有 ID3 帧按帧合并 (lib/tags/id3)，没有修改的帧原样保留，null 或空字符串表示删除
+ *    - 文件末尾的 ID3v1 标签保持不变
+ * 写入方式:
+ *    - 新标签放得下 (原标签含填充区) 时原位改写，剩余空间作为填充区
+ *    - 放不下时通过临时文件重写整个文件，并预留填充区供以后原位修改
+ * 使用方法:
+ *    const mp3 = require('./lib/tags/mp3');
+ *    const tags = mp3.readTags('/Music/晴天.mp3');
+ *    mp3.writeTags('/Music/晴天.mp3', { unsynchronisedLyrics: { language: 'XXX', text: lrcContent } }, { journal });
+ */
+
+const fs = require('fs');
+const { readAt, patchInPlace, replaceFile } = require('./io');
+const { ID3_HEADER_SIZE, tagLength, padTag, mergeId3, buildId3 } = require('./id3');
+
+// 重写文件时预留的填充区大小
+const PADDING_SIZE = 4096;
+
+/**
+ * 读取文件开头的 ID3v2 标签
+ * @returns {{ fileSize, tag: Buffer }}
+ */
+function readHead(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = fileSize >= ID3_HEADER_SIZE ? readAt(fd, 0, ID3_HEADER_SIZE) : Buffer.alloc(0);
+    const length = tagLength(header);
+    if (length > fileSize) throw new Error('ID3 标签大小超出文件长度');
+    return { fileSize, tag: length > 0 ? readAt(fd, 0, length) : Buffer.alloc(0) };
+}
+
+/**
+ * 读取标签 (node-id3 格式)
+ */
+function readTags(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        return mergeId3(readHead(fd).tag, {});
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * 写入标签，与已有 ID3 帧合并
+ * @param {string} filePath .mp3 文件
+ * @param {Object} changes node-id3 格式的标签 { title, image, unsynchronisedLyrics, synchronisedLyrics, ... }
+ * @param {Object} options
+ * @param {Object} options.journal 操作日志 (lib/journal)，记录后可撤销
+ * @returns {{ inPlace: boolean }} 是否原位改写 (false 表示重写了整个文件)
+ */
+function writeTags(filePath, changes, options = {}) {
+    const journal = options.journal;
+    const fd = fs.openSync(filePath, 'r+');
+    let head;
+    let newTag;
+    try {
+        head = readHead(fd);
+        newTag = buildId3(head.tag, changes);
+
+        if (newTag.length <= head.tag.length) {
+            patchInPlace(fd, filePath, 0, padTag(newTag, head.tag.length), journal);
+            return { inPlace: true };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    replaceFile(filePath, [
+        { data: padTag(newTag, newTag.length + PADDING_SIZE) },
+        { start: head.tag.length, end: head.fileSize }
+    ], journal);
+    return { inPlace: false };
+}
+
+module.exports = {
+    readTags,
+    writeTags
+};
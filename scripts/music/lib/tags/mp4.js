@@ -0,0 +1,476 @@
+/**
+ * 模块名称: MP4 Tags (M4A/MP4 标签读写)
+ * 功能描述: 纯 JS 读写 iTunes 风格的 moov/udta/meta/ilst 元数据 (ALAC/AAC)，不依赖 ffmpeg
+ * 支持字段:
+ *    title (©nam) / artist (©ART) / albumArtist (aART) / album (©alb) / year (©day)
+ *    genre (©gen) / lyrics (©lyr) / track (trkn) / disk (disk) / 封面 (covr)
+ * 写入方式:
+ *    - 新 moov 不超过原 moov 加紧随其后的 free 原子时原位改写
+ *    - 放不下时重写整个文件，moov 之后的数据整体后移，同时修正 stco/co64 中的音频块偏移
+ * 使用方法:
+ *    const mp4 = require('./lib/tags/mp4');
+ *    const { tags, covers } = mp4.readTags('/Music/晴天.m4a');
+ *    mp4.writeTags('/Music/晴天.m4a', {
+ *        set: { album: '叶惠美', albumArtist: '周杰伦', track: { no: 3, of: 11 } },
+ *        remove: ['year'],
+ *        covers: [{ mime: 'image/jpeg', data: coverBuffer }]
+ *    });
+ */
+
+const fs = require('fs');
+const { readAt, patchInPlace, replaceFile } = require('./io');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// 友好字段名 -> ilst 原子类型
+const TEXT_FIELDS = {
+    title: '©nam',
+    artist: '©ART',
+    albumArtist: 'aART',
+    album: '©alb',
+    year: '©day',
+    genre: '©gen',
+    lyrics: '©lyr'
+};
+
+// 序号字段: trkn 负载 8 字节，disk 负载 6 字节
+const NUMBER_FIELDS = {
+    track: { type: 'trkn', length: 8 },
+    disk: { type: 'disk', length: 6 }
+};
+
+const COVER_ATOM = 'covr';
+
+// data 原子的类型标识
+const DATA_TYPES = {
+    BINARY: 0,
+    UTF8: 1,
+    JPEG: 13,
+    PNG: 14
+};
+
+// 需要递归解析的容器原子 (其余原子整体保留)
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'meta', 'ilst', 'edts', 'dinf']);
+
+// 重写文件时在 moov 后预留的 free 原子大小
+const DEFAULT_PADDING = 4096;
+
+// 原子头: 4 字节长度 + 4 字节类型
+const HEADER_SIZE = 8;
+
+// ---------------------------------------------------------
+// 2. 原子解析
+// ---------------------------------------------------------
+
+/**
+ * 扫描文件顶层原子 (只读原子头)
+ * @returns {Array<{ type, offset, size, headerSize }>}
+ */
+function readTopLevel(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    const atoms = [];
+    let offset = 0;
+
+    while (offset + HEADER_SIZE <= fileSize) {
+        const header = readAt(fd, offset, Math.min(16, fileSize - offset));
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        let headerSize = HEADER_SIZE;
+        if (offset === 0 && type !== 'ftyp') throw new Error('不是有效的 MP4 文件');
+
+        if (size === 1) {
+            if (header.length < 16) break;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize || offset + size > fileSize) {
+            throw new Error(`MP4 原子损坏: ${type} @ ${offset}`);
+        }
+
+        atoms.push({ type, offset, size, headerSize });
+        offset += size;
+    }
+
+    if (atoms.length === 0) {
+        throw new Error('不是有效的 MP4 文件');
+    }
+    return atoms;
+}
+
+/**
+ * meta 在 MP4 中是 full box (多 4 字节版本/标志)，QuickTime 风格则没有
+ */
+function isFullMeta(buf, start) {
+    return buf.toString('latin1', start + 4, start + 8) !== 'hdlr';
+}
+
+/**
+ * 递归解析 [start, end) 范围内的原子
+ * 容器原子解析为 { type, prefix, children }，其余为 { type, data }
+ * 末尾不足一个原子头的字节 (如 QuickTime udta 的 4 字节结束标记) 原样保留为 { raw }
+ */
+function parseAtoms(buf, start, end) {
+    const atoms = [];
+    let offset = start;
+
+    while (offset + HEADER_SIZE <= end) {
+        let size = buf.readUInt32BE(offset);
+        const type = buf.toString('latin1', offset + 4, offset + 8);
+        let headerSize = HEADER_SIZE;
+
+        if (size === 1) {
+            size = Number(buf.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            throw new Error(`MP4 原子损坏: ${type}`);
+        }
+
+        const dataStart = offset + headerSize;
+        const dataEnd = offset + size;
+        if (CONTAINERS.has(type)) {
+            let childStart = dataStart;
+            let prefix = Buffer.alloc(0);
+            if (type === 'meta' && isFullMeta(buf, dataStart)) {
+                prefix = buf.subarray(dataStart, dataStart + 4);
+                childStart += 4;
+            }
+            atoms.push({ type, prefix, children: parseAtoms(buf, childStart, dataEnd) });
+        } else {
+            atoms.push({ type, data: buf.subarray(dataStart, dataEnd) });
+        }
+        offset = dataEnd;
+    }
+
+    if (offset < end) {
+        atoms.push({ raw: buf.subarray(offset, end) });
+    }
+    return atoms;
+}
+
+/**
+ * 序列化原子 (含子原子)
+ */
+function serializeAtom(atom) {
+    if (atom.raw) return atom.raw;
+
+    const payload = atom.children
+        ? Buffer.concat([atom.prefix || Buffer.alloc(0), ...atom.children.map(serializeAtom)])
+        : atom.data;
+    if (payload.length + HEADER_SIZE > 0xffffffff) {
+        throw new Error(`MP4 原子过大: ${atom.type}`);
+    }
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32BE(payload.length + HEADER_SIZE, 0);
+    header.write(atom.type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 生成 free 原子 (总长 size 字节)
+ */
+function freeAtom(size) {
+    return serializeAtom({ type: 'free', data: Buffer.alloc(size - HEADER_SIZE) });
+}
+
+function findChild(atom, type) {
+    return atom.children.find(child => child.type === type) || null;
+}
+
+/**
+ * 按路径查找子原子，create 为 true 时补建缺失的容器
+ */
+function findPath(atom, types, create) {
+    let current = atom;
+    for (const type of types) {
+        let next = findChild(current, type);
+        if (!next) {
+            if (!create) return null;
+            next = createContainer(type);
+            // 插在末尾的 raw 结束标记之前
+            const rawIndex = current.children.findIndex(child => child.raw);
+            current.children.splice(rawIndex < 0 ? current.children.length : rawIndex, 0, next);
+        }
+        current = next;
+    }
+    return current;
+}
+
+function createContainer(type) {
+    if (type !== 'meta') return { type, prefix: Buffer.alloc(0), children: [] };
+
+    // iTunes 元数据的 meta 必须先有 handler 为 mdir 的 hdlr
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('mdir', 8, 'latin1');
+    hdlr.write('appl', 12, 'latin1');
+    return { type, prefix: Buffer.alloc(4), children: [{ type: 'hdlr', data: hdlr }] };
+}
+
+// ---------------------------------------------------------
+// 3. ilst 条目
+// ---------------------------------------------------------
+
+/**
+ * 解析 ilst 条目中的 data 原子
+ * @returns {Array<{ dataType: number, value: Buffer }>}
+ */
+function parseItemData(item) {
+    const values = [];
+    let offset = 0;
+    while (offset + 16 <= item.data.length) {
+        const size = item.data.readUInt32BE(offset);
+        if (size < 16 || offset + size > item.data.length) break;
+        if (item.data.toString('latin1', offset + 4, offset + 8) === 'data') {
+            values.push({
+                dataType: item.data.readUInt32BE(offset + 8) & 0xffffff,
+                value: item.data.subarray(offset + 16, offset + size)
+            });
+        }
+        offset += size;
+    }
+    return values;
+}
+
+/**
+ * 生成 ilst 条目: 每个值一个 data 原子 (版本 0 + 类型 + locale 0)
+ */
+function buildItem(type, dataType, values) {
+    const dataAtoms = values.map(value => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(dataType, 0);
+        return serializeAtom({ type: 'data', data: Buffer.concat([header, value]) });
+    });
+    return { type, data: Buffer.concat(dataAtoms) };
+}
+
+/**
+ * 序号值统一为 { no, of }，支持 3、'3/12'、{ no: 3, of: 12 }
+ */
+function normalizeNumber(value) {
+    if (typeof value === 'object') {
+        return { no: parseInt(value.no, 10) || 0, of: parseInt(value.of, 10) || 0 };
+    }
+    const [no, of] = String(value).split('/');
+    return { no: parseInt(no, 10) || 0, of: parseInt(of, 10) || 0 };
+}
+
+function buildNumberItem(field, value) {
+    const { type, length } = NUMBER_FIELDS[field];
+    const { no, of } = normalizeNumber(value);
+    const payload = Buffer.alloc(length);
+    payload.writeUInt16BE(no, 2);
+    payload.writeUInt16BE(of, 4);
+    return buildItem(type, DATA_TYPES.BINARY, [payload]);
+}
+
+function coverDataType(cover) {
+    const isPng = cover.mime === 'image/png' ||
+        (!cover.mime && cover.data.subarray(0, 4).toString('latin1') === '\x89PNG');
+    return isPng ? DATA_TYPES.PNG : DATA_TYPES.JPEG;
+}
+
+// ---------------------------------------------------------
+// 4. 读取
+// ---------------------------------------------------------
+
+/**
+ * 读取 moov 原子并解析为原子树
+ */
+function readMoov(fd) {
+    const atoms = readTopLevel(fd);
+    if (atoms.some(atom => atom.type === 'moof')) {
+        throw new Error('不支持分片 MP4 (fragmented)');
+    }
+
+    const index = atoms.findIndex(atom => atom.type === 'moov');
+    if (index < 0) throw new Error('不是有效的 MP4 文件 (缺少 moov)');
+
+    const moov = atoms[index];
+    const buf = readAt(fd, moov.offset, moov.size);
+    return {
+        atoms,
+        index,
+        tree: { type: 'moov', prefix: Buffer.alloc(0), children: parseAtoms(buf, moov.headerSize, moov.size) }
+    };
+}
+
+/**
+ * 读取 iTunes 标签
+ * @returns {{ tags: Object, covers: Array<{ mime, data }> }}
+ */
+function readTags(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let tree;
+    try {
+        tree = readMoov(fd).tree;
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const tags = {};
+    const covers = [];
+    const ilst = findPath(tree, ['udta', 'meta', 'ilst'], false);
+    if (!ilst) return { tags, covers };
+
+    ilst.children.filter(item => !item.raw).forEach(item => {
+        const values = parseItemData(item);
+        if (values.length === 0) return;
+
+        const textField = Object.keys(TEXT_FIELDS).find(key => TEXT_FIELDS[key] === item.type);
+        const numberField = Object.keys(NUMBER_FIELDS).find(key => NUMBER_FIELDS[key].type === item.type);
+
+        if (textField) {
+            tags[textField] = values[0].value.toString('utf-8');
+        } else if (numberField && values[0].value.length >= 6) {
+            tags[numberField] = { no: values[0].value.readUInt16BE(2), of: values[0].value.readUInt16BE(4) };
+        } else if (item.type === COVER_ATOM) {
+            values.forEach(({ dataType, value }) => {
+                covers.push({ mime: dataType === DATA_TYPES.PNG ? 'image/png' : 'image/jpeg', data: value });
+            });
+        }
+    });
+
+    return { tags, covers };
+}
+
+// ---------------------------------------------------------
+// 5. 写入
+// ---------------------------------------------------------
+
+function atomTypeOf(field) {
+    if (TEXT_FIELDS[field]) return TEXT_FIELDS[field];
+    if (NUMBER_FIELDS[field]) return NUMBER_FIELDS[field].type;
+    throw new Error(`不支持的 MP4 标签字段: ${field}`);
+}
+
+/**
+ * 在原子树上应用修改
+ */
+function applyChanges(tree, changes) {
+    const set = changes.set || {};
+    const removeTypes = new Set((changes.remove || []).map(atomTypeOf));
+    Object.keys(set).forEach(field => removeTypes.add(atomTypeOf(field)));
+    // 设置流派时同时去掉 ID3v1 编号形式的 gnre
+    if ('genre' in set) removeTypes.add('gnre');
+    if (changes.removeCovers || (changes.covers && changes.covers.length > 0)) removeTypes.add(COVER_ATOM);
+
+    const ilst = findPath(tree, ['udta', 'meta', 'ilst'], true);
+    const trailer = ilst.children.filter(item => item.raw);
+    ilst.children = ilst.children.filter(item => !item.raw && !removeTypes.has(item.type));
+
+    Object.keys(set).forEach(field => {
+        const value = set[field];
+        if (value === undefined || value === null || value === '') return;
+        if (NUMBER_FIELDS[field]) {
+            ilst.children.push(buildNumberItem(field, value));
+        } else {
+            ilst.children.push(buildItem(TEXT_FIELDS[field], DATA_TYPES.UTF8, [Buffer.from(String(value), 'utf-8')]));
+        }
+    });
+
+    if (changes.covers && changes.covers.length > 0) {
+        // 同一个 covr 中的多个 data 原子必须类型一致，按第一张的格式写
+        const dataType = coverDataType(changes.covers[0]);
+        ilst.children.push(buildItem(COVER_ATOM, dataType, changes.covers.map(c => c.data)));
+    }
+    ilst.children.push(...trailer);
+}
+
+/**
+ * 文件中 from 之后的数据后移 shift 字节时，修正所有 stco/co64 中的块偏移
+ */
+function shiftChunkOffsets(atom, from, shift) {
+    (atom.children || []).forEach(child => {
+        if (child.children) {
+            shiftChunkOffsets(child, from, shift);
+            return;
+        }
+        if (child.type !== 'stco' && child.type !== 'co64') return;
+
+        const data = Buffer.from(child.data);
+        const count = data.readUInt32BE(4);
+        for (let i = 0; i < count; i++) {
+            if (child.type === 'stco') {
+                const offset = data.readUInt32BE(8 + i * 4);
+                if (offset < from) continue;
+                if (offset + shift > 0xffffffff) throw new Error('音频块偏移超出 stco 范围 (需要 co64)');
+                data.writeUInt32BE(offset + shift, 8 + i * 4);
+            } else {
+                const offset = data.readBigUInt64BE(8 + i * 8);
+                if (offset < BigInt(from)) continue;
+                data.writeBigUInt64BE(offset + BigInt(shift), 8 + i * 8);
+            }
+        }
+        child.data = data;
+    });
+}
+
+/**
+ * 写入 iTunes 标签
+ * @param {string} filePath
+ * @param {Object} changes
+ * @param {Object} changes.set            要设置的字段 { album: '叶惠美', track: { no: 3, of: 11 } }，空值表示删除
+ * @param {string[]} changes.remove       要删除的字段
+ * @param {Array} changes.covers          新封面 [{ mime, data }]，替换已有封面
+ * @param {boolean} changes.removeCovers  删除所有已有封面
+ * @param {Object} options
+ * @param {Object} options.journal        操作日志 (lib/journal)，记录后可撤销
+ * @returns {{ inPlace: boolean }} 是否原位修改 (false 表示重写了整个文件)
+ */
+function writeTags(filePath, changes, options = {}) {
+    const journal = options.journal;
+    const fd = fs.openSync(filePath, 'r+');
+    let moov;
+    let tree;
+    let available;
+
+    try {
+        const parsed = readMoov(fd);
+        tree = parsed.tree;
+        moov = parsed.atoms[parsed.index];
+        applyChanges(tree, changes);
+
+        // moov 后紧跟的 free/skip 原子可以用来扩展
+        const next = parsed.atoms[parsed.index + 1];
+        const freeSize = next && (next.type === 'free' || next.type === 'skip') ? next.size : 0;
+        available = moov.size + freeSize;
+
+        const newMoov = serializeAtom(tree);
+        const spare = available - newMoov.length;
+        if (spare === 0 || spare >= HEADER_SIZE) {
+            const region = spare > 0 ? Buffer.concat([newMoov, freeAtom(spare)]) : newMoov;
+            patchInPlace(fd, filePath, moov.offset, region, journal);
+            return { inPlace: true };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // 原 moov 之前的数据 + 新 moov + free + 原 moov 之后的数据
+    const oldAfter = moov.offset + available;
+    const moovLength = serializeAtom(tree).length;
+    shiftChunkOffsets(tree, oldAfter, moov.offset + moovLength + DEFAULT_PADDING - oldAfter);
+    const region = Buffer.concat([serializeAtom(tree), freeAtom(DEFAULT_PADDING)]);
+
+    replaceFile(filePath, [
+        { start: 0, end: moov.offset },
+        { data: region },
+        { start: oldAfter }
+    ], journal);
+    return { inPlace: false };
+}
+
+module.exports = {
+    TEXT_FIELDS,
+    readTags,
+    writeTags,
+    parseAtoms,
+    serializeAtom
+};
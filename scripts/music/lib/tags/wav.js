@@ -0,0 +1,314 @@
+/**
+ * 模块名称: WAV Tags (WAV 标签读写)
+ * 功能描述: 纯 JS 读写 WAV 的 RIFF "ID3 " 块和 LIST/INFO 块，标签内容使用 node-id3 的字段格式
+ *    - 与已有 ID3 帧按帧合并 (lib/tags/id3)，嵌入歌词不会丢掉封面，反之亦然，TXXX 等其他帧原样保留
+ *    - 标题/艺术家/专辑/年份/流派/音轨号同时写入 ID3 和 INFO，两边保持一致
+ * 写入方式:
+ *    - 不移动音频数据: 位于 data 块之前的标签块放得下时原位改写 (剩余空间写成 JUNK 块)，
+ *      放不下时原块改为 JUNK，新块追加到文件末尾
+ *    - 兼容被其他工具写坏的文件 (ID3 在 RIFF 之前、RIFF 之后直接追加了 ID3)，这种情况会重写整个文件
+ * 使用方法:
+ *    const wav = require('./lib/tags/wav');
+ *    const tags = wav.readTags('/Music/晴天.wav');
+ *    wav.writeTags('/Music/晴天.wav', {
+ *        title: '晴天',
+ *        unsynchronisedLyrics: { language: 'XXX', text: lrcContent }
+ *    }, { journal });
+ */
+
+const fs = require('fs');
+const { readAt, patchInPlace, replaceTail, replaceFile } = require('./io');
+const { ID3_HEADER_SIZE, tagLength, mergeId3, buildId3 } = require('./id3');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+// RIFF 块头: 4 字节 ID + 4 字节大小 (小端)
+const CHUNK_HEADER_SIZE = 8;
+
+// INFO 子块 -> node-id3 字段
+const INFO_FIELDS = {
+    INAM: 'title',
+    IART: 'artist',
+    IPRD: 'album',
+    ICRD: 'year',
+    IGNR: 'genre',
+    ITRK: 'trackNumber'
+};
+
+const ID3_CHUNK_IDS = ['ID3 ', 'id3 '];
+
+// ---------------------------------------------------------
+// 2. RIFF 解析
+// ---------------------------------------------------------
+
+/**
+ * 读取 RIFF 块列表
+ * @returns {{ fileSize, prefix, chunks: Array<{ id, offset, dataOffset, size, end }>, validEnd, dataEnd }}
+ *          prefix: RIFF 之前多出的 ID3 长度；validEnd: 最后一个有效块的结束位置 (之后为追加的无效数据)
+ */
+function readRiff(fd) {
+    const fileSize = fs.fstatSync(fd).size;
+    let prefix = 0;
+
+    // 被 node-id3 等工具写坏: ID3 标签写在了 RIFF 之前
+    if (fileSize >= 10) {
+        const head = readAt(fd, 0, 10);
+        prefix = tagLength(head);
+    }
+
+    if (fileSize < prefix + 12) throw new Error('不是有效的 WAV 文件');
+    const header = readAt(fd, prefix, 12);
+    if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error('不是有效的 WAV 文件');
+    }
+
+    const chunks = [];
+    let offset = prefix + 12;
+    let dataEnd = 0;
+    while (offset + CHUNK_HEADER_SIZE <= fileSize) {
+        const chunkHeader = readAt(fd, offset, CHUNK_HEADER_SIZE);
+        const id = chunkHeader.toString('latin1', 0, 4);
+        const size = chunkHeader.readUInt32LE(4);
+        const dataOffset = offset + CHUNK_HEADER_SIZE;
+
+        // 块 ID 不是可打印字符或大小越界: 之后是直接追加的数据 (如裸 ID3)，不再解析
+        // data 块例外，录音中断的文件 data 大小可能超出实际长度
+        const isValid = /^[\x20-\x7e]{4}$/.test(id) && (dataOffset + size <= fileSize || id === 'data');
+        if (!isValid) break;
+
+        // 块数据按 2 字节对齐
+        const end = Math.min(dataOffset + size + (size % 2), fileSize);
+        chunks.push({ id, offset, dataOffset, size: Math.min(size, end - dataOffset), end });
+        if (id === 'data') dataEnd = end;
+        offset = end;
+    }
+
+    if (!dataEnd) throw new Error('WAV 文件缺少 data 块');
+    return { fileSize, prefix, chunks, validEnd: offset, dataEnd };
+}
+
+function buildChunk(id, data) {
+    const header = Buffer.alloc(CHUNK_HEADER_SIZE);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * 生成 JUNK 块 (总长 size 字节，size 为 0 时返回空)
+ */
+function junkChunk(size) {
+    if (size === 0) return Buffer.alloc(0);
+    return buildChunk('JUNK', Buffer.alloc(size - CHUNK_HEADER_SIZE));
+}
+
+function isInfoList(fd, chunk) {
+    return chunk.id === 'LIST' && chunk.size >= 4 && readAt(fd, chunk.dataOffset, 4).toString('latin1') === 'INFO';
+}
+
+// ---------------------------------------------------------
+// 3. LIST/INFO
+// ---------------------------------------------------------
+
+/**
+ * 解析 INFO 子块 (以 0 结尾的文本)
+ * @returns {Array<{ id, value }>}
+ */
+function parseInfo(data) {
+    const entries = [];
+    let offset = 4; // 跳过 "INFO"
+    while (offset + CHUNK_HEADER_SIZE <= data.length) {
+        const id = data.toString('latin1', offset, offset + 4);
+        const size = data.readUInt32LE(offset + 4);
+        const start = offset + CHUNK_HEADER_SIZE;
+        if (start + size > data.length) break;
+        entries.push({ id, value: data.toString('utf-8', start, start + size).replace(/\0+$/, '') });
+        offset = start + size + (size % 2);
+    }
+    return entries;
+}
+
+function buildInfo(entries) {
+    const subChunks = entries.map(e => buildChunk(e.id, Buffer.from(`${e.value}\0`, 'utf-8')));
+    return Buffer.concat([Buffer.from('INFO'), ...subChunks]);
+}
+
+// ---------------------------------------------------------
+// 4. 合并标签
+// ---------------------------------------------------------
+
+/**
+ * 合并 ID3 与 INFO: 新值同时写入两边，一边缺少的字段从另一边补齐
+ * @param {Buffer} oldTag 原 ID3 标签
+ * @param {Array} oldInfo 原 INFO 子块
+ * @param {Object} changes node-id3 格式，null 或空字符串表示删除
+ * @returns {{ tags: Object, info: Array<{ id, value }>, id3Changes: Object }}
+ *          id3Changes 为写入 ID3 的修改 (changes 加上从 INFO 补齐的字段)
+ */
+function mergeTags(oldTag, oldInfo, changes) {
+    const tags = mergeId3(oldTag, changes);
+    const id3Changes = { ...changes };
+
+    const info = oldInfo.filter(e => !INFO_FIELDS[e.id]);
+    Object.keys(INFO_FIELDS).forEach(id => {
+        const field = INFO_FIELDS[id];
+        const old = oldInfo.find(e => e.id === id);
+        // 本次明确删除的字段不从 INFO 补回
+        if (!tags[field] && old && old.value && !(field in changes)) {
+            tags[field] = old.value;
+            id3Changes[field] = old.value;
+        }
+        if (tags[field]) info.push({ id, value: String(tags[field]) });
+    });
+
+    return { tags, info, id3Changes };
+}
+
+// ---------------------------------------------------------
+// 5. 读写接口
+// ---------------------------------------------------------
+
+/**
+ * 读取原有的 ID3 与 INFO
+ */
+function readExisting(fd, riff) {
+    const id3Chunk = riff.chunks.find(c => ID3_CHUNK_IDS.includes(c.id));
+    const infoChunk = riff.chunks.find(c => isInfoList(fd, c));
+
+    // 没有 ID3 块时，使用写坏的位置 (RIFF 之前或直接追加在最后) 上的 ID3
+    let tag = Buffer.alloc(0);
+    const trailing = riff.fileSize - riff.validEnd;
+    if (id3Chunk) {
+        tag = readAt(fd, id3Chunk.dataOffset, id3Chunk.size);
+    } else if (riff.prefix > 0) {
+        tag = readAt(fd, 0, riff.prefix);
+    } else if (trailing >= 10 && readAt(fd, riff.validEnd, 3).toString('latin1') === 'ID3') {
+        tag = readAt(fd, riff.validEnd, trailing);
+    }
+
+    const info = infoChunk ? parseInfo(readAt(fd, infoChunk.dataOffset, infoChunk.size)) : [];
+    return { id3Chunk, infoChunk, tag, info };
+}
+
+/**
+ * 读取标签 (node-id3 格式)，ID3 缺少的字段使用 INFO 中的值
+ */
+function readTags(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const existing = readExisting(fd, readRiff(fd));
+        return mergeTags(existing.tag, existing.info, {}).tags;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * 计算写入后的块列表: 未修改的块引用原文件区间，修改过的块为新数据
+ * data 块之前的标签块保持原长度 (不够放时改为 JUNK，新块追加到末尾)
+ */
+function planWav(fd, changes) {
+    const riff = readRiff(fd);
+    const existing = readExisting(fd, riff);
+    const { info, id3Changes } = mergeTags(existing.tag, existing.info, changes);
+
+    const id3Id = existing.id3Chunk ? existing.id3Chunk.id : 'ID3 ';
+    const id3 = buildId3(existing.tag, id3Changes);
+    const newId3 = id3.length > ID3_HEADER_SIZE ? buildChunk(id3Id, id3) : null;
+    const newInfo = info.length > 0 ? buildChunk('LIST', buildInfo(info)) : null;
+
+    const replacements = new Map();
+    const appended = [];
+    if (existing.id3Chunk) replacements.set(existing.id3Chunk, newId3);
+    else if (newId3) appended.push(newId3);
+    if (existing.infoChunk) replacements.set(existing.infoChunk, newInfo);
+    else if (newInfo) appended.push(newInfo);
+
+    const parts = riff.chunks.map(chunk => {
+        if (!replacements.has(chunk)) return { chunk };
+
+        const replacement = replacements.get(chunk);
+        if (chunk.offset >= riff.dataEnd) return { chunk, data: replacement || Buffer.alloc(0) };
+
+        // data 之前: 保持原长度
+        const length = chunk.end - chunk.offset;
+        const spare = replacement ? length - replacement.length : -1;
+        if (replacement && (spare === 0 || spare >= CHUNK_HEADER_SIZE)) {
+            return { chunk, data: Buffer.concat([replacement, junkChunk(spare)]) };
+        }
+        if (replacement) appended.push(replacement);
+        return { chunk, data: junkChunk(length) };
+    });
+    appended.forEach(data => parts.push({ data }));
+
+    return { riff, parts };
+}
+
+function partLength(part) {
+    return part.data ? part.data.length : part.chunk.end - part.chunk.offset;
+}
+
+/**
+ * 写入标签，与已有 ID3 帧、INFO 字段合并
+ * @param {string} filePath
+ * @param {Object} changes node-id3 格式的标签 { title, artist, image, unsynchronisedLyrics, synchronisedLyrics, ... }
+ *                         值为 null 或空字符串时删除该字段
+ * @param {Object} options
+ * @param {Object} options.journal 操作日志 (lib/journal)，记录后可撤销
+ * @returns {{ inPlace: boolean }} 是否只改写了标签块 (false 表示重写了整个文件)
+ */
+function writeTags(filePath, changes, options = {}) {
+    const journal = options.journal;
+    const fd = fs.openSync(filePath, 'r+');
+    let plan;
+    try {
+        plan = planWav(fd, changes);
+        const { riff, parts } = plan;
+
+        if (riff.prefix === 0) {
+            // data 之前的块长度不变，原位改写
+            parts.filter(p => p.chunk && p.chunk.offset < riff.dataEnd && p.data).forEach(p => {
+                patchInPlace(fd, filePath, p.chunk.offset, p.data, journal);
+            });
+
+            // data 之后: 从第一个变化的块开始重写文件末尾 (同时去掉直接追加的无效数据)
+            const after = parts.filter(p => !p.chunk || p.chunk.offset >= riff.dataEnd);
+            const first = after.findIndex(p => p.data);
+            const changeOffset = first < 0 ? riff.validEnd : (after[first].chunk ? after[first].chunk.offset : riff.validEnd);
+            const tail = Buffer.concat(after.slice(first < 0 ? after.length : first).map(p => (
+                p.data || readAt(fd, p.chunk.offset, partLength(p))
+            )));
+            replaceTail(fd, filePath, changeOffset, tail, journal);
+
+            const size = Buffer.alloc(4);
+            size.writeUInt32LE(changeOffset + tail.length - 8);
+            patchInPlace(fd, filePath, 4, size, journal);
+            return { inPlace: true };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // RIFF 之前有多余的 ID3: 去掉后重写整个文件
+    const total = plan.parts.reduce((sum, p) => sum + partLength(p), 12);
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(total - 8);
+    const { prefix } = plan.riff;
+
+    // RIFF 头中只有大小变化
+    replaceFile(filePath, [
+        { start: prefix, end: prefix + 4 },
+        { data: size },
+        { start: prefix + 8, end: prefix + 12 },
+        ...plan.parts.map(p => (p.data ? { data: p.data } : { start: p.chunk.offset, end: p.chunk.end }))
+    ], journal);
+    return { inPlace: false };
+}
+
+module.exports = {
+    INFO_FIELDS,
+    readTags,
+    writeTags
+};
@@ -0,0 +1,554 @@
+/**
+ * 脚本名称: Mirror Library (便携格式镜像)
+ * 功能描述: 把保存 FLAC/WAV/DSD 母带的音乐库转码为 MP3/AAC，按相同的目录结构输出到镜像目录，供手机、车载使用
+ *    - 转码: 调用本地 ffmpeg，多个文件并行
+ *    - 标签、内嵌封面随音频一起转入；同名 .lrc (含 .zh.lrc / .roma.lrc) / .jpg 和目录封面 (cover.jpg / folder.jpg) 一起复制
+ *    - 增量: 镜像文件比源文件新时跳过，只处理新增和修改过的文件
+ *      每个镜像文件由哪个源文件生成记录在镜像目录的 .mirror_sources.json 中，换用了另一个源文件
+ *      (如已镜像的 MP3 旁边加入了同名 FLAC) 时重新转码
+ *    - 同一目录下同名的多个版本 (晴天.flac / 晴天.mp3) 只转码质量最好的一个 (与 playlist_from_dir.js 相同的质量分)
+ *    - 已经是目标格式的有损文件直接复制，不重新编码
+ *    - 只写入镜像目录，不修改音乐库；新建的文件和目录记录到操作日志，可用 undo.js 撤销
+ * 使用方法:
+ *    node mirror_library.js <音乐库目录> <镜像目录> [选项]
+ * 选项:
+ *    --codec <mp3|aac>  目标格式 (默认 mp3)
+ *    --bitrate <码率>   目标码率 (默认 MP3 320k，AAC 256k)
+ *    --jobs N           并行转码数 (默认 CPU 核数)
+ *    --limit N          只处理前 N 个文件
+ *    --rebuild-index    忽略音乐库索引缓存，重新读取所有文件
+ *    -y                 自动确认执行
+ * 示例:
+ *    node mirror_library.js "/Volumes/Music" "/Volumes/Car"
+ *    node mirror_library.js "/Volumes/Music" "/Volumes/Phone" --codec aac --bitrate 256k -y
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { execSync, spawn } = require('child_process');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
+const { qualityScore, audioFormat } = require('./lib/quality');
+const { LRC_VARIANTS } = require('./lib/lrc');
+
+// ---------------------------------------------------------
+// 1. 配置
+// ---------------------------------------------------------
+
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|flac|wav|ogg|aac|ape|wma|dff|dsf)$/i;
+
+// 随音频一起复制的同名文件 (含翻译 / 音译歌词 .zh.lrc / .roma.lrc)
+const SIDECAR_SUFFIXES = ['.lrc', ...Object.values(LRC_VARIANTS).map(suffix => `${suffix}.lrc`), '.jpg', '.jpeg', '.png'];
+
+// 目录封面
+const FOLDER_COVER = /^(cover|folder|front)\.(jpe?g|png)$/i;
+
+// 目标格式: 扩展名、编码器、默认码率、ffmpeg 输出格式
+const CODECS = {
+    mp3: { ext: '.mp3', encoder: 'libmp3lame', bitrate: '320k', format: 'mp3', extraArgs: ['-id3v2_version', '3'] },
+    aac: { ext: '.m4a', encoder: 'aac', bitrate: '256k', format: 'ipod', extraArgs: ['-movflags', '+faststart'] }
+};
+
+// MP3 / AAC 支持的最高采样率，超过时 (高解析度、DSD) 重采样到 44.1kHz
+const MAX_SAMPLE_RATE = 48000;
+const TARGET_SAMPLE_RATE = 44100;
+
+// 镜像文件与源文件的对应记录 (镜像目录下)
+const MANIFEST_NAME = '.mirror_sources.json';
+
+// 计划中最多显示的条目数
+const PREVIEW_LIMIT = 15;
+
+// ---------------------------------------------------------
+// 2. 参数
+// ---------------------------------------------------------
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        source: null,
+        target: null,
+        codec: 'mp3',
+        bitrate: null,
+        jobs: os.cpus().length || 1,
+        limit: 0,
+        rebuildIndex: false,
+        autoYes: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = args[i + 1];
+
+        if (!arg.startsWith('-')) {
+            if (!result.source) result.source = arg;
+            else if (!result.target) result.target = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--codec':
+                result.codec = (next || '').toLowerCase();
+                i++;
+                break;
+            case '--bitrate':
+                result.bitrate = next;
+                i++;
+                break;
+            case '--jobs':
+                result.jobs = Math.max(1, parseInt(next, 10) || 1);
+                i++;
+                break;
+            case '--limit':
+                result.limit = parseInt(next, 10) || 0;
+                i++;
+                break;
+            case '--rebuild-index':
+                result.rebuildIndex = true;
+                break;
+            case '-y':
+                result.autoYes = true;
+                break;
+            case '-h':
+            case '--help':
+                printHelp();
+                process.exit(0);
+        }
+    }
+
+    return result;
+}
+
+function printHelp() {
+    console.log(`
+🎵 便携格式镜像
+
+用法:
+  node mirror_library.js <音乐库目录> <镜像目录> [--codec mp3|aac] [--bitrate 320k] [--jobs N] [-y]
+
+示例:
+  node mirror_library.js "/Volumes/Music" "/Volumes/Car"
+  node mirror_library.js "/Volumes/Music" "/Volumes/Phone" --codec aac --bitrate 256k
+`);
+}
+
+// ---------------------------------------------------------
+// 3. 工具函数
+// ---------------------------------------------------------
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+function mtimeOf(filePath) {
+    try {
+        return fs.statSync(filePath).mtimeMs;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 目标文件不存在或比源文件旧时需要更新
+ */
+function isOutdated(src, dest) {
+    const destTime = mtimeOf(dest);
+    return destTime === null || destTime < mtimeOf(src);
+}
+
+/**
+ * 读取镜像记录: { 镜像文件相对路径: 源文件相对路径 }，不存在或损坏时为空
+ */
+function loadManifest(targetDir) {
+    try {
+        const data = JSON.parse(fs.readFileSync(path.join(targetDir, MANIFEST_NAME), 'utf-8'));
+        return data && typeof data.sources === 'object' ? data.sources : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 写入镜像记录 (记录到操作日志，撤销时一起恢复)
+ */
+function saveManifest(targetDir, sources, journal) {
+    const manifestPath = path.join(targetDir, MANIFEST_NAME);
+    const data = Buffer.from(JSON.stringify({ sources }, null, 2) + '\n', 'utf-8');
+    if (fs.existsSync(manifestPath)) {
+        const old = fs.readFileSync(manifestPath);
+        if (old.equals(data)) return;
+        fs.writeFileSync(manifestPath, data);
+        journal.recordWrite(manifestPath, old, data);
+    } else {
+        fs.writeFileSync(manifestPath, data);
+        journal.recordCreate(manifestPath);
+    }
+}
+
+/**
+ * 创建目录 (逐级记录到操作日志，撤销时删除空目录)
+ */
+function ensureDir(dir, journal) {
+    if (fs.existsSync(dir)) return;
+    ensureDir(path.dirname(dir), journal);
+    fs.mkdirSync(dir);
+    journal.recordMkdir(dir);
+}
+
+/**
+ * 同一目标路径的多个源文件中选择质量最好的 (无损优先，其次采样率、位深、码率)，读不出音频属性的排在最后
+ */
+function pickBestSource(sources) {
+    const score = s => (s.format ? qualityScore({ ...s.format, format: audioFormat(s.path, s.format) }) : -1);
+    return [...sources].sort((a, b) => score(b) - score(a))[0];
+}
+
+/**
+ * 生成转码计划
+ * 镜像文件需要更新: 不存在、比源文件旧，或记录中由另一个源文件生成；
+ * 没有记录 (旧版本生成的镜像) 且有多个同名源文件时无法确定来源，重新转码一次
+ * @param {Map<string, Array<{ path, format }>>} byDest 镜像路径 -> 同名的源文件
+ * @param {Object} options { sourceDir, targetDir, codec, manifest }
+ * @returns {{ tasks, duplicates, chosen: Map, upToDate: number }}
+ *          tasks: [{ source, dest, action: 'copy'|'transcode', exists }]
+ */
+function planMirror(byDest, { sourceDir, targetDir, codec, manifest }) {
+    const tasks = [];
+    const duplicates = [];
+    const chosen = new Map();   // 镜像路径 -> 源文件
+    let upToDate = 0;
+
+    for (const [dest, sources] of byDest) {
+        const source = sources.length > 1 ? pickBestSource(sources) : sources[0];
+        chosen.set(dest, source);
+        if (sources.length > 1) duplicates.push({ source, skipped: sources.filter(s => s !== source) });
+
+        const recorded = manifest[path.relative(targetDir, dest)];
+        const sameSource = recorded === undefined ? sources.length === 1 : recorded === path.relative(sourceDir, source.path);
+        if (sameSource && !isOutdated(source.path, dest)) {
+            upToDate++;
+            continue;
+        }
+        const sameCodec = path.extname(source.path).toLowerCase() === codec.ext && source.format && !source.format.lossless;
+        tasks.push({ source, dest, action: sameCodec ? 'copy' : 'transcode', exists: fs.existsSync(dest) });
+    }
+
+    return { tasks, duplicates, chosen, upToDate };
+}
+
+/**
+ * 源文件的同名歌词 / 封面
+ * @returns {Array<{ path, suffix }>} suffix 为文件名中音频名之后的部分 (如 .zh.lrc)
+ */
+function findSidecars(audioPath) {
+    const dir = path.dirname(audioPath);
+    const baseName = path.basename(audioPath, path.extname(audioPath));
+    return SIDECAR_SUFFIXES
+        .map(suffix => ({ path: path.join(dir, baseName + suffix), suffix }))
+        .filter(sidecar => fs.existsSync(sidecar.path));
+}
+
+/**
+ * 目录封面 (cover.jpg / folder.jpg / front.jpg)
+ */
+function findFolderCovers(dir) {
+    try {
+        return fs.readdirSync(dir).filter(name => FOLDER_COVER.test(name)).map(name => path.join(dir, name));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * ffmpeg 转码参数: 只取第一条音轨，内嵌封面原样复制，标签全部转入
+ */
+function buildTranscodeArgs(task, codec, bitrate, tempPath) {
+    const args = ['-v', 'error', '-nostdin', '-y', '-i', task.source.path, '-map', '0:a:0', '-map', '0:v?', '-map_metadata', '0'];
+    args.push('-c:a', codec.encoder, '-b:a', bitrate);
+    const sampleRate = task.source.format ? task.source.format.sampleRate : 0;
+    if (!sampleRate || sampleRate > MAX_SAMPLE_RATE) args.push('-ar', String(TARGET_SAMPLE_RATE));
+    args.push('-c:v', 'copy', '-disposition:v', 'attached_pic', ...codec.extraArgs, '-f', codec.format, tempPath);
+    return args;
+}
+
+/**
+ * 转码一个文件: 先写入同目录的临时文件，成功后改名，避免中断时留下不完整的镜像文件
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+function transcode(task, codec, bitrate) {
+    const tempPath = path.join(path.dirname(task.dest), `.${path.basename(task.dest)}.part`);
+    return new Promise(resolve => {
+        const child = spawn('ffmpeg', buildTranscodeArgs(task, codec, bitrate, tempPath), { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', e => resolve({ success: false, error: e.message }));
+        child.on('close', code => {
+            if (code === 0 && fs.existsSync(tempPath)) {
+                fs.renameSync(tempPath, task.dest);
+                resolve({ success: true });
+            } else {
+                if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                resolve({ success: false, error: stderr.trim().split('\n').pop() || `ffmpeg 退出码 ${code}` });
+            }
+        });
+    });
+}
+
+/**
+ * 复制文件 (先写临时文件再改名)
+ */
+function copyFile(src, dest) {
+    const tempPath = path.join(path.dirname(dest), `.${path.basename(dest)}.part`);
+    fs.copyFileSync(src, tempPath);
+    fs.renameSync(tempPath, dest);
+}
+
+/**
+ * 并行执行，最多同时运行 jobs 个
+ */
+async function runPool(items, jobs, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(jobs, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+// ---------------------------------------------------------
+// 4. 主逻辑
+// ---------------------------------------------------------
+
+async function run() {
+    const options = parseArgs();
+    if (!options.source || !options.target) {
+        printHelp();
+        process.exit(1);
+    }
+
+    const sourceDir = path.resolve(options.source);
+    const targetDir = path.resolve(options.target);
+    const codec = CODECS[options.codec];
+    if (!codec) {
+        console.error(`❌ 不支持的格式: ${options.codec} (可选: ${Object.keys(CODECS).join(' / ')})`);
+        process.exit(1);
+    }
+    const bitrate = options.bitrate || codec.bitrate;
+
+    console.log(`\n🎵 便携格式镜像`);
+    console.log(`📂 音乐库: ${sourceDir}`);
+    console.log(`📁 镜像目录: ${targetDir}`);
+    console.log(`🎚️  目标格式: ${options.codec.toUpperCase()} ${bitrate}，并行 ${options.jobs} 个`);
+    console.log('─'.repeat(60));
+
+    if (!fs.existsSync(sourceDir)) {
+        console.error('❌ 音乐库目录不存在');
+        process.exit(1);
+    }
+    if (targetDir === sourceDir || targetDir.startsWith(sourceDir + path.sep)) {
+        console.error('❌ 镜像目录不能位于音乐库内');
+        process.exit(1);
+    }
+
+    try {
+        execSync('which ffmpeg', { stdio: 'pipe' });
+    } catch {
+        console.error('❌ 未安装 ffmpeg，请先执行: brew install ffmpeg');
+        process.exit(1);
+    }
+
+    // 扫描音乐库 (音频属性缓存在音乐库索引中)
+    console.log('\n⏳ 正在扫描音乐库...');
+    const index = openIndex({ rebuild: options.rebuildIndex });
+    let audioFiles = index.scan(sourceDir, { extensions: AUDIO_EXTENSIONS });
+    if (options.limit > 0) {
+        audioFiles = audioFiles.slice(0, options.limit);
+        console.log(`   限制处理前 ${options.limit} 个文件`);
+    }
+    console.log(`   音频文件: ${audioFiles.length} 个`);
+
+    if (audioFiles.length === 0) {
+        console.log('\n✨ 未找到音频文件');
+        return;
+    }
+
+    // 按镜像路径分组: 同一目录下同名的不同格式会输出到同一个文件
+    const byDest = new Map();
+    for (let i = 0; i < audioFiles.length; i++) {
+        process.stdout.write(`\r   读取音频属性: ${i + 1}/${audioFiles.length}`);
+        const filePath = audioFiles[i];
+        const meta = await index.getMetadata(filePath);
+        const rel = path.relative(sourceDir, filePath);
+        const dest = path.join(targetDir, path.dirname(rel), path.basename(rel, path.extname(rel)) + codec.ext);
+        if (!byDest.has(dest)) byDest.set(dest, []);
+        byDest.get(dest).push({ path: filePath, format: meta ? meta.format : null });
+    }
+    index.save();
+    console.log('');
+
+    // 生成计划
+    const manifest = loadManifest(targetDir);
+    const { tasks, duplicates, chosen, upToDate } = planMirror(byDest, { sourceDir, targetDir, codec, manifest });
+
+    // 歌词、封面: 随选中的音频复制，目录封面每个目录一次
+    const extras = new Map();
+    const coverDirs = new Set();
+    for (const [dest, source] of chosen) {
+        const destBase = path.basename(dest, codec.ext);
+        findSidecars(source.path).forEach(sidecar => {
+            extras.set(path.join(path.dirname(dest), destBase + sidecar.suffix), sidecar.path);
+        });
+
+        const dir = path.dirname(source.path);
+        if (coverDirs.has(dir)) continue;
+        coverDirs.add(dir);
+        findFolderCovers(dir).forEach(src => {
+            extras.set(path.join(path.dirname(dest), path.basename(src)), src);
+        });
+    }
+    const copies = [...extras.entries()]
+        .filter(([dest, src]) => isOutdated(src, dest))
+        .map(([dest, src]) => ({ src, dest, exists: fs.existsSync(dest) }));
+
+    // 输出计划
+    console.log('\n' + '═'.repeat(60));
+    console.log('📋 镜像计划');
+    console.log('═'.repeat(60));
+
+    tasks.slice(0, PREVIEW_LIMIT).forEach((task, idx) => {
+        const label = task.action === 'copy' ? '📄 复制' : '🔄 转码';
+        console.log(`${idx + 1}. ${label}: ${path.relative(sourceDir, task.source.path)}${task.exists ? ' (更新)' : ''}`);
+    });
+    if (tasks.length > PREVIEW_LIMIT) {
+        console.log(`   ... 还有 ${tasks.length - PREVIEW_LIMIT} 个文件`);
+    }
+
+    if (duplicates.length > 0) {
+        console.log(`\n🔀 同名的多个版本 (${duplicates.length} 组)，只使用质量最好的:`);
+        duplicates.slice(0, PREVIEW_LIMIT).forEach(d => {
+            const skipped = d.skipped.map(s => path.basename(s.path)).join(', ');
+            console.log(`   ✅ ${path.relative(sourceDir, d.source.path)}  (跳过: ${skipped})`);
+        });
+        if (duplicates.length > PREVIEW_LIMIT) {
+            console.log(`   ... 还有 ${duplicates.length - PREVIEW_LIMIT} 组`);
+        }
+    }
+
+    const transcodeCount = tasks.filter(t => t.action === 'transcode').length;
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 统计: 转码 ${transcodeCount} 个，直接复制 ${tasks.length - transcodeCount} 个，` +
+        `歌词/封面 ${copies.length} 个，已是最新 ${upToDate} 个`);
+    console.log('═'.repeat(60));
+
+    if (tasks.length === 0 && copies.length === 0) {
+        console.log('\n✨ 镜像已是最新');
+        return;
+    }
+
+    if (!options.autoYes) {
+        const answer = await ask('\n是否执行以上操作? [Y/n]: ');
+        if (!(answer === '' || answer === 'y' || answer === 'yes')) {
+            console.log('\n❌ 已取消操作');
+            return;
+        }
+    }
+
+    // 执行
+    const journal = openJournal('mirror_library');
+    const errors = [];
+    let done = 0;
+    let successCount = 0;
+
+    // 目录先按顺序建好，避免并行任务同时创建
+    [...tasks.map(t => t.dest), ...copies.map(c => c.dest)]
+        .forEach(dest => ensureDir(path.dirname(dest), journal));
+
+    console.log('\n⏳ 正在转码...');
+    await runPool(tasks, options.jobs, async task => {
+        let result;
+        if (task.action === 'copy') {
+            try {
+                copyFile(task.source.path, task.dest);
+                result = { success: true };
+            } catch (e) {
+                result = { success: false, error: e.message };
+            }
+        } else {
+            result = await transcode(task, codec, bitrate);
+        }
+
+        done++;
+        process.stdout.write(`\r   进度: ${done}/${tasks.length}`);
+        if (result.success) {
+            successCount++;
+            if (!task.exists) journal.recordCreate(task.dest);
+            manifest[path.relative(targetDir, task.dest)] = path.relative(sourceDir, task.source.path);
+        } else {
+            errors.push({ file: task.source.path, error: result.error });
+        }
+    });
+    if (tasks.length > 0) console.log('');
+
+    // 已是最新的镜像文件也补上记录 (旧版本生成的镜像没有记录)
+    const pending = new Set(tasks.map(t => t.dest));
+    for (const [dest, source] of chosen) {
+        const rel = path.relative(targetDir, dest);
+        if (!pending.has(dest) && manifest[rel] === undefined) manifest[rel] = path.relative(sourceDir, source.path);
+    }
+    saveManifest(targetDir, manifest, journal);
+
+    let copiedCount = 0;
+    copies.forEach(c => {
+        try {
+            copyFile(c.src, c.dest);
+            if (!c.exists) journal.recordCreate(c.dest);
+            copiedCount++;
+        } catch (e) {
+            errors.push({ file: c.src, error: e.message });
+        }
+    });
+
+    console.log('\n' + '═'.repeat(60));
+    console.log('✅ 镜像完成!');
+    console.log('═'.repeat(60));
+    console.log(`   音频: ${successCount} 个`);
+    console.log(`   歌词/封面: ${copiedCount} 个`);
+    if (errors.length > 0) {
+        console.log(`   失败: ${errors.length} 个`);
+        errors.slice(0, 10).forEach(e => {
+            console.log(`   ❌ ${path.relative(sourceDir, e.file)}: ${e.error}`);
+        });
+    }
+    journal.finish();
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+if (require.main === module) {
+    run().catch(err => {
+        console.error('❌ 运行出错:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CODECS,
+    isOutdated,
+    pickBestSource,
+    planMirror,
+    findSidecars,
+    buildTranscodeArgs,
+    loadManifest,
+    saveManifest
+};
@@ -11,6 +11,7 @@
  *   3. 对目录下的文件进行模糊匹配（忽略大小写、忽略括号内容、忽略扩展名）
  *   4. 找到匹配文件后，移动到 ./top_songs/ 目录
  *   5. 同时移动对应的 .lrc 歌词文件
+ *   移动的文件和新建的目录记录到操作日志，可用 undo.js 撤销
  *
  * 使用方法:
  *   node move_top_songs.js [目标目录] [列表文件路径]
@@ -18,6 +19,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { openJournal } = require('./lib/journal');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -185,6 +187,7 @@ function run() {
     const artistSongs = parseSongList(listPath);
     console.log(`   共找到 ${artistSongs.size} 位歌手的榜单数据`);
 
+    const journal = openJournal('move_top_songs');
     let totalMoved = 0;
 
     // 2. 遍历歌手
@@ -216,6 +219,7 @@ function run() {
         const topSongsDir = path.join(artistDir, 'top_songs');
         if (!fs.existsSync(topSongsDir)) {
             fs.mkdirSync(topSongsDir);
+            journal.recordMkdir(topSongsDir);
         }
 
         // 扫描歌手目录下的文件 (递归)
@@ -238,6 +242,7 @@ function run() {
                 if (fullPath !== targetPath) {
                     try {
                         fs.renameSync(fullPath, targetPath);
+                        journal.recordMove(fullPath, targetPath);
                         console.log(`   ✅ [${matchedSong}] 移动: ${file} (来自: ${path.relative(artistDir, path.dirname(fullPath))})`);
 
                         // 移动歌词
@@ -246,6 +251,7 @@ function run() {
                             const lrcName = path.basename(lrcPath);
                             const targetLrcPath = path.join(topSongsDir, lrcName);
                             fs.renameSync(lrcPath, targetLrcPath);
+                            journal.recordMove(lrcPath, targetLrcPath);
                             console.log(`      📝 移动歌词: ${lrcName}`);
                         }
 
@@ -270,6 +276,7 @@ function run() {
 
     console.log('\n' + '═'.repeat(50));
     console.log(`🎉 全部完成！共移动 ${totalMoved} 首歌曲。`);
+    journal.finish();
 }
 
 run();
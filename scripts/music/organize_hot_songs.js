@@ -9,12 +9,15 @@
  *   -s, --start    起始歌手序号 (默认 1)
  *   --dry-run      仅显示将要移动的文件，不实际移动
  *   --skip         跳过的歌手名，逗号分隔
+ *   --rebuild-index 忽略音乐库索引缓存，重新扫描
  *   -h, --help     显示帮助
  */
 
 const fs = require('fs');
 const path = require('path');
 const OpenCC = require('opencc-js');
+const { openIndex } = require('./lib/library_index');
+const { openJournal } = require('./lib/journal');
 
 // ---------------------------------------------------------
 // 1. 配置
@@ -47,6 +50,7 @@ function parseArgs() {
         dir: null,
         start: 1,
         dryRun: false,
+        rebuildIndex: false,
         skip: []
     };
 
@@ -64,6 +68,9 @@ function parseArgs() {
                 case '--dry-run':
                     result.dryRun = true;
                     break;
+                case '--rebuild-index':
+                    result.rebuildIndex = true;
+                    break;
                 case '--skip':
                     result.skip = next ? next.split(',').map(s => s.trim()) : [];
                     i++;
@@ -92,6 +99,7 @@ function printHelp() {
   -s, --start     起始歌手序号 (默认 1，用于断点续传)
   --dry-run       仅显示将要移动的文件，不实际移动
   --skip "a,b,c"  跳过的歌手名，逗号分隔
+  --rebuild-index 忽略音乐库索引缓存，重新扫描
   -h, --help      显示帮助
 
 示例:
@@ -101,30 +109,6 @@ function printHelp() {
 `);
 }
 
-/**
- * 递归查找目录中的所有文件
- */
-function findAllFiles(dir, results = []) {
-    try {
-        if (!fs.existsSync(dir)) return results;
-
-        const items = fs.readdirSync(dir, { withFileTypes: true });
-        items.forEach(item => {
-            if (item.name.startsWith('.') || item.name.startsWith('_')) return;
-
-            const fullPath = path.join(dir, item.name);
-            try {
-                if (item.isDirectory()) {
-                    findAllFiles(fullPath, results);
-                } else {
-                    results.push(fullPath);
-                }
-            } catch (e) {}
-        });
-    } catch (e) {}
-    return results;
-}
-
 /**
  * 从 hot_songs.txt 解析歌曲列表
  * 格式：
@@ -211,30 +195,29 @@ function getSongKey(trackName) {
 }
 
 /**
- * 在目录中查找匹配的歌曲文件
+ * 列出歌手目录下的候选歌曲 (每个歌手只扫描一次，跳过 hot_songs 目录)
  */
-function findSongFile(dir, songName) {
-    const targetKey = getSongKey(songName);
-    const allFiles = findAllFiles(dir);
-
-    for (const filePath of allFiles) {
-        // 只考虑音频文件
-        if (!AUDIO_EXTENSIONS.test(filePath)) continue;
+function listSongFiles(index, dir) {
+    const hotSongsDir = path.join(path.resolve(dir), HOT_SONGS_DIR) + path.sep;
 
-        // 跳过 hot_songs 目录下的文件
-        if (filePath.includes(`/${HOT_SONGS_DIR}/`) || filePath.includes(`\\${HOT_SONGS_DIR}\\`)) {
-            continue;
-        }
+    return index.scan(dir, { extensions: AUDIO_EXTENSIONS })
+        .filter(filePath => !filePath.startsWith(hotSongsDir))
+        .map(filePath => ({ path: filePath, key: getSongKey(path.basename(filePath)) }));
+}
 
-        const fileName = path.basename(filePath);
-        const fileKey = getSongKey(fileName);
+/**
+ * 在候选歌曲中查找匹配的歌曲文件
+ */
+function findSongFile(songFiles, songName) {
+    const targetKey = getSongKey(songName);
 
-        if (fileKey === targetKey) {
-            return filePath;
+    for (const file of songFiles) {
+        if (file.key === targetKey) {
+            return file;
         }
 
-        if (fileKey && targetKey && (fileKey.includes(targetKey) || targetKey.includes(fileKey))) {
-            return filePath;
+        if (file.key && targetKey && (file.key.includes(targetKey) || targetKey.includes(file.key))) {
+            return file;
         }
     }
 
@@ -256,13 +239,14 @@ function findLrcFile(audioFilePath) {
 }
 
 /**
- * 创建 hot_songs 目录
+ * 创建 hot_songs 目录 (预览模式只返回路径)
  */
-function ensureHotSongsDir(artistDir) {
+function ensureHotSongsDir(artistDir, journal, dryRun = false) {
     const hotSongsDir = path.join(artistDir, HOT_SONGS_DIR);
     try {
-        if (!fs.existsSync(hotSongsDir)) {
+        if (!dryRun && !fs.existsSync(hotSongsDir)) {
             fs.mkdirSync(hotSongsDir, { recursive: true });
+            journal.recordMkdir(hotSongsDir);
         }
         return hotSongsDir;
     } catch (e) {
@@ -272,9 +256,9 @@ function ensureHotSongsDir(artistDir) {
 }
 
 /**
- * 移动文件
+ * 移动文件 (记录到操作日志，可用 undo.js 撤销)
  */
-function moveFile(srcPath, destPath, dryRun = false) {
+function moveFile(srcPath, destPath, journal, dryRun = false) {
     try {
         if (dryRun) {
             return true;
@@ -287,6 +271,7 @@ function moveFile(srcPath, destPath, dryRun = false) {
         }
 
         fs.renameSync(srcPath, destPath);
+        journal.recordMove(srcPath, destPath);
         return true;
     } catch (e) {
         console.error(`   ❌ 移动文件失败: ${e.message}`);
@@ -353,6 +338,11 @@ function main() {
     let totalMoved = 0;
     let successCount = 0;
 
+    // 音乐库索引：目录列表只扫描一次，文件名解析结果可复用
+    const index = openIndex({ rebuild: args.rebuildIndex });
+    // 预览模式不移动文件，不记录操作日志
+    const journal = args.dryRun ? null : openJournal('organize_hot_songs');
+
     for (let i = 0; i < finalList.length; i++) {
         const artist = finalList[i];
         const artistDir = path.join(args.dir, artist);
@@ -375,28 +365,35 @@ function main() {
 
         // 查找并移动歌曲
         let movedCount = 0;
-        const hotSongsDir = ensureHotSongsDir(artistDir);
+        const hotSongsDir = ensureHotSongsDir(artistDir, journal, args.dryRun);
 
         if (!hotSongsDir) {
             console.log(`❌ 创建目录失败\n`);
             continue;
         }
 
+        const songFiles = listSongFiles(index, artistDir);
+
         for (const song of songsList) {
-            const songFilePath = findSongFile(artistDir, song.name);
+            const songFile = findSongFile(songFiles, song.name);
 
-            if (songFilePath) {
+            if (songFile) {
+                const songFilePath = songFile.path;
                 // 移动歌曲文件
                 const fileName = path.basename(songFilePath);
                 const destPath = path.join(hotSongsDir, fileName);
 
-                if (moveFile(songFilePath, destPath, args.dryRun)) {
+                if (moveFile(songFilePath, destPath, journal, args.dryRun)) {
+                    // 已移动的文件不再参与后续匹配
+                    songFiles.splice(songFiles.indexOf(songFile), 1);
+                    if (!args.dryRun) index.move(songFilePath, destPath);
+
                     // 查找并移动对应的歌词文件
                     const lrcFilePath = findLrcFile(songFilePath);
                     if (lrcFilePath) {
                         const lrcFileName = path.basename(lrcFilePath);
                         const lrcDestPath = path.join(hotSongsDir, lrcFileName);
-                        moveFile(lrcFilePath, lrcDestPath, args.dryRun);
+                        moveFile(lrcFilePath, lrcDestPath, journal, args.dryRun);
                     }
 
                     movedCount++;
@@ -413,6 +410,8 @@ function main() {
         }
     }
 
+    index.save();
+
     // 输出统计
     console.log(`\n${'═'.repeat(60)}`);
     console.log(`\n📊 处理完成!\n`);
@@ -423,6 +422,7 @@ function main() {
         console.log(`💡 提示: 这是预览模式，实际执行请去掉 --dry-run 参数\n`);
     } else {
         console.log(`✨ 所有热门歌曲已整理到各歌手的 ${HOT_SONGS_DIR} 目录\n`);
+        journal.finish();
     }
 }
 
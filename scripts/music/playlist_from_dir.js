@@ -20,6 +20,7 @@
  *   --name, -n     歌单名称
  *   --output, -o   输出目录 (默认: 音乐库下的 playlists 目录)
  *   --dry-run      仅预览，不生成文件
+ *   --rebuild-index 忽略音乐库索引缓存，重新读取所有文件
  *   -h, --help     显示帮助
  *
  * 示例:
@@ -28,7 +29,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const mm = require('music-metadata');
+const { openIndex } = require('./lib/library_index');
+const { qualityScore } = require('./lib/quality');
 
 // ---------------------------------------------------------
 // 配置
@@ -36,21 +38,6 @@ const mm = require('music-metadata');
 
 const AUDIO_EXTENSIONS = /\.(mp3|m4a|flac|wav|ogg|aac|ape|wma|dff|dsf|alac)$/i;
 
-// 格式质量优先级 (越大越好)
-const FORMAT_PRIORITY = {
-    'dff': 100,
-    'dsf': 100,
-    'flac': 90,
-    'wav': 85,
-    'alac': 80,
-    'm4a': 70,
-    'aac': 60,
-    'mp3': 50,
-    'ogg': 40,
-    'ape': 35,
-    'wma': 30
-};
-
 // 需要忽略的后缀/标记 (用于模糊匹配)
 const IGNORE_PATTERNS = [
     /[\(\[【（](live|现场|演唱会|伴奏|纯音乐|instrumental|remix|cover|翻唱|dj版?|加长版?|完整版?|高清|无损|flac|mp3|320k|128k)[\)\]】）]/gi,
@@ -70,6 +57,7 @@ function parseArgs() {
         name: null,
         output: null,
         dryRun: false,
+        rebuildIndex: false,
         help: false
     };
 
@@ -101,6 +89,9 @@ function parseArgs() {
             case '--dry-run':
                 result.dryRun = true;
                 break;
+            case '--rebuild-index':
+                result.rebuildIndex = true;
+                break;
             case '--help':
             case '-h':
                 result.help = true;
@@ -126,6 +117,7 @@ function printHelp() {
   --name, -n     歌单名称
   --output, -o   输出目录 (默认: 音乐库/playlists)
   --dry-run      仅预览匹配结果，不生成文件
+  --rebuild-index 忽略音乐库索引缓存，重新读取所有文件
   -h, --help     显示帮助
 
 匹配策略:
@@ -146,97 +138,25 @@ function printHelp() {
 }
 
 /**
- * 递归查找音频文件
- */
-function findAudioFiles(dir) {
-    let results = [];
-    try {
-        if (!fs.existsSync(dir)) return [];
-        const list = fs.readdirSync(dir);
-
-        for (const file of list) {
-            if (file.startsWith('.') || file.startsWith('_')) continue;
-            const fullPath = path.join(dir, file);
-            try {
-                const stat = fs.statSync(fullPath);
-                if (stat.isDirectory()) {
-                    results = results.concat(findAudioFiles(fullPath));
-                } else if (AUDIO_EXTENSIONS.test(file)) {
-                    results.push(fullPath);
-                }
-            } catch (e) {}
-        }
-    } catch (e) {}
-    return results;
-}
-
-/**
- * 从文件名解析歌曲信息
+ * 读取音频元数据 (优先使用音乐库索引中的缓存)
+ * @returns {Object|null} 文件在扫描后被删除时为 null
  */
-function parseFileName(filePath) {
-    let name = path.basename(filePath, path.extname(filePath));
-
-    // 去掉常见前缀 (序号等)
-    name = name.replace(/^\d+[\.\-_\s]+/, '');
-    name = name.replace(/^\[\d+\]\s*/, '');
-
-    // 尝试各种分隔符拆分
-    const separators = [' - ', ' – ', ' — ', '-'];
-    let artist = null;
-    let title = null;
-
-    for (const sep of separators) {
-        if (name.includes(sep)) {
-            const parts = name.split(sep).map(s => s.trim()).filter(s => s);
-            if (parts.length >= 2) {
-                // 常见格式: "歌名-歌手" 或 "歌手-歌名"
-                // 尝试判断哪个是歌手
-                title = parts[0];
-                artist = parts.slice(1).join(' ');
-                break;
-            }
-        }
-    }
-
-    if (!title) {
-        title = name.trim();
-    }
-
-    return { title, artist, original: name };
-}
-
-/**
- * 读取音频元数据
- */
-async function getMetadata(filePath) {
-    try {
-        const metadata = await mm.parseFile(filePath, { duration: false });
-        const ext = path.extname(filePath).slice(1).toLowerCase();
-
-        return {
-            path: filePath,
-            title: metadata.common.title || parseFileName(filePath).title,
-            artist: metadata.common.artist || parseFileName(filePath).artist || '',
-            album: metadata.common.album || '',
-            format: ext,
-            sampleRate: metadata.format.sampleRate || 0,
-            bitsPerSample: metadata.format.bitsPerSample || 0,
-            bitrate: metadata.format.bitrate || 0
-        };
-    } catch (e) {
-        const parsed = parseFileName(filePath);
-        const ext = path.extname(filePath).slice(1).toLowerCase();
-        return {
-            path: filePath,
-            title: parsed.title,
-            artist: parsed.artist || '',
-            album: '',
-            format: ext,
-            sampleRate: 0,
-            bitsPerSample: 0,
-            bitrate: 0
-        };
-    }
+async function getMetadata(filePath, index) {
+    const entry = await index.getMetadata(filePath);
+    if (!entry) return null;
+    const tags = entry.tags || {};
+    const format = entry.format || {};
+
+    return {
+        path: entry.path,
+        title: tags.title || entry.parsed.title,
+        artist: tags.artist || entry.parsed.artist || '',
+        album: tags.album || '',
+        format: path.extname(filePath).slice(1).toLowerCase(),
+        sampleRate: format.sampleRate || 0,
+        bitsPerSample: format.bitsPerSample || 0,
+        bitrate: format.bitrate || 0
+    };
 }
 
 /**
@@ -300,27 +220,6 @@ function similarity(s1, s2) {
     return 1 - matrix[b.length][a.length] / maxLen;
 }
 
-/**
- * 计算音频质量分数
- */
-function qualityScore(meta) {
-    let score = 0;
-
-    // 格式分数
-    score += (FORMAT_PRIORITY[meta.format] || 0) * 1000;
-
-    // 采样率分数 (96kHz = 96, 44.1kHz = 44)
-    score += (meta.sampleRate / 1000) * 10;
-
-    // 位深分数 (24bit = 240, 16bit = 160)
-    score += (meta.bitsPerSample || 16) * 10;
-
-    // 比特率分数 (320kbps = 32)
-    score += (meta.bitrate / 10000);
-
-    return score;
-}
-
 /**
  * 匹配类型
  */
@@ -410,13 +309,14 @@ function selectBest(candidates) {
 /**
  * 构建库索引
  */
-async function buildLibraryIndex(libraryPath, onProgress) {
+async function buildLibraryIndex(libraryPath, cache, onProgress) {
     const index = new Map();
-    const files = findAudioFiles(libraryPath);
+    const files = cache.scan(libraryPath, { extensions: AUDIO_EXTENSIONS });
 
     for (let i = 0; i < files.length; i++) {
         const file = files[i];
-        const meta = await getMetadata(file);
+        const meta = await getMetadata(file, cache);
+        if (!meta) continue;
         const key = normalize(meta.title);
 
         if (!index.has(key)) {
@@ -489,9 +389,12 @@ async function main() {
     console.log(`📝 歌单名: ${args.name}`);
     console.log('─'.repeat(60));
 
+    // 音乐库索引：缓存标签和音频属性，未变化的文件不会重新解析
+    const cache = openIndex({ rebuild: args.rebuildIndex });
+
     // 1. 扫描源目录
     console.log('\n⏳ 扫描源目录...');
-    const sourceFiles = findAudioFiles(args.source);
+    const sourceFiles = cache.scan(args.source, { extensions: AUDIO_EXTENSIONS });
     console.log(`   发现 ${sourceFiles.length} 个音频文件`);
 
     if (sourceFiles.length === 0) {
@@ -503,18 +406,19 @@ async function main() {
     console.log('\n⏳ 读取源文件信息...');
     const sourceTracks = [];
     for (let i = 0; i < sourceFiles.length; i++) {
-        const meta = await getMetadata(sourceFiles[i]);
-        sourceTracks.push(meta);
+        const meta = await getMetadata(sourceFiles[i], cache);
+        if (meta) sourceTracks.push(meta);
         process.stdout.write(`\r   进度: ${i + 1}/${sourceFiles.length}`);
     }
     console.log('\n');
 
     // 3. 构建音乐库索引
     console.log('⏳ 扫描音乐库 (首次可能较慢)...');
-    const libraryIndex = await buildLibraryIndex(args.library, (current, total) => {
+    const libraryIndex = await buildLibraryIndex(args.library, cache, (current, total) => {
         process.stdout.write(`\r   进度: ${current}/${total}`);
     });
-    console.log(`\n   索引完成: ${libraryIndex.size} 个标题\n`);
+    cache.save();
+    console.log(`\n   索引完成: ${libraryIndex.size} 个标题 (新读取 ${cache.stats.parsed} 个文件)\n`);
 
     // 4. 匹配
     console.log('⏳ 匹配歌曲...');
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { openJournal } = require('./lib/journal');
 
 const AUDIO_EXTENSIONS = /\.(mp3|m4a|flac|wav|wma|ape)$/i;
 const LRC_EXTENSION = /\.lrc$/i;
@@ -85,12 +86,14 @@ function getAudioFiles(dir) {
     return songs.sort((a, b) => path.basename(a.audio).localeCompare(path.basename(b.audio), 'zh-CN'));
 }
 
-function ensureCdDir(baseDir, index) {
+// 预览模式只返回路径，不创建目录
+function ensureCdDir(baseDir, index, dryRun, journal) {
     const name = `CD${index}`;
     const dir = path.join(baseDir, name);
-    if (!fs.existsSync(dir)) {
+    if (!dryRun && !fs.existsSync(dir)) {
         try {
             fs.mkdirSync(dir, { recursive: true });
+            journal.recordMkdir(dir);
         } catch (e) {
             console.error(`❌ 无法创建目录: ${dir}`);
             process.exit(1);
@@ -116,7 +119,23 @@ function getCdDirs(baseDir) {
     }
 }
 
-function buildPlaylistForDir(cdDir, dryRun) {
+function writePlaylist(playlistPath, tracks, journal) {
+    const content = Buffer.from(['#EXTM3U'].concat(tracks).join('\n'), 'utf-8');
+    const previous = fs.existsSync(playlistPath) ? fs.readFileSync(playlistPath) : null;
+    try {
+        fs.writeFileSync(playlistPath, content);
+        if (previous) {
+            journal.recordWrite(playlistPath, previous, content);
+        } else {
+            journal.recordCreate(playlistPath);
+        }
+        console.log(`生成播放列表: ${playlistPath}`);
+    } catch (e) {
+        console.error(`❌ 播放列表写入失败: ${playlistPath}`);
+    }
+}
+
+function buildPlaylistForDir(cdDir, dryRun, journal) {
     let items;
     try {
         items = fs.readdirSync(cdDir, { withFileTypes: true });
@@ -133,16 +152,10 @@ function buildPlaylistForDir(cdDir, dryRun) {
         console.log(`预览生成播放列表: ${playlistPath} (${audioFiles.length} 首)`);
         return;
     }
-    const lines = ['#EXTM3U'].concat(audioFiles);
-    try {
-        fs.writeFileSync(playlistPath, lines.join('\n'), 'utf-8');
-        console.log(`生成播放列表: ${playlistPath}`);
-    } catch (e) {
-        console.error(`❌ 播放列表写入失败: ${playlistPath}`);
-    }
+    writePlaylist(playlistPath, audioFiles, journal);
 }
 
-function moveFile(src, dest, dryRun) {
+function moveFile(src, dest, dryRun, journal) {
     if (dryRun) {
         console.log(`预览: ${path.basename(src)} -> ${dest}`);
         return;
@@ -155,13 +168,14 @@ function moveFile(src, dest, dryRun) {
 
     try {
         fs.renameSync(src, dest);
+        journal.recordMove(src, dest);
         console.log(`移动: ${path.basename(src)} -> ${dest}`);
     } catch (e) {
         console.error(`❌ 移动失败: ${src} -> ${dest}`);
     }
 }
 
-function splitDirectory(targetDir, size, dryRun) {
+function splitDirectory(targetDir, size, dryRun, journal) {
     const songs = getAudioFiles(targetDir);
 
     console.log(`📂 目标目录: ${targetDir}`);
@@ -182,9 +196,9 @@ function splitDirectory(targetDir, size, dryRun) {
         if (slot !== cdIndex) {
             cdIndex = slot;
         }
-        const cdDir = ensureCdDir(targetDir, cdIndex);
+        const cdDir = ensureCdDir(targetDir, cdIndex, dryRun, journal);
         const destAudio = path.join(cdDir, path.basename(song.audio));
-        moveFile(song.audio, destAudio, dryRun);
+        moveFile(song.audio, destAudio, dryRun, journal);
         const key = String(cdIndex);
         if (!cdTracks[key]) {
             cdTracks[key] = [];
@@ -192,21 +206,14 @@ function splitDirectory(targetDir, size, dryRun) {
         cdTracks[key].push(path.basename(song.audio));
         if (song.lrc) {
             const destLrc = path.join(cdDir, path.basename(song.lrc));
-            moveFile(song.lrc, destLrc, dryRun);
+            moveFile(song.lrc, destLrc, dryRun, journal);
         }
     }
 
     if (!dryRun) {
         Object.keys(cdTracks).forEach(key => {
-            const cdDir = ensureCdDir(targetDir, parseInt(key, 10));
-            const playlistPath = path.join(cdDir, 'playlist.m3u');
-            const lines = ['#EXTM3U'].concat(cdTracks[key]);
-            try {
-                fs.writeFileSync(playlistPath, lines.join('\n'), 'utf-8');
-                console.log(`生成播放列表: ${playlistPath}`);
-            } catch (e) {
-                console.error(`❌ 播放列表写入失败: ${playlistPath}`);
-            }
+            const cdDir = ensureCdDir(targetDir, parseInt(key, 10), dryRun, journal);
+            writePlaylist(path.join(cdDir, 'playlist.m3u'), cdTracks[key], journal);
         });
     }
 
@@ -227,6 +234,9 @@ function main() {
         process.exit(1);
     }
 
+    // 预览模式不修改文件，不记录操作日志
+    const journal = args.dryRun ? null : openJournal('split_cd');
+
     if (args.playlistOnly) {
         const cdDirs = getCdDirs(args.dir);
         if (cdDirs.length === 0) {
@@ -235,13 +245,15 @@ function main() {
         }
         cdDirs.forEach(name => {
             const cdDir = path.join(args.dir, name);
-            buildPlaylistForDir(cdDir, args.dryRun);
+            buildPlaylistForDir(cdDir, args.dryRun, journal);
         });
         console.log('✅ 播放列表生成完成');
+        if (journal) journal.finish();
         return;
     }
 
-    splitDirectory(args.dir, args.size, args.dryRun);
+    splitDirectory(args.dir, args.size, args.dryRun, journal);
+    if (journal) journal.finish();
 }
 
 main();
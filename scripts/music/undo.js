@@ -0,0 +1,203 @@
+/**
+ * 脚本名称: Undo (撤销操作)
+ * 功能描述: 按操作日志撤销某次运行的全部修改 (移动的文件移回、新建的文件删除、改写的标签还原)
+ * 记录操作的脚本:
+ *    organize_hot_songs / split_cd / fix_audio_tags / embed_covers / embed_lyrics / check_duplicates_enhanced (--review)
+ *    运行结束时会输出本次运行的 ID
+ * 使用方法:
+ *    node undo.js                 # 列出最近的运行记录
+ *    node undo.js <运行ID> [选项]
+ *    node undo.js --last [选项]   # 撤销最近一次运行
+ * 选项:
+ *    --dry-run    仅显示将要执行的操作
+ *    --force      文件在运行之后又被修改过时仍然还原
+ *    -y           自动确认执行
+ * 示例:
+ *    node undo.js 20250101-120000-organize_hot_songs --dry-run
+ *    node undo.js --last -y
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { listRuns, readRun, undoRun, getJournalDir } = require('./lib/journal');
+
+// ---------------------------------------------------------
+// 1. 参数解析
+// ---------------------------------------------------------
+
+const LIST_LIMIT = 20;
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        id: null,
+        last: false,
+        dryRun: false,
+        force: false,
+        yes: false
+    };
+
+    for (const arg of args) {
+        if (!arg.startsWith('-') && !result.id) {
+            result.id = arg;
+            continue;
+        }
+
+        switch (arg) {
+            case '--last':
+                result.last = true;
+                break;
+            case '--dry-run':
+                result.dryRun = true;
+                break;
+            case '--force':
+                result.force = true;
+                break;
+            case '-y':
+            case '--yes':
+                result.yes = true;
+                break;
+            case '-h':
+            case '--help':
+                printHelp();
+                process.exit(0);
+        }
+    }
+
+    return result;
+}
+
+function printHelp() {
+    console.log(`
+↩️  撤销操作
+
+用法:
+  node undo.js                      列出最近的运行记录
+  node undo.js <运行ID> [--dry-run] [--force] [-y]
+  node undo.js --last [--dry-run] [--force] [-y]
+
+示例:
+  node undo.js 20250101-120000-organize_hot_songs --dry-run
+  node undo.js --last -y
+`);
+}
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+// ---------------------------------------------------------
+// 2. 显示
+// ---------------------------------------------------------
+
+/**
+ * 统计各类操作数量
+ */
+function summarizeOps(ops) {
+    const labels = { move: '移动', create: '新建', mkdir: '目录', write: '改写', patch: '改写', tail: '改写', replace: '重写' };
+    const counts = {};
+    ops.forEach(op => {
+        const label = labels[op.type] || op.type;
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    return Object.keys(counts).map(label => `${label} ${counts[label]}`).join(', ');
+}
+
+function printRuns() {
+    const runs = listRuns();
+    if (runs.length === 0) {
+        console.log(`📭 没有运行记录 (${getJournalDir()})`);
+        return;
+    }
+
+    console.log(`📜 最近的运行记录 (${getJournalDir()}):\n`);
+    runs.slice(0, LIST_LIMIT).forEach(run => {
+        const status = run.undone ? '↩️ 已撤销' : '  ';
+        console.log(`   ${run.info.id.padEnd(45)} ${summarizeOps(run.ops).padEnd(24)} ${status}`);
+    });
+    if (runs.length > LIST_LIMIT) {
+        console.log(`\n   ... 还有 ${runs.length - LIST_LIMIT} 条记录`);
+    }
+    console.log('\n💡 撤销: node undo.js <运行ID>');
+}
+
+// ---------------------------------------------------------
+// 3. 主函数
+// ---------------------------------------------------------
+
+async function run() {
+    const args = parseArgs();
+
+    if (!args.id && !args.last) {
+        printRuns();
+        return;
+    }
+
+    let id = args.id;
+    if (args.last) {
+        const latest = listRuns().find(r => !r.undone);
+        if (!latest) {
+            console.log('📭 没有可撤销的运行记录');
+            return;
+        }
+        id = latest.info.id;
+    }
+
+    const runInfo = readRun(id);
+    if (!runInfo) {
+        console.error(`❌ 找不到运行记录: ${id}`);
+        process.exit(1);
+    }
+
+    console.log(`\n↩️  运行: ${id}`);
+    console.log(`   脚本: ${runInfo.info.script} ${runInfo.info.argv.join(' ')}`);
+    console.log(`   时间: ${runInfo.info.startedAt}`);
+    console.log(`   操作: ${summarizeOps(runInfo.ops)}`);
+    if (runInfo.undone) {
+        console.log('   ⚠️  该运行已撤销过');
+    }
+
+    if (!args.dryRun && !args.yes) {
+        const answer = await ask('\n是否撤销以上操作? [y/N]: ');
+        if (answer !== 'y' && answer !== 'yes') {
+            console.log('\n❌ 已取消操作');
+            return;
+        }
+    }
+
+    const { results } = undoRun(id, { dryRun: args.dryRun, force: args.force });
+
+    console.log('');
+    results.forEach(r => {
+        console.log(`   ${r.ok ? '✅' : '⚠️ '} ${r.message}`);
+    });
+
+    const failed = results.filter(r => !r.ok);
+    console.log('\n' + '═'.repeat(60));
+    console.log(args.dryRun ? '🔍 预览完成 (未修改任何文件)' : '✅ 撤销完成!');
+    console.log('═'.repeat(60));
+    console.log(`   成功: ${results.length - failed.length} 项`);
+    if (failed.length > 0) {
+        console.log(`   跳过: ${failed.length} 项`);
+        if (!args.force && failed.some(r => r.message.includes('已被修改'))) {
+            console.log(`   💡 文件在运行之后又被修改过，确认要还原请加 --force`);
+        }
+    }
+    if (!args.dryRun) {
+        console.log(`   备份保留在: ${path.join(getJournalDir(), id)}`);
+    }
+}
+
+// ---------------------------------------------------------
+// 执行
+// ---------------------------------------------------------
+run().catch(err => {
+    console.error('❌ 运行出错:', err.message);
+    process.exit(1);
+});
@@ -1,14 +1,19 @@
 
 const path = require('path');
 const fs = require('fs').promises;
-const os = require('os');
-const { exec } = require('child_process');
-const axios = require('axios');
 const musicMetadata = require('music-metadata');
-const NodeID3 = require('node-id3');
 const minimist = require('minimist');
-
-const SUPPORTED_EXTENSIONS = ['.mp3', '.flac'];
+const { parseFileName } = require('./lib/filename_parser');
+const { httpGetBuffer } = require('./lib/http');
+const { inspectImage, coverProblems, describeProblems, normalizeCover, describeChanges } = require('./lib/cover_image');
+const providers = require('./lib/providers');
+const flac = require('./lib/tags/flac');
+const mp4 = require('./lib/tags/mp4');
+const mp3 = require('./lib/tags/mp3');
+const { openJournal } = require('./lib/journal');
+
+const SUPPORTED_EXTENSIONS = ['.mp3', '.flac', '.m4a'];
+const COVER_SIZE = 1000; // 期望的封面边长，数据源不支持时使用其最大尺寸
 
 // --- 1. 文件遍历 ---
 async function findAudioFiles(dir) {
@@ -50,36 +55,10 @@ async function parseSongInfo(filePath) {
     }
 
     // 2. 尝试从文件名解析 (优先)
-    const baseName = path.basename(filePath, path.extname(filePath));
-    const cleanedName = baseName.replace(/^\d+[\s\.\-]*/, '');
-
-    // 定义多种匹配模式和对应的解析函数
-    const patterns = [
-        {
-            regex: /(.+?)\s*-\s*(.+)/, // 格式: 歌手 - 歌名
-            parser: (match) => ({ artist: match[1].trim(), title: match[2].trim() })
-        },
-        {
-            regex: /(.+?)\s*[\(（](.+?)[\)）]/, // 格式: 歌名 (歌手)
-            parser: (match) => ({ title: match[1].trim(), artist: match[2].trim() })
-        },
-        {
-            regex: /(.+?)\s*—\s*(.+)/, // 格式: 歌手 — 歌名
-            parser: (match) => ({ artist: match[1].trim(), title: match[2].trim() })
-        },
-        {
-            regex: /(.+?)\s+(.+)/, // 格式: 歌手 歌名 (作为最后的宽泛匹配)
-            parser: (match) => ({ artist: match[1].trim(), title: match[2].trim() })
-        }
-    ];
-
-    for (const pattern of patterns) {
-        const match = cleanedName.match(pattern.regex);
-        if (match && match.length === 3) {
-            fromFilename = pattern.parser(match);
-            console.log(`  > 从文件名解析 (规则: ${pattern.regex}): ${fromFilename.artist} - ${fromFilename.title}`);
-            break; // 找到一个匹配就停止
-        }
+    const parsed = parseFileName(filePath);
+    if (parsed.artist && parsed.title) {
+        fromFilename = { artist: parsed.artist, title: parsed.title };
+        console.log(`  > 从文件名解析 (可信度: ${parsed.confidence}): ${fromFilename.artist} - ${fromFilename.title}`);
     }
 
     // 3. 决策
@@ -92,69 +71,50 @@ async function parseSongInfo(filePath) {
         return fromMeta;
     }
 
+    if (parsed.title) {
+        console.log('  > 决策: 未识别出歌手，仅使用歌名搜索。');
+        return { artist: '', title: parsed.title };
+    }
+
     console.log('  > 无法从文件名或元数据解析出歌曲信息。');
     return null;
 }
 
-// --- 3. API 搜索 (QQ音乐 + iTunes) ---
+// --- 3. API 搜索 (lib/providers 中支持封面的数据源，按优先级依次尝试) ---
 async function searchCoverArt(artist, title) {
-    const searchTerm = `${artist} ${title}`;
+    const searchTerm = `${artist} ${title}`.trim();
     console.log(`[API搜索] 正在为 "${searchTerm}" 搜索封面...`);
 
-    // 优先尝试QQ音乐
-    try {
-        console.log('  > 正在尝试 QQ音乐...');
-        const qqSearchUrl = `https://c.y.qq.com/soso/fcgi-bin/client_search_cp?p=1&n=1&w=${encodeURIComponent(searchTerm)}&format=json`;
-        const response = await axios.get(qqSearchUrl);
-        const callback = (data) => data;
-        const data = eval(response.data);
+    const results = await providers.search(title, artist || null, { capability: 'cover' });
 
-        if (data.data.song.list.length > 0) {
-            const song = data.data.song.list[0];
-            const albummid = song.albummid;
-            const imageUrl = `https://y.gtimg.cn/music/photo_new/T002R800x800M000${albummid}.jpg`;
-            
-            // 验证图片是否存在
-            try {
-                await axios.head(imageUrl);
-                console.log(`  > QQ音乐搜索成功，找到封面: ${imageUrl}`);
-                return imageUrl;
-            } catch (e) {
-                console.log('  > QQ音乐封面链接无效，继续尝试...');
-            }
+    for (const provider of providers.getProviders({ capability: 'cover' })) {
+        // 每个数据源只取第一个结果
+        const result = results.find(r => r.provider === provider.name);
+        if (!result) {
+            console.log(`  > ${provider.label} 未找到结果，继续尝试...`);
+            continue;
         }
-    } catch (error) {
-        console.log(`  > QQ音乐搜索失败: ${error.message}`);
-    }
 
-    // 如果QQ音乐失败，则尝试iTunes
-    try {
-        console.log('  > 正在尝试 iTunes...');
-        const itunesSearchUrl = `https://itunes.apple.com/search?term=${encodeURIComponent(searchTerm)}&entity=song&limit=1`;
-        const response = await axios.get(itunesSearchUrl);
-        const data = response.data;
+        const imageUrl = await providers.getCover(result, COVER_SIZE);
+        if (!imageUrl) continue;
 
-        if (data.resultCount > 0) {
-            const result = data.results[0];
-            let imageUrl = result.artworkUrl100; // 默认100x100
-            
-            // 尝试获取更高分辨率的图片
-            if (imageUrl) {
-                imageUrl = imageUrl.replace('100x100', '1000x1000');
-                
-                // 检查图片尺寸是否为方形
-                const imageResponse = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-                const dimensions = require('image-size')(imageResponse.data);
-                if (dimensions.width === dimensions.height) {
-                    console.log(`  > iTunes搜索成功，找到高质量方形封面: ${imageUrl}`);
-                    return imageUrl;
-                } else {
-                    console.log(`  > iTunes封面尺寸不为方形 (${dimensions.width}x${dimensions.height})，放弃使用。`);
-                }
+        // 检查图片是否可用、分辨率足够且为方形
+        try {
+            const imageBuffer = await httpGetBuffer(imageUrl);
+            const info = inspectImage(imageBuffer);
+            const rejected = coverProblems(info).filter(p => p === 'corrupt' || p === 'small');
+            if (rejected.length > 0) {
+                console.log(`  > ${provider.label}封面不可用 (${describeProblems(rejected, info)})，放弃使用。`);
+                continue;
             }
+            if (info.width === info.height) {
+                console.log(`  > ${provider.label}搜索成功，找到方形封面: ${imageUrl}`);
+                return imageUrl;
+            }
+            console.log(`  > ${provider.label}封面尺寸不为方形 (${info.width}x${info.height})，放弃使用。`);
+        } catch (error) {
+            console.log(`  > ${provider.label}封面链接无效 (${error.message})，继续尝试...`);
         }
-    } catch (error) {
-        console.log(`  > iTunes搜索失败: ${error.message}`);
     }
 
     console.log('  > 所有API源都未找到匹配结果。');
@@ -165,8 +125,7 @@ async function searchCoverArt(artist, title) {
 // --- 4. 图片下载 ---
 async function downloadImage(url) {
     try {
-        const response = await axios.get(url, { responseType: 'arraybuffer' });
-        return Buffer.from(response.data, 'binary');
+        return await httpGetBuffer(url);
     } catch (error) {
         console.error(`  > 下载图片失败: ${error.message}`);
         return null;
@@ -174,7 +133,24 @@ async function downloadImage(url) {
 }
 
 // --- 5. 封面嵌入 ---
-async function embedCover(filePath, imageBuffer) {
+
+// 嵌入前缩小过大的封面、转为基线 JPEG 并去除 EXIF (lib/cover_image)，无法处理时按原图嵌入
+function prepareCover(imageBuffer) {
+    try {
+        const info = inspectImage(imageBuffer);
+        const cover = normalizeCover(imageBuffer);
+        if (cover.changes.length > 0) {
+            console.log(`  > 封面已规范化: ${describeChanges(cover.changes, info, cover)}`);
+        }
+        return cover.data;
+    } catch (error) {
+        console.log(`  > 封面规范化失败 (${error.message})，按原图嵌入。`);
+        return imageBuffer;
+    }
+}
+
+// 写入记录到操作日志，可用 undo.js 撤销
+async function embedCover(filePath, imageBuffer, journal) {
     const ext = path.extname(filePath).toLowerCase();
     const cover = {
         mime: 'image/jpeg',
@@ -185,44 +161,36 @@ async function embedCover(filePath, imageBuffer) {
 
     if (ext === '.mp3') {
         try {
-            const success = NodeID3.update({ image: cover }, filePath);
-            if (success) {
-                console.log('  > 成功嵌入 MP3 封面。');
-            } else {
-                console.error('  > 嵌入 MP3 封面失败。');
-            }
-            return success;
+            // 替换 APIC 帧，其他 ID3 帧保持不变
+            mp3.writeTags(filePath, { image: cover }, { journal });
+            console.log('  > 成功嵌入 MP3 封面。');
+            return true;
         } catch (error) {
             console.error(`  > 写入 MP3 标签时出错: ${error.message}`);
             return false;
         }
     } else if (ext === '.flac') {
-        const tempImagePath = path.join(os.tmpdir(), `cover-${Date.now()}.jpg`);
         try {
-            await fs.writeFile(tempImagePath, imageBuffer);
-            
-            const command = `metaflac --remove --block-type=PICTURE --dont-use-padding "${filePath}" && metaflac --import-picture-from="${tempImagePath}" --dont-use-padding "${filePath}"`;
-
-            await new Promise((resolve, reject) => {
-                exec(command, (error, stdout, stderr) => {
-                    if (error) {
-                        // stderr 包含 metaflac 的具体错误信息
-                        console.error(`  > 执行 metaflac 失败: ${stderr}`);
-                        reject(error);
-                        return;
-                    }
-                    console.log('  > 成功嵌入 FLAC 封面。');
-                    resolve(true);
-                });
-            });
+            // 原位替换 PICTURE 块，不依赖 metaflac
+            flac.writeTags(filePath, {
+                removePictures: true,
+                pictures: [{ type: 3, mime: cover.mime, description: cover.description, data: imageBuffer }]
+            }, { journal });
+            console.log('  > 成功嵌入 FLAC 封面。');
             return true;
         } catch (error) {
-            // 这个 catch 会捕获 writeFile 的错误，或者 exec Promise 的 reject
             console.error(`  > 处理 FLAC 文件时出错: ${error.message}`);
             return false;
-        } finally {
-            // 无论成功还是失败，最后都清理临时文件
-            await fs.unlink(tempImagePath).catch(err => console.error(`  > 删除临时文件失败: ${err.message}`));
+        }
+    } else if (ext === '.m4a') {
+        try {
+            // 替换 covr 原子，不依赖 ffmpeg
+            mp4.writeTags(filePath, { covers: [{ mime: cover.mime, data: imageBuffer }] }, { journal });
+            console.log('  > 成功嵌入 M4A 封面。');
+            return true;
+        } catch (error) {
+            console.error(`  > 处理 M4A 文件时出错: ${error.message}`);
+            return false;
         }
     }
     return false;
@@ -241,7 +209,7 @@ async function main() {
 
     if (!targetDir) {
         console.error('错误: 请提供一个目标目录路径。');
-        console.log('用法: node update_cover_art.js <目录路径> [--dry-run]');
+        console.log('用法: node update_cover_art.js <目录路径> [--dry-run] [--record | --replay]');
         return;
     }
 
@@ -249,6 +217,9 @@ async function main() {
     const audioFiles = await findAudioFiles(targetDir);
     console.log(`找到了 ${audioFiles.length} 个支持的音频文件。`);
 
+    // 演习模式不修改文件，不记录操作日志
+    const journal = isDryRun ? null : openJournal('update_cover_art');
+
     for (const file of audioFiles) {
         console.log(`\n处理文件: ${path.basename(file)}`);
         const songInfo = await parseSongInfo(file);
@@ -264,7 +235,7 @@ async function main() {
                     const imageBuffer = await downloadImage(imageUrl);
                     if (imageBuffer) {
                         console.log(`  > 下载成功 (${(imageBuffer.length / 1024).toFixed(2)} KB)，正在嵌入...`);
-                        await embedCover(file, imageBuffer);
+                        await embedCover(file, prepareCover(imageBuffer), journal);
                     }
                 }
             }
@@ -272,6 +243,8 @@ async function main() {
             console.log('  > 无法从文件名或元数据解析出歌曲信息。');
         }
     }
+
+    if (journal) journal.finish();
 }
 
 main().catch(console.error);
@@ -1,8 +1,10 @@
 const path = require('path');
 const fs = require('fs').promises;
-const { exec } = require('child_process');
-const NodeID3 = require('node-id3');
 const minimist = require('minimist');
+const flac = require('./lib/tags/flac');
+const mp4 = require('./lib/tags/mp4');
+const mp3 = require('./lib/tags/mp3');
+const { openJournal } = require('./lib/journal');
 
 const SUPPORTED_EXTENSIONS = ['.mp3', '.flac', '.m4a'];
 
@@ -27,7 +29,8 @@ async function findAudioFiles(dir) {
 }
 
 // --- Metadata Update ---
-async function updateMetadata(filePath, tags, clearYear) {
+// Every write is recorded in the journal so the run can be reverted with undo.js.
+async function updateMetadata(filePath, tags, clearYear, journal) {
     const ext = path.extname(filePath).toLowerCase();
     console.log(`  > Updating: ${path.basename(filePath)}`);
 
@@ -38,77 +41,40 @@ async function updateMetadata(filePath, tags, clearYear) {
                 tagsToUpdate.year = '';
                 tagsToUpdate.recordingTime = ''; // Also clear this for good measure
             }
-            const success = NodeID3.update(tagsToUpdate, filePath);
-            if (success) {
-                console.log('    - MP3 metadata updated successfully.');
-            } else {
-                console.error('    - Failed to update MP3 metadata.');
-            }
-            return success;
+            // Merge into the existing ID3v2 frames (empty values remove the frame).
+            const { inPlace } = mp3.writeTags(filePath, tagsToUpdate, { journal });
+            console.log(`    - MP3 metadata updated successfully${inPlace ? '' : ' (file rewritten to grow padding)'}.`);
+            return true;
         } catch (error) {
             console.error(`    - Error writing MP3 tags: ${error.message}`);
             return false;
         }
     } else if (ext === '.flac') {
         try {
-            // For FLAC, it's safer to remove old tags and then set new ones.
-            // We construct the command dynamically.
-            const removeTags = ['ALBUM', 'ALBUMARTIST'];
-            if (clearYear) {
-                removeTags.push('DATE', 'YEAR');
-            }
-            
-            const removeCommandPart = removeTags.map(tag => `--remove-tag=${tag}`).join(' ');
-            const setCommandPart = `--set-tag=ALBUM="${tags.album}" --set-tag=ALBUMARTIST="${tags.albumArtist}"`;
-            
-            const command = `metaflac ${removeCommandPart} "${filePath}" && metaflac ${setCommandPart} --dont-use-padding "${filePath}"`;
-
-            await new Promise((resolve, reject) => {
-                exec(command, { shell: true }, (error, stdout, stderr) => {
-                    if (error) {
-                        console.error(`    - Error executing metaflac: ${stderr}`);
-                        reject(error);
-                        return;
-                    }
-                    console.log('    - FLAC metadata updated successfully.');
-                    resolve(true);
-                });
-            });
+            // Edit the VORBIS_COMMENT block in place (uses padding, no metaflac needed).
+            const remove = clearYear ? ['DATE', 'YEAR'] : [];
+            const { inPlace } = flac.writeTags(filePath, {
+                set: { ALBUM: tags.album, ALBUMARTIST: tags.albumArtist },
+                remove
+            }, { journal });
+            console.log(`    - FLAC metadata updated successfully${inPlace ? '' : ' (file rewritten to grow padding)'}.`);
             return true;
         } catch (error) {
             console.error(`    - Error processing FLAC file: ${error.message}`);
             return false;
         }
     } else if (ext === '.m4a') {
-        const tempFilePath = path.join(path.dirname(filePath), `temp_${path.basename(filePath)}`);
         try {
-            let metadataCommand = `-metadata album="${tags.album}" -metadata album_artist="${tags.albumArtist}"`;
-            if (clearYear) {
-                metadataCommand += ` -metadata date=""`;
-            }
-
-            const command = `ffmpeg -i "${filePath}" -y -map_metadata 0 ${metadataCommand} -c copy "${tempFilePath}"`;
-
-            await new Promise((resolve, reject) => {
-                exec(command, { shell: true }, (error, stdout, stderr) => {
-                    if (error) {
-                        console.error(`    - Error executing ffmpeg: ${stderr}`);
-                        reject(error);
-                        return;
-                    }
-                    resolve(true);
-                });
-            });
-
-            // Replace original file with the new one
-            await fs.rename(tempFilePath, filePath);
-            console.log(`    - M4A metadata updated successfully.`);
+            // Edit the moov/udta/meta/ilst atoms directly (fixes stco/co64 offsets if moov grows).
+            const remove = clearYear ? ['year'] : [];
+            const { inPlace } = mp4.writeTags(filePath, {
+                set: { album: tags.album, albumArtist: tags.albumArtist },
+                remove
+            }, { journal });
+            console.log(`    - M4A metadata updated successfully${inPlace ? '' : ' (file rewritten to grow moov)'}.`);
             return true;
-
         } catch (error) {
             console.error(`    - Error processing M4A file: ${error.message}`);
-            // Clean up temp file on error
-            await fs.unlink(tempFilePath).catch(() => {});
             return false;
         }
     }
@@ -141,11 +107,13 @@ async function main() {
         console.log('Year information will be cleared.');
     }
 
+    const journal = openJournal('update_metadata');
     for (const file of audioFiles) {
-        await updateMetadata(file, tags, clearYear);
+        await updateMetadata(file, tags, clearYear, journal);
     }
 
     console.log('\nFinished processing directory.');
+    journal.finish();
 }
 
 main().catch(console.error);
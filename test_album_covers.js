@@ -0,0 +1,129 @@
+/**
+ * 专辑封面统一测试
+ * 覆盖按专辑分组 (专辑艺术家、合辑按目录、分碟子目录合并)、内嵌封面的选择和执行计划 (不需要 ffmpeg)
+ * 使用方法:
+ *    node test_album_covers.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeID3 = require('node-id3');
+const { groupAlbums, chooseCover, planAlbum } = require('./scripts/music/album_covers');
+const { test, finish } = require('./test_harness');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jstools-album-covers-'));
+
+// ---------------------------------------------------------
+// 测试数据
+// ---------------------------------------------------------
+
+const COVER_A = 'f0f0f0f0f0f0f0f0';
+const COVER_B = '0f0f0f0f0f0f0f0f';
+
+function track(filePath, tags) {
+    return { path: filePath, meta: { tags } };
+}
+
+function summary(albums) {
+    return albums.map(a => [a.album, a.artist, a.tracks.length]).sort();
+}
+
+/**
+ * 已分析过内嵌封面的曲目 (analyzeAlbum 之后)
+ */
+function analyzed(filePath, hash, width) {
+    const info = { type: 'jpg', width, height: width, progressive: false, exif: false, bytes: 100000 };
+    return { path: filePath, unsupported: false, cover: hash ? { info, hash } : null };
+}
+
+/**
+ * 带内嵌封面的 MP3 (ID3v2 + 占位音频数据)
+ */
+function makeMp3(name, imageBuffer) {
+    const filePath = path.join(TEMP_DIR, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tag = NodeID3.create({ image: { mime: 'image/jpeg', type: { id: 3 }, description: '', imageBuffer } });
+    fs.writeFileSync(filePath, Buffer.concat([tag, Buffer.alloc(1000, 0x55)]));
+    return filePath;
+}
+
+async function run() {
+    console.log('🧪 专辑封面统一测试:\n');
+
+    await test('分组: 按专辑艺术家 + 专辑，CD1/CD2 合并，单曲和没有专辑标签的曲目不参与', () => {
+        const albums = groupAlbums([
+            track('/Music/周杰伦/叶惠美/CD1/晴天.flac', { album: '叶惠美', albumartist: '周杰伦', artist: '周杰伦' }),
+            track('/Music/周杰伦/叶惠美/CD2/以父之名.flac', { album: '叶惠美', albumartist: '周杰伦', artist: '周杰伦' }),
+            track('/Music/周杰伦/单曲/说好不哭.flac', { album: '说好不哭', albumartist: '周杰伦' }),
+            track('/Music/周杰伦/未分类/稻香.flac', { title: '稻香' })
+        ], false);
+        assert.deepStrictEqual(summary(albums), [['叶惠美', '周杰伦', 2]]);
+        assert.deepStrictEqual(albums[0].dirs, ['/Music/周杰伦/叶惠美/CD1', '/Music/周杰伦/叶惠美/CD2']);
+    });
+
+    await test('分组: 没有专辑艺术家时按目录，合辑和带合作歌手的曲目不拆开', () => {
+        const albums = groupAlbums([
+            track('/Music/合辑/Hits/CD1/01.mp3', { album: 'Hits', artist: '孙燕姿' }),
+            track('/Music/合辑/Hits/CD2/02.mp3', { album: 'Hits', artist: '林俊杰' }),
+            track('/Music/合辑/Hits/CD2/03.mp3', { album: 'Hits', artist: '陈奕迅' }),
+            track('/Music/周杰伦/叶惠美/晴天.flac', { album: '叶惠美', artist: '周杰伦' }),
+            track('/Music/周杰伦/叶惠美/千里之外.flac', { album: '叶惠美', artist: '周杰伦 feat. 费玉清' }),
+            track('/Music/精选/叶惠美/晴天.flac', { album: '叶惠美', artist: '周杰伦' })
+        ], false);
+        assert.deepStrictEqual(summary(albums), [['Hits', '', 3], ['叶惠美', '周杰伦', 2]]);
+    });
+
+    await test('分组: --by-folder 时每个目录一张专辑，没有专辑标签时用目录名', () => {
+        const albums = groupAlbums([
+            track('/Music/周杰伦/叶惠美/晴天.flac', { artist: '周杰伦' }),
+            track('/Music/周杰伦/叶惠美/以父之名.flac', { artist: '周杰伦' }),
+            track('/Music/周杰伦/范特西/爱在西元前.flac', { album: '范特西', artist: '周杰伦' })
+        ], true);
+        assert.deepStrictEqual(summary(albums), [['叶惠美', '周杰伦', 2]]);
+    });
+
+    await test('选择: 使用最大的一组内嵌封面中分辨率最高的一张，没有可用封面且不下载时为 null', async () => {
+        const big = Buffer.from('big cover');
+        const album = { tracks: [], dirs: [path.join(TEMP_DIR, 'choose')] };
+        const small = analyzed(makeMp3('choose/01.mp3', Buffer.from('small cover')), COVER_A, 600);
+        const best = analyzed(makeMp3('choose/02.mp3', big), COVER_A, 1200);
+        const other = analyzed(makeMp3('choose/03.mp3', Buffer.from('other cover')), COVER_B, 1500);
+        album.tracks = [small, best, other];
+        album.groups = [[small, best], [other]];
+
+        const cover = await chooseCover(album, { download: false });
+        assert.strictEqual(cover.source, 'embedded');
+        assert.strictEqual(cover.hash, COVER_A);
+        assert.ok(cover.data.equals(big));
+        assert.strictEqual(cover.label, '02.mp3 (2/3 首使用)');
+
+        // 分辨率过低的封面不使用
+        const lowRes = analyzed(small.path, COVER_A, 100);
+        assert.strictEqual(await chooseCover({ tracks: [lowRes], dirs: album.dirs, groups: [[lowRes]] }, { download: false }), null);
+    });
+
+    await test('计划: 嵌入封面不同或缺少的曲目，目录中只有本专辑曲目时写入目录封面', () => {
+        const dir = path.join(TEMP_DIR, 'plan');
+        const shared = path.join(TEMP_DIR, 'shared');
+        const album = {
+            tracks: [
+                analyzed(path.join(dir, '01.mp3'), COVER_A, 1000),
+                analyzed(path.join(dir, '02.mp3'), COVER_B, 1000),
+                analyzed(path.join(dir, '03.mp3'), null, 0),
+                { ...analyzed(path.join(shared, '04.ogg'), null, 0), unsupported: true }
+            ],
+            dirs: [dir, shared]
+        };
+        const counts = new Map([[dir, 3], [shared, 5]]);
+        const plan = planAlbum(album, { hash: COVER_A }, { folderCover: 'folder.jpg' }, counts);
+        assert.deepStrictEqual(plan.embed.map(t => path.basename(t.path)), ['02.mp3', '03.mp3']);
+        assert.deepStrictEqual(plan.folderCovers, [path.join(dir, 'folder.jpg')]);
+    });
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    finish();
+}
+
+run();
@@ -0,0 +1,95 @@
+/**
+ * 封面比较测试
+ * 用手工构造的感知哈希覆盖专辑识别 (专辑艺术家、按目录识别合辑)、占位图、错误封面和一张专辑多种封面
+ * 使用方法:
+ *    node test_check_covers.js
+ */
+
+const assert = require('assert');
+const { albumOf, compareCovers } = require('./scripts/music/check_covers');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试数据
+// ---------------------------------------------------------
+
+// 三张互不相似的封面 (两两之间相差 32 位以上)
+const YEHUIMEI = 'f0f0f0f0f0f0f0f0';
+const JIANGHU = '0f0f0f0f0f0f0f0f';
+const HITS = 'ffff0000ffff0000';
+const BLANK = '0000000000000001';
+
+/**
+ * 内嵌封面 (collectCoverHashes 的结果)
+ */
+function cover(filePath, hash, tags) {
+    return { path: filePath, sidecar: false, hash, album: albumOf(filePath, { tags }) };
+}
+
+function names(items) {
+    return items.map(item => item.path).sort();
+}
+
+async function run() {
+    console.log('🧪 封面比较测试:\n');
+
+    await test('专辑: 有专辑艺术家时按专辑艺术家，没有时按所在目录，没有专辑标签时为 null', () => {
+        const tagged = albumOf('/Music/a/晴天.flac', { tags: { album: '叶惠美', albumartist: '周杰伦', artist: '周杰伦 feat. 费玉清' } });
+        const other = albumOf('/Music/b/以父之名.flac', { tags: { album: '叶惠美', albumartist: '周杰伦' } });
+        assert.strictEqual(tagged.key, other.key);
+        assert.strictEqual(tagged.name, '周杰伦 - 叶惠美');
+
+        const compilation = albumOf('/Music/合辑/Hits/01.mp3', { tags: { album: 'Hits', artist: '孙燕姿' } });
+        assert.notStrictEqual(compilation.key, albumOf('/Music/合辑/Hits 2/01.mp3', { tags: { album: 'Hits', artist: '孙燕姿' } }).key);
+        assert.strictEqual(compilation.name, 'Hits (Hits)');
+        assert.strictEqual(albumOf('/Music/a/晴天.flac', { tags: { title: '晴天' } }), null);
+    });
+
+    await test('合辑: 没有专辑艺术家的合辑共用一张封面，不报告占位图或错误封面', () => {
+        const items = ['周杰伦', '孙燕姿', '林俊杰', '陈奕迅'].map((artist, i) => (
+            cover(`/Music/合辑/Hits/0${i + 1}.mp3`, HITS, { album: 'Hits', artist })
+        ));
+        assert.deepStrictEqual(compareCovers(items, []), { placeholders: [], foreign: [], mixed: [] });
+    });
+
+    await test('合作歌手: 同一目录的专辑中带 feat. 的曲目不算其他艺术家', () => {
+        const items = [
+            cover('/Music/周杰伦/叶惠美/晴天.flac', YEHUIMEI, { album: '叶惠美', artist: '周杰伦' }),
+            cover('/Music/周杰伦/叶惠美/以父之名.flac', YEHUIMEI, { album: '叶惠美', artist: '周杰伦' }),
+            cover('/Music/周杰伦/叶惠美/千里之外.flac', YEHUIMEI, { album: '叶惠美', artist: '周杰伦 feat. 费玉清' })
+        ];
+        assert.deepStrictEqual(compareCovers(items, []), { placeholders: [], foreign: [], mixed: [] });
+    });
+
+    await test('错误封面: 与其他艺术家的专辑封面相同时报告曲目较少的一方', () => {
+        const items = [
+            cover('/Music/周杰伦/叶惠美/晴天.flac', YEHUIMEI, { album: '叶惠美', albumartist: '周杰伦' }),
+            cover('/Music/周杰伦/叶惠美/以父之名.flac', YEHUIMEI, { album: '叶惠美', albumartist: '周杰伦' }),
+            cover('/Music/林俊杰/江南/江南.flac', YEHUIMEI, { album: '江南', albumartist: '林俊杰' }),
+            cover('/Music/林俊杰/江南/一千年以后.flac', JIANGHU, { album: '江南', albumartist: '林俊杰' })
+        ];
+        const result = compareCovers(items, []);
+        assert.deepStrictEqual(names(result.foreign), ['/Music/林俊杰/江南/江南.flac']);
+        assert.strictEqual(result.foreign[0].owner.name, '周杰伦 - 叶惠美');
+        assert.deepStrictEqual(result.mixed.map(album => [album.name, album.groups.length]), [['林俊杰 - 江南', 2]]);
+    });
+
+    await test('占位图: 纯色图片、与样本相同，以及不同艺术家的 3 张专辑共用的封面', () => {
+        const shared = ['周杰伦', '孙燕姿', '林俊杰'].map(artist => (
+            cover(`/Music/${artist}/单曲/单曲.mp3`, HITS, { album: '单曲', albumartist: artist })
+        ));
+        const items = [
+            ...shared,
+            cover('/Music/周杰伦/叶惠美/晴天.flac', BLANK, { album: '叶惠美', albumartist: '周杰伦' }),
+            cover('/Music/周杰伦/范特西/爱在西元前.flac', JIANGHU, { album: '范特西', albumartist: '周杰伦' })
+        ];
+        const result = compareCovers(items, ['0f0f0f0f0f0f0f0e']);
+        assert.deepStrictEqual(result.placeholders.map(item => item.reason).sort(),
+            ['3 位艺术家的专辑共用', '3 位艺术家的专辑共用', '3 位艺术家的专辑共用', '与占位图样本相同', '纯色图片']);
+        assert.deepStrictEqual(result.foreign, []);
+    });
+
+    finish();
+}
+
+run();
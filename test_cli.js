@@ -0,0 +1,148 @@
+/**
+ * jstools 命令行测试
+ * 覆盖子命令和全局选项的解析、配置文件合并，以及各种 --dry-run 方式下全局选项到脚本参数的转换
+ * 使用方法:
+ *    node test_cli.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, loadConfig, resolveOptions, buildInvocation } = require('./bin/cli');
+const { COMMANDS } = require('./bin/commands');
+const { test, finish } = require('./test_harness');
+
+function command(fullName) {
+    const found = COMMANDS.find(c => (c.group ? `${c.group} ${c.name}` : c.name) === fullName);
+    assert.ok(found, `未登记的命令: ${fullName}`);
+    return found;
+}
+
+/**
+ * 按命令行转换成脚本参数 (不读取配置文件)
+ */
+function invoke(argv, commandConfig = {}) {
+    const parsed = parseArgs(argv);
+    return buildInvocation(parsed.command, parsed.rest, parsed.options, commandConfig);
+}
+
+// ---------------------------------------------------------
+// 全局选项转换表: [说明, 命令行, 期望 (args / input / warnings / error)]
+// ---------------------------------------------------------
+
+const INVOCATIONS = [
+    // --dry-run 原样传给脚本
+    ['--dry-run: 传给脚本', ['music', 'split', '/M', '--dry-run'], { args: ['/M', '--dry-run'], input: null }],
+    ['--dry-run: dupes 的 --review 会移动文件，传给脚本', ['music', 'dupes', '/M', '--review', '--dry-run'],
+        { args: ['/M', '--review', '--dry-run'], input: null }],
+    ['--dry-run: undo 传给脚本，不再传 -y', ['undo', '--last', '--dry-run', '-y'], { args: ['--last', '--dry-run'] }],
+
+    // confirm: 预览时自动回答 n
+    ['confirm: 预览时输入 n', ['music', 'covers', '/M', '--dry-run'], { args: ['/M'], input: 'n\n' }],
+    ['confirm: -y 转换为脚本的 -y', ['music', 'covers', '/M', '--yes'], { args: ['/M', '-y'], input: null }],
+    ['confirm: --apply 与 -y 相同', ['music', 'tags', '/M', '--apply'], { args: ['/M', '-y'] }],
+    ['confirm: --dry-run 优先于 -y', ['music', 'mirror', '/M', '/Car', '-y', '--dry-run'], { args: ['/M', '/Car'], input: 'n\n' }],
+
+    // readonly: 脚本本身不修改文件
+    ['readonly: 不传参数也不输入', ['music', 'versions', '/M', '--dry-run'], { args: ['/M'], input: null }],
+    ['readonly: 没有确认步骤时忽略 -y', ['music', 'versions', '/M', '-y'], { args: ['/M'] }],
+
+    // 不支持 --dry-run 的命令
+    ['不支持: --dry-run 报错', ['photo', 'dates', '/P', '--dry-run'], { error: /不支持 --dry-run/ }],
+    ['不支持: 其他选项照常', ['photo', 'dates', '/P'], { args: ['/P'], input: null, warnings: [] }],
+
+    // --limit 按各脚本的参数名转换
+    ['--limit: 转换为 --limit', ['music', 'covers', '/M', '--limit', '5'], { args: ['/M', '--limit', '5'] }],
+    ['--limit: 转换为 -n', ['music', 'hot', '-a', '周杰伦', '--limit', '5'], { args: ['-a', '周杰伦', '-n', '5'] }],
+    ['--limit: 不支持时忽略并提示', ['music', 'versions', '/M', '--limit', '5'],
+        { args: ['/M'], warnings: ['jstools music versions 不支持 --limit，已忽略'] }],
+
+    // --json 只传给支持的命令
+    ['--json: 传给脚本', ['music', 'hot', '-c', '华语', '--json'], { args: ['-c', '华语', '--json'] }],
+    ['--json: 不支持时报错', ['music', 'covers', '/M', '--json'], { error: /不支持 --json/ }],
+    ['--json: readonly 命令传给脚本', ['music', 'audit', '/M', '--json'], { args: ['/M', '--json'], input: null }],
+    ['--json: dupes 暂不支持', ['music', 'dupes', '/M', '--json'], { error: /不支持 --json/ }],
+
+    // 子命令自己的同名选项原样传给脚本
+    ['同名选项: playlist 的 -y 是年代', ['music', 'playlist', '-y', '1990-1999', '--limit', '3'], { args: ['-y', '1990-1999', '--limit', '3'] }]
+];
+
+async function run() {
+    console.log('🧪 jstools 命令行测试:\n');
+
+    await test('解析: 子命令、位置参数和全局选项', () => {
+        const parsed = parseArgs(['--limit', '5', 'music', 'covers', '/M', '--overwrite', '-v']);
+        assert.strictEqual(parsed.command, command('music covers'));
+        assert.deepStrictEqual(parsed.options, { limit: 5, verbose: true });
+        assert.deepStrictEqual(parsed.rest, ['/M', '--overwrite']);
+
+        assert.deepStrictEqual(parseArgs(['undo', '--', '--dry-run']).rest, ['--dry-run']);
+        assert.strictEqual(parseArgs(['music']).group, 'music');
+        assert.strictEqual(parseArgs(['music', 'nope']).unknown, 'nope');
+        assert.strictEqual(parseArgs(['nope']).unknown, 'nope');
+    });
+
+    await test('解析: --limit 需要正整数，带值的选项缺少值时报错', () => {
+        assert.throws(() => parseArgs(['music', 'covers', '--limit', '0']), /--limit 需要正整数/);
+        assert.throws(() => parseArgs(['music', 'covers', '--limit', 'abc']), /--limit 需要正整数/);
+        assert.throws(() => parseArgs(['music', 'covers', '--config']), /--config 需要一个值/);
+        assert.throws(() => parseArgs(['music', 'covers', '--limit', '-y']), /--limit 需要一个值/);
+    });
+
+    for (const [name, argv, expected] of INVOCATIONS) {
+        await test(`转换 ${name}`, () => {
+            if (expected.error) {
+                assert.throws(() => invoke(argv), expected.error);
+                return;
+            }
+            const result = invoke(argv);
+            assert.deepStrictEqual(result.args, expected.args);
+            if ('input' in expected) assert.strictEqual(result.input, expected.input);
+            if ('warnings' in expected) assert.deepStrictEqual(result.warnings, expected.warnings);
+        });
+    }
+
+    await test('转换: --verbose 通过环境变量传给脚本', () => {
+        assert.deepStrictEqual(invoke(['music', 'covers', '/M', '-v']).env, { JSTOOLS_VERBOSE: '1' });
+        assert.deepStrictEqual(invoke(['music', 'covers', '/M']).env, {});
+    });
+
+    await test('配置: 没有给目录时使用默认目录，额外参数追加在后面', () => {
+        const config = { dir: '/Volumes/Music', args: ['--overwrite'] };
+        assert.deepStrictEqual(invoke(['music', 'covers'], config).args, ['/Volumes/Music', '--overwrite']);
+        assert.deepStrictEqual(invoke(['music', 'covers', '/M'], config).args, ['/M', '--overwrite']);
+        assert.deepStrictEqual(invoke(['music', 'hot', '-a', '周杰伦'], config).args, ['-a', '周杰伦', '--overwrite']);
+    });
+
+    await test('配置: 优先级为 命令行 > 该命令的配置 > 顶层配置', () => {
+        const config = { verbose: true, limit: 10, commands: { 'music covers': { limit: 20, yes: true, dir: '/M' } } };
+        const covers = command('music covers');
+
+        const fromConfig = resolveOptions(covers, {}, config);
+        assert.deepStrictEqual(fromConfig.options, { yes: true, limit: 20, verbose: true });
+        assert.strictEqual(fromConfig.commandConfig.dir, '/M');
+
+        assert.deepStrictEqual(resolveOptions(covers, { limit: 5, dryRun: true }, config).options,
+            { dryRun: true, yes: true, limit: 5, verbose: true });
+        assert.deepStrictEqual(resolveOptions(command('music lyrics'), {}, config).options, { limit: 10, verbose: true });
+    });
+
+    await test('配置: 指定的配置文件不存在或格式错误时报错', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jstools-cli-'));
+        try {
+            const file = path.join(dir, 'config.json');
+            assert.throws(() => loadConfig(file), /配置文件不存在/);
+            fs.writeFileSync(file, '{ "verbose": true, }');
+            assert.throws(() => loadConfig(file), /配置文件格式错误/);
+            fs.writeFileSync(file, '{ "verbose": true }');
+            assert.deepStrictEqual(loadConfig(file), { verbose: true });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    finish();
+}
+
+run();
@@ -0,0 +1,176 @@
+/**
+ * 封面图片测试
+ * 用手工构造的 JPEG/PNG 覆盖分辨率/格式/EXIF/完整性检查和不重新编码的 EXIF 去除，用像素数组覆盖感知哈希 (不需要 ffmpeg)
+ * 使用方法:
+ *    node test_cover_image.js
+ */
+
+const assert = require('assert');
+const {
+    inspectImage, coverProblems, describeProblems, fitSize, stripJpegMetadata, normalizeCover, describeChanges,
+    HASH_THRESHOLD, dHash, hashDistance, isBlankHash, groupByHash
+} = require('./scripts/music/lib/cover_image');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试图片生成
+// ---------------------------------------------------------
+
+function segment(marker, payload) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * JPEG: SOI + APP0 (JFIF) + [APP1 (EXIF)] + [APP2 (ICC)] + SOF + SOS + 扫描数据 + EOI
+ */
+function makeJpeg(width, height, { progressive = false, exif = false, icc = false, eoi = true } = {}) {
+    const sof = Buffer.from([0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03,
+        0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01]);
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        exif ? segment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), Buffer.alloc(64, 0x11)])) : Buffer.alloc(0),
+        icc ? segment(0xe2, Buffer.concat([Buffer.from('ICC_PROFILE\0', 'latin1'), Buffer.alloc(32, 0x22)])) : Buffer.alloc(0),
+        segment(progressive ? 0xc2 : 0xc0, sof),
+        segment(0xda, Buffer.from([0x01, 0x01, 0x00, 0x00, 0x3f, 0x00])),
+        Buffer.alloc(200, 0x55),
+        eoi ? Buffer.from([0xff, 0xd9]) : Buffer.alloc(0)
+    ]);
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * PNG: 签名 + IHDR + IDAT + [IEND] (不校验 CRC)
+ */
+function makePng(width, height, { iend = true } = {}) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 6;
+    return Buffer.concat([
+        Buffer.from('89504e470d0a1a0a', 'hex'),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', Buffer.alloc(100, 0x33)),
+        iend ? pngChunk('IEND', Buffer.alloc(0)) : Buffer.alloc(0)
+    ]);
+}
+
+async function run() {
+    console.log('🧪 封面图片测试:\n');
+
+    await test('检查: 读出 JPEG 尺寸、渐进式和 EXIF', () => {
+        const baseline = inspectImage(makeJpeg(1000, 800));
+        assert.deepStrictEqual(
+            { type: baseline.type, width: baseline.width, height: baseline.height, progressive: baseline.progressive, exif: baseline.exif },
+            { type: 'jpg', width: 1000, height: 800, progressive: false, exif: false }
+        );
+        const progressive = inspectImage(makeJpeg(600, 600, { progressive: true, exif: true }));
+        assert.strictEqual(progressive.progressive, true);
+        assert.strictEqual(progressive.exif, true);
+        // ICC 色彩配置不算 EXIF
+        assert.strictEqual(inspectImage(makeJpeg(600, 600, { icc: true })).exif, false);
+        assert.strictEqual(inspectImage(makePng(500, 500)).type, 'png');
+    });
+
+    await test('检查: 截断、无法识别的图片视为损坏', () => {
+        assert.strictEqual(inspectImage(makeJpeg(600, 600, { eoi: false })), null);
+        assert.strictEqual(inspectImage(makePng(600, 600, { iend: false })), null);
+        assert.strictEqual(inspectImage(Buffer.from('not an image at all')), null);
+        assert.strictEqual(inspectImage(Buffer.alloc(0)), null);
+        assert.strictEqual(inspectImage(null), null);
+        // SOF 段长度超出文件
+        assert.strictEqual(inspectImage(makeJpeg(600, 600).subarray(0, 40)), null);
+    });
+
+    await test('问题: 过低、过大、非 JPEG、渐进式、EXIF', () => {
+        const options = { minSize: 300, maxSize: 1000 };
+        assert.deepStrictEqual(coverProblems(null, options), ['corrupt']);
+        assert.deepStrictEqual(coverProblems(inspectImage(makeJpeg(800, 800)), options), []);
+        assert.deepStrictEqual(coverProblems(inspectImage(makeJpeg(200, 600)), options), ['small']);
+        assert.deepStrictEqual(coverProblems(inspectImage(makePng(3000, 3000)), options), ['large', 'format']);
+        assert.deepStrictEqual(coverProblems(inspectImage(makeJpeg(800, 800, { progressive: true, exif: true })), options),
+            ['progressive', 'exif']);
+        // maxSize 为 0 时不限制
+        assert.deepStrictEqual(coverProblems(inspectImage(makeJpeg(3000, 3000)), { minSize: 300, maxSize: 0 }), []);
+
+        const info = inspectImage(makePng(3000, 3000));
+        assert.strictEqual(describeProblems(['large', 'format'], info), '分辨率过高 3000x3000、PNG 格式');
+        assert.strictEqual(describeChanges(['large', 'format'], info, fitSize(3000, 3000, 1000)), '缩小到 1000x1000、PNG 转 JPEG');
+        assert.strictEqual(describeProblems(['corrupt'], null), '损坏');
+    });
+
+    await test('缩小: 长边不超过最大值，保持比例', () => {
+        assert.deepStrictEqual(fitSize(3000, 3000, 1000), { width: 1000, height: 1000 });
+        assert.deepStrictEqual(fitSize(1600, 1200, 1000), { width: 1000, height: 750 });
+        assert.deepStrictEqual(fitSize(800, 600, 1000), { width: 800, height: 600 });
+        assert.deepStrictEqual(fitSize(3000, 2000, 0), { width: 3000, height: 2000 });
+    });
+
+    await test('EXIF: 删除 APP1 段，保留 JFIF/ICC 和图像数据', () => {
+        const original = makeJpeg(800, 800, { exif: true, icc: true });
+        const stripped = stripJpegMetadata(original);
+        assert.ok(stripped.length < original.length);
+        const info = inspectImage(stripped);
+        assert.strictEqual(info.exif, false);
+        assert.strictEqual(info.width, 800);
+        assert.ok(stripped.includes(Buffer.from('ICC_PROFILE', 'latin1')));
+        assert.ok(stripped.subarray(stripped.length - 202).equals(original.subarray(original.length - 202)));
+
+        const clean = makeJpeg(800, 800);
+        assert.strictEqual(stripJpegMetadata(clean), clean);
+    });
+
+    await test('规范化: 只需要去除 EXIF 时不调用 ffmpeg，损坏的图片报错', () => {
+        const cover = normalizeCover(makeJpeg(800, 800, { exif: true }), { maxSize: 1000 });
+        assert.deepStrictEqual(cover.changes, ['exif']);
+        assert.strictEqual(cover.mime, 'image/jpeg');
+        assert.strictEqual(inspectImage(cover.data).exif, false);
+
+        const clean = makeJpeg(800, 800);
+        const unchanged = normalizeCover(clean, { maxSize: 1000 });
+        assert.deepStrictEqual(unchanged.changes, []);
+        assert.strictEqual(unchanged.data, clean);
+
+        assert.throws(() => normalizeCover(Buffer.from('broken')), /损坏/);
+    });
+
+    await test('感知哈希: 相邻像素比较、汉明距离和分组', () => {
+        // 9x8 像素: 从左到右变暗 → 全 1；变亮 → 全 0
+        const darker = Buffer.from(Array.from({ length: 72 }, (_, i) => 255 - (i % 9) * 10));
+        const brighter = Buffer.from(Array.from({ length: 72 }, (_, i) => (i % 9) * 10));
+        assert.strictEqual(dHash(darker), 'ffffffffffffffff');
+        assert.strictEqual(dHash(brighter), '0000000000000000');
+        assert.strictEqual(hashDistance('ffffffffffffffff', '0000000000000000'), 64);
+        assert.strictEqual(hashDistance('ffffffffffffffff', 'fffffffffffffff0'), 4);
+
+        // 压缩造成的少量差异仍归为同一组，组按大小排序
+        const covers = [
+            { name: 'a', hash: '0000000000000000' },
+            { name: 'b', hash: 'ffffffffffffffff' },
+            { name: 'c', hash: '000000000000000f' },
+            { name: 'd', hash: 'fffffffffffffff0' },
+            { name: 'e', hash: '00000000000000ff' }
+        ];
+        assert.ok(hashDistance(covers[0].hash, covers[4].hash) <= HASH_THRESHOLD);
+        const groups = groupByHash(covers, c => c.hash);
+        assert.deepStrictEqual(groups.map(g => g.map(c => c.name)), [['a', 'c', 'e'], ['b', 'd']]);
+        assert.strictEqual(groupByHash(covers, c => c.hash, 0).length, 5);
+
+        // 纯色图片: 相邻像素相同
+        assert.strictEqual(isBlankHash(dHash(Buffer.alloc(72, 128))), true);
+        assert.strictEqual(isBlankHash('0000000000000003'), true);
+        assert.strictEqual(isBlankHash(dHash(darker)), false);
+    });
+
+    finish();
+}
+
+run();
@@ -0,0 +1,108 @@
+/**
+ * 整库重复检测测试
+ * 覆盖歌手目录识别、合唱歌曲按合作歌手合并、歌手按完整名称匹配，以及只报告跨歌手目录的语义重复
+ * 使用方法:
+ *    node test_duplicate_library.js
+ */
+
+const assert = require('assert');
+const {
+    getArtistDir, describeSong, assignSongIds, spansArtistDirs, groupSemanticDuplicates
+} = require('./scripts/music/check_duplicates_enhanced');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试数据
+// ---------------------------------------------------------
+
+const ROOT = '/Music';
+
+/**
+ * 按整库模式生成文件信息 (与 check_duplicates_enhanced.js 的预处理一致)
+ */
+function libraryFiles(paths, artistDepth = 1) {
+    const fileInfos = paths.map(p => ({
+        path: p,
+        ...describeSong(p, { libraryMode: true, targetDir: ROOT, artistDepth, dirArtist: null })
+    }));
+    assignSongIds(fileInfos);
+    return fileInfos;
+}
+
+function groupNames(groups) {
+    return groups.map(g => g.files.map(f => f.path).sort());
+}
+
+async function run() {
+    console.log('🧪 整库重复检测测试:\n');
+
+    await test('歌手目录: 取第 N 级子目录，层级较浅时取最深一级，根目录文件没有默认歌手', () => {
+        assert.deepStrictEqual(getArtistDir('/Music/周杰伦/叶惠美/晴天.flac', ROOT, 1), { dir: '/Music/周杰伦', artist: '周杰伦' });
+        assert.deepStrictEqual(getArtistDir('/Music/华语/周杰伦/叶惠美/晴天.flac', ROOT, 2), { dir: '/Music/华语/周杰伦', artist: '周杰伦' });
+        assert.deepStrictEqual(getArtistDir('/Music/周杰伦/晴天.flac', ROOT, 2), { dir: '/Music/周杰伦', artist: '周杰伦' });
+        assert.deepStrictEqual(getArtistDir('/Music/晴天.flac', ROOT, 1), { dir: ROOT, artist: null });
+    });
+
+    await test('跨歌手目录: 合唱歌曲与合作歌手目录中的同一首归为一组并报告', () => {
+        const files = libraryFiles([
+            '/Music/周杰伦/周杰伦&费玉清 - 千里之外.flac',
+            '/Music/费玉清/千里之外.mp3',
+            '/Music/精选集/费玉清 - 千里之外.mp3'
+        ]);
+        assert.strictEqual(new Set(files.map(f => f.songId)).size, 1);
+
+        const groups = groupSemanticDuplicates(files, [], true);
+        assert.deepStrictEqual(groupNames(groups), [files.map(f => f.path).sort()]);
+        assert.ok(spansArtistDirs(groups[0].files));
+        assert.ok(groups[0].key.endsWith('|千里之外'));
+    });
+
+    await test('不相关的歌曲: 同名不同歌手、不同歌名的文件不分组', () => {
+        const files = libraryFiles([
+            '/Music/周杰伦/晴天.flac',
+            '/Music/孙燕姿/晴天.flac',
+            '/Music/周杰伦/七里香.flac',
+            '/Music/费玉清/一剪梅.flac'
+        ]);
+        assert.strictEqual(new Set(files.map(f => f.songId)).size, 4);
+        assert.deepStrictEqual(groupSemanticDuplicates(files, [], true), []);
+    });
+
+    await test('不相关的歌曲: 歌手名只是部分相同或含字母 x 时不算同一歌手', () => {
+        const pairs = [
+            ['/Music/Max/Max - Sorry.mp3', '/Music/Maroon 5/Maroon 5 - Sorry.mp3'],
+            ['/Music/Rex Orange County/Rex Orange County - Hello.mp3', '/Music/Foreigner/Foreigner - Hello.mp3'],
+            ['/Music/陈/陈 - 爱.flac', '/Music/陈奕迅/陈奕迅 - 爱.flac']
+        ];
+        pairs.forEach(paths => {
+            const files = libraryFiles(paths);
+            assert.notStrictEqual(files[0].songId, files[1].songId, paths.join(' / '));
+            assert.deepStrictEqual(groupSemanticDuplicates(files, [], true), []);
+        });
+    });
+
+    await test('同一歌手目录内的重复不在整库模式中报告，单目录模式照常报告', () => {
+        const paths = ['/Music/周杰伦/叶惠美/晴天.flac', '/Music/周杰伦/精选/周杰伦 - 晴天.mp3'];
+        const files = libraryFiles(paths);
+        assert.strictEqual(files[0].songId, files[1].songId);
+        assert.ok(!spansArtistDirs(files));
+        assert.deepStrictEqual(groupSemanticDuplicates(files, [], true), []);
+
+        const single = paths.map(p => ({
+            path: p,
+            ...describeSong(p, { libraryMode: false, targetDir: '/Music/周杰伦', artistDepth: 1, dirArtist: '周杰伦' })
+        }));
+        single.forEach(f => { f.songId = f.key; });
+        assert.deepStrictEqual(groupNames(groupSemanticDuplicates(single, [], false)), [paths.slice().sort()]);
+    });
+
+    await test('完全重复: 组内文件都属于同一组完全重复时不再作为语义重复报告', () => {
+        const files = libraryFiles(['/Music/周杰伦/晴天.flac', '/Music/精选集/周杰伦 - 晴天.flac']);
+        assert.deepStrictEqual(groupSemanticDuplicates(files, [{ hash: 'a', files }], true), []);
+        assert.strictEqual(groupSemanticDuplicates(files, [], true).length, 1);
+    });
+
+    finish();
+}
+
+run();
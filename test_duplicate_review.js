@@ -0,0 +1,176 @@
+/**
+ * 重复文件审阅测试
+ * 覆盖终端宽度计算、文件信息并排显示、按键选择 (推荐、跳过、返回、冲突检测) 和管道输入
+ * 使用方法:
+ *    node test_duplicate_review.js
+ */
+
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const {
+    displayWidth, fitWidth, formatAudio, describeFile, renderGroup, createKeyReader, reviewGroups
+} = require('./scripts/music/lib/duplicate_review');
+const { test, finish } = require('./test_harness');
+
+const MB = 1024 * 1024;
+
+const FLAC = { path: '/Music/周杰伦/晴天.flac', size: 30 * MB, lrcPath: '/Music/周杰伦/晴天.lrc' };
+const MP3 = { path: '/Music/周杰伦/mp3/周杰伦 - 晴天.mp3', size: 10 * MB, lrcPath: null };
+const LIVE = { path: '/Music/周杰伦/晴天 (Live).mp3', size: 12 * MB, lrcPath: null };
+const WAV = { path: '/Music/周杰伦/wav/晴天.wav', size: 45 * MB, lrcPath: null };
+
+const DETAILS = {
+    [FLAC.path]: {
+        tags: { title: '晴天', artist: '周杰伦', album: '叶惠美' },
+        format: { lossless: true, bitsPerSample: 24, sampleRate: 96000, duration: 269.4 },
+        cover: true,
+        lyrics: true
+    },
+    [MP3.path]: {
+        tags: { title: '晴天', artist: '周杰伦', album: '' },
+        format: { lossless: false, bitrate: 320000, duration: 269 },
+        cover: false,
+        lyrics: false
+    },
+    [LIVE.path]: null,
+    [WAV.path]: null
+};
+
+/**
+ * 按顺序返回预设按键
+ */
+function scriptedKeys(keys) {
+    return { next: async () => keys.shift() || 'q', close: () => {} };
+}
+
+function review(groups, keys) {
+    const output = [];
+    return reviewGroups(groups, {
+        keys: scriptedKeys(keys),
+        targetDir: '/Music/周杰伦',
+        loadDetails: async f => DETAILS[f.path],
+        print: line => output.push(line)
+    }).then(status => ({ status, output: output.join('\n') }));
+}
+
+async function run() {
+    console.log('🧪 重复文件审阅测试:\n');
+
+    await test('显示: 中文和 emoji 按 2 列计算，超长时截断', () => {
+        assert.strictEqual(displayWidth('晴天 Live'), 9);
+        assert.strictEqual(displayWidth('✅'), 2);
+        assert.strictEqual(fitWidth('晴天', 6), '晴天  ');
+        assert.strictEqual(fitWidth('周杰伦 - 晴天', 8), '周杰伦 …');
+        assert.strictEqual(displayWidth(fitWidth('周杰伦 - 晴天', 8)), 8);
+    });
+
+    await test('显示: 无损显示位深和采样率，有损显示码率', () => {
+        assert.strictEqual(formatAudio(FLAC.path, DETAILS[FLAC.path].format), 'FLAC 24bit/96kHz');
+        assert.strictEqual(formatAudio(MP3.path, DETAILS[MP3.path].format), 'MP3 320kbps');
+        assert.strictEqual(formatAudio(LIVE.path, null), 'MP3');
+    });
+
+    await test('显示: 文件信息包含目录、时长、标签、封面和歌词来源', () => {
+        const rows = new Map(describeFile(FLAC, DETAILS[FLAC.path], '/Music/周杰伦'));
+        assert.strictEqual(rows.get('目录'), '.');
+        assert.strictEqual(rows.get('时长'), '4:29');
+        assert.strictEqual(rows.get('大小'), '30.00MB');
+        assert.strictEqual(rows.get('专辑'), '叶惠美');
+        assert.strictEqual(rows.get('封面'), '✅');
+        assert.strictEqual(rows.get('歌词'), '内嵌 + LRC');
+        assert.strictEqual(rows.get('频谱'), '-');
+
+        const fake = { ...FLAC, spectrum: { cutoff: 16000, nyquist: 48000, drop: 60 } };
+        const withCover = { ...DETAILS[FLAC.path], coverSize: { width: 1000, height: 1000 } };
+        const fakeRows = new Map(describeFile(fake, withCover, '/Music/周杰伦'));
+        assert.strictEqual(fakeRows.get('频谱'), '⚠️ 有损转码 16.0kHz');
+        assert.strictEqual(fakeRows.get('封面'), '✅ 1000×1000');
+
+        const unknown = new Map(describeFile(LIVE, null, '/Music'));
+        assert.strictEqual(unknown.get('目录'), '周杰伦');
+        assert.strictEqual(unknown.get('标题'), '-');
+        assert.strictEqual(unknown.get('歌词'), '❌');
+    });
+
+    await test('显示: 多个文件并排对齐，标出推荐和已移除的文件', () => {
+        const files = [FLAC, MP3];
+        const described = files.map(f => describeFile(f, DETAILS[f.path], '/Music/周杰伦'));
+        const lines = renderGroup({ type: 'semantic', title: '周杰伦 - 晴天', files }, described, {
+            index: 2, total: 5, columns: 80, removed: new Set([FLAC.path]), recommended: 1
+        });
+        assert.ok(lines.includes('[2/5] 🎵 语义重复: 周杰伦 - 晴天 (2 首)'));
+        assert.ok(lines.some(line => line.includes('[1] (已移除)') && line.includes('[2] ⭐推荐')));
+
+        const formatLine = lines.find(line => line.startsWith('格式'));
+        assert.strictEqual(displayWidth(formatLine.slice(0, formatLine.indexOf('MP3'))), 8 + 36);
+    });
+
+    await test('选择: 数字键保留对应文件，回车采用推荐，s 跳过', async () => {
+        const groups = [
+            { type: 'semantic', title: '晴天', files: [FLAC, MP3] },
+            { type: 'semantic', title: '晴天', files: [MP3, LIVE] },
+            { type: 'fingerprint', title: '晴天', files: [FLAC, LIVE], similarity: 0.93 }
+        ];
+        const { status } = await review(groups, ['2', 's', 'enter']);
+        assert.strictEqual(status, 'done');
+        assert.deepStrictEqual(groups.map(g => g.keeper), [1, -1, 1]);
+    });
+
+    await test('选择: 推荐和可选文件跳过前面已选择移除的文件', async () => {
+        const groups = [
+            { type: 'exact', title: '晴天', files: [FLAC, MP3] },
+            { type: 'semantic', title: '晴天', files: [MP3, FLAC, LIVE] }
+        ];
+        const { output } = await review(groups, ['enter', '1', 'x', 'enter']);
+        assert.ok(output.includes('该文件已在前面的组中选择移除'));
+        assert.ok(output.includes('无效按键: x'));
+        assert.deepStrictEqual(groups.map(g => g.keeper), [0, 1]);
+    });
+
+    await test('选择: 不能移除前面的组中选择保留的文件，没有可选文件时回车跳过本组', async () => {
+        const groups = [
+            { type: 'exact', title: '晴天', files: [FLAC, MP3] },
+            { type: 'fingerprint', title: '晴天', files: [FLAC, LIVE], similarity: 0.93 },
+            { type: 'semantic', title: '晴天', files: [LIVE, WAV] },
+            { type: 'semantic', title: '晴天', files: [MP3, FLAC, WAV] }
+        ];
+        const { status, output } = await review(groups, ['enter', '2', 'enter', 'enter', 'enter']);
+        assert.strictEqual(status, 'done');
+        assert.ok(output.includes('会移除前面的组中选择保留的 晴天.flac'));
+        assert.ok(output.includes('没有可保留的文件'));
+        assert.strictEqual(output.split('⭐推荐').length - 1, 3);
+        assert.deepStrictEqual(groups.map(g => g.keeper), [0, 0, 1, -1]);
+
+        // 各组保留的文件都不会被其他组移除
+        const removed = new Set();
+        groups.filter(g => g.keeper >= 0).forEach(g => g.files.forEach((f, k) => { if (k !== g.keeper) removed.add(f.path); }));
+        groups.filter(g => g.keeper >= 0).forEach(g => assert.ok(!removed.has(g.files[g.keeper].path)));
+    });
+
+    await test('选择: b 返回上一组重新选择，q 结束，Ctrl+C 放弃', async () => {
+        const groups = [
+            { type: 'semantic', title: '晴天', files: [FLAC, MP3] },
+            { type: 'semantic', title: '晴天', files: [FLAC, LIVE] },
+            { type: 'semantic', title: '晴天', files: [MP3, LIVE] }
+        ];
+        const { status } = await review(groups, ['enter', 'b', '2', 'q']);
+        assert.strictEqual(status, 'quit');
+        assert.deepStrictEqual(groups.map(g => g.keeper), [1, undefined, undefined]);
+
+        const aborted = await review([{ type: 'exact', title: '晴天', files: [FLAC, MP3] }], ['ctrl-c']);
+        assert.strictEqual(aborted.status, 'abort');
+    });
+
+    await test('按键: 管道输入每行一个按键，空行为回车，输入结束为 q', async () => {
+        const input = new PassThrough();
+        const keys = createKeyReader(input);
+        input.end('2\n\nS\n');
+        assert.deepStrictEqual([await keys.next(), await keys.next(), await keys.next(), await keys.next()],
+            ['2', 'enter', 's', 'q']);
+        keys.close();
+    });
+
+    finish();
+}
+
+run();
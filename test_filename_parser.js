@@ -0,0 +1,107 @@
+/**
+ * 文件名解析器测试语料
+ * 歌手名取自 batch_query_serial.log / organize_hot_songs*.log 中的真实目录名，
+ * 文件名格式取自音乐库中常见的命名方式
+ * 使用方法:
+ *    node test_filename_parser.js
+ */
+
+const assert = require('assert');
+const { parseFileName } = require('./scripts/music/lib/filename_parser');
+const { test, finish } = require('./test_harness');
+
+// [文件名, 选项, 期望结果 (只比较列出的字段)]
+const CASES = [
+    // 标准格式
+    ['周杰伦 - 晴天.flac', {}, { artist: '周杰伦', title: '晴天', confidence: 0.95 }],
+    ['五月天 - 倔强.mp3', {}, { artist: '五月天', title: '倔强' }],
+    ['二手玫瑰 - 允许部分艺术家先富起来.flac', {}, { artist: '二手玫瑰', title: '允许部分艺术家先富起来', confidence: 0.8 }],
+    ['蔡健雅 - 红色高跟鞋.flac', {}, { artist: '蔡健雅', title: '红色高跟鞋' }],
+    ['万能青年旅店 – 杀死那个石家庄人.flac', {}, { artist: '万能青年旅店', title: '杀死那个石家庄人' }],
+
+    // 歌手名本身含括号、点号、空格
+    ['周延 (GAI) - 天干物燥.flac', {}, { artist: '周延 (GAI)', title: '天干物燥', versions: [] }],
+    ['VH (Vast & Hazy) - 时间的风.flac', {}, { artist: 'VH (Vast & Hazy)', title: '时间的风', featuring: [] }],
+    ['F.I.R.飞儿乐团 - 你的微笑.mp3', {}, { artist: 'F.I.R.飞儿乐团', title: '你的微笑' }],
+    ['F.I.R.飞儿乐团 - 你的微笑', {}, { artist: 'F.I.R.飞儿乐团', title: '你的微笑' }],
+    ['S.H.E - 恋人未满.flac', {}, { artist: 'S.H.E', title: '恋人未满', confidence: 0.95 }],
+    ['C.S.B.Q - 答案.mp3', {}, { artist: 'C.S.B.Q', title: '答案' }],
+    ['Gareth.T - 勁浪漫 超溫馨.flac', {}, { artist: 'Gareth.T', title: '勁浪漫 超溫馨' }],
+    ['TANK 吕建忠 - 如果我变成回忆.flac', {}, { artist: 'TANK 吕建忠', title: '如果我变成回忆' }],
+    ['Crispy脆乐团 - 小幸运.mp3', {}, { artist: 'Crispy脆乐团', title: '小幸运' }],
+    ['吳若希 - 越難越愛.flac', {}, { artist: '吳若希', title: '越難越愛' }],
+
+    // 曲目编号 / 碟片编号
+    ['01. 周杰伦 - 七里香.flac', {}, { artist: '周杰伦', title: '七里香', trackNumber: 1, discNumber: null }],
+    ['03 - 陈奕迅 - 十年.mp3', {}, { artist: '陈奕迅', title: '十年', trackNumber: 3 }],
+    ['07.曾经的你.flac', { defaultArtist: '许巍' }, { artist: '许巍', title: '曾经的你', trackNumber: 7 }],
+    ['1-05 张学友 - 吻别.flac', {}, { artist: '张学友', title: '吻别', trackNumber: 5, discNumber: 1 }],
+    ['[12] 邓丽君 - 甜蜜蜜.ape', {}, { artist: '邓丽君', title: '甜蜜蜜', trackNumber: 12 }],
+    ['/Music/华语精选/CD10/蔡健雅 - 红色高跟鞋.flac', {}, { artist: '蔡健雅', discNumber: 10 }],
+    ['2002年的第一场雪.mp3', { defaultArtist: '刀郎' }, { artist: '刀郎', title: '2002年的第一场雪', trackNumber: null }],
+    ['05 红豆.flac', { defaultArtist: '王菲' }, { artist: '王菲', title: '红豆', trackNumber: 5 }],
+    ['99 Problems.mp3', {}, { title: '99 Problems', trackNumber: null }],
+    ['17岁.flac', { defaultArtist: '刘德华' }, { title: '17岁', trackNumber: null }],
+
+    // 歌名 - 歌手 格式
+    ['晴天 - 周杰伦.flac', {}, { artist: '周杰伦', title: '晴天' }],
+    ['光年之外 - 邓紫棋.mp3', {}, { artist: '邓紫棋', title: '光年之外' }],
+    ['如果我变成回忆 - TANK 吕建忠.flac', { defaultArtist: 'TANK 吕建忠' }, { artist: 'TANK 吕建忠', title: '如果我变成回忆' }],
+    ['夜曲 (周杰伦).mp3', {}, { artist: '周杰伦', title: '夜曲' }],
+
+    // 版本标记
+    ['Beyond - 海阔天空 (Live).flac', {}, { artist: 'Beyond', title: '海阔天空', versions: ['Live'] }],
+    ['Beyond - 海阔天空 [Remastered].flac', {}, { title: '海阔天空', versions: ['Remastered'] }],
+    ['齐秦 - 大约在冬季 (2005版).flac', {}, { title: '大约在冬季', versions: ['2005版'] }],
+    ['陈奕迅 - 富士山下 (粤语版)(Live).flac', {}, { title: '富士山下', versions: ['粤语版', 'Live'] }],
+    ['李宗盛 - 山丘 - Live.mp3', {}, { artist: '李宗盛', title: '山丘', versions: ['Live'] }],
+    ['我是愤怒-伴奏.mp3', {}, { title: '我是愤怒', versions: ['伴奏'], artist: null }],
+    ['张学友 - 吻别 (无损).flac', {}, { title: '吻别', versions: [] }],
+    ['周深 - 大鱼 (电影《大鱼海棠》印象曲).flac', {}, { artist: '周深', title: '大鱼', versions: ['电影《大鱼海棠》印象曲'] }],
+
+    // 以版本关键词开头的歌名不是版本标记
+    ['Imagine Dragons - Demons.mp3', {}, { artist: 'Imagine Dragons', title: 'Demons', versions: [] }],
+    ['Oasis - Live Forever.flac', {}, { artist: 'Oasis', title: 'Live Forever', versions: [] }],
+    ['Bruce Springsteen - Cover Me.mp3', {}, { artist: 'Bruce Springsteen', title: 'Cover Me', versions: [] }],
+    ['Maroon 5 - Versions.mp3', {}, { artist: 'Maroon 5', title: 'Versions', versions: [] }],
+    ['Taylor Swift - Mixed Signals.mp3', {}, { artist: 'Taylor Swift', title: 'Mixed Signals', versions: [] }],
+    ['五月天 - 完整的我.flac', {}, { artist: '五月天', title: '完整的我', versions: [] }],
+    ['Oasis - Live Forever - Live.flac', {}, { artist: 'Oasis', title: 'Live Forever', versions: ['Live'] }],
+    ['Beyond - 海阔天空 (Live at 红馆).flac', {}, { title: '海阔天空', versions: ['Live at 红馆'] }],
+
+    // 合作歌手
+    ['周杰伦 - 千里之外 (feat. 费玉清).flac', {}, { artist: '周杰伦', title: '千里之外', featuring: ['费玉清'] }],
+    ['林俊杰 - 被风吹过的夏天 (Feat. 金莎).mp3', {}, { title: '被风吹过的夏天', featuring: ['金莎'] }],
+    ['Taylor Swift - Exile feat. Bon Iver.mp3', {}, { artist: 'Taylor Swift', title: 'Exile', featuring: ['Bon Iver'] }],
+    ['周杰伦 feat. 杨瑞代 - 爸我回来了.flac', {}, { artist: '周杰伦', featuring: ['杨瑞代'] }],
+    ['周杰伦&费玉清 - 千里之外.flac', { defaultArtist: '费玉清' }, { artist: '周杰伦&费玉清', title: '千里之外', confidence: 0.95 }],
+
+    // 无空格分隔符
+    ['周杰伦-晴天.flac', {}, { artist: '周杰伦', title: '晴天', confidence: 0.6 }],
+    ['A-Lin-给我一个理由忘记.flac', {}, { artist: 'A-Lin', title: '给我一个理由忘记' }],
+    ['Yo-Yo.mp3', {}, { artist: null, title: 'Yo-Yo' }],
+    ['海阔天空 (2005-remix).mp3', {}, { artist: null, title: '海阔天空', versions: ['2005-remix'] }],
+
+    // 只有歌名
+    ['晴天.flac', {}, { artist: null, title: '晴天', confidence: 0.3 }],
+    ['晴天.flac', { defaultArtist: '周杰伦' }, { artist: '周杰伦', title: '晴天', confidence: 0.5 }],
+    ['1983 - 海阔天空.mp3', {}, { artist: null, title: '1983 - 海阔天空' }],
+    ['(序曲).mp3', {}, { title: '序曲' }]
+];
+
+async function run() {
+    console.log('🧪 文件名解析测试:\n');
+
+    for (const [fileName, options, expected] of CASES) {
+        await test(fileName, () => {
+            const result = parseFileName(fileName, options);
+            const actual = {};
+            Object.keys(expected).forEach(key => { actual[key] = result[key]; });
+            assert.deepStrictEqual(actual, expected, `期望: ${JSON.stringify(expected)}\n实际: ${JSON.stringify(actual)}`);
+        });
+    }
+
+    finish();
+}
+
+run();
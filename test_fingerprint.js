@@ -0,0 +1,109 @@
+/**
+ * 声纹指纹测试
+ * 用合成的 PCM 覆盖指纹计算、错位对齐比较、缓存编码和相似录音分组 (不需要 ffmpeg)
+ * 使用方法:
+ *    node test_fingerprint.js
+ */
+
+const assert = require('assert');
+const {
+    SAMPLE_RATE, MATCH_THRESHOLD, computeFingerprint, encodeFingerprint, decodeFingerprint,
+    compareFingerprints, groupFingerprints
+} = require('./scripts/music/lib/fingerprint');
+const { test, finish } = require('./test_harness');
+
+/**
+ * 可复现的伪随机数
+ */
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+}
+
+/**
+ * 合成一段旋律: 每 0.4 秒随机换一个音 (含一个泛音)
+ * @param {number} seed 旋律
+ * @param {Object} options { seconds, gain 音量, lead 开头静音采样数, noise 噪声幅度 }
+ */
+function melody(seed, options = {}) {
+    const { seconds = 30, gain = 1, lead = 0, noise = 0 } = options;
+    const next = random(seed);
+    const hiss = random(seed + 1000);
+    const length = Math.floor(seconds * SAMPLE_RATE);
+    const noteLength = Math.floor(SAMPLE_RATE * 0.4);
+    const samples = new Int16Array(lead + length);
+    let freq = 0;
+
+    for (let i = 0; i < length; i++) {
+        if (i % noteLength === 0) freq = 110 * Math.pow(2, Math.floor(next() * 36) / 12);
+        const t = i / SAMPLE_RATE;
+        let v = (Math.sin(2 * Math.PI * freq * t) + Math.sin(4 * Math.PI * freq * t) / 2) * 0.3 * gain;
+        v += (hiss() - 0.5) * noise;
+        samples[lead + i] = Math.round(Math.max(-1, Math.min(1, v)) * 32767);
+    }
+    return samples;
+}
+
+async function run() {
+    console.log('🧪 声纹指纹测试:\n');
+
+    const original = computeFingerprint(melody(1));
+    const reencoded = computeFingerprint(melody(1, { gain: 0.6, lead: 3000, noise: 0.02 }));
+    const other = computeFingerprint(melody(2));
+
+    await test('指纹: 每帧一个 32 位整数，约 8 帧/秒', () => {
+        assert.ok(original.length > 200 && original.length < 250);
+        assert.ok(original.every(v => Number.isInteger(v) && v >= 0 && v <= 0xffffffff));
+        assert.deepStrictEqual(computeFingerprint(melody(1)), original);
+    });
+
+    await test('指纹: 音量不同、开头多出静音、带噪声的同一录音视为相同', () => {
+        assert.ok(compareFingerprints(original, reencoded) >= MATCH_THRESHOLD);
+        assert.strictEqual(compareFingerprints(original, original), 1);
+    });
+
+    await test('指纹: 不同旋律相似度远低于阈值', () => {
+        assert.ok(compareFingerprints(original, other) < 0.7);
+    });
+
+    await test('指纹: 静音和过短的音频不会出错', () => {
+        assert.ok(computeFingerprint(new Int16Array(SAMPLE_RATE * 5)).length > 0);
+        assert.deepStrictEqual(computeFingerprint(new Int16Array(1000)), []);
+        assert.strictEqual(compareFingerprints(original, null), 0);
+        assert.strictEqual(compareFingerprints(original, original.slice(0, 10)), 0);
+    });
+
+    await test('缓存: base64 编码往返一致', () => {
+        const text = encodeFingerprint(original);
+        assert.strictEqual(typeof text, 'string');
+        assert.deepStrictEqual(decodeFingerprint(text), original);
+    });
+
+    await test('分组: 相似的文件分为一组，记录组内最低相似度', () => {
+        const louder = computeFingerprint(melody(1, { gain: 1.5, noise: 0.01 }));
+        const groups = groupFingerprints([
+            { name: 'a.flac', fingerprint: original, duration: 30 },
+            { name: 'b.mp3', fingerprint: other, duration: 30 },
+            { name: 'c.mp3', fingerprint: reencoded, duration: 30.3 },
+            { name: 'd.m4a', fingerprint: louder, duration: 30 },
+            { name: 'e.wav', fingerprint: null, duration: 30 }
+        ]);
+        assert.strictEqual(groups.length, 1);
+        assert.deepStrictEqual(groups[0].items.map(f => f.name).sort(), ['a.flac', 'c.mp3', 'd.m4a']);
+        assert.ok(groups[0].similarity >= MATCH_THRESHOLD && groups[0].similarity < 1);
+    });
+
+    await test('分组: 时长相差超过容差的文件不比较', () => {
+        const groups = groupFingerprints([
+            { name: 'a.flac', fingerprint: original, duration: 30 },
+            { name: 'live.flac', fingerprint: original, duration: 300 }
+        ]);
+        assert.deepStrictEqual(groups, []);
+    });
+
+    finish();
+}
+
+run();
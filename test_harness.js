@@ -0,0 +1,39 @@
+/**
+ * 测试工具
+ * 各 test_*.js 共用的测试函数和通过/失败统计 (本身不是测试文件)
+ * 使用方法:
+ *    const { test, finish } = require('./test_harness');
+ *    await test('说明', () => { assert.strictEqual(actual, expected); });
+ *    finish();   // 输出统计，有失败时以状态码 1 退出
+ */
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * 执行一个测试 (可以是 async 函数)，失败时输出断言信息，不中断后面的测试
+ */
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`✅ ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${e.message.split('\n').join('\n   ')}`);
+    }
+}
+
+/**
+ * 输出统计并退出
+ */
+function finish() {
+    console.log(`\n通过: ${passed}  失败: ${failed}`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = {
+    test,
+    finish
+};
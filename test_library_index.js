@@ -0,0 +1,161 @@
+/**
+ * 音乐库索引测试
+ * 在临时目录中验证记录的缓存与失效 (大小、修改时间)、已删除文件的清理、移动同步和残行恢复
+ * 使用方法:
+ *    node test_library_index.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openIndex, computeHash } = require('./scripts/music/lib/library_index');
+const { test, finish } = require('./test_harness');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jstools-index-'));
+const MUSIC_DIR = path.join(TEMP_DIR, '周杰伦');
+const INDEX_FILE = path.join(TEMP_DIR, 'library_index.jsonl');
+const AUDIO_EXTENSIONS = /\.(mp3|flac)$/i;
+
+// ---------------------------------------------------------
+// 工具函数
+// ---------------------------------------------------------
+
+/**
+ * 写入文件并设置修改时间 (秒)
+ */
+function writeFile(name, content, seconds = 1000) {
+    const filePath = path.join(MUSIC_DIR, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    fs.utimesSync(filePath, seconds, seconds);
+    return filePath;
+}
+
+function open(options = {}) {
+    return openIndex({ file: INDEX_FILE, ...options });
+}
+
+/**
+ * 索引文件中每个路径的最后一条记录 (与 openIndex 的读取规则一致)
+ */
+function readRecords() {
+    const records = new Map();
+    fs.readFileSync(INDEX_FILE, 'utf-8').split('\n').filter(Boolean).forEach(line => {
+        const record = JSON.parse(line);
+        records.set(record.path, record);
+    });
+    return records;
+}
+
+async function run() {
+    console.log('🧪 音乐库索引测试:\n');
+
+    const sunny = writeFile('晴天.flac', 'flac audio');
+    const qilixiang = writeFile('七里香.mp3', 'mp3 audio');
+    writeFile('晴天.lrc', '[00:01.00]故事的小黄花');
+    writeFile('_duplicates_temp/晴天.flac', 'skipped');
+
+    await test('扫描: 按扩展名返回文件，跳过 _ 开头的目录，记录文件名解析和同名歌词', () => {
+        const index = open();
+        const files = index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS });
+        assert.deepStrictEqual(files.sort(), [qilixiang, sunny].sort());
+        assert.strictEqual(index.get(sunny).lrc, true);
+        assert.strictEqual(index.get(qilixiang).lrc, false);
+        assert.strictEqual(index.get(sunny).parsed.title, '晴天');
+        assert.strictEqual(index.getHash(sunny), computeHash(sunny));
+        index.save();
+    });
+
+    await test('缓存: 重新打开后未变化的文件不再重新读取或计算 MD5', () => {
+        const index = open();
+        index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS });
+        assert.strictEqual(index.getHash(sunny), computeHash(sunny));
+        assert.deepStrictEqual([index.stats.scanned, index.stats.stale, index.stats.hashed], [2, 0, 0]);
+    });
+
+    await test('失效: 大小或修改时间变化时重建记录并重新计算 MD5', () => {
+        writeFile('晴天.flac', 'flac audio, remastered');
+        writeFile('七里香.mp3', 'mp3 audi0', 2000);
+
+        const index = open();
+        index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS });
+        assert.strictEqual(index.stats.stale, 2);
+        assert.strictEqual(index.getHash(sunny), computeHash(sunny));
+        assert.strictEqual(index.get(qilixiang).mtime, 2000 * 1000);
+        assert.strictEqual(index.stats.hashed, 1);
+        index.save();
+
+        const reopened = open();
+        reopened.getHash(sunny);
+        assert.deepStrictEqual([reopened.stats.stale, reopened.stats.hashed], [0, 0]);
+    });
+
+    await test('清理: 扫描时删除已不存在的文件的记录，歌词增删随扫描更新', () => {
+        fs.unlinkSync(qilixiang);
+        fs.unlinkSync(path.join(MUSIC_DIR, '晴天.lrc'));
+
+        const index = open();
+        assert.deepStrictEqual(index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS }), [sunny]);
+        assert.strictEqual(index.get(sunny).lrc, false);
+        index.save();
+
+        const records = readRecords();
+        assert.strictEqual(records.get(qilixiang).deleted, true);
+        assert.strictEqual(records.get(sunny).lrc, false);
+    });
+
+    await test('移动: 同步记录，新路径不需要重新读取', () => {
+        const dest = path.join(MUSIC_DIR, '叶惠美', '晴天.flac');
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.renameSync(sunny, dest);
+
+        const index = open();
+        index.move(sunny, dest);
+        index.save();
+
+        const reopened = open();
+        assert.strictEqual(reopened.getHash(dest), computeHash(dest));
+        assert.deepStrictEqual([reopened.stats.stale, reopened.stats.hashed], [0, 0]);
+        assert.strictEqual(readRecords().get(sunny).deleted, true);
+        fs.renameSync(dest, sunny);
+    });
+
+    await test('残行: 中断写入的残行和其他版本的记录被忽略，下次保存时重写文件', () => {
+        const index = open({ rebuild: true });
+        index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS });
+        index.getHash(sunny);
+        index.save();
+
+        const valid = fs.readFileSync(INDEX_FILE, 'utf-8');
+        const other = JSON.stringify({ v: 0, path: qilixiang, size: 1, mtime: 1 });
+        fs.writeFileSync(INDEX_FILE, `{"v":1,"path":"${sunny}","size"\n${other}\n${valid}{"v":1,"path":"/Music/`);
+
+        const damaged = open();
+        assert.strictEqual(damaged.getHash(sunny), computeHash(sunny));
+        assert.deepStrictEqual([damaged.stats.stale, damaged.stats.hashed], [0, 0]);
+
+        // 新记录不能接在末尾的残行后面
+        const added = writeFile('稻香.mp3', 'new song');
+        damaged.getHash(added);
+        damaged.save();
+        const lines = fs.readFileSync(INDEX_FILE, 'utf-8').split('\n').filter(Boolean);
+        assert.ok(lines.every(line => JSON.parse(line).v === 1));
+
+        const reopened = open();
+        reopened.getHash(added);
+        reopened.getHash(sunny);
+        assert.deepStrictEqual([reopened.stats.stale, reopened.stats.hashed], [0, 0]);
+    });
+
+    await test('重建: rebuild 时忽略已有记录', () => {
+        const index = open({ rebuild: true });
+        index.scan(MUSIC_DIR, { extensions: AUDIO_EXTENSIONS });
+        assert.strictEqual(index.stats.stale, index.stats.scanned);
+    });
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    finish();
+}
+
+run();
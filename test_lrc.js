@@ -0,0 +1,173 @@
+/**
+ * LRC 歌词库测试
+ * 覆盖时间标签解析、offset、乱序排序、纯音乐 / 作词作曲信息检测、时长校验、规范化输出、双语合并和 SYLT 转换
+ * 使用方法:
+ *    node test_lrc.js
+ */
+
+const assert = require('assert');
+const {
+    parseLrc, validateLrc, lastTimestamp, checkDuration, normalizeLrc, mergeLrc, lrcBaseName, toSynchronisedText,
+    fromSynchronisedText, serializeLrc
+} = require('./scripts/music/lib/lrc');
+const { test, finish } = require('./test_harness');
+
+// [歌词, 期望的问题 (null 表示有效)]
+const VALIDATE_CASES = [
+    ['', 'empty'],
+    ['[00:01.00]\n[00:02.00]', 'empty'],
+    ['没有时间标签的歌词\n第二行\n第三行', 'untimed'],
+    ['[00:00.00] 纯音乐，请欣赏', 'instrumental'],
+    ['[00:00.00]此歌曲为没有填词的纯音乐，请您欣赏\n[00:01.00]a\n[00:02.00]b\n[00:03.00]c', 'instrumental'],
+    ['[00:00.00]晴天 - 周杰伦\n[00:01.00]词：周杰伦\n[00:02.00]曲：周杰伦', 'credits'],
+    ['[ti:晴天]\n[00:00.00]晴天 (Live) - 周杰伦\n[00:01.00]作曲 : 周杰伦\n[00:02.00]Producer: 周杰伦', 'credits'],
+    ['[00:00.00]晴天 - 周杰伦\n[00:01.00]词：周杰伦\n[00:29.54]故事的小黄花\n[00:33.12]从出生那年就飘着', 'short'],
+    ['[00:01.00]第一行\n[00:02.00]第二行\n[00:03.00]第三行', null],
+    ['[00:01.00]第一行\n[00:02.00]不在第一行的 a - b 是歌词\n[00:03.00]第三行', null],
+    ['[00:01.00]第一行\n[00:02.00]第二行\n[00:03.00]第三行\n[00:04.00]纯音乐也可以是歌词', null]
+];
+
+async function run() {
+    console.log('🧪 LRC 歌词库测试:\n');
+
+    for (const [lyric, expected] of VALIDATE_CASES) {
+        await test(`校验 ${JSON.stringify(lyric.slice(0, 20))} -> ${expected || '有效'}`, () => {
+            const result = validateLrc(lyric);
+            assert.strictEqual(result.reason, expected);
+            assert.strictEqual(result.valid, expected === null);
+        });
+    }
+
+    await test('LRC: 多个时间标签、offset 和毫秒精度', () => {
+        const lrc = parseLrc([
+            '[ti:晴天]',
+            '[offset:500]',
+            '[00:20.50][01:10.00]故事的小黄花',
+            '[00:15.123]从出生那年就飘着',
+            '[00:10]',
+            '不是歌词的行'
+        ].join('\r\n'));
+        assert.strictEqual(lrc.meta.ti, '晴天');
+        assert.deepStrictEqual(lrc.lines.map(l => [l.time, l.text]), [
+            [9500, ''],
+            [14623, '从出生那年就飘着'],
+            [20000, '故事的小黄花'],
+            [69500, '故事的小黄花']
+        ]);
+        assert.deepStrictEqual(toSynchronisedText(lrc.lines)[1], { text: '从出生那年就飘着', timeStamp: 14623 });
+    });
+
+    await test('LRC: 增强型 <mm:ss.xx> 逐字时间按词转换，新行以换行开头', () => {
+        const lrc = parseLrc('[00:01.00]<00:01.00>故事<00:01.50>的<00:02.00>小黄花<00:03.00>\n[00:04.00]从出生那年');
+        assert.strictEqual(lrc.lines[0].text, '故事的小黄花');
+        assert.deepStrictEqual(toSynchronisedText(lrc.lines), [
+            { text: '故事', timeStamp: 1000 },
+            { text: '的', timeStamp: 1500 },
+            { text: '小黄花', timeStamp: 2000 },
+            { text: '\n从出生那年', timeStamp: 4000 }
+        ]);
+    });
+
+    await test('LRC: SYLT 时间轴还原为 LRC 行 (逐行和逐字)', () => {
+        const lines = fromSynchronisedText([{ text: '故事的小黄花', timeStamp: 1000 }, { text: '从出生那年', timeStamp: 4000 }]);
+        assert.strictEqual(serializeLrc({ meta: {}, lines }), '[00:01.00]故事的小黄花\n[00:04.00]从出生那年');
+
+        const lrc = parseLrc('[00:01.00]<00:01.00>故事<00:01.50>的<00:02.00>小黄花\n[00:04.00]从出生那年');
+        const restored = fromSynchronisedText(toSynchronisedText(lrc.lines));
+        assert.deepStrictEqual(restored, lrc.lines);
+        assert.strictEqual(serializeLrc({ meta: {}, lines: restored }),
+            '[00:01.00]<00:01.00>故事<00:01.50>的<00:02.00>小黄花\n[00:04.00]从出生那年');
+    });
+
+
+    await test('规范化: 标识标签在前，乱序行排序，每行一个时间标签，应用 offset', () => {
+        const lrc = [
+            '\uFEFF[ar:周杰伦]',
+            '[ti:晴天]',
+            '[offset:-250]',
+            '[00:33.12][01:10]从出生那年就飘着',
+            '[00:29.5]故事的小黄花',
+            '',
+            '',
+            '[00:43.80]Re So So Si Do Si La &amp; So'
+        ].join('\r\n');
+        assert.strictEqual(normalizeLrc(lrc), [
+            '[ti:晴天]',
+            '[ar:周杰伦]',
+            '[00:29.75]故事的小黄花',
+            '[00:33.37]从出生那年就飘着',
+            '[00:44.05]Re So So Si Do Si La & So',
+            '[01:10.25]从出生那年就飘着'
+        ].join('\n'));
+    });
+
+    await test('规范化: 保留逐字时间，结果再次规范化不变', () => {
+        const lrc = '[00:01.00]<00:01.00>故事<00:01.50>的<00:02.00>小黄花\n[00:00.50]前奏';
+        const normalized = normalizeLrc(lrc);
+        assert.strictEqual(normalized, '[00:00.50]前奏\n[00:01.00]<00:01.00>故事<00:01.50>的<00:02.00>小黄花');
+        assert.strictEqual(normalizeLrc(normalized), normalized);
+    });
+
+    await test('规范化: 逐字时间末尾的结束时间保留，不写入 SYLT', () => {
+        const lrc = '[00:01.00]<00:01.00>故<00:01.50>事<00:02.00>';
+        assert.strictEqual(normalizeLrc(lrc), lrc);
+        assert.strictEqual(normalizeLrc(`[offset:500]\n${lrc}`), '[00:00.50]<00:00.50>故<00:01.00>事<00:01.50>');
+        assert.deepStrictEqual(toSynchronisedText(parseLrc(lrc).lines), [
+            { text: '故', timeStamp: 1000 },
+            { text: '事', timeStamp: 1500 }
+        ]);
+    });
+
+    await test('规范化: 没有时间标签的歌词只去掉多余空行', () => {
+        assert.strictEqual(normalizeLrc('第一行\n\n\n\n第二行 &amp; 第三行\n'), '第一行\n\n第二行 & 第三行');
+        assert.strictEqual(normalizeLrc(null), null);
+    });
+
+    await test('时长: 最后一行和数据源时长都相符时通过，未知本地时长时不校验', () => {
+        const lyric = '[00:10.00]第一行\n[03:50.00]最后一行\n[04:05.00]';
+        assert.deepStrictEqual(checkDuration(lyric, { local: 245, provider: 248 }), { status: 'ok', reasons: [] });
+        assert.strictEqual(checkDuration(lyric, { local: 0, provider: 400 }).status, 'ok');
+        assert.strictEqual(lastTimestamp(lyric), 230000);
+    });
+
+    await test('时长: 歌词超出音频或数据源时长相差过大时拒绝，略有差异时低可信度', () => {
+        const live = '[00:10.00]第一行\n[05:20.00]Live 版的最后一行';
+        const result = checkDuration(live, { local: 269, provider: 301 });
+        assert.strictEqual(result.status, 'reject');
+        assert.deepStrictEqual(result.reasons, [
+            '最后一行歌词 05:20 超出音频时长 04:29',
+            '数据源时长 05:01 与本地 04:29 相差 32 秒'
+        ]);
+
+        const lyric = '[00:10.00]第一行\n[04:00.00]最后一行';
+        assert.strictEqual(checkDuration(lyric, { local: 269, provider: 280 }).status, 'low');
+        assert.strictEqual(checkDuration(lyric, { local: 269, provider: 300 }).status, 'reject');
+        assert.deepStrictEqual(checkDuration('[00:10.00]a\n[01:00.00]b', { local: 269 }), {
+            status: 'low',
+            reasons: ['歌词在 01:00 就结束了 (音频 04:29)']
+        });
+    });
+
+    await test('双语: 按时间对齐，重复的副歌各用一次翻译，对不上的翻译丢弃', () => {
+        const lyric = '[00:10.00]Chorus\n[00:20.00]Verse\n[00:30.00]Chorus';
+        const translation = '[00:10.00]副歌一\n[00:30.05]副歌二\n[00:40.00]多出来的翻译';
+        assert.strictEqual(mergeLrc(lyric, [translation]), [
+            '[00:10.00]Chorus',
+            '[00:10.00]副歌一',
+            '[00:20.00]Verse',
+            '[00:30.00]Chorus',
+            '[00:30.00]副歌二'
+        ].join('\n'));
+        assert.strictEqual(mergeLrc(lyric, [null]), normalizeLrc(lyric));
+    });
+
+    await test('双语: .zh.lrc / .roma.lrc 对应去掉后缀的音频文件名', () => {
+        assert.strictEqual(lrcBaseName('晴天.zh.lrc'), '晴天');
+        assert.strictEqual(lrcBaseName('Lemon.ROMA.lrc'), 'Lemon');
+        assert.strictEqual(lrcBaseName('Mr.Children - 名もなき詩.lrc'), 'Mr.Children - 名もなき詩');
+    });
+
+    finish();
+}
+
+run();
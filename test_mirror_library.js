@@ -0,0 +1,146 @@
+/**
+ * 便携格式镜像测试
+ * 覆盖同名多版本的源文件选择、ffmpeg 转码参数、随音频复制的歌词和封面，以及按修改时间和镜像记录的增量判断
+ * 使用方法:
+ *    node test_mirror_library.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jstools-mirror-'));
+process.env.JSTOOLS_JOURNAL = path.join(TEMP_DIR, 'journal');
+
+const {
+    CODECS, pickBestSource, planMirror, findSidecars, buildTranscodeArgs, loadManifest, saveManifest
+} = require('./scripts/music/mirror_library');
+const { openJournal, undoRun } = require('./scripts/music/lib/journal');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试数据
+// ---------------------------------------------------------
+
+const FLAC_FORMAT = { lossless: true, sampleRate: 44100, bitsPerSample: 16, bitrate: 0 };
+const HIRES_FORMAT = { lossless: true, sampleRate: 96000, bitsPerSample: 24, bitrate: 0 };
+const DSD_FORMAT = { lossless: true, sampleRate: 2822400, bitsPerSample: 1, bitrate: 0 };
+const MP3_FORMAT = { lossless: false, sampleRate: 44100, bitsPerSample: 0, bitrate: 320000 };
+
+const SOURCE_DIR = path.join(TEMP_DIR, 'Music');
+const TARGET_DIR = path.join(TEMP_DIR, 'Car');
+
+/**
+ * 创建文件并设置修改时间 (秒)
+ */
+function touch(filePath, seconds) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, 'audio');
+    fs.utimesSync(filePath, seconds, seconds);
+    return filePath;
+}
+
+function plan(byDest, manifest = {}) {
+    return planMirror(new Map(byDest), { sourceDir: SOURCE_DIR, targetDir: TARGET_DIR, codec: CODECS.mp3, manifest });
+}
+
+async function run() {
+    console.log('🧪 便携格式镜像测试:\n');
+
+    await test('选择源文件: 按格式优先级 (无损优先)，同格式按采样率和位深，读不出属性的最后', () => {
+        const mp3 = { path: '/Music/晴天.mp3', format: MP3_FORMAT };
+        const flac = { path: '/Music/晴天.flac', format: FLAC_FORMAT };
+        const hires = { path: '/Music/CD2/晴天.flac', format: HIRES_FORMAT };
+        assert.strictEqual(pickBestSource([mp3, flac]), flac);
+        assert.strictEqual(pickBestSource([flac, mp3, hires]), hires);
+        assert.strictEqual(pickBestSource([{ path: '/Music/晴天.ogg', format: null }, mp3]), mp3);
+        assert.strictEqual(pickBestSource([mp3, { path: '/Music/晴天.ape', format: null }]), mp3);
+    });
+
+    await test('转码参数: 超过 48kHz (高解析度、DSD) 和未知采样率时重采样到 44.1kHz', () => {
+        const args = format => buildTranscodeArgs({ source: { path: '/Music/晴天.flac', format } }, CODECS.mp3, '320k', '/Car/.晴天.mp3.part');
+        const flacArgs = args(FLAC_FORMAT);
+        assert.deepStrictEqual(flacArgs.slice(flacArgs.indexOf('-c:a'), flacArgs.indexOf('-c:a') + 4), ['-c:a', 'libmp3lame', '-b:a', '320k']);
+        assert.ok(!flacArgs.includes('-ar'));
+        assert.ok(flacArgs.includes('-id3v2_version'));
+        assert.strictEqual(flacArgs[flacArgs.length - 1], '/Car/.晴天.mp3.part');
+
+        [HIRES_FORMAT, DSD_FORMAT, null].forEach(format => {
+            const resampled = args(format);
+            assert.strictEqual(resampled[resampled.indexOf('-ar') + 1], '44100');
+        });
+
+        const aac = buildTranscodeArgs({ source: { path: '/Music/晴天.flac', format: FLAC_FORMAT } }, CODECS.aac, '256k', '/Car/x.part');
+        assert.ok(aac.includes('aac') && aac.includes('ipod') && aac.includes('+faststart'));
+    });
+
+    await test('增量: 镜像文件比源文件新时跳过，源文件修改后重新转码，同格式有损文件直接复制', () => {
+        const flac = touch(path.join(SOURCE_DIR, '周杰伦', '晴天.flac'), 1000);
+        const mp3 = touch(path.join(SOURCE_DIR, '周杰伦', '七里香.mp3'), 1000);
+        const flacDest = path.join(TARGET_DIR, '周杰伦', '晴天.mp3');
+        const mp3Dest = path.join(TARGET_DIR, '周杰伦', '七里香.mp3');
+
+        const first = plan([[flacDest, [{ path: flac, format: FLAC_FORMAT }]], [mp3Dest, [{ path: mp3, format: MP3_FORMAT }]]]);
+        assert.deepStrictEqual(first.tasks.map(t => [path.basename(t.dest), t.action, t.exists]),
+            [['晴天.mp3', 'transcode', false], ['七里香.mp3', 'copy', false]]);
+
+        touch(flacDest, 2000);
+        const current = plan([[flacDest, [{ path: flac, format: FLAC_FORMAT }]]], { [path.join('周杰伦', '晴天.mp3')]: path.join('周杰伦', '晴天.flac') });
+        assert.strictEqual(current.tasks.length, 0);
+        assert.strictEqual(current.upToDate, 1);
+
+        touch(flac, 3000);
+        const modified = plan([[flacDest, [{ path: flac, format: FLAC_FORMAT }]]]);
+        assert.deepStrictEqual(modified.tasks.map(t => [t.action, t.exists]), [['transcode', true]]);
+    });
+
+    await test('增量: 已镜像的 MP3 旁边加入更早的同名 FLAC 时按镜像记录重新转码', () => {
+        const mp3 = touch(path.join(SOURCE_DIR, '陈奕迅', '十年.mp3'), 2000);
+        const flac = touch(path.join(SOURCE_DIR, '陈奕迅', '十年.flac'), 1000);
+        const dest = touch(path.join(TARGET_DIR, '陈奕迅', '十年.mp3'), 3000);
+        const sources = [{ path: mp3, format: MP3_FORMAT }, { path: flac, format: FLAC_FORMAT }];
+        const rel = path.join('陈奕迅', '十年.mp3');
+
+        const replaced = plan([[dest, sources]], { [rel]: path.join('陈奕迅', '十年.mp3') });
+        assert.deepStrictEqual(replaced.tasks.map(t => [path.basename(t.source.path), t.action]), [['十年.flac', 'transcode']]);
+        assert.strictEqual(replaced.duplicates[0].source.path, flac);
+
+        // 记录已是 FLAC 时跳过；没有记录时无法确定来源，重新转码一次
+        assert.strictEqual(plan([[dest, sources]], { [rel]: path.join('陈奕迅', '十年.flac') }).tasks.length, 0);
+        assert.strictEqual(plan([[dest, sources]]).tasks.length, 1);
+        assert.strictEqual(plan([[dest, [sources[0]]]]).tasks.length, 0);
+    });
+
+    await test('同名文件: 歌词 (含 .zh.lrc / .roma.lrc) 和封面随音频复制，其他歌曲的文件不复制', () => {
+        const dir = path.join(SOURCE_DIR, '宇多田光');
+        ['First Love.flac', 'First Love.lrc', 'First Love.zh.lrc', 'First Love.roma.lrc', 'First Love.jpg', 'Automatic.lrc']
+            .forEach(name => touch(path.join(dir, name), 1000));
+        const sidecars = findSidecars(path.join(dir, 'First Love.flac'));
+        assert.deepStrictEqual(sidecars.map(s => s.suffix), ['.lrc', '.zh.lrc', '.roma.lrc', '.jpg']);
+        assert.ok(sidecars.every(s => s.path === path.join(dir, 'First Love' + s.suffix)));
+    });
+
+    await test('镜像记录: 写入后可读回，内容不变时不重复写入，损坏时视为空，可撤销', () => {
+        const dir = path.join(TEMP_DIR, 'manifest');
+        fs.mkdirSync(dir);
+        const sources = { [path.join('周杰伦', '晴天.mp3')]: path.join('周杰伦', '晴天.flac') };
+
+        const journal = openJournal('test_mirror');
+        saveManifest(dir, sources, journal);
+        saveManifest(dir, sources, journal);
+        journal.finish();
+        assert.deepStrictEqual(loadManifest(dir), sources);
+
+        undoRun(journal.id);
+        assert.deepStrictEqual(loadManifest(dir), {});
+
+        fs.writeFileSync(path.join(dir, '.mirror_sources.json'), '{"sources": {"晴天');
+        assert.deepStrictEqual(loadManifest(dir), {});
+    });
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    finish();
+}
+
+run();
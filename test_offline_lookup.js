@@ -0,0 +1,181 @@
+/**
+ * 在线查询离线回放测试
+ * 使用 fixtures/http 下手工编写的模拟响应 (按各数据源接口的格式构造，不是真实录制的数据)，
+ * 不需要联网即可验证搜索匹配、歌词获取和校验逻辑
+ * 录制新的离线数据 (真实响应):
+ *    node scripts/music/download_lyrics.js "/path/to/music" --record
+ * 使用方法:
+ *    node test_offline_lookup.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { setFixtureMode } = require('./scripts/music/lib/http');
+const providers = require('./scripts/music/lib/providers');
+const { calculateMatchScore, pickBestMatch, rankMatches, withLocalInfo } = require('./scripts/music/lib/matching');
+const { isValidLyric, cleanLyric, chooseLyric } = require('./scripts/music/download_lyrics');
+const { mergeLrc, normalizeVariant } = require('./scripts/music/lib/lrc');
+const { fetchArtistTopSongs } = require('./scripts/music/hot_songs');
+const { test, finish } = require('./test_harness');
+
+setFixtureMode('replay', path.join(__dirname, 'fixtures', 'http'));
+
+// [本地歌曲, 搜索结果, 期望分数]
+const SCORE_CASES = [
+    [{ title: '晴天', artist: '周杰伦' }, { title: '晴天', artist: '周杰伦' }, 90],
+    [{ title: '晴天', artist: '周杰伦' }, { title: '晴天', artist: 'Jay Chou' }, 90],
+    [{ title: '晴天', artist: '周杰伦' }, { title: '晴天 (Live)', artist: '周杰伦' }, 70],
+    [{ title: '晴天', artist: '周杰伦' }, { title: '晴天', artist: '刘瑞琦' }, 50],
+    [{ title: '晴天', artist: '周杰伦' }, { title: 'Sunny Day', artist: 'Jay Chou' }, 50],
+    [{ title: '晴天', artist: null }, { title: '晴天', artist: '周杰伦' }, 50],
+    [{ title: '晴天', artist: '周杰伦' }, { title: '七里香', artist: '五月天' }, 0],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '晴天', artist: '周杰伦', duration: 269.5 }, 110],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '晴天', artist: '周杰伦', duration: 275 }, 100],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '晴天', artist: '周杰伦', duration: 285 }, 90],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '晴天 (Live)', artist: '周杰伦', duration: 301 }, 40],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '晴天', artist: '周杰伦', duration: null }, 90],
+    [{ title: '晴天', artist: '周杰伦', album: '叶惠美' }, { title: '晴天', artist: '周杰伦', album: '叶惠美' }, 105],
+    [{ title: '晴天', artist: '周杰伦', album: '叶惠美' }, { title: '晴天', artist: '周杰伦', album: '叶惠美 (Deluxe)' }, 95],
+    [{ title: '晴天', artist: '周杰伦', album: '叶惠美' }, { title: '晴天', artist: '周杰伦', album: '2004 无与伦比演唱会' }, 90],
+    [{ title: '晴天', artist: '周杰伦', duration: 269 }, { title: '七里香', artist: '五月天', duration: 100 }, 0]
+];
+
+// 测试名中的本地时长和专辑
+function localInfo(parsed) {
+    return [parsed.duration && `${parsed.duration}s`, parsed.album].filter(Boolean).map(s => ` [${s}]`).join('');
+}
+
+// [歌词, 是否有效]
+const LYRIC_CASES = [
+    [null, false],
+    ['没有时间标签的歌词', false],
+    ['[00:00.00] 纯音乐，请欣赏', false],
+    ['[00:00.00]此歌曲为没有填词的纯音乐，请您欣赏\n[00:01.00]a\n[00:02.00]b\n[00:03.00]c', false],
+    ['[00:01.00]第一行\n[00:02.00]第二行', false],
+    ['[00:00.00]晴天 - 周杰伦\n[00:01.00]词：周杰伦\n[00:02.00]曲：周杰伦\n[00:03.00]编曲：林迈可', false],
+    ['[00:01.00]第一行\n[00:02.00]第二行\n[00:03.00]第三行', true]
+];
+
+async function run() {
+    console.log('🧪 离线回放测试:\n');
+
+    for (const [parsed, result, expected] of SCORE_CASES) {
+        const remote = localInfo(result);
+        await test(`匹配分数 ${parsed.artist} - ${parsed.title}${localInfo(parsed)} ↔ ${result.artist} - ${result.title}${remote}`, () => {
+            assert.strictEqual(calculateMatchScore(parsed, result), expected);
+        });
+    }
+
+    for (const [lyric, expected] of LYRIC_CASES) {
+        await test(`歌词校验 ${JSON.stringify(lyric && lyric.slice(0, 16))}`, () => {
+            assert.strictEqual(isValidLyric(lyric), expected);
+        });
+    }
+
+    await test('搜索: 合并所有数据源并按优先级排列', async () => {
+        const results = await providers.search('晴天', '周杰伦');
+        assert.deepStrictEqual(results.map(r => r.source), ['QQ音乐', 'QQ音乐', 'QQ音乐', '网易云', '网易云', 'iTunes']);
+    });
+
+    await test('搜索: 最佳匹配跳过 Live 版本和翻唱', async () => {
+        const parsed = { title: '晴天', artist: '周杰伦' };
+        const { match, score } = pickBestMatch(parsed, await providers.search(parsed.title, parsed.artist));
+        assert.strictEqual(match.source, 'QQ音乐');
+        assert.strictEqual(match.songmid, '0039MnYb0qxYhV');
+        assert.strictEqual(score, 90);
+    });
+
+    await test('搜索: 本地时长与 Live 版一致时选中 Live 版本', async () => {
+        const parsed = { title: '晴天', artist: '周杰伦', duration: 300 };
+        const { match } = pickBestMatch(parsed, await providers.search(parsed.title, parsed.artist));
+        assert.strictEqual(match.source, 'QQ音乐');
+        assert.strictEqual(match.title, '晴天 (Live)');
+    });
+
+    await test('搜索: 本地时长和专辑标签参与打分，Live 版本扣分', async () => {
+        const entry = { tags: { album: '叶惠美' }, format: { duration: 269 } };
+        const parsed = withLocalInfo({ title: '晴天', artist: '周杰伦' }, entry);
+        assert.deepStrictEqual(parsed, { title: '晴天', artist: '周杰伦', duration: 269, album: '叶惠美' });
+        assert.strictEqual(withLocalInfo(parsed, null), parsed);
+
+        const ranked = rankMatches(parsed, await providers.search(parsed.title, parsed.artist));
+        const live = ranked.find(c => c.match.title === '晴天 (Live)');
+        assert.strictEqual(ranked[0].match.songmid, '0039MnYb0qxYhV');
+        assert.ok(ranked[0].score > 110);
+        assert.strictEqual(live.score, 40);
+    });
+
+    await test('搜索: 歌词数据源不包含 iTunes', async () => {
+        const results = await providers.search('晴天', '周杰伦', { capability: 'lyrics' });
+        assert.ok(results.length > 0);
+        assert.ok(results.every(r => r.provider !== 'itunes'));
+    });
+
+    await test('歌词: QQ音乐 base64 歌词解码、清理并通过校验', async () => {
+        const [, match] = await providers.search('晴天', '周杰伦', { only: ['qq'] });
+        const lyric = cleanLyric(await providers.getLyrics(match));
+        assert.ok(isValidLyric(lyric));
+        assert.ok(lyric.includes('[00:29.54]故事的小黄花'));
+        assert.ok(lyric.includes('Si La & So'));
+        assert.ok(!lyric.includes('\n\n\n'));
+    });
+
+    await test('歌词: 单个数据源出错不影响其他数据源，纯音乐不通过校验', async () => {
+        const results = await providers.search('Summer', '久石让');
+        assert.deepStrictEqual(results.map(r => r.source), ['网易云']);
+        assert.strictEqual(isValidLyric(await providers.getLyrics(results[0])), false);
+    });
+
+    await test('歌词: 按分数尝试搜索结果，本地时长与数据源相差过大时拒绝', async () => {
+        const parsed = { title: '晴天', artist: '周杰伦' };
+        const results = await providers.search(parsed.title, parsed.artist, { capability: 'lyrics' });
+
+        const choice = await chooseLyric(parsed, results, 269);
+        assert.strictEqual(choice.match.songmid, '0039MnYb0qxYhV');
+        // 离线数据中的歌词只录到 00:51
+        assert.strictEqual(choice.check.status, 'low');
+
+        const rejected = await chooseLyric(parsed, results, 200);
+        assert.strictEqual(rejected.match, null);
+        assert.strictEqual(rejected.rejected[0].match.songmid, '0039MnYb0qxYhV');
+        assert.ok(rejected.rejected[0].reasons.some(reason => reason.includes('相差 69 秒')));
+    });
+
+    await test('歌词: 网易云同时返回翻译和音译，合并后紧跟在原文之后', async () => {
+        const set = await providers.getLyricSet({ provider: 'netease', songId: 1974443814 });
+        assert.ok(set.translation.includes('[00:15.80]再见面吧'));
+        assert.ok(set.romanization.includes('sa yo u na ra'));
+
+        const merged = mergeLrc(cleanLyric(set.lyric), [set.translation, set.romanization]);
+        assert.ok(merged.includes('[00:12.30]ありがとう\n[00:12.30]谢谢\n[00:12.30]a ri ga to u\n[00:15.80]また会いましょう'));
+        assert.ok(!merged.includes('translator'));
+    });
+
+    await test('歌词: QQ音乐 base64 翻译解码，"//" 占位行不合并', async () => {
+        const set = await providers.getLyricSet({ provider: 'qq', songmid: '001ArigatoTest' });
+        assert.strictEqual(set.romanization, null);
+        const merged = mergeLrc(set.lyric, [set.translation]);
+        assert.ok(merged.includes('[00:15.80]また会いましょう\n[00:19.40]さようなら\n[00:19.40]再见'));
+        assert.ok(!merged.includes('//'));
+        assert.strictEqual(normalizeVariant(set.translation), '[00:12.30]谢谢\n[00:19.40]再见');
+    });
+
+    await test('歌词: 不支持歌词的数据源返回 null', async () => {
+        const set = await providers.getLyricSet({ provider: 'itunes' });
+        assert.strictEqual(set, null);
+    });
+
+    await test('搜索: 没有离线数据时返回空结果', async () => {
+        assert.deepStrictEqual(await providers.search('不存在的歌', '不存在的歌手'), []);
+    });
+
+    await test('热门歌曲: 过滤其他歌手并按歌名去重', async () => {
+        const songs = await fetchArtistTopSongs('周杰伦', 3);
+        assert.deepStrictEqual(songs.map(s => s.name), ['晴天', '稻香', '听妈妈的话']);
+        assert.strictEqual(songs[0].year, '2003');
+    });
+
+    finish();
+}
+
+run();
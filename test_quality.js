@@ -0,0 +1,148 @@
+/**
+ * 音质评分测试
+ * 用合成的 PCM 覆盖频谱截止频率分析和假无损判断，用预设的音频属性覆盖保留评分 (不需要 ffmpeg)
+ * 使用方法:
+ *    node test_quality.js
+ */
+
+const assert = require('assert');
+const {
+    qualityScore, audioFormat, analyzeSpectrum, analysisSampleRate, detectFakeLossless, describeFake, keeperScore, rankDuplicates
+} = require('./scripts/music/lib/quality');
+const { fft } = require('./scripts/music/lib/spectrum');
+const { test, finish } = require('./test_harness');
+
+/**
+ * 可复现的伪随机数
+ */
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+}
+
+/**
+ * 合成约 6 秒的宽带噪声: 高频逐渐减弱，cutoff 以上没有内容 (模拟有损编码的低通)
+ * 在频域随机相位后做一次逆变换，加 ±0.5 LSB 的抖动
+ */
+function noise(sampleRate, cutoff, length = 1 << 18) {
+    const next = random(3);
+    const re = new Float64Array(length);
+    const im = new Float64Array(length);
+    for (let k = 1; k < length / 2 && k * sampleRate / length <= cutoff; k++) {
+        const amp = 1 / Math.sqrt(1 + (k * sampleRate / length) / 1000);
+        const phase = next() * 2 * Math.PI;
+        re[k] = amp * Math.cos(phase);
+        im[k] = amp * Math.sin(phase);
+        re[length - k] = re[k];
+        im[length - k] = -im[k];
+    }
+    fft(re, im);
+
+    const peak = re.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    const samples = new Int16Array(length);
+    for (let i = 0; i < length; i++) samples[i] = Math.round(re[i] / peak * 0.8 * 32767 + next() - 0.5);
+    return samples;
+}
+
+const FLAC_CD = { lossless: true, sampleRate: 44100, bitsPerSample: 16, bitrate: 900000, duration: 269 };
+const FLAC_HIRES = { lossless: true, sampleRate: 96000, bitsPerSample: 24, bitrate: 3000000, duration: 269 };
+const MP3_320 = { lossless: false, sampleRate: 44100, bitsPerSample: 0, bitrate: 320000, duration: 269 };
+const MP3_128 = { lossless: false, sampleRate: 44100, bitsPerSample: 0, bitrate: 128000, duration: 269 };
+const TAGS = { title: '晴天', artist: '周杰伦', album: '叶惠美', year: 2003, track: 3, genre: 'Pop' };
+
+function file(name, format, extra = {}) {
+    return { path: `/Music/周杰伦/${name}`, details: { tags: {}, format, cover: false, lyrics: false, ...extra } };
+}
+
+async function run() {
+    console.log('🧪 音质评分测试:\n');
+
+    const fullBand = analyzeSpectrum(noise(44100, 22050), 44100);
+    const mp3Band = analyzeSpectrum(noise(44100, 16000), 44100);
+
+    await test('频谱: 全频带的音频没有陡降，截止频率为奈奎斯特频率', () => {
+        assert.strictEqual(fullBand.cutoff, 22050);
+        assert.strictEqual(fullBand.nyquist, 22050);
+        assert.ok(fullBand.drop < 10);
+    });
+
+    await test('频谱: 16kHz 低通的音频在 16kHz 处陡降', () => {
+        assert.ok(Math.abs(mp3Band.cutoff - 16000) < 200, `cutoff = ${mp3Band.cutoff}`);
+        assert.ok(mp3Band.drop >= 40);
+    });
+
+    await test('频谱: 静音和过短的音频返回 null', () => {
+        assert.strictEqual(analyzeSpectrum(new Int16Array(44100 * 3), 44100), null);
+        assert.strictEqual(analyzeSpectrum(new Int16Array(1000), 44100), null);
+    });
+
+    await test('假无损: 低通的无损文件为有损转码，96kHz 文件只有 CD 频带为升频', () => {
+        assert.strictEqual(detectFakeLossless(mp3Band, FLAC_CD), 'lossy');
+        assert.strictEqual(detectFakeLossless(fullBand, FLAC_CD), null);
+        assert.strictEqual(detectFakeLossless(mp3Band, MP3_320), null);
+        assert.strictEqual(detectFakeLossless(null, FLAC_CD), null);
+
+        const upsampled = analyzeSpectrum(noise(96000, 22050), 96000);
+        assert.strictEqual(detectFakeLossless(upsampled, FLAC_HIRES), 'upsampled');
+        assert.strictEqual(detectFakeLossless(analyzeSpectrum(noise(96000, 48000), 96000), FLAC_HIRES), null);
+        assert.ok(describeFake('lossy', mp3Band).startsWith('疑似有损转码 (频谱在 16.0kHz'));
+    });
+
+    await test('解码采样率: DSD 和 192kHz 降到 96kHz，其余按原采样率，未知时 44.1kHz', () => {
+        assert.strictEqual(analysisSampleRate({ sampleRate: 2822400, lossless: true }), 96000);
+        assert.strictEqual(analysisSampleRate({ sampleRate: 192000 }), 96000);
+        assert.strictEqual(analysisSampleRate(FLAC_HIRES), FLAC_HIRES.sampleRate);
+        assert.strictEqual(analysisSampleRate(FLAC_CD), 44100);
+        assert.strictEqual(analysisSampleRate(null), 44100);
+    });
+
+    await test('质量分: 格式 > 采样率 > 位深 > 比特率', () => {
+        const score = (format, sampleRate, bitsPerSample, bitrate) => qualityScore({ format, sampleRate, bitsPerSample, bitrate });
+        assert.ok(score('flac', 44100, 16, 0) > score('mp3', 48000, 0, 320000));
+        assert.ok(score('flac', 96000, 24, 0) > score('flac', 44100, 24, 0));
+        assert.ok(score('flac', 44100, 24, 0) > score('flac', 44100, 16, 0));
+        assert.strictEqual(audioFormat('/a/晴天.m4a', { lossless: true }), 'alac');
+        assert.strictEqual(audioFormat('/a/晴天.m4a', { lossless: false }), 'm4a');
+    });
+
+    await test('保留分: 无损优先，有损按码率，假无损低于真正的有损文件', () => {
+        const flac = file('晴天.flac', FLAC_CD);
+        const fake = { ...file('晴天 [无损].flac', FLAC_CD), spectrum: mp3Band };
+        const mp3 = file('晴天.mp3', MP3_320);
+        const low = file('晴天 128k.mp3', MP3_128);
+        assert.ok(keeperScore(flac) > keeperScore(mp3));
+        assert.ok(keeperScore(mp3) > keeperScore(low));
+        assert.ok(keeperScore(mp3) > keeperScore(fake));
+    });
+
+    await test('保留分: 同等音质时按标签完整度、封面分辨率和歌词排序', () => {
+        const bare = file('晴天.mp3', MP3_320);
+        const tagged = file('晴天.mp3', MP3_320, { tags: TAGS });
+        const smallCover = file('晴天.mp3', MP3_320, { cover: true, coverSize: { width: 300, height: 300 } });
+        const bigCover = file('晴天.mp3', MP3_320, { cover: true, coverSize: { width: 1400, height: 1400 } });
+        const withLrc = { ...file('晴天.mp3', MP3_320), lrcPath: '/Music/周杰伦/晴天.lrc' };
+        assert.strictEqual(keeperScore(tagged) - keeperScore(bare), 60);
+        assert.ok(keeperScore(bigCover) > keeperScore(smallCover));
+        assert.ok(keeperScore(smallCover) > keeperScore(bare));
+        assert.strictEqual(keeperScore(withLrc) - keeperScore(bare), 20);
+        // 没有读到音频属性时只按扩展名
+        assert.ok(keeperScore({ path: '/a/晴天.flac' }) > keeperScore({ path: '/a/晴天.mp3' }));
+    });
+
+    await test('排序: 时长异常 (截断) 的文件即使格式更好也排在最后', () => {
+        const truncated = file('晴天.flac', { ...FLAC_CD, duration: 120 });
+        const ranked = rankDuplicates([
+            truncated,
+            file('晴天.mp3', MP3_320),
+            file('周杰伦 - 晴天.flac', FLAC_CD, { tags: TAGS })
+        ]);
+        assert.deepStrictEqual(ranked.map(f => f.path.split('/').pop()), ['周杰伦 - 晴天.flac', '晴天.mp3', '晴天.flac']);
+        assert.ok(ranked.every(f => typeof f.score === 'number'));
+    });
+
+    finish();
+}
+
+run();
@@ -0,0 +1,104 @@
+/**
+ * 标签完整度评分测试
+ * 用手工构造的索引记录覆盖各字段的评分、占位符、部分得分和按分组汇总
+ * 使用方法:
+ *    node test_tag_audit.js
+ */
+
+const assert = require('assert');
+const { AUDIT_FIELDS, isPlaceholder, scoreFile, summarize, describeMissing } = require('./scripts/music/lib/tag_audit');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试记录生成
+// ---------------------------------------------------------
+
+const GOOD_COVER = { type: 'jpg', width: 1000, height: 1000, progressive: false, exif: false, bytes: 100000 };
+
+/**
+ * 音乐库索引记录 (getMetadata 之后)，默认所有字段完整
+ */
+function makeEntry(tags = {}, extra = {}) {
+    return {
+        path: '/Music/周杰伦/叶惠美/晴天.flac',
+        tags: {
+            title: '晴天',
+            artist: '周杰伦',
+            albumartist: '周杰伦',
+            album: '叶惠美',
+            year: 2003,
+            track: 3,
+            disk: null,
+            genre: 'Pop',
+            ...tags
+        },
+        cover: true,
+        coverImage: GOOD_COVER,
+        lyrics: false,
+        lrc: true,
+        ...extra
+    };
+}
+
+async function run() {
+    console.log('🧪 标签完整度评分测试:\n');
+
+    await test('权重: 合计 100，完整的文件满分', () => {
+        assert.strictEqual(AUDIT_FIELDS.reduce((sum, f) => sum + f.weight, 0), 100);
+        assert.deepStrictEqual(scoreFile(makeEntry()), { score: 100, missing: [], partial: [] });
+    });
+
+    await test('占位符: unknown / 未知艺术家 / 单字符视为缺失', () => {
+        assert.strictEqual(isPlaceholder('Unknown '), true);
+        assert.strictEqual(isPlaceholder('未知艺术家'), true);
+        assert.strictEqual(isPlaceholder('A'), true);
+        assert.strictEqual(isPlaceholder(''), true);
+        assert.strictEqual(isPlaceholder('周杰伦'), false);
+
+        const result = scoreFile(makeEntry({ artist: 'unknown', albumartist: '', genre: '' }));
+        assert.deepStrictEqual(result.missing, ['artist', 'albumartist', 'genre']);
+        assert.strictEqual(result.score, 75);
+    });
+
+    await test('年份、音轨号、歌词: 无效年份和缺失的字段扣分，.lrc 也算有歌词', () => {
+        assert.deepStrictEqual(scoreFile(makeEntry({ year: 0 })).missing, ['year']);
+        assert.deepStrictEqual(scoreFile(makeEntry({ year: 3003 })).missing, ['year']);
+        assert.deepStrictEqual(scoreFile(makeEntry({ track: null })).missing, ['track']);
+        assert.deepStrictEqual(scoreFile(makeEntry({}, { lrc: false })).missing, ['lyrics']);
+        assert.deepStrictEqual(scoreFile(makeEntry({}, { lrc: false, lyrics: true })).missing, []);
+    });
+
+    await test('部分得分: 分辨率过低的封面、分碟目录缺少碟号', () => {
+        const small = scoreFile(makeEntry({}, { coverImage: { ...GOOD_COVER, width: 200, height: 200 } }));
+        assert.deepStrictEqual(small, { score: 90, missing: [], partial: ['cover'] });
+        assert.deepStrictEqual(scoreFile(makeEntry({}, { coverImage: null })).partial, ['cover']);
+        assert.deepStrictEqual(scoreFile(makeEntry({}, { cover: false, coverImage: null })).missing, ['cover']);
+
+        const discPath = '/Music/周杰伦/叶惠美/CD2/晴天.flac';
+        assert.deepStrictEqual(scoreFile(makeEntry({}, { path: discPath })).partial, ['track']);
+        assert.deepStrictEqual(scoreFile(makeEntry({ disk: 2 }, { path: discPath })).partial, []);
+    });
+
+    await test('无法读取: 标签为 null 时所有字段缺失', () => {
+        const result = scoreFile({ path: '/Music/坏文件.mp3', tags: null, error: '无法解析' });
+        assert.strictEqual(result.score, 0);
+        assert.strictEqual(result.missing.length, AUDIT_FIELDS.length);
+        assert.strictEqual(scoreFile(null).score, 0);
+    });
+
+    await test('汇总: 平均分、各字段缺失数，按分数从低到高', () => {
+        const files = [
+            { artist: '周杰伦', ...scoreFile(makeEntry()) },
+            { artist: '周杰伦', ...scoreFile(makeEntry({ year: null, genre: '' })) },
+            { artist: '林俊杰', ...scoreFile(makeEntry({ year: null }, { lrc: false })) }
+        ];
+        const groups = summarize(files, f => f.artist);
+        assert.deepStrictEqual(groups.map(g => [g.key, g.count, g.score]), [['林俊杰', 1, 80], ['周杰伦', 2, 95]]);
+        assert.deepStrictEqual(groups[1].missing, { year: 1, genre: 1 });
+        assert.strictEqual(describeMissing(groups[0]), '年份 1、歌词 1');
+    });
+
+    finish();
+}
+
+run();
@@ -0,0 +1,794 @@
+/**
+ * 标签写入测试
+ * 在临时目录生成最小的音频文件，验证写入后音频数据不变、music-metadata 能读出新标签、操作日志可撤销
+ * 使用方法:
+ *    node test_tag_writers.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mm = require('music-metadata');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jstools-tags-'));
+process.env.JSTOOLS_JOURNAL = path.join(TEMP_DIR, 'journal');
+
+const flac = require('./scripts/music/lib/tags/flac');
+const mp4 = require('./scripts/music/lib/tags/mp4');
+const dsd = require('./scripts/music/lib/tags/dsd');
+const wav = require('./scripts/music/lib/tags/wav');
+const mp3 = require('./scripts/music/lib/tags/mp3');
+const cover = require('./scripts/music/lib/tags/cover');
+const lyrics = require('./scripts/music/lib/tags/lyrics');
+const { parseLrc, toSynchronisedText } = require('./scripts/music/lib/lrc');
+const { openJournal, readRun, undoRun } = require('./scripts/music/lib/journal');
+const { test, finish } = require('./test_harness');
+
+// ---------------------------------------------------------
+// 测试文件生成
+// ---------------------------------------------------------
+
+// 假的音频数据 (固定内容，便于比较)
+const AUDIO = crypto.createHash('sha256').update('audio').digest();
+const AUDIO_DATA = Buffer.concat(Array(2000).fill(AUDIO));
+
+// 只有 SOI + APP0 + SOF0 的 JPEG，足以让 image-size 读出尺寸
+function fakeJpeg(width, height, extra = 0) {
+    const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03,
+        0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01]);
+    return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x02]), sof, Buffer.alloc(extra, 0x55), Buffer.from([0xff, 0xd9])]);
+}
+
+function flacBlock(type, data, isLast) {
+    const header = Buffer.alloc(4);
+    header[0] = type | (isLast ? 0x80 : 0);
+    header.writeUIntBE(data.length, 1, 3);
+    return Buffer.concat([header, data]);
+}
+
+function streamInfo() {
+    const data = Buffer.alloc(34);
+    data.writeUInt16BE(4096, 0);
+    data.writeUInt16BE(4096, 2);
+    // 采样率 44100 (20 位) + 声道数-1 (3 位) + 位深-1 (5 位) + 总采样数 (36 位)
+    const packed = (BigInt(44100) << 44n) | (1n << 41n) | (15n << 36n) | BigInt(44100 * 3);
+    data.writeBigUInt64BE(packed, 10);
+    return data;
+}
+
+/**
+ * 生成 FLAC: STREAMINFO + VORBIS_COMMENT + PADDING + 音频数据
+ */
+function makeFlac(name, comments, padding, prefix = Buffer.alloc(0)) {
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat([
+        prefix,
+        Buffer.from('fLaC'),
+        flacBlock(0, streamInfo(), false),
+        flacBlock(4, flac.buildVorbisComment('test', comments), padding === 0),
+        padding > 0 ? flacBlock(1, Buffer.alloc(padding), true) : Buffer.alloc(0),
+        AUDIO_DATA
+    ]));
+    return filePath;
+}
+
+function atom(type, ...payloads) {
+    return mp4.serializeAtom({ type, data: Buffer.concat(payloads) });
+}
+
+function fullBox(type, payload) {
+    return atom(type, Buffer.alloc(4), payload);
+}
+
+// 两个音频块，内容不同，用于验证 stco 偏移
+const CHUNKS = [AUDIO_DATA.subarray(0, 4000), AUDIO_DATA.subarray(4000, 9000)];
+
+/**
+ * 生成 M4A: ftyp + moov (含 stco) + mdat，moovFirst 为 false 时 moov 放在 mdat 之后
+ * ilst 为已有的 iTunes 条目 (可选)
+ */
+function makeM4a(name, { moovFirst = true, ilst = null, free = 0 } = {}) {
+    const ftyp = atom('ftyp', Buffer.from('M4A \0\0\0\0M4A mp42isom'));
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(3000, 16);
+    const mdhd = Buffer.alloc(24);
+    mdhd.writeUInt32BE(44100, 12);
+    mdhd.writeUInt32BE(44100 * 3, 16);
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('soun', 8);
+
+    const build = mdatOffset => {
+        const offsets = Buffer.alloc(8 + CHUNKS.length * 4);
+        offsets.writeUInt32BE(CHUNKS.length, 4);
+        CHUNKS.forEach((chunk, i) => offsets.writeUInt32BE(mdatOffset + 8 + (i === 0 ? 0 : CHUNKS[0].length), 8 + i * 4));
+        const stbl = atom('stbl', fullBox('stsd', Buffer.alloc(4)), atom('stco', offsets));
+        const tkhd = Buffer.alloc(80);
+        tkhd.writeUInt32BE(1, 8);
+        const trak = atom('trak', fullBox('tkhd', tkhd), atom('mdia', fullBox('mdhd', mdhd.subarray(4)), atom('hdlr', hdlr), atom('minf', stbl)));
+        const udta = ilst ? [atom('udta', atom('meta', Buffer.alloc(4), atom('hdlr', Buffer.from('\0\0\0\0\0\0\0\0mdirappl\0\0\0\0\0\0\0\0\0')), atom('ilst', ilst)))] : [];
+        return atom('moov', atom('mvhd', mvhd), trak, ...udta);
+    };
+
+    const mdat = atom('mdat', ...CHUNKS);
+    const freeAtom = free > 0 ? [atom('free', Buffer.alloc(free - 8))] : [];
+    let parts;
+    if (moovFirst) {
+        const moovLength = build(0).length;
+        parts = [ftyp, build(ftyp.length + moovLength + free), ...freeAtom, mdat];
+    } else {
+        parts = [ftyp, mdat, build(ftyp.length), ...freeAtom];
+    }
+
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat(parts));
+    return filePath;
+}
+
+/**
+ * 按 stco 中的偏移读出音频块，验证与原始数据一致
+ */
+function chunksIntact(filePath) {
+    const buf = fs.readFileSync(filePath);
+    const find = (atoms, type) => {
+        for (const a of atoms) {
+            if (a.type === type) return a;
+            const found = a.children && find(a.children, type);
+            if (found) return found;
+        }
+        return null;
+    };
+    const stco = find(mp4.parseAtoms(buf, 0, buf.length), 'stco');
+    return CHUNKS.every((chunk, i) => {
+        const offset = stco.data.readUInt32BE(8 + i * 4);
+        return buf.subarray(offset, offset + chunk.length).equals(chunk);
+    });
+}
+
+/**
+ * 生成 DSF: "DSD " + "fmt " + data，tag 为末尾的 ID3v2 标签 (可选)
+ */
+function makeDsf(name, tag = null) {
+    const fmt = Buffer.alloc(52);
+    fmt.write('fmt ', 0);
+    fmt.writeBigUInt64LE(52n, 4);
+    [1, 0, 2, 2, 2822400, 1].forEach((value, i) => fmt.writeUInt32LE(value, 12 + i * 4));
+    fmt.writeBigUInt64LE(BigInt(AUDIO_DATA.length * 4), 36);
+    fmt.writeUInt32LE(4096, 44);
+
+    const dataHeader = Buffer.alloc(12);
+    dataHeader.write('data', 0);
+    dataHeader.writeBigUInt64LE(BigInt(12 + AUDIO_DATA.length), 4);
+
+    const header = Buffer.alloc(28);
+    header.write('DSD ', 0);
+    header.writeBigUInt64LE(28n, 4);
+    const dataEnd = 28 + fmt.length + 12 + AUDIO_DATA.length;
+    header.writeBigUInt64LE(BigInt(dataEnd + (tag ? tag.length : 0)), 12);
+    header.writeBigUInt64LE(BigInt(tag ? dataEnd : 0), 20);
+
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat([header, fmt, dataHeader, AUDIO_DATA, tag || Buffer.alloc(0)]));
+    return filePath;
+}
+
+function dffChunk(id, ...payloads) {
+    const data = Buffer.concat(payloads);
+    const header = Buffer.alloc(12);
+    header.write(id, 0, 'latin1');
+    header.writeBigUInt64BE(BigInt(data.length), 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function diinText(id, text) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(Buffer.byteLength(text));
+    return dffChunk(id, length, Buffer.from(text));
+}
+
+/**
+ * 生成 DFF: FVER + PROP + [DIIN] + DSD，diinBefore 为 true 时 DIIN 放在音频数据之前
+ */
+function makeDff(name, { diin = null, diinBefore = false } = {}) {
+    const u32 = value => {
+        const buf = Buffer.alloc(4);
+        buf.writeUInt32BE(value);
+        return buf;
+    };
+    const prop = dffChunk('PROP', Buffer.from('SND '),
+        dffChunk('FS  ', u32(2822400)),
+        dffChunk('CHNL', Buffer.from([0, 2]), Buffer.from('SLFTSRGT')),
+        dffChunk('CMPR', Buffer.from('DSD '), Buffer.from([14]), Buffer.from('not compressed'), Buffer.alloc(1)));
+    const diinChunk = diin ? [dffChunk('DIIN', diin)] : [];
+    const chunks = [dffChunk('FVER', u32(0x01050000)), prop];
+    if (diinBefore) chunks.push(...diinChunk);
+    chunks.push(dffChunk('DSD ', AUDIO_DATA));
+    if (!diinBefore) chunks.push(...diinChunk);
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(16);
+    header.write('FRM8', 0);
+    header.writeBigUInt64BE(BigInt(body.length + 4), 4);
+    header.write('DSD ', 12);
+
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat([header, body]));
+    return filePath;
+}
+
+function riffChunk(id, ...payloads) {
+    const data = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function infoList(entries) {
+    return riffChunk('LIST', Buffer.from('INFO'), ...Object.keys(entries).map(id => riffChunk(id, Buffer.from(`${entries[id]}\0`))));
+}
+
+/**
+ * 生成 WAV: fmt + [before...] + data + [after...]，prefix 为 RIFF 之前多出的数据
+ */
+function makeWav(name, { before = [], after = [], prefix = Buffer.alloc(0) } = {}) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(2, 2);
+    fmt.writeUInt32LE(44100, 4);
+    fmt.writeUInt32LE(44100 * 4, 8);
+    fmt.writeUInt16LE(4, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const body = Buffer.concat([Buffer.from('WAVE'), riffChunk('fmt ', fmt), ...before, riffChunk('data', AUDIO_DATA), ...after]);
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(body.length);
+
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat([prefix, Buffer.from('RIFF'), size, body]));
+    return filePath;
+}
+
+/**
+ * 生成 MP3: 开头的 ID3v2 标签 (可选) + 音频数据
+ */
+function makeMp3(name, tag = null) {
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, Buffer.concat([tag || Buffer.alloc(0), AUDIO_DATA]));
+    return filePath;
+}
+
+function syncedLyrics(synchronisedText) {
+    return [{ language: 'XXX', timeStampFormat: 2, contentType: 1, shortText: '', synchronisedText }];
+}
+
+function audioOffset(filePath) {
+    return fs.readFileSync(filePath).indexOf(AUDIO_DATA);
+}
+
+function containsAudio(filePath) {
+    return fs.readFileSync(filePath).includes(AUDIO_DATA);
+}
+
+function endsWithAudio(filePath) {
+    const buf = fs.readFileSync(filePath);
+    return buf.subarray(buf.length - AUDIO_DATA.length).equals(AUDIO_DATA);
+}
+
+// ---------------------------------------------------------
+// 测试
+// ---------------------------------------------------------
+
+async function run() {
+    console.log('🧪 标签写入测试:\n');
+
+    await test('FLAC: 读取 VORBIS_COMMENT 和 PADDING', () => {
+        const file = makeFlac('read.flac', [['TITLE', '晴天'], ['artist', '周杰伦']], 1024);
+        const tags = flac.readTags(file);
+        assert.strictEqual(tags.vendor, 'test');
+        assert.deepStrictEqual(tags.comments, { TITLE: ['晴天'], ARTIST: ['周杰伦'] });
+        assert.strictEqual(tags.padding, 1024);
+    });
+
+    await test('FLAC: PADDING 足够时原位修改，文件大小和音频数据不变', async () => {
+        const file = makeFlac('inplace.flac', [['TITLE', '晴天'], ['ALBUM', '旧专辑'], ['DATE', '2003']], 1024);
+        const size = fs.statSync(file).size;
+        const result = flac.writeTags(file, { set: { ALBUM: '叶惠美', ALBUMARTIST: '周杰伦' }, remove: ['date'] });
+
+        assert.strictEqual(result.inPlace, true);
+        assert.strictEqual(fs.statSync(file).size, size);
+        assert.ok(endsWithAudio(file));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, '晴天');
+        assert.strictEqual(common.album, '叶惠美');
+        assert.strictEqual(common.albumartist, '周杰伦');
+        assert.strictEqual(common.year, undefined);
+    });
+
+    await test('FLAC: 元数据区放不下时重写文件并预留 PADDING', async () => {
+        const file = makeFlac('rewrite.flac', [['TITLE', '晴天']], 16);
+        const cover = fakeJpeg(500, 500, 3000);
+        const result = flac.writeTags(file, { pictures: [{ type: 3, mime: 'image/jpeg', data: cover }] });
+
+        assert.strictEqual(result.inPlace, false);
+        assert.ok(endsWithAudio(file));
+
+        const tags = flac.readTags(file);
+        assert.strictEqual(tags.padding, 8192);
+        assert.strictEqual(tags.pictures.length, 1);
+        assert.strictEqual(tags.pictures[0].width, 500);
+        assert.ok(tags.pictures[0].data.equals(cover));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.picture.length, 1);
+        assert.strictEqual(common.title, '晴天');
+    });
+
+    await test('FLAC: 替换同类型图片，保留其他类型', () => {
+        const file = makeFlac('pictures.flac', [], 16);
+        flac.writeTags(file, { pictures: [{ type: 3, data: fakeJpeg(100, 100) }, { type: 4, data: fakeJpeg(50, 50) }] });
+        flac.writeTags(file, { pictures: [{ type: 3, data: fakeJpeg(800, 800) }] });
+
+        const pictures = flac.readTags(file).pictures.map(p => [p.type, p.width]);
+        assert.deepStrictEqual(pictures.sort(), [[3, 800], [4, 50]]);
+
+        flac.writeTags(file, { removePictures: true });
+        assert.strictEqual(flac.readTags(file).pictures.length, 0);
+    });
+
+    await test('FLAC: 文件开头带 ID3v2 标签', () => {
+        const id3 = Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 20]), Buffer.alloc(20)]);
+        const file = makeFlac('id3.flac', [['TITLE', 'a']], 512, id3);
+        flac.writeTags(file, { set: { TITLE: 'b' } });
+        assert.deepStrictEqual(flac.readTags(file).comments.TITLE, ['b']);
+        assert.ok(fs.readFileSync(file).subarray(0, 30).equals(id3));
+    });
+
+    await test('FLAC: 原位修改记录到操作日志，撤销后与原文件完全一致', () => {
+        const file = makeFlac('undo.flac', [['TITLE', '晴天'], ['ALBUM', '叶惠美']], 256);
+        const original = fs.readFileSync(file);
+        const journal = openJournal('test');
+        flac.writeTags(file, { set: { ALBUM: '七里香', GENRE: 'Pop' } }, { journal });
+        assert.ok(!fs.readFileSync(file).equals(original));
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(file).equals(original));
+    });
+
+    await test('FLAC: 重写文件时操作日志只备份原元数据区，撤销后与原文件完全一致', () => {
+        const file = makeFlac('undo-rewrite.flac', [['TITLE', '晴天']], 16);
+        const original = fs.readFileSync(file);
+        const journal = openJournal('test');
+        const result = flac.writeTags(file, { pictures: [{ type: 3, mime: 'image/jpeg', data: fakeJpeg(500, 500, 3000) }] }, { journal });
+        assert.strictEqual(result.inPlace, false);
+
+        const [op] = readRun(journal.id).ops;
+        assert.strictEqual(op.type, 'rewrite');
+        assert.strictEqual(fs.statSync(op.backup).size, original.length - 'fLaC'.length - AUDIO_DATA.length);
+        assert.ok(op.copies.some(c => c.length === AUDIO_DATA.length));
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(file).equals(original));
+    });
+
+    await test('FLAC: 非 FLAC 文件报错且不修改', () => {
+        const file = path.join(TEMP_DIR, 'fake.flac');
+        fs.writeFileSync(file, 'not a flac file');
+        assert.throws(() => flac.writeTags(file, { set: { TITLE: 'x' } }), /不是有效的 FLAC 文件/);
+        assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'not a flac file');
+    });
+
+    await test('MP4: 新建 udta/meta/ilst，moov 在 mdat 前时修正 stco 偏移', async () => {
+        const file = makeM4a('front.m4a');
+        const cover = fakeJpeg(300, 300, 2000);
+        const result = mp4.writeTags(file, {
+            set: { title: '晴天', artist: '周杰伦', album: '叶惠美', year: '2003', track: '3/11', disk: { no: 1, of: 2 } },
+            covers: [{ mime: 'image/jpeg', data: cover }]
+        });
+
+        assert.strictEqual(result.inPlace, false);
+        assert.ok(chunksIntact(file));
+
+        const { tags, covers } = mp4.readTags(file);
+        assert.strictEqual(tags.title, '晴天');
+        assert.deepStrictEqual(tags.track, { no: 3, of: 11 });
+        assert.strictEqual(covers.length, 1);
+        assert.ok(covers[0].data.equals(cover));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, '晴天');
+        assert.strictEqual(common.artist, '周杰伦');
+        assert.strictEqual(common.album, '叶惠美');
+        assert.strictEqual(common.year, 2003);
+        assert.deepStrictEqual(common.track, { no: 3, of: 11 });
+        assert.deepStrictEqual(common.disk, { no: 1, of: 2 });
+        assert.strictEqual(common.picture.length, 1);
+    });
+
+    await test('MP4: moov 在 mdat 之后时不移动音频数据', () => {
+        const file = makeM4a('back.m4a', { moovFirst: false });
+        const moovOffset = fs.readFileSync(file).indexOf('moov') - 4;
+        const head = fs.readFileSync(file).subarray(0, moovOffset);
+        mp4.writeTags(file, { set: { album: '叶惠美', lyrics: '[00:01.00]故事的小黄花' } });
+
+        assert.ok(chunksIntact(file));
+        assert.ok(fs.readFileSync(file).subarray(0, moovOffset).equals(head));
+        assert.strictEqual(mp4.readTags(file).tags.lyrics, '[00:01.00]故事的小黄花');
+    });
+
+    await test('MP4: 重写后预留 free，再次修改原位完成且替换已有条目', async () => {
+        const ilst = atom('\u00a9nam', atom('data', Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from('旧标题')));
+        const file = makeM4a('grow.m4a', { ilst });
+        assert.strictEqual(mp4.writeTags(file, { set: { albumArtist: '周杰伦' } }).inPlace, false);
+
+        const size = fs.statSync(file).size;
+        const result = mp4.writeTags(file, { set: { title: '晴天', genre: 'Pop' }, remove: ['albumArtist'] });
+        assert.strictEqual(result.inPlace, true);
+        assert.strictEqual(fs.statSync(file).size, size);
+        assert.ok(chunksIntact(file));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, '晴天');
+        assert.deepStrictEqual(common.genre, ['Pop']);
+        assert.strictEqual(common.albumartist, undefined);
+    });
+
+    await test('MP4: 操作日志撤销后与原文件完全一致 (原位与重写)', () => {
+        const file = makeM4a('undo.m4a', { free: 4096 });
+        const original = fs.readFileSync(file);
+        const journal = openJournal('test');
+        assert.strictEqual(mp4.writeTags(file, { set: { title: '晴天' } }, { journal }).inPlace, true);
+        mp4.writeTags(file, { covers: [{ data: fakeJpeg(100, 100, 8000) }] }, { journal });
+        assert.ok(chunksIntact(file));
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(file).equals(original));
+    });
+
+    await test('MP4: 非 MP4 文件报错且不修改', () => {
+        const file = path.join(TEMP_DIR, 'fake.m4a');
+        fs.writeFileSync(file, 'not an mp4 file');
+        assert.throws(() => mp4.writeTags(file, { set: { title: 'x' } }), /不是有效的 MP4 文件/);
+        assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'not an mp4 file');
+    });
+
+    await test('DSF: 追加末尾 ID3v2 标签并更新元数据指针和文件大小', async () => {
+        const file = makeDsf('new.dsf');
+        const audioEnd = fs.statSync(file).size;
+        const result = dsd.writeTags(file, {
+            title: '晴天', artist: '周杰伦', album: '叶惠美',
+            unsynchronisedLyrics: { language: 'XXX', text: '[00:01.00]故事的小黄花' }
+        });
+
+        assert.strictEqual(result.inPlace, true);
+        const buf = fs.readFileSync(file);
+        assert.strictEqual(Number(buf.readBigUInt64LE(12)), buf.length);
+        assert.strictEqual(Number(buf.readBigUInt64LE(20)), audioEnd);
+        assert.strictEqual(buf.toString('latin1', audioEnd, audioEnd + 3), 'ID3');
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, '晴天');
+        assert.strictEqual(common.artist, '周杰伦');
+        assert.strictEqual(common.album, '叶惠美');
+        assert.strictEqual(dsd.readTags(file).unsynchronisedLyrics.text, '[00:01.00]故事的小黄花');
+    });
+
+    await test('DSF: 已有标签时合并帧，嵌入封面后仍保留原标签', () => {
+        const NodeID3 = require('node-id3');
+        const file = makeDsf('merge.dsf', NodeID3.create({ title: '晴天', album: '叶惠美' }));
+        const cover = fakeJpeg(200, 200, 500);
+        dsd.writeTags(file, { image: { mime: 'image/jpeg', type: { id: 3 }, description: 'Cover', imageBuffer: cover } });
+
+        const tags = dsd.readTags(file);
+        assert.strictEqual(tags.title, '晴天');
+        assert.strictEqual(tags.album, '叶惠美');
+        assert.ok(tags.image.imageBuffer.equals(cover));
+        assert.ok(containsAudio(file));
+    });
+
+    await test('DFF: ID3 块追加到末尾，同时写入 DIIN 标题/艺术家', async () => {
+        const file = makeDff('new.dff');
+        const result = dsd.writeTags(file, { title: '晴天', artist: '周杰伦', album: '叶惠美' });
+
+        assert.strictEqual(result.inPlace, true);
+        const buf = fs.readFileSync(file);
+        assert.strictEqual(Number(buf.readBigUInt64BE(4)), buf.length - 12);
+        assert.ok(buf.includes('DITI') && buf.includes('DIAR'));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, '晴天');
+        assert.strictEqual(common.album, '叶惠美');
+    });
+
+    await test('DFF: 音频前的 DIIN 变长时重写文件，保留 EMID 等子块', () => {
+        const diin = Buffer.concat([diinText('DITI', 'old'), dffChunk('EMID', Buffer.from('master-1'))]);
+        const file = makeDff('before.dff', { diin, diinBefore: true });
+        const result = dsd.writeTags(file, { title: '晴天 (Live)', artist: '周杰伦' });
+
+        assert.strictEqual(result.inPlace, false);
+        assert.ok(containsAudio(file));
+        assert.ok(fs.readFileSync(file).includes('master-1'));
+
+        const tags = dsd.readTags(file);
+        assert.strictEqual(tags.title, '晴天 (Live)');
+        assert.strictEqual(tags.artist, '周杰伦');
+    });
+
+    await test('DFF: 只有 DIIN 时读取标题/艺术家', () => {
+        const file = makeDff('diin.dff', { diin: Buffer.concat([diinText('DITI', 'Sunny'), diinText('DIAR', 'Jay')]) });
+        const tags = dsd.readTags(file);
+        assert.strictEqual(tags.title, 'Sunny');
+        assert.strictEqual(tags.artist, 'Jay');
+    });
+
+    await test('DSD: 操作日志撤销后与原文件完全一致', () => {
+        const dsf = makeDsf('undo.dsf');
+        const dff = makeDff('undo.dff', { diin: diinText('DITI', 'old'), diinBefore: true });
+        const originals = [fs.readFileSync(dsf), fs.readFileSync(dff)];
+        const journal = openJournal('test');
+        dsd.writeTags(dsf, { title: '晴天' }, { journal });
+        dsd.writeTags(dsf, { album: '叶惠美' }, { journal });
+        dsd.writeTags(dff, { title: '晴天' }, { journal });
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(dsf).equals(originals[0]));
+        assert.ok(fs.readFileSync(dff).equals(originals[1]));
+    });
+
+    await test('DSD: 无效文件报错且不修改', () => {
+        const file = path.join(TEMP_DIR, 'fake.dsf');
+        fs.writeFileSync(file, 'not a dsd file at all, just text');
+        assert.throws(() => dsd.writeTags(file, { title: 'x' }), /不是有效的 DSF 文件/);
+        assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'not a dsd file at all, just text');
+    });
+
+    await test('WAV: 先嵌入封面再嵌入歌词，两者都保留', async () => {
+        const file = makeWav('merge.wav');
+        const cover = fakeJpeg(300, 300, 1000);
+        wav.writeTags(file, { image: { mime: 'image/jpeg', type: { id: 3 }, description: 'Cover', imageBuffer: cover } });
+        wav.writeTags(file, { unsynchronisedLyrics: { language: 'XXX', text: '[00:01.00]故事的小黄花' } });
+
+        const tags = wav.readTags(file);
+        assert.ok(tags.image.imageBuffer.equals(cover));
+        assert.strictEqual(tags.unsynchronisedLyrics.text, '[00:01.00]故事的小黄花');
+
+        const buf = fs.readFileSync(file);
+        assert.strictEqual(buf.readUInt32LE(4), buf.length - 8);
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.picture.length, 1);
+    });
+
+    await test('WAV: 标题等字段同时写入 ID3 和 LIST/INFO，只有 INFO 时也能读出', async () => {
+        const file = makeWav('info.wav', { before: [infoList({ INAM: 'Old', ISFT: 'Lavf' })] });
+        assert.strictEqual(wav.readTags(file).title, 'Old');
+
+        wav.writeTags(file, { title: 'Sunny Day', artist: 'Jay Chou' });
+        const buf = fs.readFileSync(file);
+        assert.ok(buf.includes('INAM') && buf.includes('Sunny Day\0'));
+        assert.ok(buf.includes('IART') && buf.includes('Lavf'));
+
+        const { common } = await mm.parseFile(file);
+        assert.strictEqual(common.title, 'Sunny Day');
+        assert.strictEqual(common.artist, 'Jay Chou');
+
+        // 删除字段时两边一起删除
+        wav.writeTags(file, { artist: null });
+        assert.strictEqual(wav.readTags(file).artist, undefined);
+        assert.ok(!fs.readFileSync(file).includes('IART'));
+    });
+
+    await test('WAV: data 之前的 LIST 块原位改写或改为 JUNK，音频数据位置不变', () => {
+        const file = makeWav('junk.wav', { before: [infoList({ INAM: 'A very long old title for padding purposes' })] });
+        const offset = audioOffset(file);
+
+        wav.writeTags(file, { title: 'Short' });
+        assert.strictEqual(audioOffset(file), offset);
+        assert.ok(fs.readFileSync(file).includes('JUNK'));
+
+        wav.writeTags(file, { title: 'A much longer title that no longer fits in the original LIST chunk space' });
+        assert.strictEqual(audioOffset(file), offset);
+        assert.strictEqual(wav.readTags(file).title, 'A much longer title that no longer fits in the original LIST chunk space');
+        assert.strictEqual(fs.readFileSync(file).indexOf('INFO'), fs.readFileSync(file).lastIndexOf('INFO'));
+    });
+
+    await test('WAV: 修复 ID3 写在 RIFF 之前的文件，保留原有帧', () => {
+        const NodeID3 = require('node-id3');
+        const file = makeWav('broken.wav', { prefix: NodeID3.create({ title: '晴天', album: '叶惠美' }) });
+        const result = wav.writeTags(file, { artist: '周杰伦' });
+
+        assert.strictEqual(result.inPlace, false);
+        const buf = fs.readFileSync(file);
+        assert.strictEqual(buf.toString('latin1', 0, 4), 'RIFF');
+        assert.strictEqual(buf.readUInt32LE(4), buf.length - 8);
+
+        const tags = wav.readTags(file);
+        assert.strictEqual(tags.title, '晴天');
+        assert.strictEqual(tags.album, '叶惠美');
+        assert.strictEqual(tags.artist, '周杰伦');
+    });
+
+    await test('WAV: 操作日志撤销后与原文件完全一致', () => {
+        const NodeID3 = require('node-id3');
+        const file = makeWav('undo.wav', {
+            before: [infoList({ INAM: 'Old title' })],
+            after: [riffChunk('ID3 ', NodeID3.create({ title: 'Old title' }))]
+        });
+        const original = fs.readFileSync(file);
+        const journal = openJournal('test');
+        wav.writeTags(file, { title: 'A new and considerably longer title for the song' }, { journal });
+        wav.writeTags(file, { image: { mime: 'image/jpeg', type: { id: 3 }, description: '', imageBuffer: fakeJpeg(10, 10) } }, { journal });
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(file).equals(original));
+    });
+
+    await test('WAV: SYLT 毫秒时间轴与 USLT 一起写入，再次写入替换而不是追加', () => {
+        const file = makeWav('sylt.wav');
+        const first = toSynchronisedText(parseLrc('[00:01.00]第一行\n[00:02.50]第二行').lines);
+        wav.writeTags(file, {
+            unsynchronisedLyrics: { language: 'XXX', text: '[00:01.00]第一行' },
+            synchronisedLyrics: syncedLyrics(first)
+        });
+        wav.writeTags(file, { synchronisedLyrics: syncedLyrics([{ text: '新歌词', timeStamp: 3000 }]) });
+
+        const tags = wav.readTags(file);
+        assert.strictEqual(tags.unsynchronisedLyrics.text, '[00:01.00]第一行');
+        assert.strictEqual(tags.synchronisedLyrics.length, 1);
+        assert.strictEqual(tags.synchronisedLyrics[0].timeStampFormat, 2);
+        assert.deepStrictEqual(tags.synchronisedLyrics[0].synchronisedText, [{ text: '新歌词', timeStamp: 3000 }]);
+        assert.ok(containsAudio(file));
+    });
+
+    await test('DSF: SYLT 再次写入替换原帧，null 删除', () => {
+        const file = makeDsf('sylt.dsf');
+        dsd.writeTags(file, { title: '晴天', synchronisedLyrics: syncedLyrics([{ text: 'a', timeStamp: 1 }]) });
+        dsd.writeTags(file, { synchronisedLyrics: syncedLyrics([{ text: 'b', timeStamp: 2 }]) });
+        assert.deepStrictEqual(dsd.readTags(file).synchronisedLyrics[0].synchronisedText, [{ text: 'b', timeStamp: 2 }]);
+
+        dsd.writeTags(file, { synchronisedLyrics: null });
+        const tags = dsd.readTags(file);
+        assert.strictEqual(tags.synchronisedLyrics, undefined);
+        assert.strictEqual(tags.title, '晴天');
+    });
+
+    await test('MP3: 没有标签时重写文件并预留填充区，之后原位修改', () => {
+        const NodeID3 = require('node-id3');
+        const file = makeMp3('plain.mp3');
+        const lyrics = syncedLyrics([{ text: '故事的小黄花', timeStamp: 20500 }]);
+        assert.strictEqual(mp3.writeTags(file, { title: '晴天', synchronisedLyrics: lyrics }).inPlace, false);
+        assert.ok(endsWithAudio(file));
+
+        const size = fs.statSync(file).size;
+        const result = mp3.writeTags(file, { unsynchronisedLyrics: { language: 'XXX', text: '[00:20.50]故事的小黄花' } });
+        assert.strictEqual(result.inPlace, true);
+        assert.strictEqual(fs.statSync(file).size, size);
+        assert.ok(endsWithAudio(file));
+
+        const tags = NodeID3.read(file);
+        assert.strictEqual(tags.title, '晴天');
+        assert.strictEqual(tags.unsynchronisedLyrics.text, '[00:20.50]故事的小黄花');
+        assert.deepStrictEqual(tags.synchronisedLyrics[0].synchronisedText, [{ text: '故事的小黄花', timeStamp: 20500 }]);
+    });
+
+    await test('MP3: 操作日志撤销后与原文件完全一致 (重写与原位)', () => {
+        const NodeID3 = require('node-id3');
+        const file = makeMp3('undo.mp3', NodeID3.create({ title: 'Old title', artist: '周杰伦' }));
+        const original = fs.readFileSync(file);
+        const journal = openJournal('test');
+        mp3.writeTags(file, { title: 'A new and considerably longer title for the song' }, { journal });
+        mp3.writeTags(file, { artist: null }, { journal });
+        assert.strictEqual(mp3.readTags(file).artist, undefined);
+
+        const { results } = undoRun(journal.id);
+        assert.ok(results.every(r => r.ok), results.map(r => r.message).join('\n'));
+        assert.ok(fs.readFileSync(file).equals(original));
+    });
+
+    await test('MP3: 按帧合并，TXXX、PRIV 和其他类型的图片原样保留', () => {
+        const NodeID3 = require('node-id3');
+        const picture = (id, data) => ({ mime: 'image/jpeg', type: { id }, description: '', imageBuffer: data });
+        const backCover = fakeJpeg(300, 300);
+        const base = NodeID3.create({
+            title: 'Old title',
+            userDefinedText: [{ description: 'MusicBrainz Album Id', value: 'abc' }, { description: 'REPLAYGAIN_TRACK_GAIN', value: '-6.1 dB' }],
+            private: [{ ownerIdentifier: 'WM/MediaClassPrimaryID', data: 'zz' }],
+            image: picture(3, fakeJpeg(100, 100))
+        });
+        // node-id3 只写一张图片，封底 APIC 手工追加
+        const frames = Buffer.concat([base.subarray(10), NodeID3.create({ image: picture(4, backCover) }).subarray(10)]);
+        const header = Buffer.from(base.subarray(0, 10));
+        [21, 14, 7, 0].forEach((shift, i) => { header[6 + i] = (frames.length >> shift) & 0x7f; });
+        const file = makeMp3('frames.mp3', Buffer.concat([header, frames]));
+
+        const frontCover = fakeJpeg(500, 500);
+        mp3.writeTags(file, { title: '晴天', image: picture(3, frontCover) });
+        const tag = fs.readFileSync(file);
+        const tags = NodeID3.read(file);
+        assert.strictEqual(tags.title, '晴天');
+        assert.strictEqual(tags.userDefinedText.length, 2);
+        assert.strictEqual(tags.private[0].ownerIdentifier, 'WM/MediaClassPrimaryID');
+        assert.ok(tag.includes(backCover));
+        assert.ok(tag.includes(frontCover));
+        assert.ok(!tag.includes(fakeJpeg(100, 100)));
+        assert.ok(endsWithAudio(file));
+    });
+
+    await test('MP3: ID3v2.4 标签保持 v2.4，新帧大小为 syncsafe', () => {
+        const NodeID3 = require('node-id3');
+        // v2.4 的 TXXX 帧: 大小用 syncsafe 编码，内容为 UTF-8 (编码 3)
+        const body = Buffer.from('\x03MOOD\x00calm', 'latin1');
+        const frame = Buffer.concat([Buffer.from('TXXX'), Buffer.from([0, 0, 0, body.length, 0, 0]), body]);
+        const header = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, frame.length]);
+        const file = makeMp3('v24.mp3', Buffer.concat([header, frame]));
+
+        mp3.writeTags(file, { title: 'A title long enough to need more than one hundred and twenty-eight bytes '.repeat(2) });
+        const tag = fs.readFileSync(file);
+        assert.strictEqual(tag[3], 4);
+        assert.ok(tag.includes(frame));
+        const tags = NodeID3.read(file);
+        assert.ok(tags.title.startsWith('A title long enough'));
+        assert.deepStrictEqual(tags.userDefinedText, [{ description: 'MOOD', value: 'calm' }]);
+    });
+
+    await test('封面: 各格式读取并替换内嵌封面，其他标签不变', () => {
+        const files = [
+            makeFlac('cover.flac', [['TITLE', '晴天']], 1024),
+            makeM4a('cover.m4a'),
+            makeMp3('cover.mp3'),
+            makeWav('cover.wav'),
+            makeDsf('cover.dsf')
+        ];
+        const small = fakeJpeg(300, 300);
+        const large = fakeJpeg(1000, 1000, 64);
+
+        files.forEach(file => {
+            const name = path.basename(file);
+            assert.strictEqual(cover.readCover(file), null, name);
+            cover.writeCover(file, { mime: 'image/jpeg', data: small });
+            assert.ok(cover.readCover(file).data.equals(small), name);
+            cover.writeCover(file, { mime: 'image/jpeg', data: large });
+            assert.ok(cover.readCover(file).data.equals(large), name);
+        });
+        assert.deepStrictEqual(flac.readTags(files[0]).comments.TITLE, ['晴天']);
+        assert.strictEqual(flac.readTags(files[0]).pictures.length, 1);
+        assert.throws(() => cover.readCover(path.join(TEMP_DIR, 'cover.ogg')), /不支持的格式/);
+    });
+
+    await test('歌词: 各格式读取内嵌歌词，SYLT 还原为 LRC', () => {
+        const lrc = '[00:01.00]故事的小黄花\n[00:04.00]从出生那年';
+        const flacFile = makeFlac('lyrics.flac', [['TITLE', '晴天'], ['UNSYNCEDLYRICS', lrc]], 1024);
+        assert.deepStrictEqual(lyrics.readLyrics(flacFile), { text: lrc, synced: true });
+
+        const m4aFile = makeM4a('lyrics.m4a');
+        assert.strictEqual(lyrics.readLyrics(m4aFile), null);
+        mp4.writeTags(m4aFile, { set: { lyrics: '故事的小黄花' } });
+        assert.deepStrictEqual(lyrics.readLyrics(m4aFile), { text: '故事的小黄花', synced: false });
+
+        // 只有 SYLT 时按时间轴还原
+        const mp3File = makeMp3('lyrics.mp3');
+        mp3.writeTags(mp3File, {
+            unsynchronisedLyrics: { language: 'XXX', text: '故事的小黄花\n从出生那年' },
+            synchronisedLyrics: syncedLyrics([{ text: '故事的小黄花', timeStamp: 1000 }, { text: '从出生那年', timeStamp: 4000 }])
+        });
+        assert.deepStrictEqual(lyrics.readLyrics(mp3File), { text: lrc, synced: true });
+
+        // 带时间标签的 USLT 优先 (embed_lyrics.js 写入的完整 LRC)
+        const dsfFile = makeDsf('lyrics.dsf');
+        dsd.writeTags(dsfFile, { unsynchronisedLyrics: { language: 'XXX', text: `[ti:晴天]\n${lrc}` } });
+        assert.strictEqual(lyrics.readLyrics(dsfFile).text, `[ti:晴天]\n${lrc}`);
+        assert.throws(() => lyrics.readLyrics(path.join(TEMP_DIR, 'lyrics.ogg')), /不支持的格式/);
+    });
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    finish();
+}
+
+run();